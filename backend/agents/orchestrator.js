@@ -7,63 +7,21 @@
  *
  */
 const cron = require('node-cron');
+const TariffService = require('../services/tariff-service');
+const DeviceRegistry = require('../services/device-registry');
+const { getBasePower } = require('../services/device-registry');
 
 class EnergyManagementOrchestrator {
     constructor() {
-        this.devices = this.initializeMockDevices();
+        this.tariff = new TariffService();
+        this.deviceRegistry = new DeviceRegistry();
+        this.devices = this.deviceRegistry.list();
         this.energyReadings = [];
         this.predictions = [];
         this.recommendations = [];
         this.broadcastCallback = null;
     }
 
-    initializeMockDevices() {
-        return [
-            {
-                id: 'hvac_001',
-                name: 'Living Room Thermostat',
-                type: 'hvac',
-                location: 'Living Room',
-                isOn: true,
-                currentPower: 2800,
-                todaysUsage: 24.5,
-                todaysCost: 4.90,
-                targetTemp: 72
-            },
-            {
-                id: 'water_heater_001',
-                name: 'Water Heater',
-                type: 'water_heater',
-                location: 'Basement',
-                isOn: true,
-                currentPower: 3200,
-                todaysUsage: 18.2,
-                todaysCost: 3.64
-            },
-            {
-                id: 'lighting_001',
-                name: 'Kitchen Lights',
-                type: 'lighting',
-                location: 'Kitchen',
-                isOn: true,
-                currentPower: 180,
-                todaysUsage: 2.1,
-                todaysCost: 0.42,
-                brightness: 100
-            },
-            {
-                id: 'washer_001',
-                name: 'Washing Machine',
-                type: 'appliance',
-                location: 'Laundry Room',
-                isOn: false,
-                currentPower: 0,
-                todaysUsage: 3.5,
-                todaysCost: 0.70
-            }
-        ];
-    }
-
     startRealTimeProcessing(broadcastCallback) {
         this.broadcastCallback = broadcastCallback;
         
@@ -92,13 +50,14 @@ class EnergyManagementOrchestrator {
         // Update each device with realistic usage patterns
         this.devices.forEach(device => {
             if (device.isOn) {
-                const baseUsage = this.getBaseUsage(device.type);
+                const baseUsage = this.getBaseUsage(device);
                 const timeMultiplier = this.getTimeMultiplier(hour);
                 const randomFactor = 0.8 + Math.random() * 0.4;
                 
                 device.currentPower = baseUsage * timeMultiplier * randomFactor;
-                device.todaysUsage += device.currentPower / 1000 / 120; // Update every 30 seconds
-                device.todaysCost = device.todaysUsage * 0.12;
+                const energyKwh = device.currentPower / 1000 / 120; // Update every 30 seconds
+                device.todaysUsage += energyKwh;
+                device.todaysCost += this.tariff.calculateCost(energyKwh, now);
             } else {
                 device.currentPower = 0;
             }
@@ -132,14 +91,8 @@ class EnergyManagementOrchestrator {
         }
     }
 
-    getBaseUsage(deviceType) {
-        const baseUsages = {
-            hvac: 3000,
-            water_heater: 4000,
-            lighting: 200,
-            appliance: 1500
-        };
-        return baseUsages[deviceType] || 1000;
+    getBaseUsage(device) {
+        return getBasePower(device);
     }
 
     getTimeMultiplier(hour) {
@@ -161,12 +114,16 @@ class EnergyManagementOrchestrator {
         
         for (let i = 0; i < 24; i++) {
             const hour = (currentHour + i) % 24;
+            const hourStart = new Date();
+            hourStart.setMinutes(0, 0, 0);
+            hourStart.setHours(hourStart.getHours() + i);
+
             const baseUsage = 2000;
             const timeMultiplier = this.getTimeMultiplier(hour);
             const prediction = {
                 hour,
                 predictedUsage: baseUsage * timeMultiplier,
-                predictedCost: (baseUsage * timeMultiplier * 0.12) / 1000,
+                predictedCost: this.tariff.calculateCost((baseUsage * timeMultiplier) / 1000, hourStart),
                 confidence: 0.85 + Math.random() * 0.1
             };
             predictions.push(prediction);
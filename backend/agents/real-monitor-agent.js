@@ -4,10 +4,15 @@
  */
 
 const WatsonxService = require('../services/watsonx-service');
+const { getBasePower, isProducer, isStorage, isVehicleCharger, isConsumer } = require('../services/device-registry');
+const { estimateOutput } = require('../services/solar-model');
+
+// Clear-sky output (W) above which a producing device should report some power
+const DAYLIGHT_OUTPUT_WATTS = 500;
 
 class EnergyMonitorAgent {
-    constructor() {
-        this.watsonx = new WatsonxService();
+    constructor(options = {}) {
+        this.watsonx = new WatsonxService({ tariff: options.tariff, validator: options.validator });
         this.analysisHistory = [];
         this.lastAnalysis = null;
         this.anomalyThreshold = 0.3; // 30% deviation triggers anomaly
@@ -18,8 +23,8 @@ class EnergyMonitorAgent {
     /**
      * Continuously monitor energy patterns using AI
      */
-    async startMonitoring(devices, getHistoricalData, onAnalysisUpdate) {
-        this.devices = devices;
+    async startMonitoring(getDevices, getHistoricalData, onAnalysisUpdate) {
+        this.getDevices = getDevices;
         this.getHistoricalData = getHistoricalData;
         this.onAnalysisUpdate = onAnalysisUpdate;
 
@@ -49,7 +54,7 @@ class EnergyMonitorAgent {
 
             // Get AI analysis of energy patterns
             const aiAnalysis = await this.watsonx.analyzeEnergyPatterns(
-                this.devices,
+                this.getDevices(),
                 historicalData
             );
 
@@ -158,8 +163,8 @@ class EnergyMonitorAgent {
      * Analyze individual device performance
      */
     analyzeDevicePerformance() {
-        return this.devices.map(device => {
-            const baseUsage = this.getBaseUsage(device.type);
+        return this.getDevices().filter(isConsumer).map(device => {
+            const baseUsage = this.getBaseUsage(device);
             const efficiencyRatio = device.isOn ? device.currentPower / baseUsage : 1;
             
             let status = 'normal';
@@ -207,8 +212,23 @@ class EnergyMonitorAgent {
         }
 
         // Check for device-specific anomalies
-        this.devices.forEach(device => {
-            if (device.isOn && device.currentPower === 0) {
+        this.getDevices().forEach(device => {
+            if (isProducer(device)) {
+                if (device.isOn && device.currentPower === 0 && estimateOutput(device) > DAYLIGHT_OUTPUT_WATTS) {
+                    anomalies.push({
+                        type: 'device_malfunction',
+                        severity: 'high',
+                        description: `${device.name} is producing no power in daylight`,
+                        device_id: device.id
+                    });
+                }
+            } else if (isStorage(device)) {
+                // A full battery that is charging or an empty one that is discharging draws nothing
+                return;
+            } else if (isVehicleCharger(device) && (!device.pluggedIn || device.vehicleSoc >= device.targetSoc)) {
+                // Nothing to charge
+                return;
+            } else if (device.isOn && device.currentPower === 0) {
                 anomalies.push({
                     type: 'device_malfunction',
                     severity: 'high',
@@ -286,16 +306,10 @@ class EnergyMonitorAgent {
     }
 
     /**
-     * Get expected base usage for device type
+     * Get expected base usage for a device
      */
-    getBaseUsage(deviceType) {
-        const baseUsages = {
-            hvac: 3000,
-            water_heater: 4000,
-            lighting: 200,
-            appliance: 1500
-        };
-        return baseUsages[deviceType] || 1000;
+    getBaseUsage(device) {
+        return getBasePower(device);
     }
 
     /**
@@ -4,15 +4,50 @@
  */
 
 const WatsonxService = require('../services/watsonx-service');
+const { readJson, writeJson } = require('../services/data-store');
+const TariffService = require('../services/tariff-service');
+const DemandLimiter = require('../services/demand-limiter');
+const ComfortSettings = require('../services/comfort-settings');
+const { deviceTypes, deviceCommands } = require('../config/device-config');
+const { getTypeActions } = require('../services/device-capabilities');
+const { getBasePower, isConsumer, isStorage, isVehicleCharger } = require('../services/device-registry');
+const { planCharging } = require('../services/ev-charging-planner');
+const { BATTERY_MODES } = require('../services/device-adapters/device-state');
+const { estimateOutdoorTemperature, getZoneParameters, simulateZone, optimizeSetpoints } = require('../services/thermal-model');
+
+// Longest duration an applied recommendation may be given before it is reverted
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+// Reverted recommendations kept for history
+const MAX_FINISHED_APPLIED = 200;
+
+// Demand-response curtailment: the HVAC setpoint is moved towards the outdoor
+// temperature (up when cooling, down when heating) by at most this much, each
+// degree cutting this share of the HVAC draw
+const DR_MAX_SETPOINT_OFFSET_F = 4;
+const DR_HVAC_REDUCTION_PER_DEGREE = 0.1;
+
+// Hours ahead over which HVAC setpoints are planned and comfort is predicted
+const THERMAL_HORIZON_HOURS = 24;
 
 class EnergyOptimizationAgent {
-    constructor() {
-        this.watsonx = new WatsonxService();
+    constructor(options = {}) {
+        this.tariff = options.tariff || new TariffService();
+        this.watsonx = new WatsonxService({ tariff: this.tariff, validator: options.validator });
         this.recommendations = [];
-        this.appliedRecommendations = [];
+        this.revertTimers = new Map();
         this.optimizationHistory = [];
         this.lastUpdate = null;
-        this.savingsTracked = 0;
+
+        // Applied recommendations, with the device state to revert to, survive restarts
+        this.appliedFileName = options.appliedFileName || 'applied-recommendations.json';
+        const stored = readJson(this.appliedFileName, []);
+        this.appliedRecommendations = Array.isArray(stored) ? stored : [];
+        this.estimatedSavings = this.appliedRecommendations.reduce((sum, rec) => sum + (rec.potentialSavings || 0), 0);
+        this.savingsVerifier = options.savingsVerifier || null;
+        this.demandLimiter = options.demandLimiter || new DemandLimiter();
+        this.comfortSettings = options.comfortSettings || new ComfortSettings();
+        this.getOutdoorTemperature = options.getOutdoorTemperature || estimateOutdoorTemperature;
         
         console.log('💡 Energy Optimization Agent initialized with AI');
         
@@ -25,8 +60,8 @@ class EnergyOptimizationAgent {
     /**
      * Start continuous optimization service
      */
-    async startOptimization(devices, getPredictions, getHistoricalData, onRecommendationsUpdate) {
-        this.devices = devices;
+    async startOptimization(getDevices, getPredictions, getHistoricalData, onRecommendationsUpdate) {
+        this.getDevices = getDevices;
         this.getPredictions = getPredictions;
         this.getHistoricalData = getHistoricalData;
         this.onRecommendationsUpdate = onRecommendationsUpdate;
@@ -61,12 +96,17 @@ class EnergyOptimizationAgent {
             } else {
                 // Get AI optimization recommendations with predictions
                 aiRecommendations = await this.watsonx.generateOptimizationRecommendations(
-                    this.devices,
+                    this.getDevices(),
                     predictions,
                     currentHour
                 );
             }
 
+            // Using forecast solar surplus, scheduling batteries and planning HVAC setpoints do not depend on the AI
+            aiRecommendations = this.addSelfConsumptionRecommendations(aiRecommendations, predictions);
+            aiRecommendations = this.addBatteryScheduleRecommendations(aiRecommendations, predictions);
+            aiRecommendations = this.addThermalRecommendations(aiRecommendations);
+
             // Enhance AI recommendations with additional analysis
             const enhancedRecommendations = this.enhanceRecommendations(aiRecommendations, currentHour);
 
@@ -103,23 +143,27 @@ class EnergyOptimizationAgent {
      * Generate immediate recommendations without predictions
      */
     async generateImmediateRecommendations(currentHour) {
-        const activeDevices = this.devices.filter(d => d.isOn);
-        const totalUsage = this.devices.reduce((sum, d) => sum + d.currentPower, 0);
+        const activeDevices = this.getDevices().filter(d => d.isOn);
+        const totalUsage = this.getConsumers().reduce((sum, d) => sum + d.currentPower, 0);
         
         const prompt = `You are a smart home energy optimization expert. Generate immediate actionable recommendations based on current device status.
 
 CURRENT SITUATION:
 - Time: ${currentHour}:00
 - Total Usage: ${totalUsage.toFixed(0)}W
-- Active Devices: ${activeDevices.length}/${this.devices.length}
+- Active Devices: ${activeDevices.length}/${this.getDevices().length}
 
 DEVICE STATUS:
-${this.devices.map(d => `- ${d.name} (${d.type}): ${d.currentPower}W, ${d.isOn ? 'ON' : 'OFF'}${d.targetTemp ? `, Target: ${d.targetTemp}°F` : ''}${d.brightness ? `, Brightness: ${d.brightness}%` : ''}`).join('\n')}
+${this.getDevices().map(d => `- ${d.id}: ${d.name} (${d.type}): ${d.currentPower}W, ${d.isOn ? 'ON' : 'OFF'}${d.targetTemp ? `, Target: ${d.targetTemp}°F` : ''}${d.brightness ? `, Brightness: ${d.brightness}%` : ''}`).join('\n')}
 
 TIME CONTEXT:
 ${this.getTimeContext(currentHour)}
 
-Generate 2-4 immediate optimization recommendations in this exact JSON format (no other text):
+ALLOWED ACTIONS:
+${this.watsonx.describeRecommendationActions()}
+
+Generate 2-4 immediate optimization recommendations in this exact JSON format (no other text).
+Use only the device IDs and actions listed above:
 {
   "recommendations": [
     {
@@ -131,21 +175,22 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
       "priority": "medium",
       "difficulty": "easy",
       "estimatedTime": "2 minutes",
-      "devices": ["device_id"],
-      "action": "optimize",
-      "value": "auto"
+      "devices": ["lighting_001"],
+      "action": "set_brightness",
+      "value": "70"
     }
   ]
 }`;
 
         try {
-            const response = await this.watsonx.generateText(prompt, { temperature: 0.5 });
-            const parsed = this.watsonx.parseJsonResponse(response, null);
-            
-            if (parsed && parsed.recommendations && Array.isArray(parsed.recommendations)) {
-                return parsed.recommendations;
-            }
-            throw new Error('Invalid recommendations format');
+            const parsed = await this.watsonx.generateValidated(
+                'recommendations',
+                prompt,
+                { temperature: 0.5 },
+                { devices: this.getDevices() },
+                'immediate_recommendations'
+            );
+            return parsed.recommendations;
         } catch (error) {
             console.warn('⚠️ AI immediate recommendations failed, using smart fallback');
             return this.generateSmartFallbackRecommendations(currentHour);
@@ -157,12 +202,12 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
      */
     generateSmartFallbackRecommendations(currentHour) {
         const recommendations = [];
-        const activeDevices = this.devices.filter(d => d.isOn);
-        const totalUsage = this.devices.reduce((sum, d) => sum + d.currentPower, 0);
+        const activeDevices = this.getDevices().filter(d => d.isOn);
+        const totalUsage = this.getConsumers().reduce((sum, d) => sum + d.currentPower, 0);
 
         // High usage optimization
         if (totalUsage > 3000) {
-            const highUsageDevice = this.devices.reduce((max, device) => 
+            const highUsageDevice = this.getConsumers().reduce((max, device) => 
                 device.currentPower > max.currentPower ? device : max
             );
 
@@ -184,31 +229,10 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
             }
         }
 
-        // Time-based optimizations
-        if (currentHour >= 17 && currentHour <= 19) {
-            // Peak hours - pre-cooling
-            const hvacDevice = this.devices.find(d => d.type === 'hvac' && d.isOn);
-            if (hvacDevice && hvacDevice.targetTemp > 70) {
-                recommendations.push({
-                    id: 'smart_peak_precool',
-                    title: 'Pre-cool Before Peak Rates',
-                    description: 'Lower thermostat now to avoid higher peak electricity rates',
-                    category: 'hvac',
-                    potentialSavings: 1.8,
-                    priority: 'high',
-                    difficulty: 'easy',
-                    estimatedTime: '1 minute',
-                    devices: [hvacDevice.id],
-                    action: 'set_temperature',
-                    value: String(hvacDevice.targetTemp - 3),
-                    source: 'smart_fallback'
-                });
-            }
-        }
-
+        // Time-based optimizations (pre-cooling and pre-heating are planned by the thermal model)
         if (currentHour >= 20) {
             // Late evening - appliance scheduling
-            const appliance = this.devices.find(d => d.type === 'appliance' && !d.isOn);
+            const appliance = this.getDevices().find(d => d.type === 'appliance' && !d.isOn);
             if (appliance) {
                 recommendations.push({
                     id: 'smart_late_schedule',
@@ -228,7 +252,7 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
         }
 
         // Lighting optimization
-        const brightLights = this.devices.filter(d => 
+        const brightLights = this.getDevices().filter(d => 
             d.type === 'lighting' && d.isOn && d.brightness && d.brightness > 85
         );
         
@@ -272,15 +296,449 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
         return recommendations;
     }
 
+    /**
+     * Devices that only draw power (everything but solar and batteries)
+     */
+    getConsumers() {
+        return this.getDevices().filter(isConsumer);
+    }
+
+    /**
+     * Add recommendations to run idle appliances when the predicted solar surplus
+     * peaks, for appliances no other recommendation already covers
+     */
+    addSelfConsumptionRecommendations(recommendations, predictions) {
+        const covered = new Set(recommendations.flatMap(rec => rec.devices || []));
+        const solarRecommendations = this.generateSelfConsumptionRecommendations(predictions)
+            .filter(rec => !rec.devices.some(deviceId => covered.has(deviceId)));
+
+        return [...recommendations, ...solarRecommendations];
+    }
+
+    /**
+     * Recommendations to run idle appliances in the hour with the largest predicted
+     * solar surplus, so they use solar output that would otherwise be exported
+     */
+    generateSelfConsumptionRecommendations(predictions) {
+        const peak = (predictions || [])
+            .filter(p => p.predictedSurplus > 0)
+            .reduce((best, p) => (!best || p.predictedSurplus > best.predictedSurplus ? p : best), null);
+        if (!peak) return [];
+
+        const hourStart = new Date(peak.timestamp);
+        const startsNow = hourStart.getTime() <= Date.now();
+        const time = `${String(hourStart.getHours()).padStart(2, '0')}:00`;
+
+        // Valued against importing at the cheapest forecast hour instead, less the lost export credit
+        const cheapestRate = Math.min(...predictions.map(p => this.tariff.getRate(new Date(p.timestamp))));
+        const margin = Math.max(0, cheapestRate - this.tariff.getExportRate(hourStart));
+
+        return this.getConsumers()
+            .filter(d => d.type === 'appliance' && !d.isOn)
+            .map(device => {
+                const solarKwh = Math.min(device.ratedPower, peak.predictedSurplus) / 1000;
+                return {
+                    id: `solar_shift_${device.id}`,
+                    title: `Run ${device.name} on Solar Power`,
+                    description: `Solar output is forecast to exceed usage by ${(peak.predictedSurplus / 1000).toFixed(1)} kW ${startsNow ? 'this hour' : `around ${time}`}. Running ${device.name} then uses solar power instead of exporting it.`,
+                    category: 'appliances',
+                    potentialSavings: Math.round(solarKwh * margin * 100) / 100,
+                    priority: 'medium',
+                    difficulty: 'easy',
+                    estimatedTime: '2 minutes',
+                    devices: [device.id],
+                    action: startsNow ? 'turn_on' : 'schedule',
+                    value: startsNow ? null : time,
+                    source: 'solar_self_consumption'
+                };
+            });
+    }
+
+    /**
+     * Add charge/discharge schedules for batteries that no other recommendation,
+     * and no applied schedule still in effect, already covers
+     */
+    addBatteryScheduleRecommendations(recommendations, predictions) {
+        const covered = new Set(recommendations.flatMap(rec => rec.devices || []));
+        this.appliedRecommendations
+            .filter(rec => rec.status === 'applied' && rec.action === 'battery_schedule')
+            .forEach(rec => rec.devices.forEach(deviceId => covered.add(deviceId)));
+
+        const batteryRecommendations = this.generateBatteryScheduleRecommendations(predictions)
+            .filter(rec => !rec.devices.some(deviceId => covered.has(deviceId)));
+
+        return [...recommendations, ...batteryRecommendations];
+    }
+
+    /**
+     * Battery schedules over the prediction horizon: charge in the hours of the
+     * cheapest cost tier, discharge in the dearest and hold otherwise. Discharging
+     * is limited to the predicted net usage, so stored energy replaces grid imports
+     * instead of being exported. Savings value the discharged energy at the peak
+     * rate, less the cost of charging it (with round-trip losses) off-peak.
+     */
+    generateBatteryScheduleRecommendations(predictions) {
+        const hours = (predictions || []).filter(p => p.cost_tier && p.timestamp).map(p => {
+            const start = new Date(p.timestamp);
+            const usage = p.predictedNetUsage !== undefined ? p.predictedNetUsage : p.predictedUsage;
+            return { start, tier: p.cost_tier, rate: this.tariff.getRate(start), loadKwh: Math.max(0, usage) / 1000 };
+        });
+        if (hours.length === 0) return [];
+
+        const cheapest = hours.reduce((best, h) => (h.rate < best.rate ? h : best));
+        const dearest = hours.reduce((best, h) => (h.rate > best.rate ? h : best));
+        if (dearest.rate <= cheapest.rate) return [];
+
+        const modeCommands = Object.fromEntries(Object.entries(BATTERY_MODES).map(([action, mode]) => [mode, action]));
+        const horizonEnd = hours[hours.length - 1].start.getTime() + 60 * 60 * 1000;
+
+        return this.getDevices().filter(isStorage).map(battery => {
+            const efficiency = battery.roundTripEfficiency;
+            const reserveKwh = battery.capacityKwh * battery.reserveSoc / 100;
+            let storedKwh = battery.capacityKwh * battery.stateOfCharge / 100;
+            let dischargedKwh = 0;
+            let avoidedCost = 0;
+
+            const plan = hours.map(h => {
+                if (h.tier === cheapest.tier && storedKwh < battery.capacityKwh - 0.01) {
+                    storedKwh = Math.min(battery.capacityKwh, storedKwh + battery.maxChargeKw * efficiency);
+                    return 'charge';
+                }
+                if (h.tier === dearest.tier && storedKwh > reserveKwh + 0.01 && h.loadKwh > 0) {
+                    const suppliedKwh = Math.min(battery.maxDischargeKw, storedKwh - reserveKwh, h.loadKwh);
+                    storedKwh -= suppliedKwh;
+                    dischargedKwh += suppliedKwh;
+                    avoidedCost += suppliedKwh * h.rate;
+                    return 'discharge';
+                }
+                return 'hold';
+            });
+
+            const savings = avoidedCost - dischargedKwh / efficiency * cheapest.rate;
+            if (savings < 0.01) return null;
+
+            // Steps only where the mode changes; a step for the current hour applies immediately
+            let previous = modeCommands[battery.batteryMode];
+            const steps = [];
+            plan.forEach((action, index) => {
+                if (action !== previous) steps.push({ at: hours[index].start.toISOString(), action });
+                previous = action;
+            });
+
+            const cheapLabel = cheapest.tier.replace(/_/g, '-');
+            const dearLabel = dearest.tier.replace(/_/g, '-');
+            return {
+                id: `battery_schedule_${battery.id}`,
+                title: `Charge ${battery.name} Off-Peak and Use It at Peak`,
+                description: `Charge during ${cheapLabel} hours ($${cheapest.rate.toFixed(2)}/kWh) and power the home from the battery during ${dearLabel} hours ($${dearest.rate.toFixed(2)}/kWh), moving about ${dischargedKwh.toFixed(1)} kWh out of ${dearLabel} hours.`,
+                category: 'battery',
+                potentialSavings: Math.round(savings * 100) / 100,
+                priority: 'medium',
+                difficulty: 'easy',
+                estimatedTime: '1 minute',
+                devices: [battery.id],
+                action: 'battery_schedule',
+                value: steps,
+                // The battery returns to its current mode once the schedule has run its course
+                durationMinutes: Math.ceil((horizonEnd - Date.now()) / (60 * 1000)),
+                source: 'battery_schedule'
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Add setpoint schedules for HVAC zones that no other recommendation, and no
+     * applied schedule still in effect, already covers
+     */
+    addThermalRecommendations(recommendations) {
+        const covered = new Set(recommendations.flatMap(rec => rec.devices || []));
+        this.appliedRecommendations
+            .filter(rec => rec.status === 'applied' && rec.action === 'setpoint_schedule')
+            .forEach(rec => rec.devices.forEach(deviceId => covered.add(deviceId)));
+
+        const thermalRecommendations = this.generateThermalRecommendations()
+            .filter(rec => !rec.devices.some(deviceId => covered.has(deviceId)));
+
+        return [...recommendations, ...thermalRecommendations];
+    }
+
+    /**
+     * Setpoint schedules for the running HVAC zones over the coming day: the thermal
+     * model predicts each zone's indoor temperature and the setpoints are optimized
+     * against the tariff within the zone's comfort bands, so the zone pre-cools (or
+     * pre-heats) while rates are low and drifts to the far edge of its band while they
+     * are high. Savings are against holding the current setpoint; each schedule
+     * carries the comfort deviation it is predicted to cause.
+     */
+    generateThermalRecommendations(now = new Date()) {
+        const start = new Date(now.getTime());
+        start.setMinutes(0, 0, 0);
+        const horizonEnd = start.getTime() + THERMAL_HORIZON_HOURS * 60 * 60 * 1000;
+
+        return this.getDevices()
+            .filter(device => device.type === 'hvac' && device.isOn && typeof device.targetTemp === 'number')
+            .map(device => {
+                const inputs = this.getZoneInputs(device, start, THERMAL_HORIZON_HOURS);
+                const plan = optimizeSetpoints(inputs.zone, {
+                    ...inputs,
+                    comfortPenalty: this.comfortSettings.getComfortPenalty(),
+                    setpointRange: deviceTypes.hvac.fields.targetTemp
+                });
+                const hold = simulateZone(inputs.zone, { ...inputs, getSetpoint: () => device.targetTemp });
+
+                const savings = hold.cost - plan.cost;
+                if (savings < 0.01) return null;
+
+                // Steps only where the setpoint changes; a step for the current hour applies immediately
+                let previous = device.targetTemp;
+                const steps = [];
+                plan.trajectory.forEach(hour => {
+                    if (hour.setpoint !== previous) steps.push({ at: hour.start, temperature: hour.setpoint });
+                    previous = hour.setpoint;
+                });
+
+                return {
+                    id: `thermal_plan_${device.id}`,
+                    ...this.describeSetpointPlan(device, plan, inputs.getOutdoorTemp),
+                    category: 'hvac',
+                    potentialSavings: Math.round(savings * 100) / 100,
+                    priority: 'medium',
+                    difficulty: 'easy',
+                    estimatedTime: '1 minute',
+                    devices: [device.id],
+                    action: 'setpoint_schedule',
+                    value: steps,
+                    // The zone returns to its current setpoint once the schedule has run its course
+                    durationMinutes: Math.ceil((horizonEnd - now.getTime()) / (60 * 1000)),
+                    comfort_deviation: plan.comfort_deviation,
+                    predicted_trajectory: plan.trajectory,
+                    source: 'thermal_model'
+                };
+            }).filter(Boolean);
+    }
+
+    /**
+     * Title and description of an optimized setpoint schedule: pre-cooling or
+     * pre-heating when the zone is conditioned ahead of the dearest hour, otherwise
+     * letting it use the room its comfort band allows
+     */
+    describeSetpointPlan(device, plan, getOutdoorTemp) {
+        const rates = plan.trajectory.map(hour => this.tariff.getRate(new Date(hour.start)));
+        const dearestRate = Math.max(...rates);
+
+        const deviation = plan.comfort_deviation;
+        const comfortText = deviation.degree_hours > 0
+            ? ` Predicted comfort deviation: ${deviation.degree_hours} °F·h outside the comfort band, at most ${deviation.max_f}°F.`
+            : ' The zone is predicted to stay within its comfort band.';
+
+        // The first peak the zone is conditioned ahead of, in the cheaper hours leading up to it
+        for (let index = 1; index < rates.length; index++) {
+            if (rates[index] !== dearestRate || rates[index - 1] === dearestRate) continue;
+
+            const peak = plan.trajectory[index];
+            const cooling = getOutdoorTemp(new Date(peak.start)) >= peak.setpoint;
+            let first = index;
+            while (first > 0 && rates[first - 1] < dearestRate) first--;
+            const before = plan.trajectory.slice(first, index)
+                .filter(hour => hour.energy_kwh > 0 && (cooling ? hour.setpoint < peak.setpoint : hour.setpoint > peak.setpoint));
+            if (before.length === 0) continue;
+
+            const extreme = cooling
+                ? Math.min(...before.map(hour => hour.setpoint))
+                : Math.max(...before.map(hour => hour.setpoint));
+            const time = new Date(peak.start).toTimeString().slice(0, 5);
+            return {
+                title: `Pre-${cooling ? 'cool' : 'heat'} ${device.name} Before Peak Rates`,
+                description: `${cooling ? 'Cool' : 'Heat'} to ${extreme}°F ahead of the $${dearestRate.toFixed(2)}/kWh rate from ${time}, then let the home drift to ${peak.setpoint}°F instead of running the HVAC at the peak.${comfortText}`
+            };
+        }
+
+        const setpoints = plan.trajectory.map(hour => hour.setpoint);
+        return {
+            title: `Use the Comfort Band for ${device.name}`,
+            description: `Let the setpoint follow your comfort band (${Math.min(...setpoints)}-${Math.max(...setpoints)}°F over the day) instead of holding ${device.targetTemp}°F.${comfortText}`
+        };
+    }
+
+    /**
+     * Thermal model of an HVAC zone and the inputs to simulate it over the hours from start
+     */
+    getZoneInputs(device, start, hours) {
+        return {
+            zone: getZoneParameters(device, getBasePower(device)),
+            start,
+            hours,
+            initialTemp: typeof device.indoorTemp === 'number' ? device.indoorTemp : device.targetTemp,
+            getOutdoorTemp: (date) => this.getOutdoorTemperature(date),
+            getBand: (date) => this.comfortSettings.getBand(date, device.id),
+            getRate: (date) => this.tariff.getRate(date)
+        };
+    }
+
+    /**
+     * Predicted indoor temperature of an HVAC zone over the coming hours with its
+     * setpoint given by getSetpoint(date) (taken at the start of each hour), with the
+     * energy, cost and comfort deviation it leads to
+     */
+    predictZone(device, getSetpoint, hours = THERMAL_HORIZON_HOURS, now = new Date()) {
+        const start = new Date(now.getTime());
+        start.setMinutes(0, 0, 0);
+        const inputs = this.getZoneInputs(device, start, hours);
+
+        return simulateZone(inputs.zone, {
+            ...inputs,
+            getSetpoint: (date) => (device.isOn ? getSetpoint(date) : null)
+        });
+    }
+
+    /**
+     * Predicted comfort deviation of a recommendation that sets HVAC setpoints: each
+     * zone is simulated at the new setpoint for the recommendation's duration (or the
+     * planning horizon) and measured against its comfort bands
+     */
+    predictComfortDeviation(rec) {
+        const setpoint = Number(rec.value);
+        if (rec.action !== 'set_temperature' || !isFinite(setpoint)) return null;
+
+        const zones = (rec.devices || [])
+            .map(deviceId => this.getDevices().find(d => d.id === deviceId))
+            .filter(device => device && device.type === 'hvac');
+        if (zones.length === 0) return null;
+
+        const hours = rec.durationMinutes ? Math.max(1, Math.ceil(rec.durationMinutes / 60)) : THERMAL_HORIZON_HOURS;
+        return zones
+            .map(device => this.predictZone(device, () => setpoint, hours).comfort_deviation)
+            .reduce((total, deviation) => ({
+                degree_hours: Math.round((total.degree_hours + deviation.degree_hours) * 100) / 100,
+                max_f: Math.max(total.max_f, deviation.max_f),
+                minutes_outside: Math.max(total.minutes_outside, deviation.minutes_outside)
+            }));
+    }
+
+    /**
+     * Setpoint at the edge of an HVAC zone's current comfort band that needs the
+     * least conditioning: the top of the band while cooling, the bottom while heating
+     */
+    getEconomySetpoint(device, now = new Date()) {
+        const band = this.comfortSettings.getBand(now, device.id) || deviceTypes.hvac.fields.targetTemp;
+        const cooling = this.getOutdoorTemperature(now) >= device.targetTemp;
+        return cooling ? band.max : band.min;
+    }
+
+    /**
+     * Charging plan of an EV charger: the cheapest hours before departure that reach
+     * the vehicle's target charge, within the headroom the predicted usage of the rest
+     * of the home leaves under the household service limit
+     */
+    getChargingPlan(charger, now = new Date()) {
+        const predictions = (this.getPredictions && this.getPredictions()) || [];
+        const otherConsumers = this.getConsumers().filter(d => !isVehicleCharger(d));
+        const currentLoad = otherConsumers.reduce((sum, d) => sum + d.currentPower, 0);
+
+        return planCharging(charger, {
+            now,
+            limitWatts: this.demandLimiter.getLimitWatts(),
+            getRate: (date) => this.tariff.getRate(date),
+            getHouseholdLoadWatts: (date) => {
+                const hourStart = new Date(date.getTime());
+                hourStart.setMinutes(0, 0, 0);
+                const prediction = predictions.find(p => Date.parse(p.timestamp) === hourStart.getTime());
+                return prediction ? prediction.predictedUsage : currentLoad;
+            }
+        });
+    }
+
+    /**
+     * Curtailment plan for a demand-response event. Running appliances are delayed,
+     * water heaters deferred and HVAC setpoints raised for the event, in that order
+     * (least comfort impact first), until the requested reduction is covered; the
+     * HVAC offset is the smallest that covers what is left. A price signal takes
+     * every measure when its price is above the tariff rate. Each step has the
+     * command that starts it, the one that restores the device when the event ends
+     * and its estimated reduction, from the devices' current draw.
+     */
+    generateCurtailmentPlan(event) {
+        const start = new Date(event.start);
+        const hours = event.duration_minutes / 60;
+        const expectedDraw = (device) => (device.isOn ? device.currentPower || getBasePower(device) : 0);
+        const consumers = this.getConsumers().filter(device => expectedDraw(device) > 0);
+        const price = event.price !== null ? event.price : this.tariff.getRate(start);
+        const worthCurtailing = event.requested_reduction_kw !== null || event.price > this.tariff.getRate(start);
+
+        const steps = [];
+        let remainingKw = event.requested_reduction_kw !== null ? event.requested_reduction_kw : Infinity;
+        const addStep = (device, measure, startAction, restoreAction, reductionKw) => {
+            steps.push({
+                device_id: device.id,
+                device_name: device.name,
+                measure,
+                start_action: startAction,
+                restore_action: restoreAction,
+                estimated_reduction_kw: Math.round(reductionKw * 1000) / 1000
+            });
+            remainingKw -= reductionKw;
+        };
+
+        if (worthCurtailing) {
+            const off = { action: 'turn_off', value: null };
+            const on = { action: 'turn_on', value: null };
+
+            consumers.filter(d => d.type === 'appliance').forEach(device => {
+                if (remainingKw > 0) addStep(device, 'appliance_delay', off, on, expectedDraw(device) / 1000);
+            });
+            consumers.filter(d => d.type === 'water_heater').forEach(device => {
+                if (remainingKw > 0) addStep(device, 'water_heater_deferral', off, on, expectedDraw(device) / 1000);
+            });
+            consumers.filter(d => d.type === 'hvac' && typeof d.targetTemp === 'number').forEach(device => {
+                const limits = deviceTypes[device.type].fields.targetTemp;
+                const cooling = this.getOutdoorTemperature(start) >= device.targetTemp;
+                const maxOffset = Math.min(
+                    DR_MAX_SETPOINT_OFFSET_F,
+                    cooling ? limits.max - device.targetTemp : device.targetTemp - limits.min
+                );
+                const kwPerDegree = expectedDraw(device) / 1000 * DR_HVAC_REDUCTION_PER_DEGREE;
+                if (remainingKw <= 0 || maxOffset < 1) return;
+
+                const offset = Math.min(Math.floor(maxOffset), Math.ceil(remainingKw / kwPerDegree));
+                addStep(
+                    device,
+                    'setpoint_offset',
+                    { action: 'set_temperature', value: device.targetTemp + (cooling ? offset : -offset) },
+                    { action: 'set_temperature', value: device.targetTemp },
+                    kwPerDegree * offset
+                );
+            });
+        }
+
+        const estimatedKw = steps.reduce((sum, step) => sum + step.estimated_reduction_kw, 0);
+        return {
+            status: 'proposed',
+            generated_at: new Date().toISOString(),
+            steps,
+            requested_reduction_kw: event.requested_reduction_kw,
+            estimated_reduction_kw: Math.round(estimatedKw * 1000) / 1000,
+            shortfall_kw: event.requested_reduction_kw !== null
+                ? Math.round(Math.max(0, event.requested_reduction_kw - estimatedKw) * 1000) / 1000
+                : null,
+            estimated_savings: Math.round(estimatedKw * hours * price * 100) / 100,
+            note: worthCurtailing ? null : 'The event price is not above the tariff rate; nothing is curtailed'
+        };
+    }
+
     /**
      * Get time context description
      */
     getTimeContext(hour) {
-        if (hour >= 6 && hour <= 9) return "Morning peak hours - high energy rates expected";
-        if (hour >= 10 && hour <= 16) return "Daytime normal hours - standard energy rates";
-        if (hour >= 17 && hour <= 21) return "Evening peak hours - highest energy rates";
-        if (hour >= 22 && hour <= 23) return "Late evening - transitioning to off-peak rates";
-        return "Overnight hours - lowest energy rates available";
+        const date = new Date();
+        date.setHours(hour, 0, 0, 0);
+        const { period, rate } = this.tariff.describeRate(date);
+        const rateText = `${period.replace(/_/g, '-')} rate $${rate.toFixed(2)}/kWh`;
+
+        if (hour >= 6 && hour <= 9) return `Morning hours - ${rateText}`;
+        if (hour >= 10 && hour <= 16) return `Daytime hours - ${rateText}`;
+        if (hour >= 17 && hour <= 21) return `Evening hours - ${rateText}`;
+        if (hour >= 22 && hour <= 23) return `Late evening - ${rateText}`;
+        return `Overnight hours - ${rateText}`;
     }
 
     /**
@@ -307,7 +765,7 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
     getOptimizationValue(device) {
         switch (device.type) {
             case 'hvac':
-                return device.targetTemp ? String(device.targetTemp - 2) : '70';
+                return String(this.getEconomySetpoint(device));
             case 'lighting':
                 return device.brightness ? String(Math.max(50, device.brightness - 20)) : '75';
             case 'water_heater':
@@ -324,15 +782,17 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
      */
     enhanceRecommendations(aiRecommendations, currentHour) {
         return aiRecommendations.map(rec => {
+            const comfortDeviation = rec.comfort_deviation || this.predictComfortDeviation(rec);
             const enhancedRec = {
                 ...rec,
-                id: rec.id || `opt_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+                id: rec.id || `opt_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
                 generated_at: new Date().toISOString(),
                 current_hour: currentHour,
                 urgency_score: this.calculateUrgencyScore(rec, currentHour),
                 feasibility_score: this.calculateFeasibilityScore(rec),
                 impact_category: this.categorizeImpact(rec.potentialSavings),
-                comfort_impact: this.assessComfortImpact(rec),
+                comfort_impact: this.assessComfortImpact(rec, comfortDeviation),
+                comfort_deviation: comfortDeviation,
                 automation_level: this.determineAutomationLevel(rec),
                 prerequisites: this.getPrerequisites(rec),
                 estimated_implementation_time: rec.estimatedTime || this.estimateImplementationTime(rec)
@@ -341,7 +801,7 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
             // Add device-specific context
             if (rec.devices && rec.devices.length > 0) {
                 enhancedRec.affected_devices = rec.devices.map(deviceId => {
-                    const device = this.devices.find(d => d.id === deviceId);
+                    const device = this.getDevices().find(d => d.id === deviceId);
                     return device ? {
                         id: device.id,
                         name: device.name,
@@ -466,9 +926,14 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
     }
 
     /**
-     * Assess comfort impact
+     * Assess comfort impact; the predicted time outside the comfort band, when known,
+     * takes the place of the category estimate
      */
-    assessComfortImpact(rec) {
+    assessComfortImpact(rec, comfortDeviation = null) {
+        if (comfortDeviation) {
+            return Math.min(1.0, 0.1 + comfortDeviation.degree_hours * 0.2);
+        }
+
         const comfortImpacts = {
             'hvac': 0.7, // Temperature changes affect comfort significantly
             'lighting': 0.3, // Lighting changes have moderate impact
@@ -483,7 +948,7 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
      * Determine automation level
      */
     determineAutomationLevel(rec) {
-        if (rec.action === 'schedule') return 'automatic';
+        if (['schedule', 'battery_schedule', 'setpoint_schedule'].includes(rec.action)) return 'automatic';
         if (rec.action === 'set_temperature' || rec.action === 'set_brightness') return 'semi_automatic';
         return 'manual';
     }
@@ -555,30 +1020,8 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
         const currentHour = new Date().getHours();
         const predictions = this.getPredictions() || [];
 
-        // Find peak usage predictions
-        const peakPredictions = predictions.filter(p => p.peak_probability > 0.7);
-
-        // HVAC optimization
-        const hvacDevice = this.devices.find(d => d.type === 'hvac' && d.isOn);
-        if (hvacDevice && peakPredictions.length > 0) {
-            recommendations.push({
-                id: 'rule_hvac_opt',
-                title: 'Optimize HVAC for Peak Hours',
-                description: 'Adjust thermostat to reduce usage during predicted peak hours',
-                category: 'hvac',
-                potentialSavings: 1.5,
-                priority: 'high',
-                difficulty: 'easy',
-                estimatedTime: '2 minutes',
-                devices: [hvacDevice.id],
-                action: 'set_temperature',
-                value: hvacDevice.targetTemp - 2,
-                source: 'rule_based'
-            });
-        }
-
         // Lighting optimization
-        const lightingDevices = this.devices.filter(d => d.type === 'lighting' && d.isOn);
+        const lightingDevices = this.getDevices().filter(d => d.type === 'lighting' && d.isOn);
         if (lightingDevices.length > 0) {
             lightingDevices.forEach(device => {
                 if (device.brightness > 80) {
@@ -600,7 +1043,11 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
             });
         }
 
-        return recommendations;
+        // HVAC setpoints for peak hours come from the thermal model
+        return this.addThermalRecommendations(this.addBatteryScheduleRecommendations(
+            this.addSelfConsumptionRecommendations(recommendations, predictions),
+            predictions
+        ));
     }
 
     /**
@@ -650,14 +1097,21 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
     }
 
     /**
-     * Apply a recommendation
+     * Apply a recommendation.
+     * The prior state of every affected device is captured first so the change can
+     * be reverted; with a duration it is reverted automatically once it expires.
+     * If a device fails to apply, devices already changed are rolled back.
      */
-    async applyRecommendation(recommendationId, deviceControlCallback) {
+    async applyRecommendation(recommendationId, deviceControlCallback, options = {}) {
         const recommendation = this.recommendations.find(r => r.id === recommendationId);
         if (!recommendation) {
             return { success: false, message: 'Recommendation not found' };
         }
 
+        const durationMinutes = options.durationMinutes || recommendation.durationMinutes || null;
+        const previousState = this.captureDeviceState(recommendation.devices || []);
+        const changed = [];
+
         try {
             console.log(`🔧 Applying recommendation: ${recommendation.title}`);
 
@@ -668,22 +1122,35 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
                     if (!result.success) {
                         throw new Error(`Failed to control device ${deviceId}: ${result.message}`);
                     }
+                    changed.push(deviceId);
                 }
             }
 
             // Track applied recommendation
+            const appliedAt = new Date();
             const appliedRec = {
                 ...recommendation,
-                applied_at: new Date().toISOString(),
-                status: 'applied'
+                applied_at: appliedAt.toISOString(),
+                status: 'applied',
+                previous_state: previousState,
+                duration_minutes: durationMinutes,
+                revert_at: durationMinutes
+                    ? new Date(appliedAt.getTime() + durationMinutes * 60 * 1000).toISOString()
+                    : null
             };
 
             this.appliedRecommendations.push(appliedRec);
-            this.savingsTracked += recommendation.potentialSavings || 0;
+            this.saveAppliedRecommendations();
+            this.estimatedSavings += recommendation.potentialSavings || 0;
+            if (this.savingsVerifier) this.savingsVerifier.track(appliedRec);
 
             // Remove from active recommendations
             this.recommendations = this.recommendations.filter(r => r.id !== recommendationId);
 
+            if (durationMinutes) {
+                this.scheduleRevert(appliedRec, deviceControlCallback, options.onRevert);
+            }
+
             console.log(`✅ Recommendation applied successfully: ${recommendation.title}`);
             console.log(`💰 Estimated savings: $${recommendation.potentialSavings?.toFixed(2) || '0.00'}`);
 
@@ -691,11 +1158,20 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
                 success: true,
                 message: 'Recommendation applied successfully',
                 estimated_savings: recommendation.potentialSavings,
-                total_tracked_savings: this.savingsTracked
+                total_tracked_savings: this.getTrackedSavings(),
+                total_estimated_savings: this.estimatedSavings,
+                revert_at: appliedRec.revert_at
             };
 
         } catch (error) {
             console.error(`❌ Failed to apply recommendation: ${error.message}`);
+
+            if (changed.length > 0) {
+                const rollback = previousState.filter(state => changed.includes(state.deviceId));
+                await this.restoreDeviceState(rollback, deviceControlCallback);
+                console.log(`↩️ Rolled back ${changed.length} device(s) after failed apply`);
+            }
+
             return {
                 success: false,
                 message: error.message
@@ -703,6 +1179,157 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
         }
     }
 
+    /**
+     * Revert an applied recommendation by restoring the device state captured
+     * when it was applied
+     */
+    async revertRecommendation(recommendationId, deviceControlCallback, reason = 'manual') {
+        // Recommendation ids can repeat across generations; prefer the one still in effect
+        const matches = this.appliedRecommendations.filter(r => r.id === recommendationId);
+        const appliedRec = matches.find(r => r.status === 'applied') || matches[matches.length - 1];
+        if (!appliedRec) {
+            return { success: false, code: 'not_found', message: 'Applied recommendation not found' };
+        }
+        if (appliedRec.status !== 'applied') {
+            return { success: false, code: 'conflict', message: `Recommendation is already ${appliedRec.status}` };
+        }
+
+        this.cancelRevertTimer(recommendationId);
+
+        const failures = await this.restoreDeviceState(appliedRec.previous_state || [], deviceControlCallback);
+
+        appliedRec.status = 'reverted';
+        appliedRec.reverted_at = new Date().toISOString();
+        appliedRec.revert_reason = reason;
+        if (this.savingsVerifier) this.savingsVerifier.markEnded(appliedRec.id, appliedRec.reverted_at);
+        if (failures.length > 0) {
+            appliedRec.revert_failures = failures;
+        }
+        this.saveAppliedRecommendations();
+
+        console.log(`↩️ Recommendation reverted (${reason}): ${appliedRec.title}`);
+
+        return {
+            success: failures.length === 0,
+            message: failures.length === 0
+                ? 'Recommendation reverted successfully'
+                : `Recommendation reverted with errors: ${failures.map(f => `${f.deviceId}: ${f.message}`).join('; ')}`,
+            recommendation: appliedRec
+        };
+    }
+
+    /**
+     * Snapshot the settings of the given devices that a recommendation can change
+     */
+    captureDeviceState(deviceIds) {
+        return deviceIds
+            .map(deviceId => this.getDevices().find(d => d.id === deviceId))
+            .filter(Boolean)
+            .map(device => {
+                const state = { deviceId: device.id, type: device.type, isOn: device.isOn };
+                if (device.batteryMode !== undefined) state.batteryMode = device.batteryMode;
+                const typeConfig = deviceTypes[device.type];
+                Object.keys(typeConfig ? typeConfig.fields : {}).forEach(field => {
+                    if (device[field] !== undefined) state[field] = device[field];
+                });
+                return state;
+            });
+    }
+
+    /**
+     * Restore captured device state through the device control callback.
+     * Returns the devices that could not be restored.
+     */
+    async restoreDeviceState(states, deviceControlCallback) {
+        const failures = [];
+
+        for (const state of states) {
+            for (const [action, value] of this.getRestoreActions(state)) {
+                const result = await deviceControlCallback(state.deviceId, action, value, { source: 'recommendation_revert' });
+                if (!result.success) {
+                    failures.push({ deviceId: state.deviceId, message: result.message });
+                    break;
+                }
+            }
+        }
+        return failures;
+    }
+
+    /**
+     * Control actions that bring a device back to a captured state
+     */
+    getRestoreActions(state) {
+        const actions = [];
+
+        getTypeActions(state.type).forEach(action => {
+            const field = deviceCommands[action].field;
+            if (field && state[field] !== undefined) {
+                actions.push([action, String(state[field])]);
+            }
+        });
+        // Batteries are switched by mode rather than on and off
+        if (state.batteryMode !== undefined) {
+            const action = Object.keys(BATTERY_MODES).find(key => BATTERY_MODES[key] === state.batteryMode);
+            if (action) actions.push([action, null]);
+        } else {
+            actions.push([state.isOn ? 'turn_on' : 'turn_off', null]);
+        }
+
+        return actions;
+    }
+
+    /**
+     * Revert an applied recommendation automatically when its duration expires
+     */
+    scheduleRevert(appliedRec, deviceControlCallback, onRevert) {
+        this.cancelRevertTimer(appliedRec.id);
+        const delay = Math.max(0, new Date(appliedRec.revert_at).getTime() - Date.now());
+
+        const timer = setTimeout(async () => {
+            this.revertTimers.delete(appliedRec.id);
+            const result = await this.revertRecommendation(appliedRec.id, deviceControlCallback, 'expired');
+            if (onRevert) onRevert(result);
+        }, delay);
+
+        this.revertTimers.set(appliedRec.id, timer);
+        console.log(`⏲️ Recommendation ${appliedRec.id} will be reverted at ${appliedRec.revert_at}`);
+    }
+
+    /**
+     * Re-arm the automatic reverts of recommendations applied before a restart;
+     * those that expired while the server was down are reverted now.
+     * createControl(recommendationId) returns the device control callback to revert with.
+     */
+    resumeReverts(createControl, onRevert) {
+        const pending = this.appliedRecommendations.filter(rec => rec.status === 'applied' && rec.revert_at);
+        pending.forEach(rec => this.scheduleRevert(rec, createControl(rec.id), onRevert));
+        if (pending.length > 0) {
+            console.log(`⏲️ Resumed ${pending.length} automatic recommendation revert(s)`);
+        }
+    }
+
+    saveAppliedRecommendations() {
+        const finished = this.appliedRecommendations.filter(rec => rec.status !== 'applied');
+        const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_APPLIED)));
+        this.appliedRecommendations = this.appliedRecommendations.filter(rec => !dropped.has(rec));
+        writeJson(this.appliedFileName, this.appliedRecommendations);
+    }
+
+    cancelRevertTimer(recommendationId) {
+        const timer = this.revertTimers.get(recommendationId);
+        if (timer) {
+            clearTimeout(timer);
+            this.revertTimers.delete(recommendationId);
+        }
+    }
+
+    /**
+     * Savings verified against measured usage (the model's estimates are tracked separately)
+     */
+    getTrackedSavings() {
+        return this.savingsVerifier ? this.savingsVerifier.getTotalVerifiedSavings() : 0;
+    }
+
     /**
      * Notify listeners of recommendation updates
      */
@@ -714,7 +1341,8 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
                 total_potential_savings: this.recommendations.reduce((sum, r) => sum + (r.potentialSavings || 0), 0),
                 high_priority_count: this.recommendations.filter(r => r.priority === 'high').length,
                 applied_count: this.appliedRecommendations.length,
-                total_tracked_savings: this.savingsTracked
+                total_tracked_savings: this.getTrackedSavings(),
+                total_estimated_savings: this.estimatedSavings
             });
         }
     }
@@ -747,7 +1375,8 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
         return {
             total_recommendations: this.recommendations.length,
             applied_recommendations: this.appliedRecommendations.length,
-            total_tracked_savings: this.savingsTracked,
+            total_tracked_savings: this.getTrackedSavings(),
+            total_estimated_savings: this.estimatedSavings,
             categories: this.getRecommendationsByCategory(),
             last_update: this.lastUpdate,
             optimization_history_count: this.optimizationHistory.length
@@ -766,7 +1395,7 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
             last_update: this.lastUpdate,
             recommendations_count: this.recommendations.length,
             applied_count: this.appliedRecommendations.length,
-            total_savings: this.savingsTracked
+            total_savings: this.getTrackedSavings()
         };
     }
 
@@ -778,14 +1407,14 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
             console.log('💡 Generating initial recommendations...');
             const currentHour = new Date().getHours();
             
-            if (!this.devices || this.devices.length === 0) {
+            if (!this.getDevices || this.getDevices().length === 0) {
                 console.log('⏳ No devices available yet, will retry...');
                 setTimeout(() => this.generateInitialRecommendations(), 5000);
                 return;
             }
             
-            // Generate smart fallback recommendations immediately
-            const recommendations = this.generateSmartFallbackRecommendations(currentHour);
+            // Generate smart fallback recommendations immediately, with the HVAC setpoint plans
+            const recommendations = this.addThermalRecommendations(this.generateSmartFallbackRecommendations(currentHour));
             
             if (recommendations.length > 0) {
                 this.recommendations = this.prioritizeRecommendations(recommendations);
@@ -803,4 +1432,5 @@ Generate 2-4 immediate optimization recommendations in this exact JSON format (n
     }
 }
 
-module.exports = EnergyOptimizationAgent; 
\ No newline at end of file
+module.exports = EnergyOptimizationAgent;
+module.exports.MAX_DURATION_MINUTES = MAX_DURATION_MINUTES;
@@ -6,18 +6,121 @@
 const EnergyMonitorAgent = require('./real-monitor-agent');
 const EnergyPredictionAgent = require('./real-prediction-agent');
 const EnergyOptimizationAgent = require('./real-optimization-agent');
+const ReadingStore = require('../services/reading-store');
+const TariffService = require('../services/tariff-service');
+const DeviceRegistry = require('../services/device-registry');
+const AiOutputValidator = require('../services/ai-output-validator');
+const Scheduler = require('../services/scheduler');
+const SavingsVerifier = require('../services/savings-verifier');
+const AuditLog = require('../services/audit-log');
+const DemandLimiter = require('../services/demand-limiter');
+const DemandResponseService = require('../services/demand-response');
+const OpenAdrVen = require('../services/openadr-ven');
+const ComfortSettings = require('../services/comfort-settings');
+const WeatherService = require('../services/weather-service');
+const PredictionTracker = require('../services/prediction-tracker');
+const { getBasePower, isProducer, isStorage, isVehicleCharger, isConsumer, isSupplying } = require('../services/device-registry');
+const { estimateOutput } = require('../services/solar-model');
+const { getZoneParameters, stepZone } = require('../services/thermal-model');
+const { CHARGING_EFFICIENCY, isChargingDue } = require('../services/ev-charging-planner');
+const { isPlanApplied } = require('../services/demand-response');
+const { createAdapters, getDefaultAdapterType } = require('../services/device-adapters');
+const { BACKEND_ACTIONS, BATTERY_MODES } = require('../services/device-adapters/device-state');
+const { getTypeActions, describeCapabilities, validateCommand } = require('../services/device-capabilities');
+
+// Devices without telemetry newer than this are simulated by the update loop
+const TELEMETRY_STALE_MS = 90 * 1000;
+
+// Simulated vehicles leave at their departure time and come back at this time,
+// having used this much of their charge
+const VEHICLE_ARRIVAL_TIME = '18:00';
+const DAILY_DRIVE_KWH = 12;
 
 class RealEnergyManagementOrchestrator {
-    constructor() {
+    /**
+     * options.homeId:   home this orchestrator manages
+     * options.dataPath: sub-directory of DATA_DIR holding the home's data ('' for the data directory itself)
+     * options.initialDevices: devices registered when the home has no registry yet
+     * options.mqttBridge: MQTT bridge used by devices with the mqtt adapter
+     */
+    constructor(options = {}) {
+        this.homeId = options.homeId || 'default';
+        const dataFile = (name) => (options.dataPath ? `${options.dataPath}/${name}` : name);
+
+        // Shared tariff for every cost calculation
+        this.tariff = new TariffService({ fileName: dataFile('tariff.json') });
+
+        // Shared validation of structured AI output, so rejection stats cover every agent
+        this.outputValidator = new AiOutputValidator();
+
+        // Data storage
+        this.deviceRegistry = new DeviceRegistry({
+            fileName: dataFile('devices.json'),
+            initialDevices: options.initialDevices
+        });
+        this.readingStore = new ReadingStore({
+            fileName: dataFile('readings.jsonl'),
+            isProducer: (deviceId) => isProducer(this.getDevice(deviceId))
+        });
+        this.savingsVerifier = new SavingsVerifier({
+            readingStore: this.readingStore,
+            tariff: this.tariff,
+            fileName: dataFile('savings-verification.json')
+        });
+        this.auditLog = new AuditLog({ fileName: dataFile('audit.jsonl') });
+        this.demandLimiter = new DemandLimiter({ fileName: dataFile('demand-limit.json') });
+        this.comfortSettings = new ComfortSettings({ fileName: dataFile('comfort.json') });
+        this.weather = new WeatherService();
+        this.predictionTracker = new PredictionTracker({
+            fileName: dataFile('forecasts.jsonl'),
+            accuracyFileName: dataFile('prediction-accuracy.json'),
+            getHourlyUsage: (from, to) => this.getMeasuredHourlyUsage(from, to)
+        });
+        this.demandResponse = new DemandResponseService({
+            fileName: dataFile('demand-response.json'),
+            savingsVerifier: this.savingsVerifier
+        });
+        this.ven = new OpenAdrVen({
+            venId: this.homeId,
+            onEvent: (definition) => this.createDemandResponseEvent(definition, { source: 'ven' })
+        });
+
+        // Device adapters that carry commands to the hardware
+        this.adapters = createAdapters({ mqttBridge: options.mqttBridge, homeId: this.homeId });
+        this.defaultAdapterType = getDefaultAdapterType();
+
         // Initialize real AI agents
-        this.monitorAgent = new EnergyMonitorAgent();
-        this.predictionAgent = new EnergyPredictionAgent();
-        this.optimizationAgent = new EnergyOptimizationAgent();
+        const agentOptions = { tariff: this.tariff, validator: this.outputValidator };
+        this.monitorAgent = new EnergyMonitorAgent(agentOptions);
+        this.predictionAgent = new EnergyPredictionAgent({
+            ...agentOptions,
+            weather: this.weather,
+            tracker: this.predictionTracker,
+            getHourlyUsage: (days, deviceId) => this.getHourlyUsage(days, deviceId)
+        });
+        this.optimizationAgent = new EnergyOptimizationAgent({
+            ...agentOptions,
+            appliedFileName: dataFile('applied-recommendations.json'),
+            savingsVerifier: this.savingsVerifier,
+            demandLimiter: this.demandLimiter,
+            comfortSettings: this.comfortSettings,
+            getOutdoorTemperature: (date) => this.getOutdoorTemperature(date)
+        });
         
-        // Data storage
-        this.devices = this.initializeMockDevices();
-        this.energyReadings = [];
+        this.costAccumulator = this.createCostAccumulator();
+        this.scheduler = new Scheduler({
+            fileName: dataFile('schedules.json'),
+            getDevice: (deviceId) => this.getDevice(deviceId),
+            execute: (job) => this.controlDevice(job.deviceId, job.action, job.value, {
+                principal: job.created_by,
+                source: 'schedule',
+                details: { job_id: job.id }
+            }),
+            onJobRun: (job) => this.handleScheduledJobRun(job)
+        });
+        this.simulateMissingTelemetry = process.env.SIMULATE_DEVICES !== 'false';
         this.broadcastCallback = null;
+        this.lastHealthCheck = null;
         
         // Agent coordination
         this.agentStatus = {
@@ -26,54 +129,7 @@ class RealEnergyManagementOrchestrator {
             optimization: 'initializing'
         };
         
-        console.log('🤖 Real AI Energy Management Orchestrator initialized');
-    }
-
-    initializeMockDevices() {
-        return [
-            {
-                id: 'hvac_001',
-                name: 'Living Room Thermostat',
-                type: 'hvac',
-                location: 'Living Room',
-                isOn: true,
-                currentPower: 2800,
-                todaysUsage: 24.5,
-                todaysCost: 4.90,
-                targetTemp: 72
-            },
-            {
-                id: 'water_heater_001',
-                name: 'Water Heater',
-                type: 'water_heater',
-                location: 'Basement',
-                isOn: true,
-                currentPower: 3200,
-                todaysUsage: 18.2,
-                todaysCost: 3.64
-            },
-            {
-                id: 'lighting_001',
-                name: 'Kitchen Lights',
-                type: 'lighting',
-                location: 'Kitchen',
-                isOn: true,
-                currentPower: 180,
-                todaysUsage: 2.1,
-                todaysCost: 0.42,
-                brightness: 100
-            },
-            {
-                id: 'washer_001',
-                name: 'Washing Machine',
-                type: 'appliance',
-                location: 'Laundry Room',
-                isOn: false,
-                currentPower: 0,
-                todaysUsage: 3.5,
-                todaysCost: 0.70
-            }
-        ];
+        console.log(`🤖 Real AI Energy Management Orchestrator initialized for home ${this.homeId}`);
     }
 
     async startRealTimeProcessing(broadcastCallback) {
@@ -82,9 +138,25 @@ class RealEnergyManagementOrchestrator {
         console.log('🚀 Starting real AI-powered energy management system...');
 
         try {
+            // Fetch the weather before the agents forecast with it
+            await this.weather.start();
+
             // Start device data updates
             this.startDeviceUpdates();
 
+            // Run scheduled device actions, catching up any missed while stopped
+            await this.scheduler.start();
+
+            // Revert recommendations applied for a limited time, including any that expired while stopped
+            this.optimizationAgent.resumeReverts(
+                (recommendationId) => this.createRecommendationControl(recommendationId),
+                (result) => this.handleRecommendationReverted(result)
+            );
+
+            // Follow demand-response events and take new ones from the utility's VTN
+            this.demandResponse.start((event) => this.broadcastDemandResponseEvent(event));
+            this.ven.start();
+
             // Start AI agents with coordination
             await this.startAIAgents();
 
@@ -103,9 +175,15 @@ class RealEnergyManagementOrchestrator {
     }
 
     startDeviceUpdates() {
-        // Update device data every 30 seconds
-        setInterval(() => {
-            this.updateDeviceReadings();
+        // Update device data every 30 seconds, then keep the home within its service limit
+        setInterval(async () => {
+            try {
+                this.updateDeviceReadings();
+                await this.enforceDemandLimit();
+                await this.followChargingPlans();
+            } catch (error) {
+                console.error('❌ Device update failed:', error.message);
+            }
         }, 30000);
         
         console.log('📊 Device data updates started');
@@ -115,25 +193,25 @@ class RealEnergyManagementOrchestrator {
         try {
             // Start monitor agent
             await this.monitorAgent.startMonitoring(
-                this.devices,
-                () => this.energyReadings,
+                () => this.getDevices(),
+                () => this.getEnergyReadings(),
                 (analysis) => this.handleAnalysisUpdate(analysis)
             );
             this.agentStatus.monitor = 'running';
 
             // Start prediction agent
             await this.predictionAgent.startPredictions(
-                this.devices,
-                () => this.energyReadings,
+                () => this.getDevices(),
+                () => this.getEnergyReadings(),
                 (predictions) => this.handlePredictionsUpdate(predictions)
             );
             this.agentStatus.prediction = 'running';
 
             // Start optimization agent
             await this.optimizationAgent.startOptimization(
-                this.devices,
+                () => this.getDevices(),
                 () => this.predictionAgent.getPredictions(),
-                () => this.energyReadings,
+                () => this.getEnergyReadings(),
                 (recommendations) => this.handleRecommendationsUpdate(recommendations)
             );
             this.agentStatus.optimization = 'running';
@@ -161,43 +239,94 @@ class RealEnergyManagementOrchestrator {
     }
 
     updateDeviceReadings() {
+        const devices = this.getDevices();
         const now = new Date();
         const hour = now.getHours();
         
-        // Update each device with realistic usage patterns
-        this.devices.forEach(device => {
-            if (device.isOn) {
-                const baseUsage = this.getBaseUsage(device.type);
+        // Devices reporting real telemetry keep their reported state; the rest are
+        // simulated with realistic usage patterns and recorded as such
+        devices.forEach(device => {
+            if (this.hasFreshTelemetry(device, now)) return;
+            if (!this.simulateMissingTelemetry) return;
+            // Vehicles and batteries respond to the rest of the home, so they are simulated last
+            if (isStorage(device) || isVehicleCharger(device)) return;
+            if (device.type === 'hvac') this.simulateIndoorTemperature(device, 30 / 3600, now);
+
+            if (isProducer(device)) {
+                // Clear-sky output, reduced by passing clouds
+                device.currentPower = device.isOn ? Math.round(estimateOutput(device, now) * (0.85 + Math.random() * 0.15)) : 0;
+                device.todaysProduction += device.currentPower / 1000 / 120;
+            } else if (device.isOn) {
+                const baseUsage = this.getBaseUsage(device);
                 const timeMultiplier = this.getTimeMultiplier(hour);
                 const randomFactor = 0.8 + Math.random() * 0.4;
                 
                 device.currentPower = Math.round(baseUsage * timeMultiplier * randomFactor);
-                device.todaysUsage += device.currentPower / 1000 / 120; // Update every 30 seconds
-                device.todaysCost = device.todaysUsage * 0.12;
+                const energyKwh = device.currentPower / 1000 / 120; // Update every 30 seconds
+                device.todaysUsage += energyKwh;
+                device.todaysCost += this.costAccumulator(energyKwh, now);
             } else {
                 device.currentPower = 0;
             }
+
+            this.readingStore.append({
+                deviceId: device.id,
+                timestamp: now.toISOString(),
+                power: device.currentPower,
+                isOn: device.isOn,
+                source: 'simulated'
+            });
+        });
+
+        devices.filter(isVehicleCharger).forEach(device => {
+            if (this.hasFreshTelemetry(device, now)) return;
+            if (!this.simulateMissingTelemetry) return;
+
+            const others = this.getCurrentPower(devices.filter(d => d !== device && !isStorage(d)));
+            this.simulateVehicle(device, others.consumption, 30 / 3600, now);
+
+            this.readingStore.append({
+                deviceId: device.id,
+                timestamp: now.toISOString(),
+                power: device.currentPower,
+                isOn: device.isOn,
+                source: 'simulated'
+            });
+        });
+
+        devices.filter(isStorage).forEach(device => {
+            if (this.hasFreshTelemetry(device, now)) return;
+            if (!this.simulateMissingTelemetry) return;
+
+            const others = this.getCurrentPower(devices.filter(d => d !== device));
+            this.simulateBattery(device, others.consumption - others.production, 30 / 3600, now);
+
+            this.readingStore.append({
+                deviceId: device.id,
+                timestamp: now.toISOString(),
+                power: device.currentPower,
+                isOn: device.isOn,
+                ...(isSupplying(device) ? { producing: true } : {}),
+                source: 'simulated'
+            });
         });
 
         // Create energy reading
-        const totalUsage = this.devices.reduce((sum, device) => sum + device.currentPower, 0);
+        const { consumption, production } = this.getCurrentPower();
         const reading = {
             timestamp: now.toISOString(),
-            totalPower: totalUsage,
-            devices: this.devices.map(d => ({
+            totalPower: consumption,
+            production,
+            netPower: consumption - production,
+            devices: devices.map(d => ({
                 id: d.id,
                 power: d.currentPower,
-                isOn: d.isOn
+                isOn: d.isOn,
+                ...(isSupplying(d) ? { producer: true } : {}),
+                ...(isStorage(d) ? { stateOfCharge: Math.round(d.stateOfCharge * 10) / 10 } : {})
             }))
         };
 
-        this.energyReadings.push(reading);
-        
-        // Keep only last 1000 readings (about 8 hours at 30-second intervals)
-        if (this.energyReadings.length > 1000) {
-            this.energyReadings = this.energyReadings.slice(-1000);
-        }
-
         // Broadcast to connected clients
         if (this.broadcastCallback) {
             this.broadcastCallback({
@@ -207,14 +336,165 @@ class RealEnergyManagementOrchestrator {
         }
     }
 
-    getBaseUsage(deviceType) {
-        const baseUsages = {
-            hvac: 3000,
-            water_heater: 4000,
-            lighting: 200,
-            appliance: 1500
+    /**
+     * Move an HVAC zone's indoor temperature over an update interval, by its thermal
+     * model with the HVAC holding its setpoint while it is on
+     */
+    simulateIndoorTemperature(device, hours, now) {
+        const zone = getZoneParameters(device, getBasePower(device));
+        const indoorTemp = typeof device.indoorTemp === 'number' ? device.indoorTemp : device.targetTemp;
+        const setpoint = device.isOn ? device.targetTemp : null;
+
+        device.indoorTemp = stepZone(zone, indoorTemp, this.getOutdoorTemperature(now), setpoint, hours).indoorTemp;
+    }
+
+    /**
+     * Outdoor temperature (°F) at the home at a time
+     */
+    getOutdoorTemperature(date) {
+        return this.weather.getConditions(date).temperature;
+    }
+
+    /**
+     * Weather provider status, the weather sensitivity the statistical predictor last
+     * fitted and the hourly conditions from the start of the current hour
+     */
+    getWeather(hours = 24) {
+        const start = new Date();
+        start.setMinutes(0, 0, 0);
+        return {
+            ...this.weather.getStatus(),
+            sensitivity: this.predictionAgent.getWeatherModel(),
+            hourly: this.weather.getHourly(start, hours)
+        };
+    }
+
+    /**
+     * Charge or discharge a battery over an update interval. Charging draws the
+     * maximum rate until the battery is full; discharging covers the rest of the
+     * home's net load (W) until the reserve is reached. Round-trip losses are taken
+     * while charging, so the energy drawn is more than the charge gained.
+     */
+    simulateBattery(device, netLoad, hours, now) {
+        const storedKwh = device.capacityKwh * device.stateOfCharge / 100;
+        let power = 0;
+
+        if (device.batteryMode === 'charging') {
+            const roomKwh = Math.max(0, device.capacityKwh - storedKwh);
+            power = Math.min(device.maxChargeKw * 1000, roomKwh / device.roundTripEfficiency / hours * 1000);
+            const energyKwh = power / 1000 * hours;
+            device.stateOfCharge = (storedKwh + energyKwh * device.roundTripEfficiency) / device.capacityKwh * 100;
+            device.todaysUsage += energyKwh;
+            device.todaysCost += this.costAccumulator(energyKwh, now);
+        } else if (device.batteryMode === 'discharging') {
+            const availableKwh = Math.max(0, storedKwh - device.capacityKwh * device.reserveSoc / 100);
+            power = Math.max(0, Math.min(device.maxDischargeKw * 1000, netLoad, availableKwh / hours * 1000));
+            const energyKwh = power / 1000 * hours;
+            device.stateOfCharge = (storedKwh - energyKwh) / device.capacityKwh * 100;
+            device.todaysProduction += energyKwh;
+        }
+
+        device.currentPower = Math.round(power);
+    }
+
+    /**
+     * Plug a simulated vehicle out at its departure time and back in on arrival, and
+     * charge it while the charger is on, up to its target charge and within the headroom
+     * the rest of the home's consumption (W) leaves under the household service limit
+     */
+    simulateVehicle(device, otherConsumption, hours, now) {
+        const away = this.isVehicleAway(device, now);
+        if (away && device.pluggedIn) {
+            device.pluggedIn = false;
+            device.chargeMode = 'smart';
+            device.isOn = false;
+        } else if (!away && !device.pluggedIn) {
+            device.pluggedIn = true;
+            device.vehicleSoc = Math.max(10, device.vehicleSoc - DAILY_DRIVE_KWH / device.batteryKwh * 100);
+        }
+
+        let power = 0;
+        if (device.isOn && device.pluggedIn && device.vehicleSoc < device.targetSoc) {
+            power = Math.max(0, Math.min(device.maxChargeKw * 1000, this.demandLimiter.getLimitWatts() - otherConsumption));
+        }
+
+        const energyKwh = power / 1000 * hours;
+        device.vehicleSoc = Math.min(100, device.vehicleSoc + energyKwh * CHARGING_EFFICIENCY / device.batteryKwh * 100);
+        device.todaysUsage += energyKwh;
+        device.todaysCost += this.costAccumulator(energyKwh, now);
+        device.currentPower = Math.round(power);
+    }
+
+    /**
+     * Is a simulated vehicle out between its departure and arrival times?
+     */
+    isVehicleAway(device, now) {
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
         };
-        return baseUsages[deviceType] || 1000;
+        const departure = toMinutes(device.departureTime);
+        const arrival = toMinutes(VEHICLE_ARRIVAL_TIME);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+
+        return departure < arrival
+            ? minutes >= departure && minutes < arrival
+            : minutes >= departure || minutes < arrival;
+    }
+
+    /**
+     * Validate and persist a telemetry reading, then apply it to the device state
+     */
+    recordReading(payload) {
+        const validation = this.readingStore.validate(payload);
+        if (!validation.valid) {
+            return { success: false, message: 'Invalid reading', errors: validation.errors };
+        }
+
+        const { reading } = validation;
+        const device = this.getDevice(reading.deviceId);
+        if (!device) {
+            return { success: false, message: `Unknown device: ${reading.deviceId}` };
+        }
+
+        const stored = this.readingStore.append(reading);
+        if (!stored) {
+            return { success: true, duplicate: true, reading };
+        }
+
+        // Only the newest reading describes the current device state
+        const readingTime = Date.parse(reading.timestamp);
+        if (!device.lastTelemetryAt || readingTime >= Date.parse(device.lastTelemetryAt)) {
+            const elapsedMs = device.lastTelemetryAt
+                ? Math.min(readingTime - Date.parse(device.lastTelemetryAt), TELEMETRY_STALE_MS)
+                : 30 * 1000;
+
+            const energyKwh = reading.power / 1000 * (elapsedMs / (60 * 60 * 1000));
+            if (isProducer(device) || reading.producing) {
+                device.todaysProduction += energyKwh;
+            } else {
+                device.todaysUsage += energyKwh;
+                device.todaysCost += this.costAccumulator(energyKwh, new Date(readingTime));
+            }
+            device.currentPower = Math.round(reading.power);
+            device.isOn = reading.isOn;
+            device.lastTelemetryAt = reading.timestamp;
+            if (reading.metadata) {
+                const { batteryMode, stateOfCharge, pluggedIn, vehicleSoc } = reading.metadata;
+                this.applyDeviceState(device, { batteryMode, stateOfCharge, pluggedIn, vehicleSoc });
+            }
+        }
+
+        return { success: true, reading };
+    }
+
+    hasFreshTelemetry(device, now = new Date()) {
+        return Boolean(device.lastTelemetryAt)
+            && now.getTime() - Date.parse(device.lastTelemetryAt) < TELEMETRY_STALE_MS;
+    }
+
+    getBaseUsage(device) {
+        return getBasePower(device);
     }
 
     getTimeMultiplier(hour) {
@@ -273,19 +553,21 @@ class RealEnergyManagementOrchestrator {
             this.agentStatus.prediction = predictionHealth.status === 'healthy' ? 'running' : 'degraded';
             this.agentStatus.optimization = optimizationHealth.status === 'healthy' ? 'running' : 'degraded';
 
+            this.lastHealthCheck = {
+                overall_status: this.getOverallSystemHealth(),
+                agents: {
+                    monitor: monitorHealth,
+                    prediction: predictionHealth,
+                    optimization: optimizationHealth
+                },
+                timestamp: new Date().toISOString()
+            };
+
             // Broadcast health status
             if (this.broadcastCallback) {
                 this.broadcastCallback({
                     type: 'system_health',
-                    data: {
-                        overall_status: this.getOverallSystemHealth(),
-                        agents: {
-                            monitor: monitorHealth,
-                            prediction: predictionHealth,
-                            optimization: optimizationHealth
-                        },
-                        timestamp: new Date().toISOString()
-                    }
+                    data: this.lastHealthCheck
                 });
             }
 
@@ -337,48 +619,258 @@ class RealEnergyManagementOrchestrator {
 
     // API methods for external access
     getDevices() {
-        return this.devices;
+        return this.deviceRegistry.list();
+    }
+
+    getDevice(deviceId) {
+        return this.deviceRegistry.get(deviceId);
+    }
+
+    registerDevice(data) {
+        const result = this.deviceRegistry.create(data);
+        if (result.success) this.broadcastDeviceUpdate(result.device);
+        return result;
+    }
+
+    updateDevice(deviceId, data) {
+        const result = this.deviceRegistry.update(deviceId, data);
+        if (result.success) this.broadcastDeviceUpdate(result.device);
+        return result;
+    }
+
+    removeDevice(deviceId) {
+        const result = this.deviceRegistry.remove(deviceId);
+        if (result.success) {
+            this.scheduler.getJobs({ status: 'scheduled', deviceId }).forEach(job => this.scheduler.cancel(job.id));
+            this.demandLimiter.removeDevice(deviceId);
+        }
+        if (result.success && this.broadcastCallback) {
+            this.broadcastCallback({
+                type: 'device_removed',
+                data: { id: deviceId }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Record whether a device is reachable (MQTT status / last will)
+     */
+    setDeviceConnectivity(deviceId, online) {
+        const device = this.getDevice(deviceId);
+        if (!device) return { success: false, message: `Unknown device: ${deviceId}` };
+
+        const changed = device.online !== online;
+        device.online = online;
+        if (online) device.lastSeenAt = new Date().toISOString();
+
+        if (changed) {
+            console.log(`📡 Device ${device.name} is ${online ? 'online' : 'offline'}`);
+            this.broadcastDeviceUpdate(device);
+        }
+        return { success: true, device };
+    }
+
+    broadcastDeviceUpdate(device) {
+        if (this.broadcastCallback) {
+            this.broadcastCallback({
+                type: 'device_update',
+                data: device
+            });
+        }
     }
 
     getEnergyReadings() {
-        return this.energyReadings;
+        // Whole-home snapshots from the reading store (about 8 hours at 30-second intervals)
+        return this.readingStore.getSnapshots({ limit: 1000 });
+    }
+
+    /**
+     * Average consumption (W) of the whole home, or of one device, in each recorded
+     * hour over the last days
+     */
+    getHourlyUsage(days, deviceId = undefined) {
+        const to = new Date();
+        const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+        return this.readingStore.aggregate({ from, to, bucket: '1h', deviceId }).buckets
+            .filter(bucket => !bucket.missing)
+            .map(bucket => ({ timestamp: bucket.timestamp, usage: bucket.avg }));
+    }
+
+    /**
+     * Average whole-home consumption (W) of the hours in [from, to) with readings for
+     * at least half of the hour, which predictions are scored against
+     */
+    getMeasuredHourlyUsage(from, to) {
+        return this.readingStore.aggregate({ from, to, bucket: '1h' }).buckets
+            .filter(bucket => !bucket.missing && bucket.coverage >= 0.5)
+            .map(bucket => ({ timestamp: bucket.timestamp, usage: bucket.avg }));
+    }
+
+    aggregateReadings(options = {}) {
+        // Bucketed statistics over recorded readings, costed with the active tariff
+        const to = options.to ? new Date(options.to) : new Date();
+        const from = options.from ? new Date(options.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+        return this.readingStore.aggregate({
+            ...options,
+            from,
+            to,
+            costOf: this.createCostAccumulator(from),
+            exportValueOf: (kwh, date) => this.tariff.calculateExportCredit(kwh, date)
+        });
+    }
+
+    /**
+     * Current consumption and production (W) over all devices (or the given ones).
+     * A discharging battery counts as production, a charging one as consumption.
+     */
+    getCurrentPower(devices = this.getDevices()) {
+        return devices.reduce((totals, d) => {
+            if (isSupplying(d)) totals.production += d.currentPower;
+            else totals.consumption += d.currentPower;
+            return totals;
+        }, { consumption: 0, production: 0 });
+    }
+
+    /**
+     * Energy imported from and exported to the grid since midnight, with the
+     * import cost and export credit. Production includes battery discharge;
+     * solar_production is the output of the producers alone.
+     */
+    getTodaysGridFlows(now = new Date()) {
+        const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const totals = { production: 0, imported: 0, exported: 0, cost: 0, export_credit: 0, solar_production: 0 };
+        if (now <= midnight) return totals;
+
+        this.aggregateReadings({ from: midnight, to: now, bucket: '1h' }).buckets.forEach(bucket => {
+            ['production', 'imported', 'exported', 'cost', 'export_credit'].forEach(key => {
+                totals[key] += bucket[key] || 0;
+            });
+            bucket.devices.forEach(device => {
+                if (isProducer(this.getDevice(device.id))) totals.solar_production += device.production || 0;
+            });
+        });
+        return totals;
+    }
+
+    /**
+     * Tariff cost function seeded with the recorded month-to-date usage (for tiered tariffs)
+     */
+    createCostAccumulator(at = new Date()) {
+        const monthStart = new Date(at.getFullYear(), at.getMonth(), 1);
+        let monthToDateKwh = 0;
+
+        if (this.tariff.getTariff().type === 'tiered' && at > monthStart) {
+            // Tiers apply to what is drawn from the grid
+            monthToDateKwh = this.readingStore
+                .aggregate({ from: monthStart, to: at, bucket: '1d' })
+                .buckets.reduce((sum, bucket) => sum + (bucket.imported || 0), 0);
+        }
+
+        return this.tariff.createCostAccumulator(monthToDateKwh, at);
+    }
+
+    getTariff() {
+        return {
+            tariff: this.tariff.getTariff(),
+            current: this.tariff.describeRate(new Date())
+        };
+    }
+
+    setTariff(tariff) {
+        const result = this.tariff.setTariff(tariff);
+        if (result.success) {
+            this.costAccumulator = this.createCostAccumulator();
+        }
+        return result;
     }
 
     getCurrentEnergyReading() {
         // Return the most recent energy reading
-        if (this.energyReadings.length === 0) {
+        let readings = this.readingStore.getSnapshots({ limit: 1 });
+        if (readings.length === 0) {
             // Generate a current reading if none exists
             this.updateDeviceReadings();
+            readings = this.readingStore.getSnapshots({ limit: 1 });
         }
-        return this.energyReadings[this.energyReadings.length - 1] || null;
+        return readings[readings.length - 1] || null;
     }
 
     getEnergySummary() {
         // Generate energy summary from current device states
-        const totalCurrentUsage = this.devices.reduce((sum, d) => sum + d.currentPower, 0);
-        const totalTodaysCost = this.devices.reduce((sum, d) => sum + d.todaysCost, 0);
-        const totalTodaysUsage = this.devices.reduce((sum, d) => sum + d.todaysUsage, 0);
-        const activeDevices = this.devices.filter(d => d.isOn).length;
-        const totalDevices = this.devices.length;
+        const devices = this.getDevices();
+        const { consumption: totalCurrentUsage, production: totalCurrentProduction } = this.getCurrentPower();
+        const fixedDailyCharge = this.tariff.getFixedDailyCharge();
+        let totalTodaysCost = devices.reduce((sum, d) => sum + d.todaysCost, 0) + fixedDailyCharge;
+        const totalTodaysUsage = devices.reduce((sum, d) => sum + d.todaysUsage, 0);
+        const activeDevices = devices.filter(d => d.isOn).length;
+        const totalDevices = devices.length;
         
         // Calculate efficiency score based on usage patterns and device states
         const efficiencyScore = this.calculateEfficiencyScore();
+
+        // With solar or a battery, the bill is the grid import less the credit for exports
+        let solar = null;
+        let battery = null;
+        let grid = null;
+        const batteries = devices.filter(isStorage);
+        if (devices.some(isProducer) || batteries.length > 0) {
+            const flows = this.getTodaysGridFlows();
+            totalTodaysCost = flows.cost - flows.export_credit + fixedDailyCharge;
+            if (devices.some(isProducer)) {
+                const solarProduction = flows.solar_production;
+                const selfConsumed = Math.max(0, solarProduction - flows.exported);
+                solar = {
+                    currentProduction: devices.filter(isProducer).reduce((sum, d) => sum + d.currentPower, 0),
+                    todaysProduction: solarProduction,
+                    todaysSelfConsumption: selfConsumed,
+                    selfConsumptionRate: solarProduction > 0 ? Math.round(selfConsumed / solarProduction * 1000) / 1000 : null
+                };
+            }
+            if (batteries.length > 0) {
+                const capacityKwh = batteries.reduce((sum, d) => sum + d.capacityKwh, 0);
+                const storedKwh = batteries.reduce((sum, d) => sum + d.capacityKwh * d.stateOfCharge / 100, 0);
+                battery = {
+                    capacityKwh,
+                    storedKwh: Math.round(storedKwh * 100) / 100,
+                    stateOfCharge: Math.round(storedKwh / capacityKwh * 1000) / 10,
+                    todaysCharged: batteries.reduce((sum, d) => sum + d.todaysUsage, 0),
+                    todaysDischarged: batteries.reduce((sum, d) => sum + d.todaysProduction, 0)
+                };
+            }
+            grid = {
+                currentNetPower: totalCurrentUsage - totalCurrentProduction,
+                todaysImport: flows.imported,
+                todaysExport: flows.exported,
+                todaysImportCost: flows.cost,
+                todaysExportCredit: flows.export_credit
+            };
+        }
         
         return {
             totalCurrentUsage,
             totalTodaysCost,
+            fixedDailyCharge,
+            currentRate: this.tariff.describeRate(new Date()),
             totalTodaysUsage,
             activeDevices,
             totalDevices,
             efficiencyScore,
+            solar,
+            battery,
+            grid,
             lastUpdated: new Date().toISOString()
         };
     }
 
     calculateEfficiencyScore() {
+        const devices = this.getDevices().filter(isConsumer);
+        if (devices.length === 0) return 95;
+
         // Calculate efficiency based on various factors
-        const activeDeviceRatio = this.devices.filter(d => d.isOn).length / this.devices.length;
-        const averagePowerPerDevice = this.devices.reduce((sum, d) => sum + d.currentPower, 0) / this.devices.length;
+        const activeDeviceRatio = devices.filter(d => d.isOn).length / devices.length;
+        const averagePowerPerDevice = devices.reduce((sum, d) => sum + d.currentPower, 0) / devices.length;
         const hour = new Date().getHours();
         
         // Base efficiency score
@@ -413,6 +905,23 @@ class RealEnergyManagementOrchestrator {
         return this.predictionAgent.getPredictions();
     }
 
+    getPredictionAccuracy(days = 7) {
+        return this.predictionAgent.getAccuracy(days);
+    }
+
+    /**
+     * Hourly usage forecasts of the home's consuming devices (or one of them), each
+     * with its forecasting model, or null for a device without two days of history
+     */
+    getDeviceForecasts(deviceId = null, hours = 24) {
+        const devices = this.getDevices().filter(device => isConsumer(device) && (!deviceId || device.id === deviceId));
+        return devices.map(device => ({
+            device_name: device.name,
+            type: device.type,
+            ...(this.predictionAgent.forecastDevice(device.id, hours) || { device_id: device.id, model: null, forecasts: [] })
+        }));
+    }
+
     getRecommendations() {
         return this.optimizationAgent.getRecommendations();
     }
@@ -421,66 +930,909 @@ class RealEnergyManagementOrchestrator {
         return this.monitorAgent.getCurrentAnalysis();
     }
 
-    async applyRecommendation(recommendationId) {
+    /**
+     * Device control callback for applying or reverting a recommendation
+     */
+    createRecommendationControl(recommendationId, options = {}) {
+        return (deviceId, action, value, context = {}) => this.controlDevice(deviceId, action, value, {
+            principal: options.principal,
+            source: options.source,
+            details: { recommendation_id: recommendationId },
+            ...context
+        });
+    }
+
+    async applyRecommendation(recommendationId, options = {}) {
         return await this.optimizationAgent.applyRecommendation(
             recommendationId,
-            (deviceId, action, value) => this.controlDevice(deviceId, action, value)
+            this.createRecommendationControl(recommendationId, { principal: options.principal, source: 'recommendation' }),
+            {
+                durationMinutes: options.durationMinutes,
+                onRevert: (result) => this.handleRecommendationReverted(result)
+            }
         );
     }
 
-    controlDevice(deviceId, action, value = null) {
-        const device = this.devices.find(d => d.id === deviceId);
-        if (!device) return { success: false, message: 'Device not found' };
-
-        console.log(`🎛️ Controlling device ${device.name}: ${action}${value ? ` = ${value}` : ''}`);
-
-        switch (action) {
-            case 'toggle':
-                device.isOn = !device.isOn;
-                break;
-            case 'turn_on':
-                device.isOn = true;
-                break;
-            case 'turn_off':
-                device.isOn = false;
-                break;
-            case 'set_temperature':
-                if (device.type === 'hvac') {
-                    device.targetTemp = parseInt(value);
-                }
-                break;
-            case 'set_brightness':
-                if (device.type === 'lighting') {
-                    device.brightness = parseInt(value);
-                    device.currentPower = (device.currentPower / device.brightness) * parseInt(value);
+    async revertRecommendation(recommendationId, options = {}) {
+        const result = await this.optimizationAgent.revertRecommendation(
+            recommendationId,
+            this.createRecommendationControl(recommendationId, { principal: options.principal })
+        );
+        this.handleRecommendationReverted(result);
+        return result;
+    }
+
+    handleRecommendationReverted(result) {
+        if (!result.recommendation) return;
+
+        // Steps of a reverted schedule that have not run yet no longer apply
+        this.cancelRecommendationJobs(result.recommendation.id);
+
+        if (this.broadcastCallback) {
+            this.broadcastCallback({
+                type: 'recommendation_reverted',
+                data: {
+                    id: result.recommendation.id,
+                    title: result.recommendation.title,
+                    reason: result.recommendation.revert_reason,
+                    reverted_at: result.recommendation.reverted_at,
+                    restored_state: result.recommendation.previous_state,
+                    success: result.success
                 }
-                break;
+            });
+        }
+    }
+
+    /**
+     * Execute a device command and record it in the audit trail.
+     * context: { principal, source, details } describing who issued the command and how.
+     */
+    async controlDevice(deviceId, action, value = null, context = {}) {
+        const result = await this.executeDeviceCommand(deviceId, action, value, context);
+
+        this.auditLog.record({
+            principal: context.principal,
+            source: context.source,
+            deviceId,
+            action,
+            value,
+            success: result.success,
+            message: result.success && !result.queued ? null : result.message,
+            details: context.details
+        });
+
+        return result;
+    }
+
+    /**
+     * Send a command through the device's adapter. Succeeds with the state the device
+     * confirmed, or fails with code not_found, unsupported, invalid, timeout or
+     * adapter_error; unsupported and invalid commands list the allowed actions.
+     * A command that would take the home over its service limit is queued instead
+     * and succeeds with queued: true.
+     */
+    async executeDeviceCommand(deviceId, action, value, context) {
+        const device = this.getDevice(deviceId);
+        if (!device) return { success: false, code: 'not_found', message: 'Device not found' };
+
+        const adapter = this.getAdapter(device);
+        const allowedActions = this.getAllowedActions(device, adapter);
+        const validation = validateCommand(device, action, value);
+        if (!validation.valid) {
+            return {
+                success: false,
+                code: validation.code,
+                message: `${validation.message}: ${validation.errors.join('; ')}`,
+                allowed_actions: allowedActions
+            };
+        }
+        if (!allowedActions.includes(action)) {
+            return {
+                success: false,
+                code: 'unsupported',
+                message: `${device.name} does not support ${action} through its ${adapter.name} adapter`,
+                allowed_actions: allowedActions
+            };
+        }
+        value = validation.value;
+
+        const valueText = Array.isArray(value) ? ` (${value.length} steps)` : (value ? ` = ${value}` : '');
+        console.log(`🎛️ Controlling device ${device.name}: ${action}${valueText}`);
+
+        if (action === 'schedule') {
+            // Run the device at the given time (HH:MM or ISO date-time)
+            const result = this.scheduler.create({
+                deviceId,
+                action: 'turn_on',
+                runAt: value,
+                description: `Scheduled start of ${device.name}`,
+                source: 'recommendation',
+                recommendationId: context.details && context.details.recommendation_id,
+                createdBy: context.principal
+            });
+            if (!result.success) {
+                return { success: false, code: 'invalid', message: result.errors.join('; ') };
+            }
+            return { success: true, device, job: result.job };
+        }
+
+        if (action === 'battery_schedule') {
+            return this.runBatterySchedule(device, value, context);
+        }
+
+        if (action === 'setpoint_schedule') {
+            return this.runSetpointSchedule(device, value, context);
+        }
+
+        if (action === 'boost' || action === 'smart_charge') {
+            return this.setChargeMode(device, action === 'boost' ? 'boost' : 'smart', context);
+        }
+
+        const addedWatts = this.demandLimiter.getLoadIncrease(device, action);
+        if (addedWatts > 0 && context.source !== 'demand_limiter' && this.demandLimiter.getPolicy().enabled) {
+            const drawWatts = this.getGridDrawWatts();
+            if (drawWatts + addedWatts > this.demandLimiter.getLimitWatts()) {
+                return this.deferDeviceCommand(device, action, value, addedWatts, drawWatts, context);
+            }
+        }
+
+        try {
+            const state = await adapter.sendCommand(device, action, value);
+            this.applyDeviceState(device, state);
+        } catch (error) {
+            console.error(`❌ ${adapter.name} adapter failed to ${action} ${device.name}:`, error.message);
+            return { success: false, code: error.code || 'adapter_error', message: error.message };
+        }
+
+        if (addedWatts > 0) this.demandLimiter.addPendingLoad(device.id, addedWatts);
+        // A newer command for the device replaces whatever was waiting for room
+        if (context.source !== 'demand_limiter') {
+            this.demandLimiter.removeDevice(device.id).forEach(entry => this.recordDemandEvent('cancelled', device, {
+                action: entry.action,
+                queue_id: entry.id,
+                reason: `Queued ${entry.action} of ${device.name} replaced by ${action}`
+            }));
         }
 
         // Broadcast device update
+        this.broadcastDeviceUpdate(device);
+
+        return { success: true, device, adapter: adapter.name };
+    }
+
+    /**
+     * Carry out a battery schedule, a list of { at, action } entries. Every entry is
+     * checked before anything changes; the latest entry already due switches the
+     * battery now and later entries become scheduled jobs.
+     */
+    async runBatterySchedule(device, entries, context) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return { success: false, code: 'invalid', message: 'Invalid value for battery_schedule: value must be a non-empty list of { at, action }' };
+        }
+
+        const now = new Date();
+        const errors = [];
+        const steps = entries.map((entry, index) => {
+            const at = entry ? this.scheduler.resolveRunAt(entry.at, now) : null;
+            if (!entry || !(entry.action in BATTERY_MODES)) {
+                errors.push(`entry ${index + 1}: action must be one of ${Object.keys(BATTERY_MODES).join(', ')}`);
+            }
+            if (!at) errors.push(`entry ${index + 1}: at must be an ISO date-time or HH:MM`);
+            return { at, action: entry && entry.action };
+        });
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: `Invalid value for battery_schedule: ${errors.join('; ')}` };
+        }
+
+        steps.sort((a, b) => a.at - b.at);
+        const created = this.createScheduleJobs('battery_schedule', steps.filter(step => step.at > now).map(step => ({
+            deviceId: device.id,
+            action: step.action,
+            runAt: step.at.toISOString(),
+            description: `Battery schedule: ${step.action} ${device.name}`,
+            source: 'recommendation',
+            recommendationId: context.details && context.details.recommendation_id,
+            createdBy: context.principal
+        })));
+        if (!created.success) return created;
+
+        const due = steps.filter(step => step.at <= now);
+        if (due.length > 0) {
+            const result = await this.executeDeviceCommand(device.id, due[due.length - 1].action, null, context);
+            if (!result.success) {
+                this.cancelScheduleJobs(created.jobs);
+                return result;
+            }
+        }
+
+        return { success: true, device, jobs: created.jobs };
+    }
+
+    /**
+     * Create the jobs of a schedule command, all or none: when the scheduler rejects
+     * one, the jobs already created are cancelled
+     */
+    createScheduleJobs(command, definitions) {
+        const jobs = [];
+        for (const definition of definitions) {
+            const result = this.scheduler.create(definition);
+            if (!result.success) {
+                this.cancelScheduleJobs(jobs);
+                return { success: false, code: 'invalid', message: `Invalid value for ${command}: ${result.errors.join('; ')}` };
+            }
+            jobs.push(result.job);
+        }
+        return { success: true, jobs };
+    }
+
+    cancelScheduleJobs(jobs) {
+        jobs.forEach(job => this.scheduler.cancel(job.id));
+    }
+
+    /**
+     * Carry out a setpoint schedule, a list of { at, temperature } entries, the same
+     * way as a battery schedule: the latest entry already due sets the setpoint now and
+     * later entries become scheduled jobs
+     */
+    async runSetpointSchedule(device, entries, context) {
+        const resolved = this.resolveSetpointSchedule(device, entries);
+        if (resolved.errors.length > 0) {
+            return { success: false, code: 'invalid', message: `Invalid value for setpoint_schedule: ${resolved.errors.join('; ')}` };
+        }
+
+        const now = new Date();
+        const created = this.createScheduleJobs('setpoint_schedule', resolved.steps.filter(step => step.at > now).map(step => ({
+            deviceId: device.id,
+            action: 'set_temperature',
+            value: step.temperature,
+            runAt: step.at.toISOString(),
+            description: `Setpoint schedule: ${device.name} to ${step.temperature}°F`,
+            source: 'recommendation',
+            recommendationId: context.details && context.details.recommendation_id,
+            createdBy: context.principal
+        })));
+        if (!created.success) return created;
+
+        const due = resolved.steps.filter(step => step.at <= now);
+        if (due.length > 0) {
+            const result = await this.executeDeviceCommand(device.id, 'set_temperature', due[due.length - 1].temperature, context);
+            if (!result.success) {
+                this.cancelScheduleJobs(created.jobs);
+                return result;
+            }
+        }
+
+        return { success: true, device, jobs: created.jobs };
+    }
+
+    /**
+     * Check a setpoint schedule against the device's setpoint range, returning its
+     * steps ({ at: Date, temperature }) in time order or the errors found
+     */
+    resolveSetpointSchedule(device, entries) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return { errors: ['value must be a non-empty list of { at, temperature }'], steps: [] };
+        }
+
+        const now = new Date();
+        const errors = [];
+        const steps = entries.map((entry, index) => {
+            const at = entry ? this.scheduler.resolveRunAt(entry.at, now) : null;
+            const validation = validateCommand(device, 'set_temperature', entry ? entry.temperature : undefined);
+            if (!validation.valid) {
+                errors.push(`entry ${index + 1}: temperature ${validation.errors.join('; ').replace(/^value /, '')}`);
+            }
+            if (!at) errors.push(`entry ${index + 1}: at must be an ISO date-time or HH:MM`);
+            return { at, temperature: validation.value };
+        });
+
+        return { errors, steps: errors.length > 0 ? [] : steps.sort((a, b) => a.at - b.at) };
+    }
+
+    /**
+     * Comfort settings of the home and, per HVAC zone, its thermal model, indoor
+     * temperature, current comfort band and predicted trajectory at its current setpoint
+     */
+    getThermalZones() {
+        const now = new Date();
+        const zones = this.getDevices().filter(device => device.type === 'hvac').map(device => ({
+            device_id: device.id,
+            device_name: device.name,
+            is_on: device.isOn,
+            target_temp: device.targetTemp,
+            indoor_temp: typeof device.indoorTemp === 'number' ? Math.round(device.indoorTemp * 10) / 10 : null,
+            outdoor_temp: Math.round(this.getOutdoorTemperature(now) * 10) / 10,
+            thermal_model: {
+                thermalResistance: device.thermalResistance,
+                thermalCapacitance: device.thermalCapacitance,
+                cop: device.cop
+            },
+            comfort_band: this.comfortSettings.getBand(now, device.id),
+            forecast: this.optimizationAgent.predictZone(device, () => device.targetTemp)
+        }));
+
+        return { comfort: this.comfortSettings.getSettings(), zones };
+    }
+
+    /**
+     * Predicted trajectory of an HVAC zone under a setpoint schedule ({ at, temperature }
+     * entries; before the first the zone holds its current setpoint) over the coming hours
+     */
+    simulateThermalZone(deviceId, entries, hours) {
+        const device = this.getDevice(deviceId);
+        if (!device || device.type !== 'hvac') {
+            return { success: false, code: 'not_found', message: 'HVAC device not found' };
+        }
+        if (hours !== undefined && !(Number.isInteger(hours) && hours >= 1 && hours <= 48)) {
+            return { success: false, code: 'invalid', message: 'Invalid simulation', errors: ['hours must be a whole number from 1 to 48'] };
+        }
+
+        const resolved = entries === undefined ? { errors: [], steps: [] } : this.resolveSetpointSchedule(device, entries);
+        if (resolved.errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid setpoint schedule', errors: resolved.errors };
+        }
+
+        const getSetpoint = (date) => {
+            const latest = resolved.steps.filter(step => step.at <= date).pop();
+            return latest ? latest.temperature : device.targetTemp;
+        };
+        return {
+            success: true,
+            simulation: {
+                device_id: device.id,
+                setpoints: resolved.steps.map(step => ({ at: step.at.toISOString(), temperature: step.temperature })),
+                ...this.optimizationAgent.predictZone(device, getSetpoint, hours)
+            }
+        };
+    }
+
+    getComfortSettings() {
+        return this.comfortSettings.getSettings();
+    }
+
+    setComfortSettings(settings) {
+        return this.comfortSettings.setSettings(settings);
+    }
+
+    /**
+     * Switch an EV charger between charging by its plan and boosting (charging now at
+     * full power until the vehicle reaches its target), then follow the new mode
+     */
+    async setChargeMode(device, mode, context) {
+        if (mode === 'boost' && !device.pluggedIn) {
+            return { success: false, code: 'invalid', message: `No vehicle is plugged in to ${device.name}` };
+        }
+
+        device.chargeMode = mode;
+        console.log(`🔌 ${device.name} ${mode === 'boost' ? 'boosting: charging now' : 'charging by its plan'}`);
+
+        const result = await this.followChargingPlan(device, context);
+        if (!result.success) return result;
+
+        this.broadcastDeviceUpdate(device);
+        return { success: true, device, plan: result.plan };
+    }
+
+    /**
+     * Charging plans of the home's EV chargers
+     */
+    getChargingPlans() {
+        return this.getDevices().filter(isVehicleCharger).map(device => this.optimizationAgent.getChargingPlan(device));
+    }
+
+    /**
+     * Switch every EV charger on or off as its charging plan (or boost) requires
+     */
+    async followChargingPlans() {
+        if (this.agentStatus.optimization !== 'running') return;
+
+        for (const device of this.getDevices().filter(isVehicleCharger)) {
+            try {
+                const result = await this.followChargingPlan(device, { source: 'charging_plan' });
+                if (!result.success) {
+                    console.warn(`⚠️ Could not follow the charging plan of ${device.name}: ${result.message}`);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to follow the charging plan of ${device.name}:`, error.message);
+            }
+        }
+    }
+
+    async followChargingPlan(device, context = {}) {
+        const now = new Date();
+        let plan = this.optimizationAgent.getChargingPlan(device, now);
+
+        // A boost ends once the vehicle reaches its target or is unplugged
+        if (device.chargeMode === 'boost' && (plan.status === 'complete' || plan.status === 'unplugged')) {
+            device.chargeMode = 'smart';
+            plan = this.optimizationAgent.getChargingPlan(device, now);
+        }
+
+        const shouldCharge = isChargingDue(plan, now);
+        if (device.isOn === shouldCharge) return { success: true, plan };
+
+        const action = shouldCharge ? 'turn_on' : 'turn_off';
+        const result = context.source === 'charging_plan'
+            ? await this.controlDevice(device.id, action, null, { ...context, details: { plan_status: plan.status } })
+            : await this.executeDeviceCommand(device.id, action, null, context);
+        return result.success ? { success: true, plan } : result;
+    }
+
+    /**
+     * Power (W) the home draws from the grid now, counting loads just switched on
+     * that the readings do not show yet
+     */
+    getGridDrawWatts() {
+        const devices = this.getDevices();
+        const { consumption, production } = this.getCurrentPower(devices);
+        return Math.max(0, consumption - production) + this.demandLimiter.getPendingWatts(devices);
+    }
+
+    /**
+     * Demand-limit policy, the current grid draw against the limit, the queue and recent events
+     */
+    getDemandLimit() {
+        const limitWatts = this.demandLimiter.getLimitWatts();
+        const drawWatts = this.getGridDrawWatts();
+
+        return {
+            policy: this.demandLimiter.getPolicy(),
+            limit_watts: limitWatts,
+            resume_limit_watts: Math.round(this.demandLimiter.getResumeLimitWatts()),
+            grid_draw_watts: Math.round(drawWatts),
+            headroom_watts: Math.round(Math.max(0, limitWatts - drawWatts)),
+            queue: this.demandLimiter.getQueue(),
+            events: this.demandLimiter.getEvents()
+        };
+    }
+
+    setDemandPolicy(policy) {
+        return this.demandLimiter.setPolicy(policy);
+    }
+
+    /**
+     * Drop a queued command (a deferred request or a shed load waiting to resume)
+     */
+    cancelQueuedCommand(entryId) {
+        const entry = this.demandLimiter.remove(entryId);
+        if (!entry) return { success: false, code: 'not_found', message: 'Queued command not found' };
+
+        const device = this.getDevice(entry.device_id);
+        if (device) {
+            this.recordDemandEvent('cancelled', device, {
+                action: entry.action,
+                queue_id: entry.id,
+                reason: `Queued ${entry.action} of ${device.name} cancelled`
+            });
+        }
+        return { success: true, entry };
+    }
+
+    /**
+     * Keep the home's grid draw within its service limit: while it is over the limit
+     * the lowest-priority running loads are shed; while it stays under the resume
+     * limit, queued commands run, highest priority first
+     */
+    async enforceDemandLimit() {
+        if (!this.demandLimiter.getPolicy().enabled) return;
+
+        try {
+            let drawWatts = this.getGridDrawWatts();
+            const limitWatts = this.demandLimiter.getLimitWatts();
+
+            if (drawWatts > limitWatts) {
+                for (const device of this.demandLimiter.selectLoadsToShed(this.getDevices(), drawWatts - limitWatts)) {
+                    await this.shedLoad(device, drawWatts);
+                }
+                return;
+            }
+
+            const resumeLimitWatts = this.demandLimiter.getResumeLimitWatts();
+            for (const entry of this.demandLimiter.getQueue()) {
+                if (drawWatts + entry.watts > resumeLimitWatts) continue;
+                if (await this.resumeQueuedCommand(entry, drawWatts)) drawWatts += entry.watts;
+            }
+        } catch (error) {
+            console.error('❌ Failed to enforce the demand limit:', error.message);
+        }
+    }
+
+    /**
+     * Switch a running load off (or stop a battery charging) and queue it to resume
+     */
+    async shedLoad(device, drawWatts) {
+        const { shed, resume } = this.demandLimiter.getShedActions(device);
+        const watts = device.currentPower;
+        const reason = `Grid draw of ${Math.round(drawWatts)} W is over the ${this.demandLimiter.getLimitWatts()} W service limit; `
+            + `${device.name} (${this.demandLimiter.getPriority(device)} priority, ${watts} W) is shed until there is room`;
+
+        const result = await this.controlDevice(device.id, shed, null, { source: 'demand_limiter', details: { reason } });
+        if (!result.success) {
+            console.warn(`⚠️ Could not shed ${device.name}: ${result.message}`);
+            return;
+        }
+        device.currentPower = 0;
+
+        const { entry } = this.demandLimiter.enqueue({ device, action: resume, watts, reason, context: { source: 'demand_limiter' } });
+        this.recordDemandEvent('shed', device, { action: shed, watts, grid_draw_watts: Math.round(drawWatts), queue_id: entry.id, reason });
+    }
+
+    /**
+     * Queue a command that would take the home over its service limit
+     */
+    deferDeviceCommand(device, action, value, watts, drawWatts, context) {
+        const reason = `${action} of ${device.name} would add ${Math.round(watts)} W to a grid draw of ${Math.round(drawWatts)} W, `
+            + `over the ${this.demandLimiter.getLimitWatts()} W service limit; it runs when there is room`;
+
+        const { entry, created } = this.demandLimiter.enqueue({ device, action, value, watts, reason, context });
+        if (created) {
+            this.recordDemandEvent('deferred', device, { action, watts, grid_draw_watts: Math.round(drawWatts), queue_id: entry.id, reason });
+        }
+        return { success: true, queued: true, device, queued_command: entry, message: reason };
+    }
+
+    /**
+     * Run a queued command now that the limit leaves room for it
+     */
+    async resumeQueuedCommand(entry, drawWatts) {
+        this.demandLimiter.remove(entry.id);
+        const result = await this.controlDevice(entry.device_id, entry.action, entry.value, {
+            principal: entry.principal,
+            source: 'demand_limiter',
+            details: { ...entry.details, queue_id: entry.id, requested_by: entry.requested_by }
+        });
+
+        const device = this.getDevice(entry.device_id);
+        if (device) {
+            this.recordDemandEvent('resumed', device, {
+                action: entry.action,
+                watts: entry.watts,
+                grid_draw_watts: Math.round(drawWatts),
+                queue_id: entry.id,
+                success: result.success,
+                reason: result.success
+                    ? `Grid draw of ${Math.round(drawWatts)} W leaves room for ${entry.action} of ${device.name}`
+                    : `Queued ${entry.action} of ${device.name} failed: ${result.message}`
+            });
+        }
+        return result.success;
+    }
+
+    /**
+     * Keep and broadcast an event explaining a demand-limit action
+     */
+    recordDemandEvent(type, device, data) {
+        const event = this.demandLimiter.recordEvent({
+            type,
+            device_id: device.id,
+            device_name: device.name,
+            priority: this.demandLimiter.getPriority(device),
+            limit_watts: this.demandLimiter.getLimitWatts(),
+            ...data
+        });
+        console.log(`📏 Demand limit (${type}): ${event.reason}`);
+
         if (this.broadcastCallback) {
             this.broadcastCallback({
-                type: 'device_update',
-                data: device
+                type: 'demand_limit',
+                data: event
             });
         }
+        return event;
+    }
 
-        return { success: true, device };
+    getDemandResponseEvents(filter = {}) {
+        return this.demandResponse.getEvents(filter);
+    }
+
+    getDemandResponseEvent(eventId) {
+        return this.demandResponse.getEvent(eventId);
+    }
+
+    /**
+     * Record a demand-response event and have the optimization agent plan its
+     * curtailment, applying the plan right away when the event asks for it
+     */
+    async createDemandResponseEvent(data, context = {}) {
+        const result = this.demandResponse.create(data, context.source || 'api');
+        if (!result.success || !(result.created || result.updated)) return result;
+
+        const event = this.demandResponse.setPlan(result.event.id, this.optimizationAgent.generateCurtailmentPlan(result.event));
+        console.log(`⚡ Curtailment plan for ${event.id}: ${event.plan.steps.length} steps, ${event.plan.estimated_reduction_kw} kW estimated`);
+
+        if (event.auto_apply && event.plan.steps.length > 0) {
+            const applied = await this.applyCurtailmentPlan(event.id, { principal: context.principal });
+            if (!applied.success) console.warn(`⚠️ Could not apply the curtailment plan of ${event.id}: ${applied.message}`);
+        } else {
+            this.broadcastDemandResponseEvent(event);
+        }
+
+        return { ...result, event: this.demandResponse.getEvent(event.id) };
+    }
+
+    /**
+     * Carry out an event's curtailment plan: each step's command runs when the event
+     * starts (now, if it already has) and its restore command when the event ends.
+     * The plan is 'applied' when every step was, 'partial' when some were and 'failed'
+     * when none were (it can then be applied again)
+     */
+    async applyCurtailmentPlan(eventId, context = {}) {
+        const event = this.demandResponse.getEvent(eventId);
+        if (!event) return { success: false, code: 'not_found', message: 'Demand-response event not found' };
+        if (event.status !== 'scheduled' && event.status !== 'active') {
+            return { success: false, code: 'conflict', message: `Event is already ${event.status}` };
+        }
+        if (isPlanApplied(event.plan)) {
+            return { success: false, code: 'conflict', message: 'The curtailment plan is already applied' };
+        }
+
+        const plan = event.plan || this.optimizationAgent.generateCurtailmentPlan(event);
+        const started = Date.parse(event.start) <= Date.now();
+        const commandContext = { principal: context.principal, source: 'demand_response', details: { event_id: event.id } };
+        const createJob = (step, command, runAt, label) => this.scheduler.create({
+            deviceId: step.device_id,
+            action: command.action,
+            value: command.value,
+            runAt,
+            description: `Demand response ${event.id}: ${label} ${step.device_name}`,
+            source: 'demand_response',
+            eventId: event.id,
+            createdBy: context.principal
+        });
+        const describeErrors = result => result.message || (result.errors || []).join('; ');
+
+        const steps = [];
+        for (const { success, jobs, message, ...step } of plan.steps) {
+            const begin = started
+                ? await this.controlDevice(step.device_id, step.start_action.action, step.start_action.value, commandContext)
+                : createJob(step, step.start_action, event.start, step.measure.replace(/_/g, ' ') + ' of');
+            if (!begin.success) {
+                steps.push({ ...step, success: false, jobs: [], message: describeErrors(begin) });
+                continue;
+            }
+
+            // A device that could not be restored at the end is not curtailed at all
+            const restore = createJob(step, step.restore_action, event.end, 'restore');
+            if (!restore.success) {
+                if (begin.job) {
+                    this.scheduler.cancel(begin.job.id);
+                } else {
+                    await this.controlDevice(step.device_id, step.restore_action.action, step.restore_action.value, {
+                        ...commandContext,
+                        details: { event_id: event.id, reason: 'restore could not be scheduled' }
+                    });
+                }
+                steps.push({ ...step, success: false, jobs: [], message: `Restore could not be scheduled: ${describeErrors(restore)}` });
+                continue;
+            }
+
+            steps.push({ ...step, success: true, jobs: [begin.job, restore.job].filter(Boolean).map(job => job.id) });
+        }
+
+        const succeeded = steps.filter(step => step.success).length;
+        const status = succeeded === steps.length ? 'applied' : succeeded > 0 ? 'partial' : 'failed';
+        const updated = this.demandResponse.setPlan(event.id, {
+            ...plan,
+            status,
+            applied_at: new Date().toISOString(),
+            steps
+        });
+        this.broadcastDemandResponseEvent(updated);
+
+        if (status === 'failed') {
+            return { success: false, code: 'failed', message: 'No step of the curtailment plan could be applied', event: updated };
+        }
+        return { success: true, event: updated };
+    }
+
+    /**
+     * Cancel an event: its pending plan jobs are dropped and, once it has started,
+     * the curtailed devices are restored right away
+     */
+    async cancelDemandResponseEvent(eventId, context = {}) {
+        const event = this.demandResponse.getEvent(eventId);
+        const wasActive = event && event.status === 'active';
+        const result = this.demandResponse.cancel(eventId);
+        if (!result.success) return result;
+
+        this.scheduler.getJobs({ status: 'scheduled' })
+            .filter(job => job.event_id === eventId)
+            .forEach(job => this.scheduler.cancel(job.id));
+
+        if (wasActive && isPlanApplied(event.plan)) {
+            for (const step of event.plan.steps.filter(s => s.success)) {
+                await this.controlDevice(step.device_id, step.restore_action.action, step.restore_action.value, {
+                    principal: context.principal,
+                    source: 'demand_response',
+                    details: { event_id: eventId, reason: 'event cancelled' }
+                });
+            }
+        }
+
+        this.broadcastDemandResponseEvent(result.event);
+        return result;
+    }
+
+    /**
+     * Pass OpenADR events pushed to the VEN on to the demand-response service
+     */
+    async receiveOpenAdrEvents(payload) {
+        return this.ven.receive(payload);
+    }
+
+    getVenStatus() {
+        return this.ven.getStatus();
+    }
+
+    broadcastDemandResponseEvent(event) {
+        if (this.broadcastCallback) {
+            this.broadcastCallback({
+                type: 'demand_response',
+                data: event
+            });
+        }
+    }
+
+    /**
+     * Cancel the scheduled jobs a recommendation created (its later schedule steps)
+     */
+    cancelRecommendationJobs(recommendationId) {
+        this.scheduler.getJobs({ status: 'scheduled' })
+            .filter(job => job.recommendation_id === recommendationId)
+            .forEach(job => this.scheduler.cancel(job.id));
+    }
+
+    getAdapter(device) {
+        const type = (device.adapter && device.adapter.type) || this.defaultAdapterType;
+        return this.adapters[type];
+    }
+
+    /**
+     * Actions of a device's type that its adapter can carry out (scheduling is done here)
+     */
+    getAllowedActions(device, adapter = this.getAdapter(device)) {
+        const adapterActions = adapter.getCapabilities(device);
+        return getTypeActions(device.type).filter(action => BACKEND_ACTIONS.includes(action) || adapterActions.includes(action));
+    }
+
+    /**
+     * Commands a device accepts, with the range, step and unit of their values
+     */
+    getDeviceCapabilities(deviceId) {
+        const device = this.getDevice(deviceId);
+        if (!device) return { success: false, code: 'not_found', message: 'Device not found' };
+
+        const adapter = this.getAdapter(device);
+        const allowedActions = this.getAllowedActions(device, adapter);
+
+        return {
+            success: true,
+            capabilities: {
+                device_id: device.id,
+                type: device.type,
+                adapter: adapter.name,
+                actions: describeCapabilities(device.type).filter(capability => allowedActions.includes(capability.action))
+            }
+        };
+    }
+
+    /**
+     * Read the current state of a device from its adapter
+     */
+    async readDeviceState(deviceId) {
+        const device = this.getDevice(deviceId);
+        if (!device) return { success: false, code: 'not_found', message: 'Device not found' };
+
+        const adapter = this.getAdapter(device);
+        try {
+            const state = await adapter.readState(device);
+            this.applyDeviceState(device, state);
+            return { success: true, adapter: adapter.name, state };
+        } catch (error) {
+            return { success: false, code: error.code || 'adapter_error', message: error.message };
+        }
+    }
+
+    /**
+     * Take over the state a device reported
+     */
+    applyDeviceState(device, state) {
+        if (typeof state.isOn === 'boolean') device.isOn = state.isOn;
+        if (typeof state.targetTemp === 'number') device.targetTemp = state.targetTemp;
+        if (device.type === 'hvac' && typeof state.indoorTemp === 'number') device.indoorTemp = state.indoorTemp;
+        if (typeof state.brightness === 'number') device.brightness = state.brightness;
+        if (isStorage(device) && Object.values(BATTERY_MODES).includes(state.batteryMode)) {
+            device.batteryMode = state.batteryMode;
+            device.isOn = state.batteryMode !== 'idle';
+        }
+        if (isStorage(device) && typeof state.stateOfCharge === 'number') {
+            device.stateOfCharge = Math.max(0, Math.min(100, state.stateOfCharge));
+        }
+        if (isVehicleCharger(device) && typeof state.pluggedIn === 'boolean') device.pluggedIn = state.pluggedIn;
+        if (isVehicleCharger(device) && typeof state.vehicleSoc === 'number') {
+            device.vehicleSoc = Math.max(0, Math.min(100, state.vehicleSoc));
+        }
+        if (typeof state.power === 'number') device.currentPower = Math.round(state.power);
+    }
+
+    getSavingsReport(recommendationId = null) {
+        const reports = this.savingsVerifier.getReports(recommendationId);
+        const verified = reports.filter(report => report.status === 'verified');
+
+        return {
+            recommendations: reports,
+            monthly: recommendationId ? undefined : this.savingsVerifier.getMonthlyReport(),
+            total_verified_savings: Math.round(verified.reduce((sum, r) => sum + r.savings.cost, 0) * 100) / 100,
+            total_estimated_savings: Math.round(reports.reduce((sum, r) => sum + r.estimated_savings, 0) * 100) / 100
+        };
+    }
+
+    getSchedules(filter = {}) {
+        return this.scheduler.getJobs(filter);
+    }
+
+    createSchedule(data, principal = null) {
+        return this.scheduler.create({ ...data, source: 'api', createdBy: principal });
+    }
+
+    getAuditTrail(filter = {}) {
+        return this.auditLog.query(filter);
+    }
+
+    cancelSchedule(jobId) {
+        return this.scheduler.cancel(jobId);
+    }
+
+    handleScheduledJobRun(job) {
+        if (this.broadcastCallback) {
+            this.broadcastCallback({
+                type: 'schedule_executed',
+                data: job
+            });
+        }
+    }
+
+    async getLlmProvidersHealth() {
+        return this.monitorAgent.watsonx.getProvidersHealth();
     }
 
     getSystemStats() {
+        const devices = this.getDevices();
+        const { consumption, production } = this.getCurrentPower();
         return {
-            total_devices: this.devices.length,
-            active_devices: this.devices.filter(d => d.isOn).length,
-            total_power: this.devices.reduce((sum, d) => sum + d.currentPower, 0),
-            daily_cost: this.devices.reduce((sum, d) => sum + d.todaysCost, 0),
-            energy_readings_count: this.energyReadings.length,
+            home_id: this.homeId,
+            total_devices: devices.length,
+            active_devices: devices.filter(d => d.isOn).length,
+            total_power: consumption,
+            total_production: production,
+            daily_cost: devices.reduce((sum, d) => sum + d.todaysCost, 0) + this.tariff.getFixedDailyCharge(),
+            energy_readings_count: this.readingStore.count(),
             predictions_count: this.predictionAgent.getPredictions().length,
             recommendations_count: this.optimizationAgent.getRecommendations().length,
+            ai_output_validation: this.outputValidator.getStats(),
             agent_status: this.agentStatus,
             system_health: this.getOverallSystemHealth()
         };
     }
+
+    /**
+     * Full current state for clients that (re)connect to the WebSocket
+     */
+    getSnapshot() {
+        const readings = this.readingStore.getSnapshots({ limit: 1 });
+        return {
+            devices: this.getDevices(),
+            energy: readings[readings.length - 1] || null,
+            summary: this.getEnergySummary(),
+            predictions: this.getPredictions(),
+            recommendations: this.getRecommendations(),
+            health: this.lastHealthCheck || {
+                overall_status: this.getOverallSystemHealth(),
+                agent_status: this.agentStatus,
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
 }
 
 module.exports = { RealEnergyManagementOrchestrator }; 
\ No newline at end of file
@@ -4,12 +4,27 @@
  */
 
 const WatsonxService = require('../services/watsonx-service');
+const TariffService = require('../services/tariff-service');
+const { isProducer } = require('../services/device-registry');
+const { estimateHourlyOutput } = require('../services/solar-model');
+const WeatherService = require('../services/weather-service');
+const { getWeatherFactor } = require('../services/weather-features');
+const { forecastSeries } = require('../services/forecasting');
+
+// Days of hourly usage the statistical forecast is fitted on
+const FORECAST_HISTORY_DAYS = 21;
 
 class EnergyPredictionAgent {
-    constructor() {
-        this.watsonx = new WatsonxService();
+    constructor(options = {}) {
+        this.tariff = options.tariff || new TariffService();
+        this.watsonx = new WatsonxService({ tariff: this.tariff, validator: options.validator });
+        this.weather = options.weather || new WeatherService();
+        // Hourly average usage over the last days, of the home or one device ([{ timestamp, usage }])
+        this.getHourlyUsage = options.getHourlyUsage || (() => []);
+        this.forecastModel = null;
+        // Records issued predictions and scores them once their hours have passed
+        this.tracker = options.tracker || null;
         this.predictions = [];
-        this.predictionHistory = [];
         this.lastUpdate = null;
         
         console.log('🔮 Energy Prediction Agent initialized with AI');
@@ -18,8 +33,8 @@ class EnergyPredictionAgent {
     /**
      * Start continuous prediction generation
      */
-    async startPredictions(devices, getHistoricalData, onPredictionsUpdate) {
-        this.devices = devices;
+    async startPredictions(getDevices, getHistoricalData, onPredictionsUpdate) {
+        this.getDevices = getDevices;
         this.getHistoricalData = getHistoricalData;
         this.onPredictionsUpdate = onPredictionsUpdate;
 
@@ -41,8 +56,12 @@ class EnergyPredictionAgent {
         try {
             const historicalData = this.getHistoricalData();
             if (historicalData.length < 24) {
-                console.log('⏳ Insufficient historical data for AI predictions, using baseline...');
-                this.predictions = this.generateBaselinePredictions();
+                const statistical = this.generateStatisticalPredictions();
+                console.log(statistical
+                    ? '⏳ Insufficient live data for AI predictions, using the statistical forecast...'
+                    : '⏳ Insufficient historical data for AI predictions, using baseline...');
+                this.predictions = this.addSolarForecast(this.addWeather(statistical || this.generateBaselinePredictions()));
+                this.trackPredictions();
                 this.notifyUpdate();
                 return;
             }
@@ -50,25 +69,24 @@ class EnergyPredictionAgent {
             console.log('🔮 Generating AI-powered energy predictions...');
 
             const currentHour = new Date().getHours();
+            const forecast = this.weather.getHourly(this.getHourStart(0), 24);
             
             // Get AI predictions
             const aiPredictions = await this.watsonx.generateEnergyPredictions(
-                this.devices,
+                this.getDevices(),
                 historicalData,
-                currentHour
+                currentHour,
+                forecast
             );
 
             // Enhance AI predictions with additional analysis
             const enhancedPredictions = this.enhancePredictions(aiPredictions, currentHour);
 
             // Validate and clean predictions
-            this.predictions = this.validatePredictions(enhancedPredictions);
-
-            // Store prediction history for accuracy tracking
-            this.storePredictionHistory();
+            this.predictions = this.addSolarForecast(this.addWeather(this.validatePredictions(enhancedPredictions)));
 
-            // Calculate prediction accuracy if we have historical predictions
-            const accuracy = this.calculatePredictionAccuracy();
+            // Record the predictions and score earlier ones against actual usage
+            const accuracy = this.trackPredictions();
 
             this.lastUpdate = new Date().toISOString();
 
@@ -77,15 +95,18 @@ class EnergyPredictionAgent {
 
             console.log('✅ AI energy predictions generated');
             console.log(`📊 Generated ${this.predictions.length} hourly predictions`);
-            if (accuracy) {
-                console.log(`🎯 Prediction accuracy: ${(accuracy * 100).toFixed(1)}%`);
+            if (accuracy && accuracy.mape !== null) {
+                console.log(`🎯 AI prediction MAPE over the last 7 days: ${accuracy.mape}% (${accuracy.count} hours)`);
             }
 
         } catch (error) {
             console.error('❌ AI prediction generation failed:', error.message);
             
-            // Fallback to statistical predictions
-            this.predictions = this.generateStatisticalPredictions();
+            // Fallback to statistical predictions, or the baseline without enough history
+            this.predictions = this.addSolarForecast(this.addWeather(
+                this.generateStatisticalPredictions() || this.generateBaselinePredictions()
+            ));
+            this.trackPredictions();
             this.lastUpdate = new Date().toISOString();
             this.notifyUpdate();
         }
@@ -97,19 +118,21 @@ class EnergyPredictionAgent {
     enhancePredictions(aiPredictions, currentHour) {
         return aiPredictions.map((prediction, index) => {
             const hour = (currentHour + index) % 24;
+            const hourStart = this.getHourStart(index);
             const timeContext = this.getTimeContext(hour);
-            const weatherFactor = this.getWeatherFactor(hour);
             const seasonalFactor = this.getSeasonalFactor();
 
             return {
                 ...prediction,
                 hour: hour,
+                timestamp: hourStart.toISOString(),
+                predictedCost: this.calculateHourlyCost(prediction.predictedUsage, hourStart),
                 time_context: timeContext,
-                weather_factor: weatherFactor,
                 seasonal_factor: seasonalFactor,
                 peak_probability: this.calculatePeakProbability(hour, prediction.predictedUsage),
-                cost_tier: this.getCostTier(hour),
+                cost_tier: this.getCostTier(hourStart),
                 confidence_adjusted: this.adjustConfidence(prediction.confidence, timeContext),
+                source: 'ai',
                 generated_at: new Date().toISOString()
             };
         });
@@ -125,13 +148,63 @@ class EnergyPredictionAgent {
                    p.predictedUsage < 20000 && // Reasonable max for home
                    p.confidence > 0 && 
                    p.confidence <= 1;
-        }).map(p => ({
-            ...p,
-            // Ensure reasonable bounds
-            predictedUsage: Math.max(500, Math.min(15000, p.predictedUsage)),
-            predictedCost: Math.max(0.1, Math.min(5.0, p.predictedCost)),
-            confidence: Math.max(0.3, Math.min(1.0, p.confidence))
-        }));
+        }).map(p => {
+            // Ensure reasonable bounds, then price the bounded usage with the tariff
+            const predictedUsage = Math.max(500, Math.min(15000, p.predictedUsage));
+
+            return {
+                ...p,
+                predictedUsage,
+                predictedCost: this.calculateHourlyCost(predictedUsage, new Date(p.timestamp)),
+                confidence: Math.max(0.3, Math.min(1.0, p.confidence))
+            };
+        });
+    }
+
+    /**
+     * Attach the weather each hourly prediction was made for, and the factor it puts on usage
+     */
+    addWeather(predictions) {
+        return predictions.map(p => {
+            const conditions = this.weather.getConditions(new Date(p.timestamp));
+            return {
+                ...p,
+                weather: {
+                    temperature: conditions.temperature,
+                    humidity: conditions.humidity,
+                    cloudCover: conditions.cloudCover,
+                    irradiance: conditions.irradiance,
+                    source: conditions.source
+                },
+                weather_factor: this.getWeatherFactor(conditions)
+            };
+        });
+    }
+
+    /**
+     * Add the output of the home's solar devices to hourly predictions (their clear-sky
+     * output scaled by the forecast irradiance), with the net usage drawn from the grid
+     * and its cost after the export credit
+     */
+    addSolarForecast(predictions) {
+        const solarDevices = this.getDevices().filter(d => isProducer(d) && d.isOn);
+        if (solarDevices.length === 0) return predictions;
+
+        return predictions.map(p => {
+            const hourStart = new Date(p.timestamp);
+            const solarFactor = this.weather.getSolarFactor(new Date(hourStart.getTime() + 30 * 60 * 1000));
+            const predictedSolar = solarFactor * solarDevices.reduce((sum, d) => sum + estimateHourlyOutput(d, hourStart), 0);
+            const netUsage = p.predictedUsage - predictedSolar;
+
+            return {
+                ...p,
+                predictedSolar: Math.round(predictedSolar),
+                predictedNetUsage: Math.round(netUsage),
+                predictedSurplus: Math.round(Math.max(0, -netUsage)),
+                predictedCost: this.calculateHourlyCost(Math.max(0, netUsage), hourStart)
+                    - this.tariff.calculateExportCredit(Math.max(0, -netUsage) / 1000, hourStart)
+            };
+        });
     }
 
     /**
@@ -143,17 +216,19 @@ class EnergyPredictionAgent {
         
         for (let i = 0; i < 24; i++) {
             const hour = (currentHour + i) % 24;
+            const hourStart = this.getHourStart(i);
             const baseUsage = this.calculateBaselineUsage(hour);
             
             predictions.push({
                 hour: hour,
+                timestamp: hourStart.toISOString(),
                 predictedUsage: baseUsage,
-                predictedCost: (baseUsage * 0.12) / 1000,
+                predictedCost: this.calculateHourlyCost(baseUsage, hourStart),
                 confidence: 0.7,
                 factors: this.getTimeContext(hour),
                 time_context: this.getTimeContext(hour),
                 peak_probability: this.calculatePeakProbability(hour, baseUsage),
-                cost_tier: this.getCostTier(hour),
+                cost_tier: this.getCostTier(hourStart),
                 source: 'baseline',
                 generated_at: new Date().toISOString()
             });
@@ -163,72 +238,99 @@ class EnergyPredictionAgent {
     }
 
     /**
-     * Generate statistical predictions based on historical patterns
+     * Generate statistical predictions with the forecasting model (services/forecasting.js):
+     * day-of-week, weather and Holt-Winters components fitted on recorded hourly usage,
+     * with a prediction interval per hour. Null without two days of history.
      */
     generateStatisticalPredictions() {
-        const historicalData = this.getHistoricalData();
-        const predictions = [];
-        const currentHour = new Date().getHours();
-
-        // Calculate hourly averages from historical data
-        const hourlyPatterns = this.calculateHourlyPatterns(historicalData);
+        const start = this.getHourStart(0);
+        const result = this.forecastUsage(this.getHourlyUsage(FORECAST_HISTORY_DAYS), start, 24);
+        if (!result) return null;
+        this.forecastModel = result.model;
 
-        for (let i = 0; i < 24; i++) {
-            const hour = (currentHour + i) % 24;
-            const historicalAvg = hourlyPatterns[hour] || 2000;
-            const trendFactor = this.calculateTrendFactor(historicalData);
-            const predictedUsage = historicalAvg * trendFactor;
+        return result.forecasts.map(forecast => {
+            const hourStart = new Date(forecast.timestamp);
+            const hour = forecast.hour;
+            const predictedUsage = forecast.value;
 
-            predictions.push({
+            return {
                 hour: hour,
+                timestamp: forecast.timestamp,
                 predictedUsage: predictedUsage,
-                predictedCost: (predictedUsage * 0.12) / 1000,
-                confidence: 0.75,
+                predictedCost: this.calculateHourlyCost(predictedUsage, hourStart),
+                prediction_interval: this.describeInterval(forecast, result.model),
+                confidence: this.getIntervalConfidence(forecast),
                 factors: this.getTimeContext(hour),
                 time_context: this.getTimeContext(hour),
                 peak_probability: this.calculatePeakProbability(hour, predictedUsage),
-                cost_tier: this.getCostTier(hour),
+                cost_tier: this.getCostTier(hourStart),
+                weather_adjustment: Math.round(forecast.weather_adjustment),
                 source: 'statistical',
                 generated_at: new Date().toISOString()
-            });
-        }
-
-        return predictions;
+            };
+        });
     }
 
     /**
-     * Calculate hourly usage patterns from historical data
+     * Forecast hourly usage ([{ timestamp, usage }]) from start with the forecast weather
      */
-    calculateHourlyPatterns(historicalData) {
-        const hourlyData = {};
-        
-        historicalData.forEach(reading => {
-            const hour = new Date(reading.timestamp).getHours();
-            if (!hourlyData[hour]) hourlyData[hour] = [];
-            hourlyData[hour].push(reading.totalPower);
+    forecastUsage(hourlyUsage, start, hours) {
+        return forecastSeries(hourlyUsage.map(entry => ({ timestamp: entry.timestamp, value: entry.usage })), {
+            start,
+            horizon: hours,
+            getConditions: (date) => this.weather.getConditions(date)
         });
+    }
 
-        const hourlyAverages = {};
-        Object.entries(hourlyData).forEach(([hour, values]) => {
-            hourlyAverages[hour] = values.reduce((sum, val) => sum + val, 0) / values.length;
-        });
+    /**
+     * Hourly forecast of one device's usage with prediction intervals, or null
+     * without two days of its history
+     */
+    forecastDevice(deviceId, hours = 24) {
+        const result = this.forecastUsage(this.getHourlyUsage(FORECAST_HISTORY_DAYS, deviceId), this.getHourStart(0), hours);
+        if (!result) return null;
+
+        return {
+            device_id: deviceId,
+            model: result.model,
+            forecasts: result.forecasts.map(forecast => ({
+                hour: forecast.hour,
+                timestamp: forecast.timestamp,
+                predictedUsage: Math.round(forecast.value),
+                prediction_interval: this.describeInterval(forecast, result.model),
+                weather_adjustment: Math.round(forecast.weather_adjustment)
+            }))
+        };
+    }
 
-        return hourlyAverages;
+    describeInterval(forecast, model) {
+        return {
+            lower: Math.round(forecast.lower),
+            upper: Math.round(forecast.upper),
+            level: model.interval_level
+        };
     }
 
     /**
-     * Calculate trend factor based on recent data
+     * Confidence of a forecast from the width of its prediction interval
      */
-    calculateTrendFactor(historicalData) {
-        if (historicalData.length < 48) return 1.0;
-
-        const recent = historicalData.slice(-24);
-        const previous = historicalData.slice(-48, -24);
+    getIntervalConfidence(forecast) {
+        const relativeHalfWidth = (forecast.upper - forecast.lower) / 2 / Math.max(forecast.value, 1);
+        return Math.max(0.3, Math.min(0.95, 1 - relativeHalfWidth));
+    }
 
-        const recentAvg = recent.reduce((sum, r) => sum + r.totalPower, 0) / recent.length;
-        const previousAvg = previous.reduce((sum, r) => sum + r.totalPower, 0) / previous.length;
+    /**
+     * Weather sensitivity the statistical forecast last used (W per feature unit)
+     */
+    getWeatherModel() {
+        return this.forecastModel ? this.forecastModel.weather : null;
+    }
 
-        return recentAvg / previousAvg;
+    /**
+     * Forecasting model the statistical predictions were last made with
+     */
+    getForecastModel() {
+        return this.forecastModel;
     }
 
     /**
@@ -237,9 +339,8 @@ class EnergyPredictionAgent {
     calculateBaselineUsage(hour) {
         const baseUsage = 2000;
         const timeMultiplier = this.getTimeMultiplier(hour);
-        const randomFactor = 0.9 + Math.random() * 0.2; // Small random variation
         
-        return baseUsage * timeMultiplier * randomFactor;
+        return baseUsage * timeMultiplier;
     }
 
     /**
@@ -269,18 +370,11 @@ class EnergyPredictionAgent {
     }
 
     /**
-     * Get weather factor (simplified - could integrate with weather API)
+     * Get weather factor: the extra usage the heating or cooling called for by the
+     * hour's weather conditions adds
      */
-    getWeatherFactor(hour) {
-        // Simulate weather impact
-        const season = this.getCurrentSeason();
-        if (season === 'summer' && (hour >= 12 && hour <= 18)) {
-            return 1.3; // Higher AC usage
-        }
-        if (season === 'winter' && (hour >= 6 && hour <= 9 || hour >= 17 && hour <= 22)) {
-            return 1.2; // Higher heating usage
-        }
-        return 1.0;
+    getWeatherFactor(conditions) {
+        return getWeatherFactor(conditions);
     }
 
     /**
@@ -293,17 +387,6 @@ class EnergyPredictionAgent {
         return 1.0; // Spring/Fall
     }
 
-    /**
-     * Get current season
-     */
-    getCurrentSeason() {
-        const month = new Date().getMonth();
-        if (month >= 2 && month <= 4) return 'spring';
-        if (month >= 5 && month <= 7) return 'summer';
-        if (month >= 8 && month <= 10) return 'fall';
-        return 'winter';
-    }
-
     /**
      * Calculate peak probability for an hour
      */
@@ -320,16 +403,27 @@ class EnergyPredictionAgent {
     }
 
     /**
-     * Get cost tier for an hour
+     * Get cost tier (tariff rate period) for the hour starting at a date
      */
-    getCostTier(hour) {
-        if ((hour >= 7 && hour <= 9) || (hour >= 17 && hour <= 21)) {
-            return 'peak';
-        }
-        if (hour >= 23 || hour <= 6) {
-            return 'off_peak';
-        }
-        return 'standard';
+    getCostTier(date) {
+        return this.tariff.getPeriod(date);
+    }
+
+    /**
+     * Cost of an hour at an average usage (W), priced with the active tariff
+     */
+    calculateHourlyCost(usageWatts, hourStart) {
+        return this.tariff.calculateCost(usageWatts / 1000, hourStart);
+    }
+
+    /**
+     * Start of the hour `offset` hours from now
+     */
+    getHourStart(offset) {
+        const date = new Date();
+        date.setMinutes(0, 0, 0);
+        date.setHours(date.getHours() + offset);
+        return date;
     }
 
     /**
@@ -348,51 +442,27 @@ class EnergyPredictionAgent {
     }
 
     /**
-     * Store prediction history for accuracy tracking
+     * Record the current predictions with the tracker and score earlier ones whose
+     * hours have passed. Returns the last 7 days' accuracy of the current source.
      */
-    storePredictionHistory() {
-        const historyEntry = {
-            timestamp: new Date().toISOString(),
-            predictions: this.predictions.map(p => ({
-                hour: p.hour,
-                predicted_usage: p.predictedUsage,
-                confidence: p.confidence
-            }))
-        };
-
-        this.predictionHistory.push(historyEntry);
+    trackPredictions() {
+        if (!this.tracker || this.predictions.length === 0) return null;
 
-        // Keep only last 48 hours of predictions
-        if (this.predictionHistory.length > 48) {
-            this.predictionHistory = this.predictionHistory.slice(-48);
+        try {
+            this.tracker.score();
+            this.tracker.record(this.predictions);
+            return this.tracker.getAccuracy(7).by_source[this.predictions[0].source] || null;
+        } catch (error) {
+            console.warn('⚠️ Prediction tracking failed:', error.message);
+            return null;
         }
     }
 
     /**
-     * Calculate prediction accuracy
+     * MAE, MAPE, RMSE and interval coverage of issued predictions over the last days
      */
-    calculatePredictionAccuracy() {
-        if (this.predictionHistory.length < 2) return null;
-
-        const historicalData = this.getHistoricalData();
-        if (historicalData.length < 24) return null;
-
-        // Compare predictions from 1 hour ago with actual usage
-        const oneHourAgo = this.predictionHistory.find(h => {
-            const hoursDiff = (Date.now() - new Date(h.timestamp).getTime()) / (1000 * 60 * 60);
-            return hoursDiff >= 0.9 && hoursDiff <= 1.1;
-        });
-
-        if (!oneHourAgo) return null;
-
-        const currentHour = new Date().getHours();
-        const prediction = oneHourAgo.predictions.find(p => p.hour === currentHour);
-        const actual = historicalData[historicalData.length - 1]?.totalPower;
-
-        if (!prediction || !actual) return null;
-
-        const error = Math.abs(prediction.predicted_usage - actual) / actual;
-        return Math.max(0, 1 - error);
+    getAccuracy(days = 7) {
+        return this.tracker ? this.tracker.getAccuracy(days) : null;
     }
 
     /**
@@ -442,7 +512,8 @@ class EnergyPredictionAgent {
             message: `Prediction Agent: ${watsonxHealth.message}`,
             last_update: this.lastUpdate,
             predictions_count: this.predictions.length,
-            history_count: this.predictionHistory.length
+            pending_scoring_count: this.tracker ? this.tracker.pending.length : 0,
+            weather: this.weather.getStatus()
         };
     }
 }
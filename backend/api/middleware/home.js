@@ -0,0 +1,40 @@
+/**
+ * Home selection middleware for the Smart Energy Optimizer API
+ * Resolves the home of each request and sets req.orchestrator to that home's orchestrator
+ */
+const { DEFAULT_HOME_ID } = require('../../services/home-manager');
+
+/**
+ * Use the home in the :homeId route parameter
+ */
+function selectHome(req, res, next) {
+    attachHome(req, res, next, req.params.homeId);
+}
+
+/**
+ * Use the default home, for the un-prefixed /api/... routes
+ */
+function selectDefaultHome(req, res, next) {
+    attachHome(req, res, next, DEFAULT_HOME_ID);
+}
+
+function attachHome(req, res, next, homeId) {
+    const orchestrator = req.app.locals.homes.get(homeId);
+
+    // Homes the principal may not access look the same as homes that do not exist
+    if (!orchestrator || !req.app.locals.auth.canAccessHome(req.principal, homeId)) {
+        return res.status(404).json({
+            status: 'error',
+            message: `Home ${homeId} not found`
+        });
+    }
+
+    req.homeId = homeId;
+    req.orchestrator = orchestrator;
+    next();
+}
+
+module.exports = {
+    selectHome,
+    selectDefaultHome
+};
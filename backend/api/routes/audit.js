@@ -0,0 +1,29 @@
+/**
+ * Audit routes for the Smart Energy Optimizer backend
+ * Which principal issued each device command
+ */
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+
+// GET /api/audit - Device command audit trail, newest first (?deviceId=&principalId=&from=&to=&limit=)
+router.get('/', requireScope('admin'), (req, res) => {
+    try {
+        const { deviceId, principalId, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const records = req.orchestrator.getAuditTrail({ deviceId, principalId, from, to, limit });
+
+        res.json({
+            status: 'success',
+            data: records,
+            count: records.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+/**
+ * Auth routes for the Smart Energy Optimizer backend
+ * Login, user accounts and scoped API tokens
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireScope } = require('../middleware/auth');
+
+let auth;
+
+router.use((req, res, next) => {
+    auth = req.app.locals.auth;
+    next();
+});
+
+// POST /api/auth/login - Exchange username and password for a short-lived token
+router.post('/login', (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const result = auth.login(username, password);
+
+        if (!result.success) {
+            return res.status(401).json({
+                status: 'error',
+                message: result.message
+            });
+        }
+
+        res.json({
+            status: 'success',
+            token: result.token,
+            data: result.info
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Everything below requires a valid token
+router.use(authenticate);
+
+// GET /api/auth/me - The authenticated principal
+router.get('/me', (req, res) => {
+    res.json({
+        status: 'success',
+        data: req.principal
+    });
+});
+
+// GET /api/auth/users - List the users whose homes you can access
+router.get('/users', requireScope('admin'), (req, res) => {
+    try {
+        const users = auth.listUsers(req.principal);
+        res.json({
+            status: 'success',
+            data: users,
+            count: users.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/auth/users - Create a user
+router.post('/users', requireScope('admin'), (req, res) => {
+    try {
+        const result = auth.createUser(req.body, req.principal);
+
+        if (!result.success) {
+            return sendAuthError(res, result);
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: result.user
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/auth/users/:id - Delete a user and revoke their tokens
+router.delete('/users/:id', requireScope('admin'), (req, res) => {
+    try {
+        const result = auth.deleteUser(req.params.id, req.principal);
+
+        if (!result.success) {
+            return sendAuthError(res, result);
+        }
+
+        res.json({
+            status: 'success',
+            message: 'User deleted',
+            data: result.user
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/auth/tokens - List your tokens (admins: ?all=true for the tokens of the users they can see)
+router.get('/tokens', (req, res) => {
+    try {
+        const all = req.query.all === 'true' && auth.hasScope(req.principal, 'admin');
+        const tokens = auth.listTokens(all ? null : req.principal.user_id, req.principal);
+
+        res.json({
+            status: 'success',
+            data: tokens,
+            count: tokens.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/auth/tokens - Issue an API token for yourself; the token is only shown once
+router.post('/tokens', (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body || {};
+        const result = auth.createToken(req.principal.user_id, { name, scopes, expiresAt });
+
+        if (!result.success) {
+            return sendAuthError(res, result);
+        }
+
+        res.status(201).json({
+            status: 'success',
+            token: result.token,
+            data: result.info
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/auth/tokens/:id - Revoke a token
+router.delete('/tokens/:id', (req, res) => {
+    try {
+        const result = auth.revokeToken(req.params.id, req.principal);
+
+        if (!result.success) {
+            return sendAuthError(res, result);
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Token revoked',
+            data: result.info
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Helper to map auth service failures to HTTP responses
+function sendAuthError(res, result) {
+    const statusCodes = {
+        invalid: 400,
+        unauthorized: 401,
+        not_found: 404,
+        conflict: 409
+    };
+
+    res.status(statusCodes[result.code] || 400).json({
+        status: 'error',
+        message: result.message,
+        errors: result.errors
+    });
+}
+
+module.exports = router;
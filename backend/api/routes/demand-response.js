@@ -0,0 +1,167 @@
+/**
+ * Demand-response routes for the Smart Energy Optimizer backend
+ * Utility demand-response events, their curtailment plans and the reduction they achieved
+ */
+const express = require('express');
+const router = express.Router();
+const { requireScope, describePrincipal } = require('../middleware/auth');
+
+// GET /api/demand-response/events - List events (optional ?status=scheduled|active|completed|cancelled)
+router.get('/events', (req, res) => {
+    try {
+        const events = req.orchestrator.getDemandResponseEvents({ status: req.query.status });
+
+        res.json({
+            status: 'success',
+            data: events,
+            count: events.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/demand-response/events/:id - Event with its curtailment plan and report
+router.get('/events/:id', (req, res) => {
+    try {
+        const event = req.orchestrator.getDemandResponseEvent(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Demand-response event not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: event
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/demand-response/events - Accept an event and plan its curtailment
+router.post('/events', requireScope('control'), async (req, res) => {
+    try {
+        const result = await req.orchestrator.createDemandResponseEvent(req.body, {
+            principal: describePrincipal(req.principal),
+            source: 'api'
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.status(result.created ? 201 : 200).json({
+            status: 'success',
+            data: result.event
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/demand-response/events/:id/apply - Apply the event's curtailment plan
+router.post('/events/:id/apply', requireScope('control'), async (req, res) => {
+    try {
+        const result = await req.orchestrator.applyCurtailmentPlan(req.params.id, {
+            principal: describePrincipal(req.principal)
+        });
+
+        if (!result.success) {
+            const status = result.code === 'not_found' ? 404 : result.code === 'failed' ? 502 : 409;
+            return res.status(status).json({
+                status: 'error',
+                message: result.message
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: result.event.plan.status === 'partial' ? 'Curtailment plan partly applied' : 'Curtailment plan applied',
+            data: result.event
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/demand-response/events/:id - Cancel an event, restoring curtailed devices
+router.delete('/events/:id', requireScope('control'), async (req, res) => {
+    try {
+        const result = await req.orchestrator.cancelDemandResponseEvent(req.params.id, {
+            principal: describePrincipal(req.principal)
+        });
+
+        if (!result.success) {
+            return res.status(result.code === 'not_found' ? 404 : 409).json({
+                status: 'error',
+                message: result.message
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Demand-response event cancelled',
+            data: result.event
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/demand-response/ven - Status of the home's OpenADR VEN
+router.get('/ven', (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: req.orchestrator.getVenStatus()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/demand-response/ven - Push OpenADR events to the home's VEN
+router.post('/ven', requireScope('control'), async (req, res) => {
+    try {
+        const results = await req.orchestrator.receiveOpenAdrEvents(req.body);
+
+        res.status(results.every(result => result.success) ? 200 : 207).json({
+            status: 'success',
+            data: results,
+            count: results.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -3,28 +3,17 @@
  * It contains the configuration for the devices route, including the import of the express library.
  * It also contains the configuration for the devices route, including the import of the express library.
  *
- * The devices route is used to get the devices, get a specific device, and control a device.
+ * The devices route is used to list, register, update and remove devices, and to control a device.
  *
  */
 const express = require('express');
 const router = express.Router();
-
-// This will be injected by the main server
-let orchestrator;
-
-// Initialize with orchestrator instance
-router.use((req, res, next) => {
-    if (!orchestrator) {
-        // Get orchestrator from app locals (set in server.js)
-        orchestrator = req.app.locals.orchestrator;
-    }
-    next();
-});
+const { requireScope, describePrincipal } = require('../middleware/auth');
 
 // GET /api/devices - List all devices
 router.get('/', (req, res) => {
     try {
-        const devices = orchestrator.getDevices();
+        const devices = req.orchestrator.getDevices();
         res.json({
             status: 'success',
             data: devices,
@@ -41,8 +30,7 @@ router.get('/', (req, res) => {
 // GET /api/devices/:id - Get specific device
 router.get('/:id', (req, res) => {
     try {
-        const devices = orchestrator.getDevices();
-        const device = devices.find(d => d.id === req.params.id);
+        const device = req.orchestrator.getDevice(req.params.id);
         
         if (!device) {
             return res.status(404).json({
@@ -63,17 +51,145 @@ router.get('/:id', (req, res) => {
     }
 });
 
+// POST /api/devices - Register a device
+router.post('/', requireScope('admin'), (req, res) => {
+    try {
+        const result = req.orchestrator.registerDevice(req.body);
+
+        if (!result.success) {
+            return sendRegistryError(res, result);
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: result.device
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/devices/:id - Update device settings
+router.put('/:id', requireScope('admin'), (req, res) => {
+    try {
+        const result = req.orchestrator.updateDevice(req.params.id, req.body);
+
+        if (!result.success) {
+            return sendRegistryError(res, result);
+        }
+
+        res.json({
+            status: 'success',
+            data: result.device
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/devices/:id - Remove a device
+router.delete('/:id', requireScope('admin'), (req, res) => {
+    try {
+        const result = req.orchestrator.removeDevice(req.params.id);
+
+        if (!result.success) {
+            return sendRegistryError(res, result);
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Device removed',
+            data: result.device
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/devices/:id/state - Read the device's current state through its adapter
+router.get('/:id/state', async (req, res) => {
+    try {
+        const result = await req.orchestrator.readDeviceState(req.params.id);
+
+        if (!result.success) {
+            return sendControlError(res, result);
+        }
+
+        res.json({
+            status: 'success',
+            data: result.state,
+            adapter: result.adapter
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/devices/:id/capabilities - Commands the device accepts, with their value ranges
+router.get('/:id/capabilities', (req, res) => {
+    try {
+        const result = req.orchestrator.getDeviceCapabilities(req.params.id);
+
+        if (!result.success) {
+            return sendControlError(res, result);
+        }
+
+        res.json({
+            status: 'success',
+            data: result.capabilities
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
 // POST /api/devices/:id/control - Control device
-router.post('/:id/control', (req, res) => {
+router.post('/:id/control', requireScope('control'), async (req, res) => {
     try {
         const { action, value } = req.body;
-        const result = orchestrator.controlDevice(req.params.id, action, value);
+        const result = await req.orchestrator.controlDevice(req.params.id, action, value, {
+            principal: describePrincipal(req.principal),
+            source: 'api'
+        });
         
-        if (result.status === 'error') {
-            return res.status(400).json(result);
+        if (!result.success) {
+            return sendControlError(res, result);
+        }
+
+        // Held back by the household service limit; it runs once there is room
+        if (result.queued) {
+            return res.status(202).json({
+                status: 'success',
+                message: result.message,
+                data: result.device,
+                queued: true,
+                queued_command: result.queued_command
+            });
         }
         
-        res.json(result);
+        res.json({
+            status: 'success',
+            data: result.device,
+            adapter: result.adapter,
+            job: result.job,
+            jobs: result.jobs,
+            plan: result.plan
+        });
     } catch (error) {
         res.status(500).json({
             status: 'error',
@@ -82,4 +198,37 @@ router.post('/:id/control', (req, res) => {
     }
 });
 
+// Helper to map device command failures to HTTP responses
+function sendControlError(res, result) {
+    const statusCodes = {
+        not_found: 404,
+        invalid: 400,
+        unsupported: 400,
+        timeout: 504,
+        adapter_error: 502
+    };
+
+    res.status(statusCodes[result.code] || 400).json({
+        status: 'error',
+        code: result.code,
+        message: result.message,
+        allowed_actions: result.allowed_actions
+    });
+}
+
+// Helper to map device registry failures to HTTP responses
+function sendRegistryError(res, result) {
+    const statusCodes = {
+        invalid: 400,
+        not_found: 404,
+        conflict: 409
+    };
+
+    res.status(statusCodes[result.code] || 400).json({
+        status: 'error',
+        message: result.message,
+        errors: result.errors
+    });
+}
+
 module.exports = router;
\ No newline at end of file
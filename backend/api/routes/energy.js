@@ -4,22 +4,12 @@
  */
 const express = require('express');
 const router = express.Router();
-
-// This will be injected by the main server
-let orchestrator;
-
-// Initialize with orchestrator instance
-router.use((req, res, next) => {
-    if (!orchestrator) {
-        orchestrator = req.app.locals.orchestrator;
-    }
-    next();
-});
+const { requireScope } = require('../middleware/auth');
 
 // GET /api/energy/current - Get current energy reading
 router.get('/current', (req, res) => {
     try {
-        const currentReading = orchestrator.getCurrentEnergyReading();
+        const currentReading = req.orchestrator.getCurrentEnergyReading();
         res.json({
             status: 'success',
             data: currentReading,
@@ -36,7 +26,7 @@ router.get('/current', (req, res) => {
 // GET /api/energy/summary - Get energy summary
 router.get('/summary', (req, res) => {
     try {
-        const summary = orchestrator.getEnergySummary();
+        const summary = req.orchestrator.getEnergySummary();
         res.json({
             status: 'success',
             data: summary
@@ -49,55 +39,119 @@ router.get('/summary', (req, res) => {
     }
 });
 
-// GET /api/energy/analytics - Get analytics data for charts
+// GET /api/energy/analytics - Get analytics data for charts from recorded readings
 router.get('/analytics', (req, res) => {
     try {
-        const { timeRange = '24h', chartType = 'usage' } = req.query;
-        const analyticsData = generateAnalyticsData(timeRange, chartType);
-        
+        const { timeRange = '24h', chartType = 'usage', deviceId } = req.query;
+
+        if (!CHART_TYPES.includes(chartType)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Unsupported chartType: ${chartType}. Use one of ${CHART_TYPES.join(', ')}`
+            });
+        }
+
+        const range = parseRange(req.query, TIME_RANGES[timeRange] || TIME_RANGES['24h']);
+        const aggregation = req.orchestrator.aggregateReadings({ ...range, deviceId });
+        const analyticsData = aggregation.buckets
+            .filter(bucket => !bucket.missing)
+            .map(bucket => ({
+                timestamp: bucket.timestamp,
+                value: getChartValue(chartType, bucket),
+                type: chartType,
+                coverage: bucket.coverage
+            }));
+
         res.json({
             status: 'success',
             data: analyticsData,
             timeRange,
             chartType,
+            unit: CHART_UNITS[chartType],
+            from: aggregation.from,
+            to: aggregation.to,
+            bucket: aggregation.bucket,
+            missingBuckets: getMissingBuckets(aggregation),
             generatedAt: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error instanceof RangeError ? 400 : 500).json({
             status: 'error',
             message: error.message
         });
     }
 });
 
-// GET /api/energy/history - Get historical energy data
+// GET /api/energy/history - Get aggregated historical energy data
 router.get('/history', (req, res) => {
     try {
-        const { hours = 24 } = req.query;
-        const historyData = generateHistoricalData(parseInt(hours));
-        
+        const { hours = 24, deviceId } = req.query;
+        const range = parseRange(req.query, { hours: parseInt(hours), bucket: '1h' });
+        const aggregation = req.orchestrator.aggregateReadings({ ...range, deviceId });
+
+        const historyData = aggregation.buckets
+            .filter(bucket => !bucket.missing)
+            .map(bucket => ({
+                timestamp: bucket.timestamp,
+                totalPower: bucket.avg,
+                min: bucket.min,
+                max: bucket.max,
+                avg: bucket.avg,
+                sum: bucket.sum,
+                production: bucket.production,
+                imported: bucket.imported,
+                exported: bucket.exported,
+                cost: bucket.cost,
+                export_credit: bucket.export_credit,
+                samples: bucket.samples,
+                coverage: bucket.coverage,
+                devices: bucket.devices.map(device => ({
+                    id: device.id,
+                    power: device.avg,
+                    isOn: device.isOn,
+                    min: device.min,
+                    max: device.max,
+                    avg: device.avg,
+                    sum: device.sum
+                }))
+            }));
+
         res.json({
             status: 'success',
             data: historyData,
-            hours: parseInt(hours),
+            hours: Math.round((Date.parse(aggregation.to) - Date.parse(aggregation.from)) / (60 * 60 * 1000)),
+            from: aggregation.from,
+            to: aggregation.to,
+            bucket: aggregation.bucket,
+            units: { min: 'W', max: 'W', avg: 'W', sum: 'kWh', production: 'kWh', imported: 'kWh', exported: 'kWh', cost: 'USD', export_credit: 'USD' },
+            missingBuckets: getMissingBuckets(aggregation),
             generatedAt: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error instanceof RangeError ? 400 : 500).json({
             status: 'error',
             message: error.message
         });
     }
 });
 
-// Add this route to energy.js
-router.post('/reading', (req, res) => {
+// POST /api/energy/reading - Ingest a device telemetry reading
+router.post('/reading', requireScope('control'), (req, res) => {
     try {
-        console.log('📊 Received energy reading:', req.body);
-        // Store the reading (in real app, would save to database)
-        res.json({
+        const result = req.orchestrator.recordReading(req.body);
+
+        if (!result.success) {
+            return res.status(400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.status(result.duplicate ? 200 : 201).json({
             status: 'success',
-            message: 'Reading received'
+            message: result.duplicate ? 'Duplicate reading ignored' : 'Reading stored',
+            data: result.reading
         });
     } catch (error) {
         res.status(500).json({
@@ -107,187 +161,63 @@ router.post('/reading', (req, res) => {
     }
 });
 
-// Helper function to generate analytics data
-function generateAnalyticsData(timeRange, chartType) {
-    const now = new Date();
-    let dataPoints = [];
-    let intervalMs, count;
-    
-    switch (timeRange) {
-        case '24h':
-            intervalMs = 60 * 60 * 1000; // 1 hour
-            count = 24;
-            break;
-        case '7d':
-            intervalMs = 24 * 60 * 60 * 1000; // 1 day
-            count = 7;
-            break;
-        case '30d':
-            intervalMs = 24 * 60 * 60 * 1000; // 1 day
-            count = 30;
-            break;
-        default:
-            intervalMs = 60 * 60 * 1000;
-            count = 24;
-    }
-    
-    for (let i = 0; i < count; i++) {
-        const timestamp = new Date(now.getTime() - (i * intervalMs));
-        const value = generateRealisticValue(chartType, timestamp, timeRange);
-        
-        dataPoints.unshift({
-            timestamp: timestamp.toISOString(),
-            value: value,
-            type: chartType
-        });
+// Preset time ranges for the analytics charts
+const TIME_RANGES = {
+    '24h': { hours: 24, bucket: '1h' },
+    '7d': { hours: 7 * 24, bucket: '1d' },
+    '30d': { hours: 30 * 24, bucket: '1d' }
+};
+
+const CHART_TYPES = ['usage', 'cost', 'efficiency', 'production', 'net'];
+
+const CHART_UNITS = {
+    usage: 'kWh',
+    cost: 'USD',
+    efficiency: '%',
+    production: 'kWh',
+    net: 'kWh'
+};
+
+// Helper to resolve from/to/bucket query params, falling back to a preset range
+function parseRange(query, defaults) {
+    const bucket = query.bucket || defaults.bucket;
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - defaults.hours * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new RangeError('from and to must be valid ISO 8601 dates');
     }
-    
-    return dataPoints;
+
+    return { from, to, bucket };
 }
 
-// Helper function to generate realistic values based on chart type and time
-function generateRealisticValue(chartType, timestamp, timeRange) {
-    const hour = timestamp.getHours();
-    const dayOfWeek = timestamp.getDay();
-    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-    
+// Helper to derive a chart value from an aggregated bucket
+function getChartValue(chartType, bucket) {
     switch (chartType) {
         case 'usage':
-            // Energy usage patterns
-            let baseUsage;
-            if (timeRange === '24h') {
-                // Hourly patterns
-                if (hour >= 7 && hour <= 9) {
-                    baseUsage = 4.2; // Morning peak
-                } else if (hour >= 18 && hour <= 22) {
-                    baseUsage = 4.8; // Evening peak
-                } else if (hour >= 23 || hour <= 6) {
-                    baseUsage = 1.2; // Night low
-                } else {
-                    baseUsage = 2.8; // Daytime normal
-                }
-            } else {
-                // Daily/monthly patterns
-                baseUsage = isWeekend ? 3.2 : 3.8;
-            }
-            
-            // Add realistic variation
-            const variation = (Math.random() - 0.5) * 0.6;
-            return Math.max(0.5, baseUsage + variation);
-            
+            return bucket.sum;
         case 'cost':
-            // Cost follows usage with rate variations
-            const usageValue = generateRealisticValue('usage', timestamp, timeRange);
-            let rateMultiplier = 1.0;
-            
-            // Peak rate hours (higher cost per kWh)
-            if (timeRange === '24h' && ((hour >= 7 && hour <= 9) || (hour >= 18 && hour <= 22))) {
-                rateMultiplier = 1.4;
-            }
-            
-            return usageValue * 0.16 * rateMultiplier;
-            
+            return bucket.cost;
         case 'efficiency':
-            // Efficiency is generally inverse to peak usage
-            let baseEfficiency;
-            if (timeRange === '24h') {
-                if (hour >= 7 && hour <= 9 || hour >= 18 && hour <= 22) {
-                    baseEfficiency = 72; // Lower during peak
-                } else if (hour >= 23 || hour <= 6) {
-                    baseEfficiency = 88; // Higher at night
-                } else {
-                    baseEfficiency = 80; // Normal during day
-                }
-            } else {
-                baseEfficiency = isWeekend ? 82 : 78;
-            }
-            
-            const efficiencyVariation = (Math.random() - 0.5) * 8;
-            return Math.max(60, Math.min(95, baseEfficiency + efficiencyVariation));
-            
+            // Load factor: average over peak demand, a flatter load is a more efficient one
+            return bucket.max > 0 ? Math.round((bucket.avg / bucket.max) * 1000) / 10 : 100;
+        case 'production':
+            return bucket.production;
+        case 'net':
+            // Grid import less export; negative when the home exported more than it imported
+            return Math.round((bucket.imported - bucket.exported) * 10000) / 10000;
         default:
-            return Math.random() * 5;
+            return null;
     }
 }
 
-// Helper function to generate historical energy readings
-function generateHistoricalData(hours) {
-    const now = new Date();
-    const data = [];
-    
-    for (let i = 0; i < hours; i++) {
-        const timestamp = new Date(now.getTime() - (i * 60 * 60 * 1000));
-        const devices = orchestrator ? orchestrator.getDevices() : [];
-        
-        // Generate realistic power readings for each device
-        const deviceReadings = devices.map(device => {
-            let power = 0;
-            const hour = timestamp.getHours();
-            
-            switch (device.type) {
-                case 'hvac':
-                    // HVAC varies with time of day and season
-                    if (hour >= 7 && hour <= 9 || hour >= 18 && hour <= 22) {
-                        power = Math.random() * 2000 + 2000; // 2-4 kW during peak
-                    } else if (hour >= 23 || hour <= 6) {
-                        power = Math.random() * 800 + 200; // 0.2-1 kW at night
-                    } else {
-                        power = Math.random() * 1200 + 800; // 0.8-2 kW normal
-                    }
-                    break;
-                    
-                case 'water_heater':
-                    // Water heater cycles
-                    if (Math.random() > 0.7) {
-                        power = Math.random() * 1000 + 3000; // 3-4 kW when heating
-                    } else {
-                        power = Math.random() * 200 + 50; // 50-250W standby
-                    }
-                    break;
-                    
-                case 'lighting':
-                    // Lighting follows occupancy patterns
-                    if (hour >= 18 && hour <= 23) {
-                        power = Math.random() * 300 + 200; // 200-500W evening
-                    } else if (hour >= 6 && hour <= 8) {
-                        power = Math.random() * 200 + 150; // 150-350W morning
-                    } else if (hour >= 9 && hour <= 17) {
-                        power = Math.random() * 100 + 50; // 50-150W day
-                    } else {
-                        power = Math.random() * 50 + 10; // 10-60W night
-                    }
-                    break;
-                    
-                case 'appliance':
-                    // Appliances run occasionally
-                    if (Math.random() > 0.85) {
-                        power = Math.random() * 1500 + 500; // 500W-2kW when running
-                    } else {
-                        power = Math.random() * 20 + 5; // 5-25W standby
-                    }
-                    break;
-                    
-                default:
-                    power = Math.random() * 1000;
-            }
-            
-            return {
-                id: device.id,
-                power: Math.round(power),
-                isOn: power > 100
-            };
-        });
-        
-        const totalPower = deviceReadings.reduce((sum, device) => sum + device.power, 0);
-        
-        data.unshift({
-            timestamp: timestamp.toISOString(),
-            totalPower,
-            devices: deviceReadings
-        });
-    }
-    
-    return data;
+// Helper to list the buckets that have no recorded data
+function getMissingBuckets(aggregation) {
+    return aggregation.buckets
+        .filter(bucket => bucket.missing)
+        .map(bucket => bucket.timestamp);
 }
 
 module.exports = router;
\ No newline at end of file
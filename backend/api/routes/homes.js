@@ -0,0 +1,114 @@
+/**
+ * Home routes for the Smart Energy Optimizer backend
+ * Lists, creates and renames the households managed by this server
+ */
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+
+// GET /api/homes - List the homes you can access
+router.get('/', (req, res) => {
+    try {
+        const { homes, auth } = req.app.locals;
+        const list = homes.list().filter(home => auth.canAccessHome(req.principal, home.id));
+
+        res.json({
+            status: 'success',
+            data: list,
+            count: list.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/homes - Add a home
+router.post('/', requireScope('admin'), (req, res) => {
+    try {
+        const result = req.app.locals.homes.create(req.body);
+
+        if (!result.success) {
+            return res.status(result.code === 'conflict' ? 409 : 400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: result.home
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/homes/:homeId - Get a home with its system stats
+router.get('/:homeId', (req, res) => {
+    try {
+        const { homes, auth } = req.app.locals;
+        const home = homes.getHome(req.params.homeId);
+
+        if (!home || !auth.canAccessHome(req.principal, home.id)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Home not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: {
+                ...home,
+                system_stats: homes.get(home.id).getSystemStats()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/homes/:homeId - Rename a home
+router.put('/:homeId', requireScope('admin'), (req, res) => {
+    try {
+        const { homes, auth } = req.app.locals;
+        if (!auth.canAccessHome(req.principal, req.params.homeId)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Home not found'
+            });
+        }
+
+        const result = homes.update(req.params.homeId, req.body);
+
+        if (!result.success) {
+            return res.status(result.code === 'not_found' ? 404 : 400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: result.home
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
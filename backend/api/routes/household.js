@@ -0,0 +1,163 @@
+/**
+ * Household routes for the Smart Energy Optimizer backend
+ * The demand-limiting policy that keeps the home within its service capacity,
+ * with the commands it holds back and the events explaining its actions, and the
+ * comfort bands and thermal model of the home's HVAC zones
+ */
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+
+// GET /api/household/demand-limit - Policy, grid draw against the limit, queue and recent events
+router.get('/demand-limit', (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: req.orchestrator.getDemandLimit(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/household/demand-limit - Replace the demand-limiting policy
+router.put('/demand-limit', requireScope('admin'), (req, res) => {
+    try {
+        const result = req.orchestrator.setDemandPolicy(req.body);
+
+        if (!result.success) {
+            return res.status(400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Demand-limit policy updated',
+            data: result.policy,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/household/demand-limit/queue/:id - Drop a queued command
+router.delete('/demand-limit/queue/:id', requireScope('control'), (req, res) => {
+    try {
+        const result = req.orchestrator.cancelQueuedCommand(req.params.id);
+
+        if (!result.success) {
+            return res.status(404).json({
+                status: 'error',
+                message: result.message
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Queued command cancelled',
+            data: result.entry
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/household/comfort - Comfort bands and the penalty for leaving them
+router.get('/comfort', (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: req.orchestrator.getComfortSettings()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/household/comfort - Replace the comfort settings
+router.put('/comfort', requireScope('admin'), (req, res) => {
+    try {
+        const result = req.orchestrator.setComfortSettings(req.body);
+
+        if (!result.success) {
+            return res.status(400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Comfort settings updated',
+            data: result.settings,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/household/thermal - HVAC zones with their predicted indoor temperature at the current setpoint
+router.get('/thermal', (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: req.orchestrator.getThermalZones(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/household/thermal/:deviceId/simulate - Predict a zone's indoor temperature under a setpoint schedule
+router.post('/thermal/:deviceId/simulate', (req, res) => {
+    try {
+        const body = req.body || {};
+        const result = req.orchestrator.simulateThermalZone(req.params.deviceId, body.setpoints, body.hours);
+
+        if (!result.success) {
+            return res.status(result.code === 'not_found' ? 404 : 400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: result.simulation
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
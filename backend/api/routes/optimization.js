@@ -1,17 +1,12 @@
 const express = require('express');
 const router = express.Router();
-
-let orchestrator;
-
-router.use((req, res, next) => {
-    orchestrator = req.app.locals.orchestrator;
-    next();
-});
+const { requireScope, describePrincipal } = require('../middleware/auth');
+const { MAX_DURATION_MINUTES } = require('../../agents/real-optimization-agent');
 
 // GET /api/optimization/recommendations - Get optimization recommendations
 router.get('/recommendations', (req, res) => {
     try {
-        const recommendations = orchestrator.getRecommendations();
+        const recommendations = req.orchestrator.getRecommendations();
         
         res.json({
             status: 'success',
@@ -28,9 +23,9 @@ router.get('/recommendations', (req, res) => {
 });
 
 // POST /api/optimization/apply - Apply optimization recommendation (AI-powered)
-router.post('/apply', async (req, res) => {
+router.post('/apply', requireScope('control'), async (req, res) => {
     try {
-        const { recommendationId } = req.body;
+        const { recommendationId, durationMinutes } = req.body;
         
         if (!recommendationId) {
             return res.status(400).json({
@@ -38,9 +33,19 @@ router.post('/apply', async (req, res) => {
                 message: 'recommendationId is required'
             });
         }
+
+        if (durationMinutes !== undefined && !(typeof durationMinutes === 'number' && durationMinutes > 0 && durationMinutes <= MAX_DURATION_MINUTES)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `durationMinutes must be a number between 0 and ${MAX_DURATION_MINUTES}`
+            });
+        }
         
         // Apply the AI recommendation through the orchestrator
-        const result = await orchestrator.applyRecommendation(recommendationId);
+        const result = await req.orchestrator.applyRecommendation(recommendationId, {
+            durationMinutes,
+            principal: describePrincipal(req.principal)
+        });
         
         if (result.success) {
             res.json({
@@ -48,6 +53,7 @@ router.post('/apply', async (req, res) => {
                 message: result.message,
                 estimated_savings: result.estimated_savings,
                 total_tracked_savings: result.total_tracked_savings,
+                revert_at: result.revert_at,
                 ai_powered: true,
                 timestamp: new Date().toISOString()
             });
@@ -67,10 +73,81 @@ router.post('/apply', async (req, res) => {
     }
 });
 
+// POST /api/optimization/:id/revert - Restore the device state from before a recommendation was applied
+router.post('/:id/revert', requireScope('control'), async (req, res) => {
+    try {
+        const result = await req.orchestrator.revertRecommendation(req.params.id, {
+            principal: describePrincipal(req.principal)
+        });
+
+        if (!result.recommendation) {
+            return res.status(result.code === 'not_found' ? 404 : 409).json({
+                status: 'error',
+                message: result.message
+            });
+        }
+
+        res.status(result.success ? 200 : 500).json({
+            status: result.success ? 'success' : 'error',
+            message: result.message,
+            data: result.recommendation,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/optimization/savings - Verified savings per applied recommendation and per month
+router.get('/savings', (req, res) => {
+    try {
+        const report = req.orchestrator.getSavingsReport();
+
+        res.json({
+            status: 'success',
+            data: report,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/optimization/savings/:id - Verified savings for each application of a recommendation
+router.get('/savings/:id', (req, res) => {
+    try {
+        const report = req.orchestrator.getSavingsReport(req.params.id);
+
+        if (report.recommendations.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No applied recommendation with this id'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: report,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
 // GET /api/optimization/stats - Get AI optimization statistics
 router.get('/stats', (req, res) => {
     try {
-        const systemStats = orchestrator.getSystemStats();
+        const systemStats = req.orchestrator.getSystemStats();
         
         res.json({
             status: 'success',
@@ -82,7 +159,8 @@ router.get('/stats', (req, res) => {
                 total_devices: systemStats.total_devices,
                 active_devices: systemStats.active_devices,
                 total_power: systemStats.total_power,
-                daily_cost: systemStats.daily_cost
+                daily_cost: systemStats.daily_cost,
+                ai_output_validation: systemStats.ai_output_validation
             },
             timestamp: new Date().toISOString()
         });
@@ -94,10 +172,29 @@ router.get('/stats', (req, res) => {
     }
 });
 
+// GET /api/optimization/charging-plans - When each EV charger will charge before its vehicle's departure
+router.get('/charging-plans', (req, res) => {
+    try {
+        const plans = req.orchestrator.getChargingPlans();
+
+        res.json({
+            status: 'success',
+            data: plans,
+            count: plans.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
 // GET /api/optimization/analysis - Get current AI analysis
 router.get('/analysis', (req, res) => {
     try {
-        const analysis = orchestrator.getCurrentAnalysis();
+        const analysis = req.orchestrator.getCurrentAnalysis();
         
         res.json({
             status: 'success',
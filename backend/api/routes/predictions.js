@@ -1,18 +1,12 @@
 const express = require('express');
 const router = express.Router();
-
-let orchestrator;
-
-router.use((req, res, next) => {
-    orchestrator = req.app.locals.orchestrator;
-    next();
-});
+const { requireScope } = require('../middleware/auth');
 
 // GET /api/predictions - Get energy predictions
 router.get('/', (req, res) => {
     try {
         const { hours = 24 } = req.query;
-        let predictions = orchestrator.getPredictions();
+        let predictions = req.orchestrator.getPredictions();
         
         // Limit to specified hours
         predictions = predictions.slice(0, hours);
@@ -31,11 +25,89 @@ router.get('/', (req, res) => {
     }
 });
 
+// GET /api/predictions/weather - Weather inputs of the predictions by hour
+router.get('/weather', (req, res) => {
+    try {
+        const hours = parseInt(req.query.hours, 10) || 24;
+        if (hours < 1 || hours > 48) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'hours must be from 1 to 48'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: req.orchestrator.getWeather(hours)
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/predictions/accuracy - Scored accuracy of issued predictions
+router.get('/accuracy', (req, res) => {
+    try {
+        const days = parseInt(req.query.days, 10) || 7;
+        if (days < 1 || days > 30) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'days must be from 1 to 30'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: req.orchestrator.getPredictionAccuracy(days)
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/predictions/devices - Hourly usage forecasts per device
+router.get('/devices', (req, res) => {
+    try {
+        const { deviceId } = req.query;
+        const hours = parseInt(req.query.hours, 10) || 24;
+        if (hours < 1 || hours > 48) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'hours must be from 1 to 48'
+            });
+        }
+        if (deviceId && !req.orchestrator.getDevice(deviceId)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Device not found'
+            });
+        }
+
+        const forecasts = req.orchestrator.getDeviceForecasts(deviceId, hours);
+        res.json({
+            status: 'success',
+            data: forecasts,
+            count: forecasts.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
 // POST /api/predictions/generate - Force generate new predictions
-router.post('/generate', async (req, res) => {
+router.post('/generate', requireScope('control'), async (req, res) => {
     try {
-        await orchestrator.generatePredictions();
-        const predictions = orchestrator.getPredictions();
+        await req.orchestrator.generatePredictions();
+        const predictions = req.orchestrator.getPredictions();
         
         res.json({
             status: 'success',
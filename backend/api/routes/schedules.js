@@ -0,0 +1,78 @@
+/**
+ * Schedule routes for the Smart Energy Optimizer backend
+ * Lists, creates and cancels one-off and recurring (cron) device actions
+ */
+const express = require('express');
+const router = express.Router();
+const { requireScope, describePrincipal } = require('../middleware/auth');
+
+// GET /api/schedules - List schedules (optional ?status=scheduled&deviceId=)
+router.get('/', (req, res) => {
+    try {
+        const { status, deviceId } = req.query;
+        const jobs = req.orchestrator.getSchedules({ status, deviceId });
+
+        res.json({
+            status: 'success',
+            data: jobs,
+            count: jobs.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/schedules - Schedule a device action
+router.post('/', requireScope('control'), (req, res) => {
+    try {
+        const result = req.orchestrator.createSchedule(req.body, describePrincipal(req.principal));
+
+        if (!result.success) {
+            return res.status(400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: result.job
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/schedules/:id - Cancel a scheduled action
+router.delete('/:id', requireScope('control'), (req, res) => {
+    try {
+        const result = req.orchestrator.cancelSchedule(req.params.id);
+
+        if (!result.success) {
+            return res.status(result.code === 'not_found' ? 404 : 409).json({
+                status: 'error',
+                message: result.message
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Schedule cancelled',
+            data: result.job
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Tariff routes for the Smart Energy Optimizer backend
+ * Reads and replaces the active electricity tariff used for every cost figure
+ */
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+
+// GET /api/tariffs - Get the active tariff and the rate in effect now
+router.get('/', (req, res) => {
+    try {
+        const { tariff, current } = req.orchestrator.getTariff();
+
+        res.json({
+            status: 'success',
+            data: tariff,
+            current,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/tariffs - Replace the active tariff
+router.put('/', requireScope('admin'), (req, res) => {
+    try {
+        const result = req.orchestrator.setTariff(req.body);
+
+        if (!result.success) {
+            return res.status(400).json({
+                status: 'error',
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Tariff updated',
+            data: result.tariff,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,402 @@
+/**
+ * WebSocket Gateway for the Smart Energy Optimizer backend
+ * Topic subscriptions, commands with acknowledgements, heartbeats and structured errors
+ *
+ * Client -> server (JSON objects; requestId is echoed back in the reply):
+ *   { type: 'subscribe', topics: ['energy_update', 'device_update:hvac_001'], requestId }
+ *   { type: 'unsubscribe', topics: ['*'], requestId }
+ *   { type: 'device_control', deviceId, action, value, requestId }             (control scope)
+ *   { type: 'apply_recommendation', recommendationId, durationMinutes, requestId } (control scope)
+ *   { type: 'snapshot', requestId }   full current state
+ *   { type: 'resume', since, stream, requestId }   replay events after seq `since`
+ *   { type: 'ping', requestId }   answered with { type: 'pong' }
+ *   { type: 'pong' } / { type: 'heartbeat' }   answer to a server ping
+ *
+ * Server -> client:
+ *   { type: 'snapshot', homeId, stream, seq, data }   on connect, unless ?since= can be replayed
+ *   { type: <event topic>, data, homeId, seq }   events of the subscribed topics
+ *   { type: 'ack', requestId, request, data }
+ *   { type: 'error', requestId, code, message, errors }
+ *   { type: 'ping', timestamp }   heartbeat every 30 seconds
+ *
+ * Every event of a home gets the next sequence number of that home's stream. A client
+ * that reconnects with ?since=<last seq>&stream=<stream> gets the events it missed from
+ * a bounded buffer, or a fresh snapshot when they are no longer buffered (or the
+ * server restarted, which starts a new stream).
+ */
+
+const WebSocket = require('ws');
+const { describePrincipal } = require('./middleware/auth');
+const { MAX_DURATION_MINUTES } = require('../agents/real-optimization-agent');
+
+// Event types clients can subscribe to; the device events also accept <topic>:<deviceId>
+const TOPICS = [
+    'energy_update',
+    'device_update',
+    'device_removed',
+    'predictions_update',
+    'recommendations_update',
+    'recommendation_reverted',
+    'analysis_update',
+    'schedule_executed',
+    'demand_limit',
+    'demand_response',
+    'system_health'
+];
+const DEVICE_TOPICS = ['device_update', 'device_removed', 'schedule_executed'];
+const ALL_TOPICS = '*';
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// Events kept per home for replay after a reconnect
+const REPLAY_BUFFER_SIZE = 1000;
+
+class WebSocketGateway {
+    constructor(options = {}) {
+        this.wss = options.wss;
+        this.auth = options.auth;
+        this.homes = options.homes;
+        this.heartbeatTimer = null;
+
+        // Identifies this server run; sequence numbers restart with every stream
+        this.streamId = Date.now().toString(36);
+        this.streams = new Map();
+
+        this.handlers = {
+            subscribe: (ws, message) => this.handleSubscribe(ws, message),
+            unsubscribe: (ws, message) => this.handleUnsubscribe(ws, message),
+            device_control: (ws, message) => this.handleDeviceControl(ws, message),
+            apply_recommendation: (ws, message) => this.handleApplyRecommendation(ws, message),
+            snapshot: (ws, message) => this.sendSnapshot(ws, message.requestId),
+            resume: (ws, message) => this.handleResume(ws, message),
+            ping: (ws, message) => this.send(ws, { type: 'pong', requestId: message.requestId, timestamp: new Date().toISOString() }),
+            pong: () => {},
+            heartbeat: () => {}
+        };
+
+        this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    }
+
+    /**
+     * Set up a new connection. Clients start subscribed to every topic (or to the
+     * comma-separated ?topics= of the connection URL) and get a snapshot of the current
+     * state, or the events they missed when they resume with ?since=.
+     */
+    handleConnection(ws, req) {
+        ws.principal = req.principal;
+        ws.homeId = req.homeId;
+        ws.isAlive = true;
+
+        const url = new URL(req.url, 'http://localhost');
+        const requested = (url.searchParams.get('topics') || '').split(',').filter(Boolean);
+        const { valid } = this.parseTopics(requested);
+        ws.topics = new Set(valid.length > 0 ? valid : [ALL_TOPICS]);
+
+        console.log(`📱 Client connected to WebSocket (${ws.principal.name}, home ${ws.homeId})`);
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+        ws.on('message', (raw) => {
+            ws.isAlive = true;
+            this.handleMessage(ws, raw);
+        });
+        ws.on('close', () => {
+            console.log('📱 Client disconnected');
+        });
+
+        const since = url.searchParams.get('since');
+        if (since === null || this.replay(ws, Number(since), url.searchParams.get('stream')) === null) {
+            this.sendSnapshot(ws);
+        }
+    }
+
+    async handleMessage(ws, raw) {
+        if (raw.length > MAX_MESSAGE_BYTES) {
+            return this.sendError(ws, null, 'message_too_large', `Messages are limited to ${MAX_MESSAGE_BYTES} bytes`);
+        }
+
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return this.sendError(ws, null, 'invalid_json', 'Message is not valid JSON');
+        }
+
+        if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+            return this.sendError(ws, null, 'invalid_message', 'Message must be a JSON object with a type');
+        }
+
+        const requestId = message.requestId !== undefined ? message.requestId : null;
+        const handler = this.handlers[message.type];
+        if (!handler) {
+            return this.sendError(ws, requestId, 'unknown_type', `Unknown message type: ${message.type}`, {
+                errors: [`type must be one of ${Object.keys(this.handlers).join(', ')}`]
+            });
+        }
+
+        try {
+            await handler(ws, message);
+        } catch (error) {
+            console.error('❌ WebSocket message failed:', error.message);
+            this.sendError(ws, requestId, 'internal_error', error.message);
+        }
+    }
+
+    handleSubscribe(ws, message) {
+        const topics = this.getMessageTopics(ws, message);
+        if (!topics) return;
+
+        topics.forEach(topic => ws.topics.add(topic));
+        this.sendAck(ws, message, { topics: [...ws.topics] });
+    }
+
+    handleUnsubscribe(ws, message) {
+        const topics = this.getMessageTopics(ws, message);
+        if (!topics) return;
+
+        topics.forEach(topic => ws.topics.delete(topic));
+        this.sendAck(ws, message, { topics: [...ws.topics] });
+    }
+
+    /**
+     * Validated topics of a subscribe/unsubscribe message, or null after replying with an error
+     */
+    getMessageTopics(ws, message) {
+        if (!Array.isArray(message.topics) || message.topics.length === 0) {
+            this.sendError(ws, message.requestId, 'invalid_message', 'topics must be a non-empty array');
+            return null;
+        }
+
+        const { valid, invalid } = this.parseTopics(message.topics);
+        if (invalid.length > 0) {
+            this.sendError(ws, message.requestId, 'unknown_topic', 'Unknown topics', {
+                errors: invalid.map(topic => `unknown topic: ${topic}`)
+            });
+            return null;
+        }
+        return valid;
+    }
+
+    parseTopics(topics) {
+        const valid = [];
+        const invalid = [];
+
+        topics.forEach(topic => {
+            if (typeof topic !== 'string') {
+                invalid.push(String(topic));
+                return;
+            }
+            const [base, deviceId] = topic.split(':', 2);
+            const known = topic === ALL_TOPICS ||
+                (deviceId === undefined ? TOPICS.includes(base) : DEVICE_TOPICS.includes(base) && deviceId !== '');
+            (known ? valid : invalid).push(topic);
+        });
+
+        return { valid, invalid };
+    }
+
+    async handleDeviceControl(ws, message) {
+        if (!this.requireControl(ws, message)) return;
+
+        const errors = [];
+        if (typeof message.deviceId !== 'string' || message.deviceId === '') errors.push('deviceId is required');
+        if (typeof message.action !== 'string' || message.action === '') errors.push('action is required');
+        if (errors.length > 0) {
+            return this.sendError(ws, message.requestId, 'invalid_message', 'Invalid device_control message', { errors });
+        }
+
+        const result = await this.getOrchestrator(ws).controlDevice(message.deviceId, message.action, message.value, {
+            principal: describePrincipal(ws.principal),
+            source: 'websocket'
+        });
+
+        if (!result.success) {
+            return this.sendError(ws, message.requestId, 'command_failed', result.message, {
+                allowed_actions: result.allowed_actions
+            });
+        }
+        this.sendAck(ws, message, {
+            device: result.device,
+            job: result.job,
+            jobs: result.jobs,
+            plan: result.plan,
+            queued: result.queued,
+            queued_command: result.queued_command
+        });
+    }
+
+    async handleApplyRecommendation(ws, message) {
+        if (!this.requireControl(ws, message)) return;
+
+        const { recommendationId, durationMinutes } = message;
+        const errors = [];
+        if (!recommendationId) errors.push('recommendationId is required');
+        if (durationMinutes !== undefined && !(typeof durationMinutes === 'number' && durationMinutes > 0 && durationMinutes <= MAX_DURATION_MINUTES)) {
+            errors.push(`durationMinutes must be a number between 0 and ${MAX_DURATION_MINUTES}`);
+        }
+        if (errors.length > 0) {
+            return this.sendError(ws, message.requestId, 'invalid_message', 'Invalid apply_recommendation message', { errors });
+        }
+
+        const result = await this.getOrchestrator(ws).applyRecommendation(recommendationId, {
+            durationMinutes,
+            principal: describePrincipal(ws.principal)
+        });
+
+        if (!result.success) {
+            return this.sendError(ws, message.requestId, 'command_failed', result.message);
+        }
+        this.sendAck(ws, message, {
+            message: result.message,
+            estimated_savings: result.estimated_savings,
+            revert_at: result.revert_at
+        });
+    }
+
+    /**
+     * Replay missed events, or send a snapshot when they are no longer available
+     */
+    handleResume(ws, message) {
+        if (!Number.isInteger(message.since) || message.since < 0) {
+            return this.sendError(ws, message.requestId, 'invalid_message', 'since must be a non-negative integer sequence number');
+        }
+
+        const replayed = this.replay(ws, message.since, message.stream);
+        if (replayed === null) {
+            this.sendSnapshot(ws, message.requestId);
+        }
+        this.sendAck(ws, message, {
+            stream: this.streamId,
+            seq: this.getStream(ws.homeId).seq,
+            replayed,
+            snapshot: replayed === null
+        });
+    }
+
+    /**
+     * Send the buffered events after `since` that match the client's topics.
+     * Returns the number of events sent, or null when the gap cannot be replayed.
+     */
+    replay(ws, since, stream) {
+        const { seq, events } = this.getStream(ws.homeId);
+        const oldest = events.length > 0 ? events[0].seq : seq + 1;
+
+        if ((stream && stream !== this.streamId) || !Number.isInteger(since) || since > seq || since < oldest - 1) {
+            return null;
+        }
+
+        const missed = events.filter(event => event.seq > since && this.isSubscribed(ws, event.topics));
+        missed.forEach(event => ws.send(event.message));
+        return missed.length;
+    }
+
+    sendSnapshot(ws, requestId = undefined) {
+        this.send(ws, {
+            type: 'snapshot',
+            requestId,
+            homeId: ws.homeId,
+            stream: this.streamId,
+            seq: this.getStream(ws.homeId).seq,
+            data: this.getOrchestrator(ws).getSnapshot()
+        });
+    }
+
+    requireControl(ws, message) {
+        if (this.auth.hasScope(ws.principal, 'control')) return true;
+
+        this.sendError(ws, message.requestId, 'forbidden', `${message.type} requires the control scope`);
+        return false;
+    }
+
+    getOrchestrator(ws) {
+        return this.homes.get(ws.homeId);
+    }
+
+    /**
+     * Broadcast callback for a home: numbers each event, buffers it for replay and sends
+     * it to the home's clients subscribed to it
+     */
+    createHomeBroadcast(homeId) {
+        return (event) => {
+            const stream = this.getStream(homeId);
+            stream.seq += 1;
+
+            const topics = this.getEventTopics(event);
+            const message = JSON.stringify({ ...event, homeId, seq: stream.seq });
+
+            stream.events.push({ seq: stream.seq, topics, message });
+            if (stream.events.length > REPLAY_BUFFER_SIZE) {
+                stream.events.shift();
+            }
+
+            this.wss.clients.forEach((client) => {
+                if (client.readyState !== WebSocket.OPEN || client.homeId !== homeId) return;
+                if (this.isSubscribed(client, topics)) {
+                    client.send(message);
+                }
+            });
+        };
+    }
+
+    getStream(homeId) {
+        if (!this.streams.has(homeId)) {
+            this.streams.set(homeId, { seq: 0, events: [] });
+        }
+        return this.streams.get(homeId);
+    }
+
+    isSubscribed(ws, topics) {
+        return topics.some(topic => ws.topics.has(topic));
+    }
+
+    getEventTopics(event) {
+        const topics = [ALL_TOPICS, event.type];
+        if (DEVICE_TOPICS.includes(event.type) && event.data) {
+            const deviceId = event.data.deviceId || event.data.id;
+            if (deviceId) topics.push(`${event.type}:${deviceId}`);
+        }
+        return topics;
+    }
+
+    /**
+     * Ping every client; connections that did not answer the previous ping are dropped
+     */
+    startHeartbeat() {
+        this.heartbeatTimer = setInterval(() => {
+            const ping = JSON.stringify({ type: 'ping', timestamp: new Date().toISOString() });
+
+            this.wss.clients.forEach((client) => {
+                if (!client.isAlive) {
+                    console.log('📱 Dropping unresponsive WebSocket client');
+                    return client.terminate();
+                }
+                client.isAlive = false;
+                client.ping();
+                client.send(ping);
+            });
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    sendAck(ws, message, data) {
+        this.send(ws, { type: 'ack', requestId: message.requestId !== undefined ? message.requestId : null, request: message.type, data });
+    }
+
+    sendError(ws, requestId, code, message, extra = {}) {
+        this.send(ws, { type: 'error', requestId: requestId !== undefined ? requestId : null, code, message, ...extra });
+    }
+
+    send(ws, payload) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(payload));
+        }
+    }
+}
+
+module.exports = WebSocketGateway;
+module.exports.TOPICS = TOPICS;
@@ -0,0 +1,119 @@
+/**
+ * Prediction Backtest
+ * Replays a home's recorded readings through the predictors and reports MAE, MAPE,
+ * RMSE and interval coverage per source and horizon (see services/prediction-backtest.js).
+ *
+ * Usage: npm run backtest -- [--home default] [--days 14] [--step 24] [--horizon 24]
+ *                            [--sources statistical,baseline,ai] [--output report.json]
+ */
+
+require('dotenv').config();
+const { readJson, writeJson } = require('./services/data-store');
+const { DEFAULT_HOME_ID } = require('./services/home-manager');
+const { RealEnergyManagementOrchestrator } = require('./agents/real-orchestrator');
+const { runBacktest } = require('./services/prediction-backtest');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_DAYS = 21;
+// Weather fetched from the provider per request
+const WEATHER_CHUNK_HOURS = 168;
+
+function parseArguments(argv) {
+    const options = { home: DEFAULT_HOME_ID, days: 14, step: 24, horizon: 24, sources: 'statistical,baseline', output: null };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) throw new Error(`Unknown option: ${argv[i]}`);
+        options[name] = argv[++i];
+    }
+
+    ['days', 'step', 'horizon'].forEach(name => {
+        options[name] = Number(options[name]);
+        if (!Number.isInteger(options[name]) || options[name] < 1) throw new Error(`--${name} must be a positive whole number`);
+    });
+    options.sources = options.sources.split(',').map(source => source.trim()).filter(Boolean);
+    return options;
+}
+
+const format = (value, suffix = '') => (value === null ? '-' : `${value}${suffix}`);
+
+function printReport(report) {
+    console.log(`\n📊 Backtest ${report.from} → ${report.to}, every ${report.step_hours}h, ${report.horizon}h ahead`);
+    report.sources.filter(source => !report.by_source[source]).forEach(source => {
+        console.log(`\n${source}: no forecasts could be made from the recorded history`);
+    });
+    Object.entries(report.by_source).forEach(([source, stats]) => {
+        console.log(`\n${source} (${report.cutoffs[source]} forecasts, ${stats.count} hours scored)`);
+        console.log(`   MAE ${format(stats.mae, ' W')}, MAPE ${format(stats.mape, '%')}, RMSE ${format(stats.rmse, ' W')}, coverage ${format(stats.coverage)}`);
+    });
+
+    if (report.by_horizon.length === 0) {
+        console.log('\nNo forecasts could be scored: record more readings or backtest a shorter period.');
+        return;
+    }
+
+    console.log('\nBy horizon:');
+    console.table(report.by_horizon.map(row => ({
+        source: row.source,
+        horizon: row.horizon,
+        count: row.count,
+        mae: row.mae,
+        mape: row.mape,
+        rmse: row.rmse,
+        coverage: row.coverage
+    })));
+}
+
+async function backtest() {
+    const options = parseArguments(process.argv.slice(2));
+
+    const homes = readJson('homes.json', []);
+    if (options.home !== DEFAULT_HOME_ID && !homes.some(home => home.id === options.home)) {
+        throw new Error(`Home not found: ${options.home}`);
+    }
+
+    console.log(`🧪 Backtesting predictions of home ${options.home}...\n`);
+    const orchestrator = new RealEnergyManagementOrchestrator({
+        homeId: options.home,
+        dataPath: options.home === DEFAULT_HOME_ID ? '' : `homes/${options.home}`
+    });
+
+    // Cutoffs up to the last hour whose whole horizon has been recorded
+    const to = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS - options.horizon * HOUR_MS);
+    const from = new Date(to.getTime() - options.days * 24 * HOUR_MS);
+
+    // Weather for the history the forecasts are fitted on and the hours they cover
+    const weatherStart = from.getTime() - HISTORY_DAYS * 24 * HOUR_MS;
+    const weatherHours = Math.round((Date.now() - weatherStart) / HOUR_MS) + 1;
+    try {
+        for (let offset = 0; offset < weatherHours; offset += WEATHER_CHUNK_HOURS) {
+            await orchestrator.weather.fetchRange(new Date(weatherStart + offset * HOUR_MS), Math.min(WEATHER_CHUNK_HOURS, weatherHours - offset));
+        }
+    } catch (error) {
+        console.warn('⚠️ Weather fetch failed, using the weather model:', error.message);
+    }
+
+    const report = await runBacktest({
+        agent: orchestrator.predictionAgent,
+        readingStore: orchestrator.readingStore,
+        weather: orchestrator.weather,
+        getDevices: () => orchestrator.getDevices(),
+        from,
+        to,
+        stepHours: options.step,
+        horizon: options.horizon,
+        sources: options.sources
+    });
+
+    printReport(report);
+    if (options.output) {
+        writeJson(options.output, { home_id: options.home, generated_at: new Date().toISOString(), ...report });
+        console.log(`\n💾 Report written to ${options.output} in the data directory`);
+    }
+}
+
+backtest()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Backtest failed:', error.message);
+        process.exit(1);
+    });
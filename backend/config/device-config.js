@@ -0,0 +1,195 @@
+/**
+ * Device Type Configuration
+ *
+ * Schema per device type used by the device registry (and by the validation of
+ * AI recommendations). Adding a device type is a matter of adding an entry here:
+ * - basePower:    typical draw in watts while on (used when a device has no ratedPower)
+ * - fields:       type-specific settings with their validation rules and defaults
+ *                 (number settings also declare the step and unit of their values)
+ * - capabilities: the device commands (see deviceCommands) the type accepts
+ * - producer:     the device generates power instead of drawing it; its readings
+ *                 are production and are netted against consumption
+ * - storage:      the device stores energy: it draws power while charging and
+ *                 supplies it (as production) while discharging
+ * - vehicle:      the device charges an electric vehicle, following a charging plan
+ *                 (see services/ev-charging-planner.js) while the vehicle is plugged in
+ */
+
+module.exports = {
+    deviceTypes: {
+        hvac: {
+            label: 'HVAC',
+            basePower: 3000,
+            // The zone it conditions (see services/thermal-model.js): how readily heat
+            // leaks through its envelope, how much heat it stores and the heat pump's COP
+            fields: {
+                targetTemp: { type: 'number', min: 60, max: 80, step: 1, unit: '°F', default: 72 },
+                thermalResistance: { type: 'number', min: 0.5, max: 20, step: 0.1, unit: '°F/kW', default: 4 },
+                thermalCapacitance: { type: 'number', min: 0.5, max: 20, step: 0.1, unit: 'kWh/°F', default: 3 },
+                cop: { type: 'number', min: 1, max: 6, step: 0.1, default: 3 }
+            },
+            capabilities: ['turn_on', 'turn_off', 'toggle', 'schedule', 'set_temperature', 'setpoint_schedule']
+        },
+        water_heater: {
+            label: 'Water Heater',
+            basePower: 4000,
+            fields: {
+                targetTemp: { type: 'number', min: 100, max: 140, step: 1, unit: '°F', default: 120 }
+            },
+            capabilities: ['turn_on', 'turn_off', 'toggle', 'schedule', 'set_temperature']
+        },
+        lighting: {
+            label: 'Lighting',
+            basePower: 200,
+            fields: {
+                brightness: { type: 'number', min: 0, max: 100, step: 1, unit: '%', default: 100 }
+            },
+            capabilities: ['turn_on', 'turn_off', 'toggle', 'schedule', 'set_brightness']
+        },
+        appliance: {
+            label: 'Appliance',
+            basePower: 1500,
+            fields: {},
+            capabilities: ['turn_on', 'turn_off', 'toggle', 'schedule']
+        },
+        solar: {
+            label: 'Solar PV',
+            basePower: 0,
+            producer: true,
+            // Array size and orientation, and its location for the sun's path
+            // (see services/solar-model.js); without a longitude solar time follows the local clock
+            fields: {
+                capacityKw: { type: 'number', min: 0.1, max: 100, step: 0.1, unit: 'kW', default: 5 },
+                tilt: { type: 'number', min: 0, max: 90, step: 1, unit: '°', default: 30 },
+                azimuth: { type: 'number', min: 0, max: 359, step: 1, unit: '°', default: 180 },
+                latitude: { type: 'number', min: -66, max: 66, unit: '°', default: 40 },
+                longitude: { type: 'number', min: -180, max: 180, unit: '°' }
+            },
+            // Switching the inverter off curtails production
+            capabilities: ['turn_on', 'turn_off', 'toggle']
+        },
+        battery: {
+            label: 'Home Battery',
+            basePower: 0,
+            storage: true,
+            // Round-trip losses are taken while charging; discharging stops at the reserve
+            fields: {
+                capacityKwh: { type: 'number', min: 0.5, max: 200, step: 0.1, unit: 'kWh', default: 13.5 },
+                maxChargeKw: { type: 'number', min: 0.1, max: 50, step: 0.1, unit: 'kW', default: 5 },
+                maxDischargeKw: { type: 'number', min: 0.1, max: 50, step: 0.1, unit: 'kW', default: 5 },
+                roundTripEfficiency: { type: 'number', min: 0.5, max: 1, step: 0.01, default: 0.9 },
+                reserveSoc: { type: 'number', min: 0, max: 100, step: 1, unit: '%', default: 10 }
+            },
+            capabilities: ['charge', 'discharge', 'hold', 'battery_schedule']
+        },
+        ev_charger: {
+            label: 'EV Charger',
+            basePower: 7200,
+            vehicle: true,
+            // The charger's maximum power and the vehicle it charges: battery size, the
+            // charge to reach and when (HH:MM) the vehicle leaves
+            fields: {
+                maxChargeKw: { type: 'number', min: 1.4, max: 22, step: 0.1, unit: 'kW', default: 7.2 },
+                batteryKwh: { type: 'number', min: 10, max: 200, step: 0.1, unit: 'kWh', default: 60 },
+                targetSoc: { type: 'number', min: 10, max: 100, step: 1, unit: '%', default: 80 },
+                departureTime: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, default: '07:30' }
+            },
+            capabilities: ['turn_on', 'turn_off', 'toggle', 'boost', 'smart_charge']
+        }
+    },
+
+    // Commands a device can be given: the device setting a command's value sets
+    // (its range, step and unit come from that setting's rule), or the value format
+    deviceCommands: {
+        turn_on: { description: 'Switch the device on' },
+        turn_off: { description: 'Switch the device off' },
+        toggle: { description: 'Switch the device on or off' },
+        schedule: { description: 'Switch the device on at a later time', format: 'HH:MM or ISO 8601 date-time' },
+        set_temperature: { description: 'Change the temperature setpoint', field: 'targetTemp' },
+        setpoint_schedule: {
+            description: 'Change the temperature setpoint at given times',
+            format: 'list of { at: HH:MM or ISO 8601 date-time, temperature }'
+        },
+        set_brightness: { description: 'Change the brightness', field: 'brightness' },
+        charge: { description: 'Charge the battery from the grid and any solar surplus' },
+        discharge: { description: 'Supply the home from the battery' },
+        hold: { description: 'Neither charge nor discharge the battery' },
+        battery_schedule: {
+            description: 'Switch the battery between charge, discharge and hold at given times',
+            format: 'list of { at: HH:MM or ISO 8601 date-time, action: charge, discharge or hold }'
+        },
+        boost: { description: 'Charge the vehicle now at full power, ignoring the charging plan, until it reaches its target' },
+        smart_charge: { description: 'Charge the vehicle by its charging plan, in the cheapest hours before departure' }
+    },
+
+    // Actions a recommendation may carry. Device commands apply to the device types
+    // with that capability and take their value rules from deviceCommands.
+    recommendationActions: {
+        turn_on: {},
+        turn_off: {},
+        toggle: {},
+        set_temperature: {},
+        set_brightness: {},
+        schedule: {},
+        monitor: { devicesOptional: true }
+    },
+
+    // Devices registered on first start, before any registry file exists
+    defaultDevices: [
+        {
+            id: 'hvac_001',
+            name: 'Living Room Thermostat',
+            type: 'hvac',
+            location: 'Living Room',
+            isOn: true,
+            targetTemp: 72
+        },
+        {
+            id: 'water_heater_001',
+            name: 'Water Heater',
+            type: 'water_heater',
+            location: 'Basement',
+            isOn: true
+        },
+        {
+            id: 'lighting_001',
+            name: 'Kitchen Lights',
+            type: 'lighting',
+            location: 'Kitchen',
+            isOn: true,
+            brightness: 100
+        },
+        {
+            id: 'washer_001',
+            name: 'Washing Machine',
+            type: 'appliance',
+            location: 'Laundry Room',
+            isOn: false,
+            ratedPower: 2200
+        },
+        {
+            id: 'solar_001',
+            name: 'Rooftop Solar',
+            type: 'solar',
+            location: 'Roof',
+            isOn: true,
+            capacityKw: 6
+        },
+        {
+            id: 'battery_001',
+            name: 'Home Battery',
+            type: 'battery',
+            location: 'Garage',
+            capacityKwh: 13.5
+        },
+        {
+            id: 'ev_charger_001',
+            name: 'EV Charger',
+            type: 'ev_charger',
+            location: 'Garage',
+            batteryKwh: 75,
+            targetSoc: 80,
+            departureTime: '07:30'
+        }
+    ]
+};
@@ -0,0 +1,56 @@
+/**
+ * Household Electrical Configuration
+ *
+ * Default demand-limiting policy, used until one is set through
+ * PUT /api/household/demand-limit:
+ * - serviceCapacity: the current the main breaker allows and the supply voltage
+ *                    (HOUSEHOLD_MAX_CURRENT_A and SUPPLY_VOLTAGE override the defaults);
+ *                    the home never draws more than maxCurrentA × voltage from the grid
+ * - resumeMarginPercent: shed and queued loads resume only while this share of the
+ *                    limit stays free, so they do not switch on and off at the edge
+ * - typePriorities:  priority per device type; devicePriorities overrides it per device id.
+ *                    Loads are shed lowest priority first and 'critical' loads never are
+ *
+ * Default comfort settings, used until they are set through PUT /api/household/comfort:
+ * - bands:          indoor temperature range (°F) the home should stay within from
+ *                   start to end (HH:MM; a band may run past midnight). The first band
+ *                   covering a time applies; times no band covers have no requirement
+ * - zoneBands:      bands per HVAC device id, replacing the household bands for that zone
+ * - comfortPenalty: cost ($) weighed against each °F·h a zone spends outside its band
+ *                   when HVAC setpoints are optimized
+ */
+
+const PRIORITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+function getDefaultDemandPolicy() {
+    return {
+        enabled: true,
+        serviceCapacity: {
+            maxCurrentA: Number(process.env.HOUSEHOLD_MAX_CURRENT_A) || 100,
+            voltage: Number(process.env.SUPPLY_VOLTAGE) || 240
+        },
+        resumeMarginPercent: 10,
+        typePriorities: {
+            lighting: 'critical',
+            hvac: 'high',
+            water_heater: 'medium',
+            appliance: 'low',
+            ev_charger: 'low',
+            battery: 'low'
+        },
+        devicePriorities: {}
+    };
+}
+
+function getDefaultComfortSettings() {
+    return {
+        bands: [
+            { start: '06:00', end: '22:00', min: 68, max: 76 },
+            { start: '22:00', end: '06:00', min: 64, max: 78 }
+        ],
+        zoneBands: {},
+        comfortPenalty: 0.5
+    };
+}
+
+module.exports = { PRIORITY_LEVELS, getDefaultDemandPolicy, getDefaultComfortSettings };
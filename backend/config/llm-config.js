@@ -0,0 +1,44 @@
+/**
+ * LLM Provider Configuration
+ *
+ * Select the provider with LLM_PROVIDER:
+ * - watsonx: IBM watsonx.ai (WATSONX_API_KEY, WATSONX_PROJECT_ID, WATSONX_URL, WATSONX_MODEL_ID)
+ * - openai:  any OpenAI-compatible chat completions endpoint, e.g. a local llama.cpp
+ *            or Ollama server (OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_API_KEY)
+ * - replay:  recorded responses from LLM_REPLAY_FILE (default DATA_DIR/llm-recordings.json),
+ *            for offline runs and tests
+ *
+ * Set LLM_RECORD_FILE to record every response of the active provider in the
+ * format the replay provider reads.
+ */
+
+function getLlmConfig() {
+    return {
+        provider: process.env.LLM_PROVIDER || 'watsonx',
+        recordFile: process.env.LLM_RECORD_FILE || null,
+
+        providers: {
+            watsonx: {
+                apiKey: process.env.WATSONX_API_KEY,
+                projectId: process.env.WATSONX_PROJECT_ID,
+                baseUrl: process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com',
+                modelId: process.env.WATSONX_MODEL_ID || 'ibm/granite-3-8b-instruct',
+                iamUrl: 'https://iam.cloud.ibm.com/identity/token',
+                timeout: 30000
+            },
+            openai: {
+                // Defaults to a local Ollama server (http://localhost:11434/v1)
+                baseUrl: process.env.OPENAI_BASE_URL || null,
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.OPENAI_MODEL || 'llama3.1',
+                timeout: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 60000
+            },
+            replay: {
+                // Defaults to llm-recordings.json in DATA_DIR
+                file: process.env.LLM_REPLAY_FILE || null
+            }
+        }
+    };
+}
+
+module.exports = { getLlmConfig };
@@ -0,0 +1,54 @@
+/**
+ * Default Electricity Tariff
+ *
+ * Used until a tariff is set through PUT /api/tariffs. Supported types:
+ * - flat:        a single rate per kWh (flatRate)
+ * - tiered:      rates by monthly volume (tiers, each up to a cumulative kWh; the last has upToKwh: null)
+ * - time_of_use: rates per period, with weekday/weekend/holiday schedules of time windows
+ *
+ * Every type may add a fixed daily charge and an exportRate ($/kWh credited for
+ * energy exported to the grid, e.g. from solar); time_of_use tariffs may set
+ * exportRates per period instead. Times are HH:MM in server local time, a window
+ * whose end is not after its start wraps past midnight.
+ */
+
+module.exports = {
+    defaultTariff: {
+        name: 'Standard Time-of-Use',
+        type: 'time_of_use',
+        currency: 'USD',
+        fixedDailyCharge: 0,
+        exportRate: 0.05,
+
+        // time_of_use: $/kWh per period
+        rates: {
+            off_peak: 0.08,
+            standard: 0.12,
+            peak: 0.20
+        },
+        defaultPeriod: 'standard',
+        schedules: {
+            weekday: [
+                { period: 'peak', start: '07:00', end: '10:00' },
+                { period: 'peak', start: '17:00', end: '22:00' },
+                { period: 'off_peak', start: '23:00', end: '07:00' }
+            ],
+            weekend: [
+                { period: 'off_peak', start: '23:00', end: '07:00' }
+            ],
+            holiday: [
+                { period: 'off_peak', start: '23:00', end: '07:00' }
+            ]
+        },
+        holidays: [],
+
+        // flat
+        flatRate: 0.12,
+
+        // tiered
+        tiers: [
+            { upToKwh: 500, rate: 0.11 },
+            { upToKwh: null, rate: 0.15 }
+        ]
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Weather Provider Configuration
+ *
+ * Select the provider with WEATHER_PROVIDER:
+ * - model: typical weather for the location and date, computed offline (the default)
+ * - file:  hourly weather from a CSV or JSON file (WEATHER_FILE, default DATA_DIR/weather.csv)
+ * - http:  a forecast service answering GET <WEATHER_URL>/forecast, such as the local
+ *          stand-in in simulators/weather-server.js
+ *
+ * Hours a provider does not cover, or fields it leaves out, are filled in from the model.
+ * Temperatures are in °F, humidity and cloud cover in % and irradiance is the global
+ * horizontal irradiance in W/m².
+ */
+
+function getWeatherConfig() {
+    return {
+        provider: process.env.WEATHER_PROVIDER || 'model',
+        latitude: parseFloat(process.env.WEATHER_LATITUDE) || 40,
+        // Without a longitude, solar time follows the local clock (as for solar devices)
+        longitude: process.env.WEATHER_LONGITUDE !== undefined ? parseFloat(process.env.WEATHER_LONGITUDE) : undefined,
+        refreshMinutes: parseInt(process.env.WEATHER_REFRESH_MINUTES, 10) || 30,
+
+        providers: {
+            model: {},
+            file: {
+                // Defaults to weather.csv in DATA_DIR
+                file: process.env.WEATHER_FILE || null
+            },
+            http: {
+                // Defaults to the local stand-in (http://localhost:3100)
+                baseUrl: process.env.WEATHER_URL || 'http://localhost:3100',
+                timeout: parseInt(process.env.WEATHER_TIMEOUT_MS, 10) || 10000
+            }
+        }
+    };
+}
+
+module.exports = { getWeatherConfig };
@@ -12,18 +12,65 @@ const WebSocket = require('ws');
 const http = require('http');
 require('dotenv').config();
 
+const AuthService = require('./services/auth-service');
+const HomeManager = require('./services/home-manager');
+const MqttBridge = require('./services/mqtt-bridge');
+const WebSocketGateway = require('./api/websocket-gateway');
+const { authenticate, getUpgradeToken } = require('./api/middleware/auth');
+const { selectHome, selectDefaultHome } = require('./api/middleware/home');
+
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+
+// Accounts and API tokens for the REST API and WebSocket
+const auth = new AuthService();
+app.locals.auth = auth;
+
+// MQTT telemetry ingestion and device commands (MQTT_BROKER=mqtt://host:1883, or 'local' for an in-process broker)
+const mqttBridge = process.env.MQTT_BROKER
+    ? new MqttBridge({ brokerUrl: process.env.MQTT_BROKER, getHome: (homeId) => homes.get(homeId) })
+    : null;
+
+// Initialize the homes, each with its own REAL AI orchestrator, and attach to app
+const homes = new HomeManager({ mqttBridge });
+app.locals.homes = homes;
+
+// WebSocket connections need a token with at least the read scope, and subscribe
+// to a single home (?homeId=, the default home when omitted)
+const wss = new WebSocket.Server({
+    server,
+    verifyClient: (info, done) => {
+        const principal = auth.authenticateToken(getUpgradeToken(info.req));
+        if (!principal || !auth.hasScope(principal, 'read')) {
+            console.warn('🔐 Rejected unauthenticated WebSocket connection');
+            return done(false, 401, 'Unauthorized');
+        }
+
+        const url = new URL(info.req.url, 'http://localhost');
+        const homeId = url.searchParams.get('homeId') || HomeManager.DEFAULT_HOME_ID;
+        if (!homes.has(homeId) || !auth.canAccessHome(principal, homeId)) {
+            console.warn(`🏠 Rejected WebSocket connection for unknown home ${homeId}`);
+            return done(false, 404, 'Home not found');
+        }
+
+        info.req.principal = principal;
+        info.req.homeId = homeId;
+        done(true);
+    }
+});
 
 // Import routes
 const deviceRoutes = require('./api/routes/devices');
 const energyRoutes = require('./api/routes/energy');
 const predictionRoutes = require('./api/routes/predictions');
 const optimizationRoutes = require('./api/routes/optimization');
-
-// Import services - REAL AI ORCHESTRATOR
-const { RealEnergyManagementOrchestrator } = require('./agents/real-orchestrator');
+const tariffRoutes = require('./api/routes/tariffs');
+const scheduleRoutes = require('./api/routes/schedules');
+const authRoutes = require('./api/routes/auth');
+const auditRoutes = require('./api/routes/audit');
+const homeRoutes = require('./api/routes/homes');
+const householdRoutes = require('./api/routes/household');
+const demandResponseRoutes = require('./api/routes/demand-response');
 
 // Middleware
 app.use(helmet());
@@ -32,10 +79,6 @@ app.use(morgan('combined'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Initialize REAL AI orchestrator and attach to app
-const orchestrator = new RealEnergyManagementOrchestrator();
-app.locals.orchestrator = orchestrator;
-
 // Root welcome message
 app.get('/', (req, res) => {
     res.json({
@@ -47,16 +90,31 @@ app.get('/', (req, res) => {
     });
 });
 
-// Routes
-app.use('/api/devices', deviceRoutes);
-app.use('/api/energy', energyRoutes);
-app.use('/api/predictions', predictionRoutes);
-app.use('/api/optimization', optimizationRoutes);
+// Per-home routes, served for a home under /api/homes/:homeId/... and for the default home under /api/...
+const homeRouter = express.Router({ mergeParams: true });
+homeRouter.use('/devices', deviceRoutes);
+homeRouter.use('/energy', energyRoutes);
+homeRouter.use('/predictions', predictionRoutes);
+homeRouter.use('/optimization', optimizationRoutes);
+homeRouter.use('/tariffs', tariffRoutes);
+homeRouter.use('/schedules', scheduleRoutes);
+homeRouter.use('/audit', auditRoutes);
+homeRouter.use('/household', householdRoutes);
+homeRouter.use('/demand-response', demandResponseRoutes);
+
+// Routes (login is public; everything else under /api needs a token)
+app.use('/api/auth', authRoutes);
+app.use('/api', authenticate);
+app.use('/api/homes', homeRoutes);
+app.use('/api/homes/:homeId', selectHome, homeRouter);
+app.use('/api', selectDefaultHome, homeRouter);
 
 // Health check with AI system status
 app.get('/health', async (req, res) => {
     try {
+        const orchestrator = homes.get(HomeManager.DEFAULT_HOME_ID);
         const systemStats = orchestrator.getSystemStats();
+        const llmProviders = await orchestrator.getLlmProvidersHealth();
         
         res.json({ 
             status: 'healthy', 
@@ -68,6 +126,9 @@ app.get('/health', async (req, res) => {
                 ai_system: systemStats.system_health,
                 watsonx_service: 'integrated'
             },
+            llm_providers: llmProviders,
+            homes_count: homes.list().length,
+            mqtt: mqttBridge ? mqttBridge.getStatus() : { enabled: false },
             system_stats: systemStats
         });
     } catch (error) {
@@ -79,31 +140,16 @@ app.get('/health', async (req, res) => {
     }
 });
 
-// WebSocket for real-time updates
-wss.on('connection', (ws) => {
-    console.log('📱 Client connected to WebSocket');
-    
-    ws.on('message', (message) => {
-        console.log('📥 Received:', message.toString());
-    });
-    
-    ws.on('close', () => {
-        console.log('📱 Client disconnected');
-    });
-});
+// WebSocket for real-time updates: topic subscriptions, commands and heartbeats
+const gateway = new WebSocketGateway({ wss, auth, homes });
+gateway.startHeartbeat();
 
-// Broadcast real-time data to all connected clients
-function broadcastToClients(data) {
-    wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(data));
-        }
-    });
+// Start background processes for every home, broadcasting to the clients subscribed to it
+homes.startAll((homeId) => gateway.createHomeBroadcast(homeId));
+if (mqttBridge) {
+    mqttBridge.start();
 }
 
-// Start background processes
-orchestrator.startRealTimeProcessing(broadcastToClients);
-
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
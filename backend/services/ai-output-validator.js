@@ -0,0 +1,345 @@
+/**
+ * AI Output Validator
+ * JSON schemas for the structured AI outputs (analysis, predictions, recommendations),
+ * with field-level repair and statistics on what the model got wrong
+ */
+
+const { deviceCommands, recommendationActions } = require('../config/device-config');
+const { validateCommand } = require('./device-capabilities');
+
+const MAX_RECENT_REJECTIONS = 50;
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const SCHEMAS = {
+    analysis: {
+        type: 'object',
+        required: ['efficiency_score', 'insights'],
+        properties: {
+            efficiency_score: { type: 'number', minimum: 0, maximum: 1, percentToRatio: true },
+            peak_usage_time: { type: 'string' },
+            anomalies: stringArray,
+            insights: stringArray,
+            potential_issues: stringArray
+        }
+    },
+
+    predictions: {
+        type: 'object',
+        required: ['predictions'],
+        properties: {
+            predictions: {
+                type: 'array',
+                minItems: 24,
+                maxItems: 24,
+                check: checkPredictionHours,
+                items: {
+                    type: 'object',
+                    required: ['hour', 'predictedUsage', 'confidence'],
+                    properties: {
+                        hour: { type: 'integer', minimum: 0, maximum: 23 },
+                        predictedUsage: { type: 'number', exclusiveMinimum: 0, maximum: 20000 },
+                        predictedCost: { type: 'number', minimum: 0 },
+                        confidence: { type: 'number', exclusiveMinimum: 0, maximum: 1, percentToRatio: true },
+                        factors: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    recommendations: {
+        type: 'object',
+        required: ['recommendations'],
+        properties: {
+            recommendations: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['title', 'description', 'potentialSavings', 'devices', 'action'],
+                    check: checkRecommendationTarget,
+                    properties: {
+                        id: { type: 'string' },
+                        title: { type: 'string', minLength: 1 },
+                        description: { type: 'string', minLength: 1 },
+                        category: { type: 'string' },
+                        potentialSavings: { type: 'number', minimum: 0, maximum: 50 },
+                        priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+                        difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+                        estimatedTime: { type: 'string' },
+                        devices: { type: 'array', items: { type: 'string' } },
+                        action: { type: 'string', enum: Object.keys(recommendationActions) },
+                        value: { type: ['string', 'number'] },
+                        durationMinutes: { type: 'number', exclusiveMinimum: 0, maximum: 1440 }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Predictions must cover each of the next 24 hours once; they are returned
+ * ordered from the current hour
+ */
+function checkPredictionHours(predictions, context) {
+    const hours = new Set(predictions.map(p => p.hour));
+    if (hours.size !== predictions.length) {
+        return 'hours must not repeat';
+    }
+
+    if (context.currentHour !== undefined) {
+        const offset = hour => (hour - context.currentHour + 24) % 24;
+        predictions.sort((a, b) => offset(a.hour) - offset(b.hour));
+    }
+    return null;
+}
+
+/**
+ * Recommendations must target registered devices with an action that applies to
+ * them and a value within the device's setting range
+ */
+function checkRecommendationTarget(rec, context) {
+    const actionConfig = recommendationActions[rec.action];
+    const devices = context.devices || [];
+
+    if (rec.devices.length === 0 && !actionConfig.devicesOptional) {
+        return { field: 'devices', reason: `action ${rec.action} needs at least one device` };
+    }
+
+    for (const deviceId of rec.devices) {
+        const device = devices.find(d => d.id === deviceId);
+        if (!device) {
+            return { field: 'devices', reason: `unknown device ${deviceId}` };
+        }
+        if (!deviceCommands[rec.action]) continue;
+
+        const validation = validateCommand(device, rec.action, rec.value);
+        if (validation.code === 'unsupported') {
+            return { field: 'action', reason: `${rec.action} does not apply to ${device.type} device ${deviceId}` };
+        }
+        if (!validation.valid) {
+            return { field: 'value', reason: `${rec.action} ${validation.errors.join('; ')}` };
+        }
+    }
+
+    if (rec.action === 'schedule' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(rec.value))) {
+        return { field: 'value', reason: 'schedule value must be a HH:MM time' };
+    }
+
+    return null;
+}
+
+class AiOutputValidator {
+    constructor() {
+        this.stats = {};
+        this.recentRejections = [];
+    }
+
+    /**
+     * Validate (and repair where possible) an AI output of the given kind.
+     * Invalid optional fields and invalid array items are dropped; the output is
+     * only invalid when something required cannot be salvaged.
+     * Returns { valid, data, errors, rejected }.
+     */
+    validate(kind, output, context = {}) {
+        const schema = SCHEMAS[kind];
+        if (!schema) throw new Error(`Unknown AI output kind: ${kind}`);
+
+        const rejected = [];
+        let result;
+
+        if (output === null || output === undefined) {
+            rejected.push({ path: '$', reason: 'response is not valid JSON' });
+            result = { ok: false };
+        } else {
+            result = this.validateNode(schema, output, '$', rejected, context);
+        }
+
+        const valid = result.ok;
+        this.recordValidation(kind, valid, rejected);
+
+        return {
+            valid,
+            data: valid ? result.value : null,
+            errors: rejected.map(r => `${r.path}: ${r.reason}`),
+            rejected
+        };
+    }
+
+    validateNode(schema, value, path, rejected, context) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        let current = value;
+
+        // Repair numbers sent as strings (e.g. "1.25") and percentages sent for ratios
+        if ((types.includes('number') || types.includes('integer')) && typeof current === 'string'
+            && current.trim() !== '' && !isNaN(Number(current)) && !types.includes('string')) {
+            current = Number(current);
+        }
+        if (schema.percentToRatio && typeof current === 'number' && current > 1 && current <= 100) {
+            current = current / 100;
+        }
+
+        const typeError = this.checkType(types, current);
+        if (typeError) {
+            rejected.push({ path, reason: typeError });
+            return { ok: false };
+        }
+
+        if (typeof current === 'string') {
+            current = current.trim();
+            if (schema.enum) {
+                const normalized = current.toLowerCase();
+                if (!schema.enum.includes(normalized)) {
+                    rejected.push({ path, reason: `must be one of ${schema.enum.join(', ')}` });
+                    return { ok: false };
+                }
+                current = normalized;
+            }
+            if (schema.minLength && current.length < schema.minLength) {
+                rejected.push({ path, reason: 'must not be empty' });
+                return { ok: false };
+            }
+        }
+
+        if (typeof current === 'number') {
+            const rangeError = this.checkRange(schema, current);
+            if (rangeError) {
+                rejected.push({ path, reason: rangeError });
+                return { ok: false };
+            }
+        }
+
+        if (types.includes('array')) {
+            const items = [];
+            current.forEach((item, index) => {
+                const child = this.validateNode(schema.items, item, `${path}[${index}]`, rejected, context);
+                if (child.ok) items.push(child.value);
+            });
+
+            if (schema.minItems !== undefined && items.length < schema.minItems) {
+                rejected.push({ path, reason: `needs at least ${schema.minItems} valid items, got ${items.length}` });
+                return { ok: false };
+            }
+            current = schema.maxItems !== undefined ? items.slice(0, schema.maxItems) : items;
+        }
+
+        if (types.includes('object')) {
+            const object = {};
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const required = (schema.required || []).includes(key);
+                if (current[key] === undefined || current[key] === null) {
+                    if (required) {
+                        rejected.push({ path: `${path}.${key}`, reason: 'is required' });
+                        return { ok: false };
+                    }
+                    continue;
+                }
+
+                const child = this.validateNode(propertySchema, current[key], `${path}.${key}`, rejected, context);
+                if (child.ok) object[key] = child.value;
+                else if (required) return { ok: false };
+            }
+            current = object;
+        }
+
+        if (schema.check) {
+            const checkError = schema.check(current, context);
+            if (checkError) {
+                const field = typeof checkError === 'object' ? checkError.field : null;
+                const reason = typeof checkError === 'object' ? checkError.reason : checkError;
+                rejected.push({ path: field ? `${path}.${field}` : path, reason });
+                return { ok: false };
+            }
+        }
+
+        return { ok: true, value: current };
+    }
+
+    checkType(types, value) {
+        const matches = types.some(type => {
+            switch (type) {
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'array': return Array.isArray(value);
+                case 'string': return typeof value === 'string';
+                case 'number': return typeof value === 'number' && isFinite(value);
+                case 'integer': return Number.isInteger(value);
+                default: return false;
+            }
+        });
+        return matches ? null : `must be ${types.join(' or ')}`;
+    }
+
+    checkRange(schema, value) {
+        if (schema.minimum !== undefined && value < schema.minimum) return `must be at least ${schema.minimum}`;
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return `must be greater than ${schema.exclusiveMinimum}`;
+        if (schema.maximum !== undefined && value > schema.maximum) return `must be at most ${schema.maximum}`;
+        return null;
+    }
+
+    getKindStats(kind) {
+        if (!this.stats[kind]) {
+            this.stats[kind] = {
+                validations: 0,
+                passed: 0,
+                repaired: 0,
+                invalid: 0,
+                reprompts: 0,
+                fallbacks: 0,
+                rejected_fields: {}
+            };
+        }
+        return this.stats[kind];
+    }
+
+    recordValidation(kind, valid, rejected) {
+        const stats = this.getKindStats(kind);
+        stats.validations++;
+
+        if (!valid) stats.invalid++;
+        else if (rejected.length > 0) stats.repaired++;
+        else stats.passed++;
+
+        rejected.forEach(rejection => {
+            // Aggregate by field, regardless of array index
+            const field = rejection.path.replace(/\[\d+\]/g, '[]');
+            stats.rejected_fields[field] = (stats.rejected_fields[field] || 0) + 1;
+
+            this.recentRejections.push({
+                kind,
+                ...rejection,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        if (this.recentRejections.length > MAX_RECENT_REJECTIONS) {
+            this.recentRejections = this.recentRejections.slice(-MAX_RECENT_REJECTIONS);
+        }
+
+        if (rejected.length > 0) {
+            console.warn(`⚠️ AI ${kind} output: rejected ${rejected.length} field(s): ${rejected.map(r => r.path).join(', ')}`);
+        }
+    }
+
+    recordReprompt(kind) {
+        this.getKindStats(kind).reprompts++;
+    }
+
+    recordFallback(kind) {
+        this.getKindStats(kind).fallbacks++;
+    }
+
+    /**
+     * Validation statistics per output kind plus the most recent rejections
+     */
+    getStats() {
+        return {
+            by_kind: this.stats,
+            recent_rejections: this.recentRejections
+        };
+    }
+}
+
+module.exports = AiOutputValidator;
+module.exports.SCHEMAS = SCHEMAS;
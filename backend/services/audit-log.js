@@ -0,0 +1,60 @@
+/**
+ * Audit Log
+ * Append-only record of every device command and the principal that issued it
+ */
+
+const { appendJsonLine, readJsonLines } = require('./data-store');
+
+// Principal for commands the system issues on its own
+const SYSTEM_PRINCIPAL = { type: 'system', id: 'system', name: 'system' };
+
+class AuditLog {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'audit.jsonl';
+    }
+
+    /**
+     * Record a device command
+     */
+    record(entry) {
+        const record = {
+            timestamp: new Date().toISOString(),
+            principal: entry.principal || SYSTEM_PRINCIPAL,
+            source: entry.source || 'api',
+            deviceId: entry.deviceId,
+            action: entry.action,
+            value: entry.value === undefined ? null : entry.value,
+            success: entry.success,
+            message: entry.message || null,
+            ...(entry.details || {})
+        };
+
+        try {
+            appendJsonLine(this.fileName, record);
+        } catch (error) {
+            console.error('❌ Failed to write audit record:', error.message);
+        }
+        return record;
+    }
+
+    /**
+     * Most recent audit records first, optionally filtered by device or principal
+     */
+    query({ deviceId, principalId, from, to, limit = 100 } = {}) {
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+
+        return readJsonLines(this.fileName)
+            .filter(record =>
+                (!deviceId || record.deviceId === deviceId) &&
+                (!principalId || (record.principal && record.principal.id === principalId)) &&
+                Date.parse(record.timestamp) >= fromTime &&
+                Date.parse(record.timestamp) <= toTime
+            )
+            .reverse()
+            .slice(0, limit);
+    }
+}
+
+module.exports = AuditLog;
+module.exports.SYSTEM_PRINCIPAL = SYSTEM_PRINCIPAL;
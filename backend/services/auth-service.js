@@ -0,0 +1,337 @@
+/**
+ * Authentication Service
+ * User accounts with scrypt-hashed passwords and scoped API tokens
+ * (read, control, admin) for the REST API and WebSocket connections
+ */
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./data-store');
+
+// Each scope includes the ones before it: control can read, admin can do everything
+const SCOPES = ['read', 'control', 'admin'];
+const LOGIN_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const TOKEN_PREFIX = 'seo_';
+// Home list that grants access to every home
+const ALL_HOMES = ['*'];
+
+// Principal used for every request when authentication is disabled
+const ANONYMOUS_PRINCIPAL = { type: 'anonymous', id: 'anonymous', name: 'anonymous', scopes: ['admin'], homes: ALL_HOMES };
+
+class AuthService {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'auth.json';
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.AUTH_ENABLED !== 'false';
+
+        const stored = readJson(this.fileName, {});
+        this.users = Array.isArray(stored.users) ? stored.users : [];
+        this.tokens = Array.isArray(stored.tokens) ? stored.tokens : [];
+        if (this.pruneExpiredTokens() > 0) this.save();
+
+        if (!this.enabled) {
+            console.warn('⚠️ Authentication is disabled (AUTH_ENABLED=false); every request has admin access');
+        } else if (this.users.length === 0) {
+            this.createInitialAdmin();
+        }
+
+        console.log(`🔐 Auth service initialized with ${this.users.length} users and ${this.tokens.filter(t => !t.revoked_at).length} active tokens`);
+    }
+
+    /**
+     * Create the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD, or with a
+     * generated password that is printed once
+     */
+    createInitialAdmin() {
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+        this.createUser({ username, password, scopes: ['admin'] });
+
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log(`🔐 Created initial admin account "${username}" with password: ${password}`);
+            console.log('🔐 Change it or set ADMIN_PASSWORD before the first start');
+        }
+    }
+
+    /**
+     * Resolve the principal for a bearer token, or null when it is not valid
+     */
+    authenticateToken(token) {
+        if (!this.enabled) return ANONYMOUS_PRINCIPAL;
+        if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+        const hash = this.hashToken(token);
+        const record = this.tokens.find(t => t.token_hash === hash);
+        if (!record || record.revoked_at) return null;
+        if (record.expires_at && Date.parse(record.expires_at) <= Date.now()) return null;
+
+        const user = this.users.find(u => u.id === record.user_id);
+        if (!user) return null;
+
+        record.last_used_at = new Date().toISOString();
+
+        return {
+            type: 'token',
+            id: record.id,
+            name: `${user.username}/${record.name}`,
+            user_id: user.id,
+            username: user.username,
+            // A token never has more access than its user
+            scopes: record.scopes.filter(scope => this.hasScope(user, scope)),
+            homes: user.homes || ALL_HOMES
+        };
+    }
+
+    /**
+     * Exchange a username and password for a short-lived token
+     */
+    login(username, password) {
+        const user = this.users.find(u => u.username === username);
+        if (!user || !this.verifyPassword(password, user.password_hash)) {
+            return { success: false, code: 'unauthorized', message: 'Invalid username or password' };
+        }
+
+        return this.createToken(user.id, {
+            name: 'login',
+            scopes: user.scopes,
+            expiresAt: new Date(Date.now() + LOGIN_TOKEN_TTL_MS).toISOString()
+        });
+    }
+
+    /**
+     * Does a principal (or user) have a scope, directly or through a broader one?
+     */
+    hasScope(principal, scope) {
+        if (!principal) return false;
+        const required = SCOPES.indexOf(scope);
+        return principal.scopes.some(granted => SCOPES.indexOf(granted) >= required);
+    }
+
+    /**
+     * May a principal (or user) access a home? Users without a home list can access every home.
+     */
+    canAccessHome(principal, homeId) {
+        if (!principal) return false;
+        const homes = principal.homes || ALL_HOMES;
+        return homes.includes('*') || homes.includes(homeId);
+    }
+
+    /**
+     * Does a principal have access to every home in a list? Only principals with
+     * every home can grant every home.
+     */
+    canAccessHomes(principal, homes) {
+        if (this.canAccessHome(principal, '*')) return true;
+        return !homes.includes('*') && homes.every(homeId => this.canAccessHome(principal, homeId));
+    }
+
+    /**
+     * Users, limited to those whose homes the principal can access when one is given
+     */
+    listUsers(principal = null) {
+        return this.users
+            .filter(user => !principal || this.canAccessHomes(principal, user.homes || ALL_HOMES))
+            .map(user => this.describeUser(user));
+    }
+
+    /**
+     * Create a user account. When a principal creates it, the user can only be
+     * given homes the principal can access (the principal's homes by default).
+     */
+    createUser(data, principal = null) {
+        const errors = [];
+        if (!data || typeof data.username !== 'string' || !/^[a-z0-9_.-]{3,64}$/i.test(data.username)) {
+            errors.push('username must be 3-64 letters, digits, dots, dashes or underscores');
+        } else if (this.users.some(u => u.username === data.username)) {
+            return { success: false, code: 'conflict', message: `User ${data.username} already exists` };
+        }
+        if (!data || typeof data.password !== 'string' || data.password.length < 8) {
+            errors.push('password must be at least 8 characters');
+        }
+        errors.push(...this.validateScopes(data && data.scopes));
+        if (data && data.homes !== undefined &&
+            (!Array.isArray(data.homes) || data.homes.length === 0 || data.homes.some(home => typeof home !== 'string'))) {
+            errors.push('homes must be a non-empty array of home ids, or ["*"] for every home');
+        } else if (principal && data.homes !== undefined && !this.canAccessHomes(principal, data.homes)) {
+            errors.push('homes must be homes you can access');
+        }
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid user', errors };
+        }
+
+        const user = {
+            id: `usr_${crypto.randomBytes(6).toString('hex')}`,
+            username: data.username,
+            password_hash: this.hashPassword(data.password),
+            scopes: data.scopes,
+            homes: data.homes || (principal && principal.homes) || ALL_HOMES,
+            created_at: new Date().toISOString()
+        };
+        this.users.push(user);
+        this.save();
+
+        console.log(`🔐 Created user ${user.username} (${user.scopes.join(', ')})`);
+        return { success: true, user: this.describeUser(user) };
+    }
+
+    /**
+     * Delete a user and revoke their tokens. A principal can only delete users whose
+     * homes it can access.
+     */
+    deleteUser(userId, principal = null) {
+        const user = this.users.find(u => u.id === userId);
+        if (!user || (principal && !this.canAccessHomes(principal, user.homes || ALL_HOMES))) {
+            return { success: false, code: 'not_found', message: 'User not found' };
+        }
+        if (this.hasScope(user, 'admin') && this.users.filter(u => this.hasScope(u, 'admin')).length === 1) {
+            return { success: false, code: 'conflict', message: 'Cannot delete the last admin' };
+        }
+
+        this.users = this.users.filter(u => u.id !== userId);
+        const now = new Date().toISOString();
+        this.tokens.forEach(token => {
+            if (token.user_id === userId && !token.revoked_at) token.revoked_at = now;
+        });
+        this.save();
+
+        console.log(`🔐 Deleted user ${user.username}`);
+        return { success: true, user: this.describeUser(user) };
+    }
+
+    /**
+     * Tokens of a user (or every token when userId is null, limited to the users
+     * whose homes the principal can access when one is given); secrets are never returned
+     */
+    listTokens(userId = null, principal = null) {
+        const users = principal ? this.listUsers(principal).map(user => user.id) : null;
+        return this.tokens
+            .filter(token => !userId || token.user_id === userId)
+            .filter(token => !users || users.includes(token.user_id))
+            .map(token => this.describeToken(token));
+    }
+
+    /**
+     * Issue an API token for a user. The token itself is only returned here.
+     */
+    createToken(userId, data = {}) {
+        const user = this.users.find(u => u.id === userId);
+        if (!user) {
+            return { success: false, code: 'not_found', message: 'User not found' };
+        }
+
+        const errors = [];
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            errors.push('name is required');
+        }
+        const scopeErrors = this.validateScopes(data.scopes);
+        errors.push(...scopeErrors);
+        if (scopeErrors.length === 0 && data.scopes.some(scope => !this.hasScope(user, scope))) {
+            errors.push('a token cannot have scopes its user does not have');
+        }
+        if (data.expiresAt !== undefined && data.expiresAt !== null && isNaN(Date.parse(data.expiresAt))) {
+            errors.push('expiresAt must be an ISO date-time');
+        }
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid token', errors };
+        }
+
+        const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+        const record = {
+            id: `tok_${crypto.randomBytes(6).toString('hex')}`,
+            name: data.name.trim(),
+            user_id: user.id,
+            scopes: data.scopes,
+            token_hash: this.hashToken(secret),
+            created_at: new Date().toISOString(),
+            expires_at: data.expiresAt || null,
+            last_used_at: null,
+            revoked_at: null
+        };
+        this.pruneExpiredTokens();
+        this.tokens.push(record);
+        this.save();
+
+        return { success: true, token: secret, info: this.describeToken(record) };
+    }
+
+    /**
+     * Revoke a token. Users may revoke their own tokens; admins those of the users
+     * whose homes they can access.
+     */
+    revokeToken(tokenId, principal) {
+        const record = this.tokens.find(t => t.id === tokenId);
+        const owner = record && this.users.find(u => u.id === record.user_id);
+        const managed = this.hasScope(principal, 'admin') && (!owner || this.canAccessHomes(principal, owner.homes || ALL_HOMES));
+        if (!record || (record.user_id !== principal.user_id && !managed)) {
+            return { success: false, code: 'not_found', message: 'Token not found' };
+        }
+        if (record.revoked_at) {
+            return { success: false, code: 'conflict', message: 'Token is already revoked' };
+        }
+
+        record.revoked_at = new Date().toISOString();
+        this.save();
+
+        return { success: true, info: this.describeToken(record) };
+    }
+
+    /**
+     * Drop the records of expired tokens (every login leaves one); returns how many
+     */
+    pruneExpiredTokens() {
+        const now = Date.now();
+        const count = this.tokens.length;
+        this.tokens = this.tokens.filter(token => !token.expires_at || Date.parse(token.expires_at) > now);
+        return count - this.tokens.length;
+    }
+
+    validateScopes(scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+            return [`scopes must be a non-empty array of ${SCOPES.join(', ')}`];
+        }
+        return [];
+    }
+
+    hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    verifyPassword(password, stored) {
+        if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+        const [algorithm, salt, hash] = stored.split('$');
+        if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    describeUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            scopes: user.scopes,
+            homes: user.homes || ALL_HOMES,
+            created_at: user.created_at
+        };
+    }
+
+    describeToken(record) {
+        const { token_hash, ...info } = record;
+        return info;
+    }
+
+    save() {
+        writeJson(this.fileName, { users: this.users, tokens: this.tokens });
+    }
+}
+
+module.exports = AuthService;
+module.exports.SCOPES = SCOPES;
+module.exports.ANONYMOUS_PRINCIPAL = ANONYMOUS_PRINCIPAL;
@@ -0,0 +1,138 @@
+/**
+ * Comfort Settings
+ * The household's comfort bands: the indoor temperature range each HVAC zone should
+ * stay within at each time of day, and the weight given to leaving it when HVAC
+ * setpoints are optimized (see services/thermal-model.js).
+ */
+
+const { getDefaultComfortSettings } = require('../config/household-config');
+const { deviceTypes } = require('../config/device-config');
+const { readJson, writeJson } = require('./data-store');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class ComfortSettings {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'comfort.json';
+
+        const stored = readJson(this.fileName, null);
+        const errors = stored ? this.validateSettings(stored) : [];
+        if (errors.length > 0) {
+            console.warn(`⚠️ Stored comfort settings are invalid (${errors.join('; ')}), using the default settings`);
+        }
+        this.settings = stored && errors.length === 0 ? { ...getDefaultComfortSettings(), ...stored } : getDefaultComfortSettings();
+
+        console.log(`🌡️ Comfort settings loaded with ${this.settings.bands.length} household bands`);
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    /**
+     * Validate, persist and activate comfort settings; fields left out keep their default
+     */
+    setSettings(settings) {
+        const errors = this.validateSettings(settings);
+        if (errors.length > 0) {
+            return { success: false, message: 'Invalid comfort settings', errors };
+        }
+
+        this.settings = {
+            ...getDefaultComfortSettings(),
+            ...settings,
+            updated_at: new Date().toISOString()
+        };
+        writeJson(this.fileName, this.settings);
+
+        console.log(`🌡️ Comfort settings replaced: ${this.settings.bands.length} household bands, ${Object.keys(this.settings.zoneBands).length} zone overrides`);
+        return { success: true, settings: this.settings };
+    }
+
+    /**
+     * Validate comfort settings, returning a list of errors
+     */
+    validateSettings(settings) {
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(settings)) return ['Settings must be a JSON object'];
+
+        const errors = [];
+        if (settings.bands !== undefined) {
+            errors.push(...this.validateBands(settings.bands, 'bands'));
+        }
+        if (settings.zoneBands !== undefined) {
+            if (!isObject(settings.zoneBands)) {
+                errors.push('zoneBands must be an object of band lists by device id');
+            } else {
+                Object.entries(settings.zoneBands).forEach(([deviceId, bands]) => {
+                    errors.push(...this.validateBands(bands, `zoneBands.${deviceId}`));
+                });
+            }
+        }
+        if (settings.comfortPenalty !== undefined) {
+            const penalty = settings.comfortPenalty;
+            if (typeof penalty !== 'number' || !isFinite(penalty) || penalty < 0) {
+                errors.push('comfortPenalty must be a non-negative number ($ per °F·h)');
+            }
+        }
+
+        return errors;
+    }
+
+    validateBands(bands, path) {
+        if (!Array.isArray(bands)) return [`${path} must be a list of { start, end, min, max }`];
+
+        const { min: lowest, max: highest } = deviceTypes.hvac.fields.targetTemp;
+        const errors = [];
+        bands.forEach((band, index) => {
+            const label = `${path}[${index}]`;
+            if (!band || typeof band !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            ['start', 'end'].forEach(field => {
+                if (typeof band[field] !== 'string' || !TIME_PATTERN.test(band[field])) {
+                    errors.push(`${label}.${field} must be a time (HH:MM)`);
+                }
+            });
+            if (band.start === band.end && TIME_PATTERN.test(band.start)) {
+                errors.push(`${label} must not start and end at the same time`);
+            }
+            ['min', 'max'].forEach(field => {
+                const value = band[field];
+                if (!Number.isInteger(value) || value < lowest || value > highest) {
+                    errors.push(`${label}.${field} must be a whole temperature from ${lowest} to ${highest}°F`);
+                }
+            });
+            if (typeof band.min === 'number' && typeof band.max === 'number' && band.max - band.min < 1) {
+                errors.push(`${label}.max must be at least 1°F above min`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Comfort band ({ min, max } in °F) of an HVAC zone at a time, or null when none applies
+     */
+    getBand(date, deviceId = null) {
+        const bands = (deviceId && this.settings.zoneBands[deviceId]) || this.settings.bands;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const toMinutes = (time) => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        };
+
+        const band = bands.find(b => {
+            const start = toMinutes(b.start);
+            const end = toMinutes(b.end);
+            return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        });
+        return band ? { min: band.min, max: band.max } : null;
+    }
+
+    getComfortPenalty() {
+        return this.settings.comfortPenalty;
+    }
+}
+
+module.exports = ComfortSettings;
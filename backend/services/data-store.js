@@ -0,0 +1,108 @@
+/**
+ * Local Data Store helpers
+ * Small JSON / JSON-lines file primitives backing the persistent stores in DATA_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Resolve (and create if needed) the data directory
+ */
+function getDataDir() {
+    const dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    fs.mkdirSync(dataDir, { recursive: true });
+    return dataDir;
+}
+
+/**
+ * Resolve a file name inside the data directory. File names may include a
+ * sub-directory (e.g. homes/<homeId>/devices.json), which is created if needed.
+ */
+function resolveDataPath(fileName) {
+    const filePath = path.join(getDataDir(), fileName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    return filePath;
+}
+
+/**
+ * Read a JSON document, returning the fallback when it does not exist
+ */
+function readJson(fileName, fallback = null) {
+    const filePath = resolveDataPath(fileName);
+
+    try {
+        if (!fs.existsSync(filePath)) return fallback;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️ Failed to read ${fileName}:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON document atomically (temp file + rename)
+ */
+function writeJson(fileName, data) {
+    const filePath = resolveDataPath(fileName);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Append a single record to a JSON-lines file
+ */
+function appendJsonLine(fileName, record) {
+    fs.appendFileSync(resolveDataPath(fileName), JSON.stringify(record) + '\n');
+}
+
+/**
+ * Read every record of a JSON-lines file, skipping corrupt lines
+ */
+function readJsonLines(fileName) {
+    const filePath = resolveDataPath(fileName);
+    if (!fs.existsSync(filePath)) return [];
+
+    const records = [];
+    let skipped = 0;
+
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            skipped++;
+        }
+    });
+
+    if (skipped > 0) {
+        console.warn(`⚠️ Skipped ${skipped} corrupt line(s) in ${fileName}`);
+    }
+
+    return records;
+}
+
+/**
+ * Replace the content of a JSON-lines file atomically
+ */
+function writeJsonLines(fileName, records) {
+    const filePath = resolveDataPath(fileName);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tempPath, records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    getDataDir,
+    resolveDataPath,
+    readJson,
+    writeJson,
+    appendJsonLine,
+    readJsonLines,
+    writeJsonLines
+};
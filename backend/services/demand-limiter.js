@@ -0,0 +1,268 @@
+/**
+ * Demand Limiter
+ * Keeps the home's draw from the grid within its service capacity: picks the loads
+ * to shed when the limit is exceeded, queues commands that would exceed it and keeps
+ * the events explaining each action. The orchestrator carries the actions out.
+ */
+
+const { PRIORITY_LEVELS, getDefaultDemandPolicy } = require('../config/household-config');
+const { readJson, writeJson } = require('./data-store');
+const { isStorage, isVehicleCharger, isConsumer, getBasePower } = require('./device-registry');
+
+// Demand-limit events kept for the API
+const MAX_EVENTS = 100;
+
+// A command let through is counted at its expected power until the next readings show it
+const PENDING_LOAD_MS = 60 * 1000;
+
+class DemandLimiter {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'demand-limit.json';
+
+        const stored = readJson(this.fileName, null);
+        const errors = stored ? this.validatePolicy(stored) : [];
+        if (errors.length > 0) {
+            console.warn(`⚠️ Stored demand-limit policy is invalid (${errors.join('; ')}), using the default policy`);
+        }
+        this.policy = stored && errors.length === 0 ? { ...getDefaultDemandPolicy(), ...stored } : getDefaultDemandPolicy();
+
+        // Shed loads waiting to resume and commands deferred by the limit, in arrival order
+        this.queue = [];
+        this.events = [];
+        this.pendingLoads = new Map();
+
+        console.log(`📏 Demand limiter initialized: ${this.getLimitWatts()} W service limit${this.policy.enabled ? '' : ' (disabled)'}`);
+    }
+
+    getPolicy() {
+        return this.policy;
+    }
+
+    /**
+     * Validate, persist and activate a demand-limiting policy; fields left out keep
+     * their default
+     */
+    setPolicy(policy) {
+        const errors = this.validatePolicy(policy);
+        if (errors.length > 0) {
+            return { success: false, message: 'Invalid demand-limit policy', errors };
+        }
+
+        const defaults = getDefaultDemandPolicy();
+        this.policy = {
+            ...defaults,
+            ...policy,
+            serviceCapacity: { ...defaults.serviceCapacity, ...policy.serviceCapacity },
+            updated_at: new Date().toISOString()
+        };
+        writeJson(this.fileName, this.policy);
+
+        console.log(`📏 Demand-limit policy replaced: ${this.getLimitWatts()} W service limit${this.policy.enabled ? '' : ' (disabled)'}`);
+        return { success: true, policy: this.policy };
+    }
+
+    /**
+     * Validate a demand-limiting policy, returning a list of errors
+     */
+    validatePolicy(policy) {
+        const errors = [];
+        const isPositive = value => typeof value === 'number' && isFinite(value) && value > 0;
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(policy)) return ['Policy must be a JSON object'];
+
+        if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+            errors.push('enabled must be a boolean');
+        }
+        if (policy.serviceCapacity !== undefined) {
+            if (!isObject(policy.serviceCapacity)) {
+                errors.push('serviceCapacity must be an object');
+            } else {
+                ['maxCurrentA', 'voltage'].forEach(field => {
+                    if (policy.serviceCapacity[field] !== undefined && !isPositive(policy.serviceCapacity[field])) {
+                        errors.push(`serviceCapacity.${field} must be a positive number`);
+                    }
+                });
+            }
+        }
+        if (policy.resumeMarginPercent !== undefined) {
+            const margin = policy.resumeMarginPercent;
+            if (typeof margin !== 'number' || !(margin >= 0 && margin < 100)) {
+                errors.push('resumeMarginPercent must be a number from 0 to 99');
+            }
+        }
+        ['typePriorities', 'devicePriorities'].forEach(field => {
+            if (policy[field] === undefined) return;
+            if (!isObject(policy[field])) {
+                errors.push(`${field} must be an object`);
+                return;
+            }
+            Object.entries(policy[field]).forEach(([key, level]) => {
+                if (!PRIORITY_LEVELS.includes(level)) {
+                    errors.push(`${field}.${key} must be one of ${PRIORITY_LEVELS.join(', ')}`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Most power (W) the home may draw from the grid at once
+     */
+    getLimitWatts() {
+        const { maxCurrentA, voltage } = this.policy.serviceCapacity;
+        return maxCurrentA * voltage;
+    }
+
+    /**
+     * Draw (W) up to which shed and queued loads may resume
+     */
+    getResumeLimitWatts() {
+        return this.getLimitWatts() * (1 - this.policy.resumeMarginPercent / 100);
+    }
+
+    getPriority(device) {
+        return this.policy.devicePriorities[device.id] || this.policy.typePriorities[device.type] || 'medium';
+    }
+
+    /**
+     * Power (W) a command would add to the home's draw; 0 when it adds none
+     */
+    getLoadIncrease(device, action) {
+        if (isStorage(device)) {
+            return action === 'charge' && device.batteryMode !== 'charging' ? device.maxChargeKw * 1000 : 0;
+        }
+        if (!isConsumer(device) || device.isOn) return 0;
+        if (action !== 'turn_on' && action !== 'toggle') return 0;
+        if (isVehicleCharger(device)) {
+            return device.pluggedIn && device.vehicleSoc < device.targetSoc ? device.maxChargeKw * 1000 : 0;
+        }
+        return getBasePower(device);
+    }
+
+    /**
+     * Command that sheds a running load, and the one that brings it back
+     */
+    getShedActions(device) {
+        return isStorage(device)
+            ? { shed: 'hold', resume: 'charge' }
+            : { shed: 'turn_off', resume: 'turn_on' };
+    }
+
+    /**
+     * Running loads to shed to remove `excessWatts`: lowest priority first and, within
+     * a priority, the largest first. Critical loads are never shed.
+     */
+    selectLoadsToShed(devices, excessWatts) {
+        const rank = (device) => PRIORITY_LEVELS.indexOf(this.getPriority(device));
+        const candidates = devices
+            .filter(device => device.currentPower > 0 && this.getPriority(device) !== 'critical')
+            .filter(device => (isStorage(device) ? device.batteryMode === 'charging' : isConsumer(device) && device.isOn))
+            .sort((a, b) => rank(b) - rank(a) || b.currentPower - a.currentPower);
+
+        const selected = [];
+        let removed = 0;
+        for (const device of candidates) {
+            if (removed >= excessWatts) break;
+            selected.push(device);
+            removed += device.currentPower;
+        }
+        return selected;
+    }
+
+    /**
+     * Queue a command until the limit leaves room for it. A command for a device that
+     * already has the same command queued returns the queued entry; a different one
+     * replaces it.
+     */
+    enqueue({ device, action, value = null, watts, reason, context = {} }) {
+        const existing = this.queue.find(entry => entry.device_id === device.id);
+        if (existing && existing.action === action && JSON.stringify(existing.value) === JSON.stringify(value)) {
+            return { entry: existing, created: false };
+        }
+        if (existing) this.remove(existing.id);
+
+        const entry = {
+            id: `demand_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            device_id: device.id,
+            action,
+            value,
+            watts: Math.round(watts),
+            priority: this.getPriority(device),
+            reason,
+            requested_by: context.source || null,
+            principal: context.principal || null,
+            details: context.details || null,
+            queued_at: new Date().toISOString()
+        };
+        this.queue.push(entry);
+        return { entry, created: true };
+    }
+
+    /**
+     * Queued entries, highest priority first and in arrival order within a priority
+     */
+    getQueue() {
+        const rank = (entry) => PRIORITY_LEVELS.indexOf(entry.priority);
+        return [...this.queue].sort((a, b) => rank(a) - rank(b));
+    }
+
+    remove(entryId) {
+        const index = this.queue.findIndex(entry => entry.id === entryId);
+        return index === -1 ? null : this.queue.splice(index, 1)[0];
+    }
+
+    /**
+     * Remove every queued entry of a device, returning them
+     */
+    removeDevice(deviceId) {
+        const removed = this.queue.filter(entry => entry.device_id === deviceId);
+        this.queue = this.queue.filter(entry => entry.device_id !== deviceId);
+        return removed;
+    }
+
+    /**
+     * Count a command that was let through at its expected power until readings catch up
+     */
+    addPendingLoad(deviceId, watts) {
+        this.pendingLoads.set(deviceId, { watts, until: Date.now() + PENDING_LOAD_MS });
+    }
+
+    /**
+     * Expected power (W) of loads let through that the devices do not report yet
+     */
+    getPendingWatts(devices) {
+        let total = 0;
+        this.pendingLoads.forEach((load, deviceId) => {
+            const device = devices.find(d => d.id === deviceId);
+            if (load.until < Date.now() || !device || device.currentPower > 0) {
+                this.pendingLoads.delete(deviceId);
+            } else {
+                total += load.watts;
+            }
+        });
+        return total;
+    }
+
+    /**
+     * Record an event explaining a demand-limit action
+     */
+    recordEvent(event) {
+        const recorded = {
+            id: `demand_event_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            timestamp: new Date().toISOString(),
+            ...event
+        };
+        this.events.unshift(recorded);
+        this.events.length = Math.min(this.events.length, MAX_EVENTS);
+        return recorded;
+    }
+
+    getEvents(limit = MAX_EVENTS) {
+        return this.events.slice(0, limit);
+    }
+}
+
+module.exports = DemandLimiter;
+module.exports.PRIORITY_LEVELS = PRIORITY_LEVELS;
@@ -0,0 +1,283 @@
+/**
+ * Demand Response Service
+ * Utility demand-response events (a start, a duration and either a requested load
+ * reduction in kW or a price signal), their curtailment plans and, once an event
+ * has ended, the reduction achieved measured from the recorded readings.
+ *
+ * Event status: scheduled -> active -> completed, or cancelled. Events are kept
+ * in DATA_DIR and their status is checked every minute.
+ */
+
+const { readJson, writeJson } = require('./data-store');
+const { MIN_COVERAGE } = require('./savings-verifier');
+
+const MAX_DURATION_MINUTES = 24 * 60;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Finished events kept for history
+const MAX_FINISHED_EVENTS = 200;
+
+// A plan with at least one step carried out ('partial' when others failed)
+const isPlanApplied = plan => Boolean(plan) && (plan.status === 'applied' || plan.status === 'partial');
+
+class DemandResponseService {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'demand-response.json';
+        this.savingsVerifier = options.savingsVerifier;
+        this.onChange = null;
+        this.timer = null;
+
+        const stored = readJson(this.fileName, []);
+        this.events = Array.isArray(stored) ? stored : [];
+
+        console.log(`⚡ Demand response tracking ${this.getEvents({ status: 'scheduled' }).length} scheduled events`);
+    }
+
+    /**
+     * Check event status every minute; onChange(event) is called when an event
+     * starts, ends or gets its report
+     */
+    start(onChange) {
+        this.onChange = onChange || null;
+        this.checkEvents();
+        this.timer = setInterval(() => this.checkEvents(), CHECK_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Events, optionally filtered by status, newest start first
+     */
+    getEvents(filter = {}) {
+        return this.events
+            .filter(event => !filter.status || event.status === filter.status)
+            .sort((a, b) => Date.parse(b.start) - Date.parse(a.start));
+    }
+
+    getEvent(eventId) {
+        return this.events.find(event => event.id === eventId) || null;
+    }
+
+    /**
+     * Record a new event. An event with the external id of a known one (a utility
+     * re-sending it) updates that event when it changed and has neither started nor
+     * been applied, and is otherwise returned unchanged.
+     */
+    create(data, source = 'api') {
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid demand-response event', errors };
+        }
+
+        const now = new Date();
+        const start = new Date(data.start);
+        const fields = {
+            program: data.program || null,
+            start: start.toISOString(),
+            end: new Date(start.getTime() + data.durationMinutes * 60 * 1000).toISOString(),
+            duration_minutes: data.durationMinutes,
+            requested_reduction_kw: data.reductionKw !== undefined ? data.reductionKw : null,
+            price: data.price !== undefined ? data.price : null,
+            auto_apply: data.autoApply !== undefined ? data.autoApply : process.env.DEMAND_RESPONSE_AUTO_APPLY === 'true'
+        };
+
+        const existing = data.externalId
+            ? this.events.find(event => event.external_id === data.externalId && event.source === source)
+            : null;
+        if (existing) {
+            const unchanged = Object.keys(fields).every(key => existing[key] === fields[key]);
+            if (unchanged || existing.status !== 'scheduled' || isPlanApplied(existing.plan)) {
+                return { success: true, event: existing, created: false };
+            }
+            Object.assign(existing, fields, { plan: null, updated_at: now.toISOString() });
+            this.save();
+            return { success: true, event: existing, created: false, updated: true };
+        }
+
+        const event = {
+            id: `dr_${now.getTime()}_${Math.random().toString(36).slice(2, 7)}`,
+            external_id: data.externalId || null,
+            source,
+            ...fields,
+            status: start <= now ? 'active' : 'scheduled',
+            plan: null,
+            report: null,
+            created_at: now.toISOString()
+        };
+
+        this.events.push(event);
+        this.prune();
+        this.save();
+
+        console.log(`⚡ Demand-response event ${event.id}: ${event.requested_reduction_kw !== null ? `${event.requested_reduction_kw} kW reduction` : `price $${event.price}/kWh`} from ${event.start} for ${event.duration_minutes} minutes`);
+        return { success: true, event, created: true };
+    }
+
+    /**
+     * Validate an event definition, returning a list of errors
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['Event must be a JSON object'];
+        }
+
+        const errors = [];
+        const start = Date.parse(data.start);
+        if (typeof data.start !== 'string' || isNaN(start)) {
+            errors.push('start must be an ISO date-time');
+        }
+        if (!Number.isInteger(data.durationMinutes) || data.durationMinutes < 1 || data.durationMinutes > MAX_DURATION_MINUTES) {
+            errors.push(`durationMinutes must be a whole number from 1 to ${MAX_DURATION_MINUTES}`);
+        } else if (!isNaN(start) && start + data.durationMinutes * 60 * 1000 <= Date.now()) {
+            errors.push('the event has already ended');
+        }
+
+        const hasReduction = data.reductionKw !== undefined;
+        const hasPrice = data.price !== undefined;
+        if (hasReduction === hasPrice) {
+            errors.push('give either reductionKw or price');
+        } else if (hasReduction && !(typeof data.reductionKw === 'number' && data.reductionKw > 0 && isFinite(data.reductionKw))) {
+            errors.push('reductionKw must be a positive number');
+        } else if (hasPrice && !(typeof data.price === 'number' && data.price >= 0 && isFinite(data.price))) {
+            errors.push('price must be a non-negative number ($/kWh)');
+        }
+
+        if (data.autoApply !== undefined && typeof data.autoApply !== 'boolean') {
+            errors.push('autoApply must be a boolean');
+        }
+        if (data.program !== undefined && typeof data.program !== 'string') {
+            errors.push('program must be a string');
+        }
+        if (data.externalId !== undefined && (typeof data.externalId !== 'string' || data.externalId === '')) {
+            errors.push('externalId must be a non-empty string');
+        }
+
+        return errors;
+    }
+
+    setPlan(eventId, plan) {
+        const event = this.getEvent(eventId);
+        if (!event) return null;
+
+        event.plan = plan;
+        this.save();
+        return event;
+    }
+
+    /**
+     * Cancel an event that has not ended
+     */
+    cancel(eventId) {
+        const event = this.getEvent(eventId);
+        if (!event) {
+            return { success: false, code: 'not_found', message: 'Demand-response event not found' };
+        }
+        if (event.status !== 'scheduled' && event.status !== 'active') {
+            return { success: false, code: 'conflict', message: `Event is already ${event.status}` };
+        }
+
+        event.status = 'cancelled';
+        event.cancelled_at = new Date().toISOString();
+        this.save();
+
+        console.log(`⚡ Cancelled demand-response event ${event.id}`);
+        return { success: true, event };
+    }
+
+    /**
+     * Start events whose time has come and complete (and report on) those that have ended
+     */
+    checkEvents(now = new Date()) {
+        const changed = [];
+
+        this.events.forEach(event => {
+            if (event.status === 'scheduled' && Date.parse(event.start) <= now.getTime()) {
+                event.status = 'active';
+                changed.push(event);
+            }
+            if (event.status === 'active' && Date.parse(event.end) <= now.getTime()) {
+                event.status = 'completed';
+                event.report = this.buildReport(event);
+                changed.push(event);
+                console.log(`⚡ Demand-response event ${event.id} ended: ${event.report.status === 'verified' ? `${event.report.achieved_reduction_kw} kW achieved` : event.report.reason}`);
+            }
+        });
+
+        if (changed.length > 0) {
+            this.save();
+            if (this.onChange) changed.forEach(event => this.onChange(event));
+        }
+    }
+
+    /**
+     * Achieved versus requested reduction: the home's average draw during the event
+     * against its baseline, the same window in comparable prior periods (see
+     * SavingsVerifier) or, without enough history, the period just before the event
+     */
+    buildReport(event) {
+        const from = Date.parse(event.start);
+        const to = Date.parse(event.end);
+        const hours = (to - from) / (60 * 60 * 1000);
+
+        const measurement = this.savingsVerifier.measure(from, to, []);
+        if (measurement.coverage < MIN_COVERAGE) {
+            return { status: 'insufficient_data', reason: 'Too few readings during the event', measurement };
+        }
+
+        let baseline = this.savingsVerifier.buildBaseline(from, to, []);
+        if (baseline.periods.length === 0) {
+            const preEvent = this.savingsVerifier.measure(from - (to - from), from, []);
+            if (preEvent.coverage < MIN_COVERAGE) {
+                return { status: 'insufficient_data', reason: 'No baseline period with enough readings', measurement };
+            }
+            baseline = { method: 'pre_event', periods: [preEvent], kwh: preEvent.kwh, cost: preEvent.cost };
+        }
+
+        const baselineKw = baseline.kwh / hours;
+        const actualKw = measurement.kwh / hours;
+        const achievedKw = baselineKw - actualKw;
+
+        return {
+            status: 'verified',
+            baseline_method: baseline.method,
+            baseline_kw: this.round(baselineKw, 3),
+            actual_kw: this.round(actualKw, 3),
+            requested_reduction_kw: event.requested_reduction_kw,
+            estimated_reduction_kw: event.plan ? event.plan.estimated_reduction_kw : null,
+            achieved_reduction_kw: this.round(achievedKw, 3),
+            achieved_percent: event.requested_reduction_kw
+                ? this.round(achievedKw / event.requested_reduction_kw * 100, 1)
+                : null,
+            reduced_kwh: this.round(baseline.kwh - measurement.kwh, 3),
+            measurement,
+            baseline_periods: baseline.periods
+        };
+    }
+
+    prune() {
+        const finished = this.events.filter(event => event.status === 'completed' || event.status === 'cancelled');
+        if (finished.length <= MAX_FINISHED_EVENTS) return;
+
+        const drop = new Set(finished
+            .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+            .slice(0, finished.length - MAX_FINISHED_EVENTS));
+        this.events = this.events.filter(event => !drop.has(event));
+    }
+
+    round(value, digits) {
+        return Math.round(value * 10 ** digits) / 10 ** digits;
+    }
+
+    save() {
+        writeJson(this.fileName, this.events);
+    }
+}
+
+module.exports = DemandResponseService;
+module.exports.MAX_DURATION_MINUTES = MAX_DURATION_MINUTES;
+module.exports.isPlanApplied = isPlanApplied;
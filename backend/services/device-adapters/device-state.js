@@ -0,0 +1,79 @@
+/**
+ * Device state helpers shared by the device adapters
+ */
+
+const { getTypeActions } = require('../device-capabilities');
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// Actions carried out by the backend (the scheduler or a charging plan) rather than sent to the device
+const BACKEND_ACTIONS = ['schedule', 'battery_schedule', 'setpoint_schedule', 'boost', 'smart_charge'];
+
+// Battery commands and the mode each one puts the battery in
+const BATTERY_MODES = { charge: 'charging', discharge: 'discharging', hold: 'idle' };
+
+/**
+ * Actions a device type supports at all, regardless of adapter. Scheduling and
+ * charging plans are handled by the backend, not sent to the device.
+ */
+function getDeviceActions(device) {
+    return getTypeActions(device.type).filter(action => !BACKEND_ACTIONS.includes(action));
+}
+
+/**
+ * State a device should report once a command has been carried out
+ */
+function getExpectedState(device, action, value) {
+    switch (action) {
+        case 'turn_on':
+            return { isOn: true };
+        case 'turn_off':
+            return { isOn: false };
+        case 'toggle':
+            return { isOn: !device.isOn };
+        case 'set_temperature':
+            return { targetTemp: Number(value) };
+        case 'set_brightness':
+            return { brightness: Number(value) };
+        case 'charge':
+        case 'discharge':
+        case 'hold':
+            return { batteryMode: BATTERY_MODES[action] };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Does a reported state satisfy every field of the expected state?
+ */
+function matchesState(state, expected) {
+    return Object.entries(expected).every(([key, value]) => state[key] === value);
+}
+
+/**
+ * Error with a code the orchestrator maps to a response ('timeout', 'unsupported', 'adapter_error')
+ */
+function createAdapterError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Timeout of a device: its adapter setting, or the adapter default
+ */
+function getTimeoutMs(device, fallback = DEFAULT_TIMEOUT_MS) {
+    return (device.adapter && device.adapter.timeoutMs) || fallback;
+}
+
+module.exports = {
+    getDeviceActions,
+    getExpectedState,
+    matchesState,
+    createAdapterError,
+    getTimeoutMs,
+    BACKEND_ACTIONS,
+    BATTERY_MODES,
+    DEFAULT_TIMEOUT_MS
+};
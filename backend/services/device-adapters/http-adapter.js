@@ -0,0 +1,109 @@
+/**
+ * HTTP Device Adapter
+ * Smart plugs, relays and dimmers with a local REST API. Supported protocols:
+ * - shelly:  Gen1 API, /relay/<index>?turn=on|off|toggle or /light/<index>?turn=..&brightness=..
+ * - tasmota: /cm?cmnd=Power On|Off|Toggle, Dimmer <0-100>, State
+ * The state in each response is the device's confirmation of the command.
+ */
+
+const axios = require('axios');
+const {
+    getDeviceActions,
+    getExpectedState,
+    matchesState,
+    createAdapterError,
+    getTimeoutMs,
+    DEFAULT_TIMEOUT_MS
+} = require('./device-state');
+
+const PROTOCOLS = {
+    shelly: {
+        getActions: (config) => config.channel === 'light'
+            ? ['turn_on', 'turn_off', 'toggle', 'set_brightness']
+            : ['turn_on', 'turn_off', 'toggle'],
+        getStatePath: (config) => `/${config.channel || 'relay'}/${config.index || 0}`,
+        getCommandPath: (config, action, value) => {
+            const base = `/${config.channel || 'relay'}/${config.index || 0}`;
+            if (action === 'set_brightness') return `${base}?turn=on&brightness=${Number(value)}`;
+            return `${base}?turn=${{ turn_on: 'on', turn_off: 'off', toggle: 'toggle' }[action]}`;
+        },
+        parseState: (data) => {
+            const state = { isOn: Boolean(data.ison) };
+            if (typeof data.brightness === 'number') state.brightness = data.brightness;
+            if (typeof data.power === 'number') state.power = data.power;
+            return state;
+        }
+    },
+    tasmota: {
+        getActions: () => ['turn_on', 'turn_off', 'toggle', 'set_brightness'],
+        getStatePath: () => `/cm?cmnd=${encodeURIComponent('State')}`,
+        getCommandPath: (config, action, value) => {
+            const command = action === 'set_brightness'
+                ? `Dimmer ${Number(value)}`
+                : `Power ${{ turn_on: 'On', turn_off: 'Off', toggle: 'Toggle' }[action]}`;
+            return `/cm?cmnd=${encodeURIComponent(command)}`;
+        },
+        parseState: (data) => {
+            const power = data.POWER !== undefined ? data.POWER : data.POWER1;
+            const state = { isOn: power === 'ON' };
+            if (typeof data.Dimmer === 'number') state.brightness = data.Dimmer;
+            return state;
+        }
+    }
+};
+
+class HttpAdapter {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.http = options.http || axios;
+    }
+
+    getProtocol(device) {
+        const config = device.adapter || {};
+        const protocol = PROTOCOLS[config.protocol];
+        if (!protocol || !config.url) {
+            throw createAdapterError('adapter_error', `Device ${device.id} has no HTTP adapter configuration`);
+        }
+        return { config, protocol };
+    }
+
+    getCapabilities(device) {
+        const { config, protocol } = this.getProtocol(device);
+        const supported = protocol.getActions(config);
+        return getDeviceActions(device).filter(action => supported.includes(action));
+    }
+
+    async readState(device) {
+        const { config, protocol } = this.getProtocol(device);
+        return protocol.parseState(await this.request(device, protocol.getStatePath(config)));
+    }
+
+    async sendCommand(device, action, value) {
+        const { config, protocol } = this.getProtocol(device);
+        const state = protocol.parseState(await this.request(device, protocol.getCommandPath(config, action, value)));
+
+        const expected = getExpectedState(device, action, value);
+        if (!matchesState(state, expected)) {
+            throw createAdapterError('adapter_error', `${device.name} did not confirm ${action}: reported ${JSON.stringify(state)}`);
+        }
+        return state;
+    }
+
+    async request(device, path) {
+        const url = `${device.adapter.url.replace(/\/+$/, '')}${path}`;
+        const timeoutMs = getTimeoutMs(device, this.timeoutMs);
+
+        try {
+            const response = await this.http.get(url, { timeout: timeoutMs });
+            return response.data || {};
+        } catch (error) {
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                throw createAdapterError('timeout', `${device.name} did not respond within ${timeoutMs}ms`);
+            }
+            throw createAdapterError('adapter_error', `${device.name} request failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = HttpAdapter;
@@ -0,0 +1,80 @@
+/**
+ * Device Adapter factory
+ * Adapters connect device commands to the protocol a device speaks. Every adapter implements:
+ * - name
+ * - getCapabilities(device) -> actions the device supports through this adapter
+ * - readState(device) -> Promise<state>
+ * - sendCommand(device, action, value) -> Promise<state>, the state confirmed by the device;
+ *   rejects with an error whose code is 'timeout' when no confirmation arrives in time
+ *
+ * A state holds what the device reported: { isOn, targetTemp, indoorTemp, brightness, batteryMode,
+ * stateOfCharge, pluggedIn, vehicleSoc, power } (all optional).
+ * Devices pick their adapter with an `adapter` setting, e.g. { type: 'http', protocol: 'shelly', url };
+ * devices without one use DEFAULT_DEVICE_ADAPTER (simulated unless configured).
+ */
+
+const SimulatedAdapter = require('./simulated-adapter');
+const HttpAdapter = require('./http-adapter');
+const MqttAdapter = require('./mqtt-adapter');
+
+const ADAPTER_TYPES = ['simulated', 'http', 'mqtt'];
+const HTTP_PROTOCOLS = ['shelly', 'tasmota'];
+const MAX_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Create the adapters of a home. options.mqttBridge enables the MQTT adapter.
+ */
+function createAdapters(options = {}) {
+    return {
+        simulated: new SimulatedAdapter(),
+        http: new HttpAdapter({ timeoutMs: options.timeoutMs }),
+        mqtt: new MqttAdapter({ bridge: options.mqttBridge, homeId: options.homeId, timeoutMs: options.timeoutMs })
+    };
+}
+
+/**
+ * Adapter type of devices without an adapter setting
+ */
+function getDefaultAdapterType() {
+    const type = process.env.DEFAULT_DEVICE_ADAPTER || 'simulated';
+    // HTTP adapters need a per-device URL, so they cannot be the default
+    return type === 'mqtt' ? 'mqtt' : 'simulated';
+}
+
+/**
+ * Validate a device's adapter setting; returns an error message or null
+ */
+function validateAdapterConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'adapter must be an object with a type';
+    }
+    if (!ADAPTER_TYPES.includes(config.type)) {
+        return `adapter.type must be one of ${ADAPTER_TYPES.join(', ')}`;
+    }
+    if (config.timeoutMs !== undefined &&
+        !(typeof config.timeoutMs === 'number' && config.timeoutMs > 0 && config.timeoutMs <= MAX_TIMEOUT_MS)) {
+        return `adapter.timeoutMs must be a number between 0 and ${MAX_TIMEOUT_MS}`;
+    }
+    if (config.type === 'http') {
+        if (!HTTP_PROTOCOLS.includes(config.protocol)) {
+            return `adapter.protocol must be one of ${HTTP_PROTOCOLS.join(', ')}`;
+        }
+        if (typeof config.url !== 'string' || !/^https?:\/\/[^\s]+$/.test(config.url)) {
+            return 'adapter.url must be an http(s) URL';
+        }
+        if (config.channel !== undefined && !['relay', 'light'].includes(config.channel)) {
+            return "adapter.channel must be 'relay' or 'light'";
+        }
+        if (config.index !== undefined && !(Number.isInteger(config.index) && config.index >= 0)) {
+            return 'adapter.index must be a non-negative integer';
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    createAdapters,
+    getDefaultAdapterType,
+    validateAdapterConfig,
+    ADAPTER_TYPES
+};
@@ -0,0 +1,63 @@
+/**
+ * MQTT Device Adapter
+ * Publishes commands to home/<homeId>/device/<deviceId>/set through the MQTT bridge and
+ * waits for the device to report the commanded state on its state topic
+ */
+
+const {
+    getDeviceActions,
+    getExpectedState,
+    matchesState,
+    createAdapterError,
+    getTimeoutMs,
+    DEFAULT_TIMEOUT_MS
+} = require('./device-state');
+
+class MqttAdapter {
+    constructor(options = {}) {
+        this.name = 'mqtt';
+        this.bridge = options.bridge || null;
+        this.homeId = options.homeId;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    getCapabilities(device) {
+        return getDeviceActions(device);
+    }
+
+    requireBridge() {
+        if (!this.bridge || !this.bridge.connected) {
+            throw createAdapterError('adapter_error', 'MQTT bridge is not connected (set MQTT_BROKER)');
+        }
+    }
+
+    /**
+     * Last state the device reported over MQTT
+     */
+    async readState(device) {
+        this.requireBridge();
+        const state = this.bridge.getLastState(this.homeId, device.id);
+        if (!state) {
+            throw createAdapterError('adapter_error', `${device.name} has not reported its state over MQTT`);
+        }
+        return state;
+    }
+
+    async sendCommand(device, action, value) {
+        this.requireBridge();
+
+        const expected = getExpectedState(device, action, value);
+        const timeoutMs = getTimeoutMs(device, this.timeoutMs);
+        const confirmation = this.bridge.waitForState(this.homeId, device.id, state => matchesState(state, expected), timeoutMs);
+
+        this.bridge.publishCommand(this.homeId, { deviceId: device.id, action, value });
+
+        const state = await confirmation;
+        if (!state) {
+            throw createAdapterError('timeout', `${device.name} did not confirm ${action} within ${timeoutMs}ms`);
+        }
+        return state;
+    }
+}
+
+module.exports = MqttAdapter;
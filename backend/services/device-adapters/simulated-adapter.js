@@ -0,0 +1,34 @@
+/**
+ * Simulated Device Adapter
+ * Devices without real hardware: every command is confirmed immediately
+ */
+
+const { getDeviceActions, getExpectedState } = require('./device-state');
+
+class SimulatedAdapter {
+    constructor() {
+        this.name = 'simulated';
+    }
+
+    getCapabilities(device) {
+        return getDeviceActions(device);
+    }
+
+    async readState(device) {
+        const state = { isOn: device.isOn, power: device.currentPower };
+        if (device.targetTemp !== undefined) state.targetTemp = device.targetTemp;
+        if (device.brightness !== undefined) state.brightness = device.brightness;
+        if (device.batteryMode !== undefined) state.batteryMode = device.batteryMode;
+        if (device.stateOfCharge !== undefined) state.stateOfCharge = device.stateOfCharge;
+        if (device.pluggedIn !== undefined) state.pluggedIn = device.pluggedIn;
+        if (device.vehicleSoc !== undefined) state.vehicleSoc = device.vehicleSoc;
+        return state;
+    }
+
+    async sendCommand(device, action, value) {
+        const current = await this.readState(device);
+        return { ...current, ...getExpectedState(device, action, value) };
+    }
+}
+
+module.exports = SimulatedAdapter;
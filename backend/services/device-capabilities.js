@@ -0,0 +1,105 @@
+/**
+ * Device Capabilities
+ * The commands each device type accepts, with the range, step and unit of their
+ * values, and validation of commands against them
+ */
+
+const { deviceTypes, deviceCommands } = require('../config/device-config');
+
+/**
+ * Commands a device type accepts
+ */
+function getTypeActions(type) {
+    return deviceTypes[type] ? deviceTypes[type].capabilities : [];
+}
+
+/**
+ * Describe the commands of a device type: value rules for commands that set a setting
+ */
+function describeCapabilities(type) {
+    return getTypeActions(type).map(action => {
+        const command = deviceCommands[action];
+        const capability = { action, description: command.description, value: null };
+
+        if (command.field) {
+            const rule = deviceTypes[type].fields[command.field];
+            capability.value = {
+                type: rule.type,
+                setting: command.field,
+                min: rule.min,
+                max: rule.max,
+                step: rule.step,
+                unit: rule.unit
+            };
+        } else if (command.format) {
+            capability.value = { type: 'string', format: command.format };
+        }
+
+        return capability;
+    });
+}
+
+/**
+ * Validate a command for a device. Values of setting commands may be numbers or
+ * numeric strings and are returned as numbers.
+ * Returns { valid, code, message, errors, allowedActions, value }.
+ */
+function validateCommand(device, action, value) {
+    const allowedActions = getTypeActions(device.type);
+
+    if (!allowedActions.includes(action)) {
+        return {
+            valid: false,
+            code: 'unsupported',
+            message: `${device.type} devices do not support ${typeof action === 'string' && action ? action : 'this action'}`,
+            errors: [`action must be one of ${allowedActions.join(', ')}`],
+            allowedActions
+        };
+    }
+
+    const command = deviceCommands[action];
+    if (!command.field) {
+        return { valid: true, allowedActions, value };
+    }
+
+    const rule = deviceTypes[device.type].fields[command.field];
+    const error = checkValue(value, rule);
+    if (error) {
+        return {
+            valid: false,
+            code: 'invalid',
+            message: `Invalid value for ${action}`,
+            errors: [`value ${error}`],
+            allowedActions
+        };
+    }
+
+    return { valid: true, allowedActions, value: Number(value) };
+}
+
+function checkValue(value, rule) {
+    const isNumeric = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+    const number = isNumeric ? Number(value) : NaN;
+    const unit = rule.unit || '';
+
+    if (!isFinite(number)) return 'must be a number';
+    if (number < rule.min || number > rule.max) return `must be between ${rule.min} and ${rule.max}${unit}`;
+    if (!isOnStep(number, rule)) return `must be in steps of ${rule.step}${unit}`;
+    return null;
+}
+
+/**
+ * Is a number on the step grid of a setting rule (counted from its minimum)?
+ */
+function isOnStep(value, rule) {
+    if (!rule.step) return true;
+    const ratio = (value - (rule.min || 0)) / rule.step;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-9;
+}
+
+module.exports = {
+    getTypeActions,
+    describeCapabilities,
+    validateCommand,
+    isOnStep
+};
@@ -0,0 +1,325 @@
+/**
+ * Device Registry
+ * Persistent registry of household devices with per-type schema validation
+ */
+
+const { deviceTypes, defaultDevices } = require('../config/device-config');
+const { readJson, writeJson } = require('./data-store');
+const { validateAdapterConfig } = require('./device-adapters');
+const { isOnStep } = require('./device-capabilities');
+
+// Settings every device has, regardless of type
+const COMMON_FIELDS = {
+    id: { type: 'string', pattern: /^[a-z0-9_-]{1,64}$/i },
+    name: { type: 'string', required: true },
+    type: { type: 'string', required: true },
+    location: { type: 'string', default: '' },
+    isOn: { type: 'boolean', default: false },
+    ratedPower: { type: 'number', min: 1, max: 100000 },
+    // How commands reach the device (see services/device-adapters); omitted means the default adapter
+    adapter: { type: 'object', validate: validateAdapterConfig }
+};
+
+// State maintained by the system; accepted in payloads but never taken from them
+const RUNTIME_FIELDS = [
+    'currentPower', 'todaysUsage', 'todaysCost', 'todaysProduction', 'stateOfCharge', 'batteryMode',
+    'pluggedIn', 'vehicleSoc', 'chargeMode', 'indoorTemp', 'lastTelemetryAt', 'online', 'lastSeenAt'
+];
+
+// Charge of a battery, and of a plugged-in vehicle, when the system starts (%)
+const INITIAL_STATE_OF_CHARGE = 50;
+const INITIAL_VEHICLE_SOC = 40;
+
+class DeviceRegistry {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'devices.json';
+        this.initialDevices = options.initialDevices || defaultDevices;
+        this.devices = [];
+
+        this.load();
+
+        console.log(`📟 Device registry loaded with ${this.devices.length} devices`);
+    }
+
+    /**
+     * Load registered devices, seeding the initial devices on first start
+     */
+    load() {
+        const stored = readJson(this.fileName, null);
+        const definitions = Array.isArray(stored) ? stored : this.initialDevices;
+
+        definitions.forEach(definition => {
+            const { errors, device } = this.validate(definition);
+            if (errors.length > 0) {
+                console.warn(`⚠️ Skipping invalid device ${definition.id}: ${errors.join('; ')}`);
+                return;
+            }
+            this.devices.push(this.withRuntimeState(device));
+        });
+
+        if (!Array.isArray(stored)) {
+            this.save();
+        }
+    }
+
+    /**
+     * Registered devices. The array is live: it always reflects registry changes.
+     */
+    list() {
+        return this.devices;
+    }
+
+    get(deviceId) {
+        return this.devices.find(d => d.id === deviceId) || null;
+    }
+
+    /**
+     * Register a new device
+     */
+    create(data) {
+        const { errors, device } = this.validate(data);
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid device', errors };
+        }
+
+        if (device.id && this.get(device.id)) {
+            return { success: false, code: 'conflict', message: `Device ${device.id} already exists` };
+        }
+
+        const registered = this.withRuntimeState({
+            ...device,
+            id: device.id || this.generateId(device.type)
+        });
+        this.devices.push(registered);
+        this.save();
+
+        console.log(`📟 Registered device ${registered.name} (${registered.id})`);
+        return { success: true, device: registered };
+    }
+
+    /**
+     * Update a device's settings; omitted fields keep their current values
+     */
+    update(deviceId, data) {
+        const existing = this.get(deviceId);
+        if (!existing) {
+            return { success: false, code: 'not_found', message: 'Device not found' };
+        }
+        if (data && data.id !== undefined && data.id !== deviceId) {
+            return { success: false, code: 'invalid', message: 'Invalid device', errors: ['id cannot be changed'] };
+        }
+
+        // Drop settings that belong to the old type when the type changes
+        const current = this.getDefinition(existing);
+        const merged = data && data.type && data.type !== existing.type
+            ? { id: deviceId, name: current.name, location: current.location, isOn: current.isOn, ...data }
+            : { ...current, ...data, id: deviceId };
+
+        const { errors, device } = this.validate(merged);
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid device', errors };
+        }
+
+        // Update in place so references held elsewhere stay current
+        Object.keys(current).forEach(key => {
+            if (!(key in device)) delete existing[key];
+        });
+        Object.assign(existing, device);
+        this.save();
+
+        console.log(`📟 Updated device ${existing.name} (${existing.id})`);
+        return { success: true, device: existing };
+    }
+
+    /**
+     * Remove a device from the registry
+     */
+    remove(deviceId) {
+        const index = this.devices.findIndex(d => d.id === deviceId);
+        if (index === -1) {
+            return { success: false, code: 'not_found', message: 'Device not found' };
+        }
+
+        const [removed] = this.devices.splice(index, 1);
+        this.save();
+
+        console.log(`📟 Removed device ${removed.name} (${removed.id})`);
+        return { success: true, device: removed };
+    }
+
+    /**
+     * Validate a device definition against the common and per-type schemas.
+     * Returns the normalized definition with type defaults applied.
+     */
+    validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { errors: ['Device must be a JSON object'], device: null };
+        }
+
+        const typeConfig = deviceTypes[data.type];
+        if (!typeConfig) {
+            errors.push(`type must be one of ${Object.keys(deviceTypes).join(', ')}`);
+        }
+
+        const schema = { ...COMMON_FIELDS, ...(typeConfig ? typeConfig.fields : {}) };
+        const device = {};
+
+        Object.keys(data).forEach(key => {
+            if (!(key in schema) && !RUNTIME_FIELDS.includes(key)) {
+                errors.push(`${key} is not a setting of ${data.type || 'this'} devices`);
+            }
+        });
+
+        Object.entries(schema).forEach(([key, rule]) => {
+            const value = data[key];
+
+            if (value === undefined || value === null) {
+                if (rule.required) errors.push(`${key} is required`);
+                else if (rule.default !== undefined) device[key] = rule.default;
+                return;
+            }
+
+            const error = this.validateField(key, value, rule);
+            if (error) errors.push(error);
+            else device[key] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        // Devices without a rated power draw the typical power of their type
+        if (device.ratedPower === undefined && typeConfig && !typeConfig.producer && !typeConfig.storage) {
+            device.ratedPower = typeConfig.basePower;
+        }
+
+        return { errors, device };
+    }
+
+    validateField(key, value, rule) {
+        if (rule.type === 'number') {
+            if (typeof value !== 'number' || !isFinite(value)) return `${key} must be a number`;
+            if (rule.min !== undefined && value < rule.min) return `${key} must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `${key} must be at most ${rule.max}`;
+            if (!isOnStep(value, rule)) return `${key} must be in steps of ${rule.step}`;
+        } else if (rule.type === 'string') {
+            if (typeof value !== 'string') return `${key} must be a string`;
+            if (rule.required && value.trim() === '') return `${key} must not be empty`;
+            if (rule.pattern && !rule.pattern.test(value)) return `${key} has an invalid format`;
+        } else if (rule.type === 'boolean') {
+            if (typeof value !== 'boolean') return `${key} must be true or false`;
+        } else if (rule.type === 'object') {
+            return rule.validate(value);
+        }
+        return null;
+    }
+
+    /**
+     * Persisted settings of a device (without runtime state)
+     */
+    getDefinition(device) {
+        const definition = { ...device };
+        RUNTIME_FIELDS.forEach(field => delete definition[field]);
+        return definition;
+    }
+
+    withRuntimeState(device) {
+        const state = {
+            ...device,
+            currentPower: 0,
+            todaysUsage: 0,
+            todaysCost: 0
+        };
+        // Producers report what they generate; currentPower is their output
+        if (isProducer(device)) state.todaysProduction = 0;
+        // Batteries draw power while charging and supply it while discharging
+        if (isStorage(device)) {
+            Object.assign(state, {
+                todaysProduction: 0,
+                stateOfCharge: INITIAL_STATE_OF_CHARGE,
+                batteryMode: 'idle',
+                isOn: false
+            });
+        }
+        // Vehicle state is reported by the charger; it charges by its plan until boosted
+        if (isVehicleCharger(device)) {
+            Object.assign(state, {
+                pluggedIn: true,
+                vehicleSoc: INITIAL_VEHICLE_SOC,
+                chargeMode: 'smart',
+                isOn: false
+            });
+        }
+        // HVAC zones start at their setpoint until a reading says otherwise
+        if (device.type === 'hvac') state.indoorTemp = device.targetTemp;
+        return state;
+    }
+
+    generateId(type) {
+        let index = 1;
+        let id;
+        do {
+            id = `${type}_${String(index).padStart(3, '0')}`;
+            index++;
+        } while (this.get(id));
+        return id;
+    }
+
+    save() {
+        writeJson(this.fileName, this.devices.map(device => this.getDefinition(device)));
+    }
+}
+
+/**
+ * Typical draw in watts for a device while it is on
+ */
+function getBasePower(device) {
+    if (device.ratedPower) return device.ratedPower;
+
+    const typeConfig = deviceTypes[device.type];
+    return typeConfig ? typeConfig.basePower : 1000;
+}
+
+/**
+ * Does the device generate power (solar) rather than consume it?
+ */
+function isProducer(device) {
+    const typeConfig = device ? deviceTypes[device.type] : null;
+    return Boolean(typeConfig && typeConfig.producer);
+}
+
+/**
+ * Does the device store energy (a battery)?
+ */
+function isStorage(device) {
+    const typeConfig = device ? deviceTypes[device.type] : null;
+    return Boolean(typeConfig && typeConfig.storage);
+}
+
+/**
+ * Does the device charge an electric vehicle?
+ */
+function isVehicleCharger(device) {
+    const typeConfig = device ? deviceTypes[device.type] : null;
+    return Boolean(typeConfig && typeConfig.vehicle);
+}
+
+/**
+ * Does the device only draw power (neither a producer nor storage)?
+ */
+function isConsumer(device) {
+    return !isProducer(device) && !isStorage(device);
+}
+
+/**
+ * Is the device currently supplying power: a producer, or a discharging battery?
+ */
+function isSupplying(device) {
+    return isProducer(device) || (isStorage(device) && device.batteryMode === 'discharging');
+}
+
+module.exports = DeviceRegistry;
+module.exports.getBasePower = getBasePower;
+module.exports.isProducer = isProducer;
+module.exports.isStorage = isStorage;
+module.exports.isVehicleCharger = isVehicleCharger;
+module.exports.isConsumer = isConsumer;
+module.exports.isSupplying = isSupplying;
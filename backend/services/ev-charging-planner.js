@@ -0,0 +1,144 @@
+/**
+ * EV Charging Planner
+ * Plans when a plugged-in vehicle charges so that it reaches its target state of
+ * charge by its departure time at the lowest tariff cost, without the home's total
+ * draw exceeding the household service limit
+ */
+
+const CHARGING_EFFICIENCY = 0.9;   // Share of the energy drawn that ends up in the vehicle battery
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Energy (kWh) the charger has to draw to bring the vehicle to its target charge
+ */
+function getEnergyNeededKwh(charger) {
+    const missingSoc = Math.max(0, charger.targetSoc - charger.vehicleSoc);
+    return missingSoc / 100 * charger.batteryKwh / CHARGING_EFFICIENCY;
+}
+
+/**
+ * Next occurrence of the charger's HH:MM departure time after `now`
+ */
+function getNextDeparture(departureTime, now = new Date()) {
+    const [hours, minutes] = departureTime.split(':').map(Number);
+    const departure = new Date(now.getTime());
+    departure.setHours(hours, minutes, 0, 0);
+    if (departure <= now) departure.setDate(departure.getDate() + 1);
+    return departure;
+}
+
+/**
+ * Charging plan for an EV charger.
+ * options.now:                    start of the plan
+ * options.limitWatts:             household service limit
+ * options.getHouseholdLoadWatts:  (date) => expected draw of the rest of the home
+ * options.getRate:                (date) => tariff rate ($/kWh)
+ *
+ * The time until departure is split into slots at each hour; every slot can take the
+ * charger's maximum power or the headroom under the limit, whichever is lower. Smart
+ * charging fills the cheapest slots first, a boost charges as soon as possible.
+ * Status is 'unplugged', 'complete', 'planned' or 'shortfall' (target not reachable in time).
+ */
+function planCharging(charger, options) {
+    const now = options.now || new Date();
+    const departure = getNextDeparture(charger.departureTime, now);
+    const plan = {
+        device_id: charger.id,
+        charge_mode: charger.chargeMode,
+        departure: departure.toISOString(),
+        vehicle_soc: round(charger.vehicleSoc, 1),
+        target_soc: charger.targetSoc,
+        energy_needed_kwh: 0,
+        planned_kwh: 0,
+        shortfall_kwh: 0,
+        estimated_cost: 0,
+        immediate_cost: 0,
+        estimated_savings: 0,
+        slots: []
+    };
+
+    if (!charger.pluggedIn) return { ...plan, status: 'unplugged' };
+
+    const neededKwh = getEnergyNeededKwh(charger);
+    plan.energy_needed_kwh = round(neededKwh, 2);
+    if (neededKwh < 0.01) return { ...plan, status: 'complete' };
+
+    const slots = [];
+    for (let start = now.getTime(); start < departure.getTime();) {
+        const end = Math.min(departure.getTime(), (Math.floor(start / HOUR_MS) + 1) * HOUR_MS);
+        const headroomKw = (options.limitWatts - options.getHouseholdLoadWatts(new Date(start))) / 1000;
+        const availableKw = Math.max(0, Math.min(charger.maxChargeKw, headroomKw));
+        slots.push({
+            start,
+            end,
+            rate: options.getRate(new Date(start)),
+            availableKw,
+            capacityKwh: availableKw * (end - start) / HOUR_MS
+        });
+        start = end;
+    }
+
+    // Charging as soon as possible is what a boost does, and the baseline for the savings
+    const chronological = allocate(slots, neededKwh);
+    const cheapestFirst = allocate([...slots].sort((a, b) => a.rate - b.rate || a.start - b.start), neededKwh);
+    const allocation = charger.chargeMode === 'boost' ? chronological : cheapestFirst;
+
+    const immediateCost = slots.reduce((sum, slot) => sum + chronological.get(slot) * slot.rate, 0);
+    const plannedCost = slots.reduce((sum, slot) => sum + allocation.get(slot) * slot.rate, 0);
+    const plannedKwh = slots.reduce((sum, slot) => sum + allocation.get(slot), 0);
+
+    return {
+        ...plan,
+        status: neededKwh - plannedKwh > 0.01 ? 'shortfall' : 'planned',
+        planned_kwh: round(plannedKwh, 2),
+        shortfall_kwh: round(Math.max(0, neededKwh - plannedKwh), 2),
+        estimated_cost: round(plannedCost, 2),
+        immediate_cost: round(immediateCost, 2),
+        estimated_savings: round(immediateCost - plannedCost, 2),
+        slots: slots
+            .filter(slot => allocation.get(slot) > 0)
+            .map(slot => {
+                const energyKwh = allocation.get(slot);
+                return {
+                    start: new Date(slot.start).toISOString(),
+                    end: new Date(slot.end).toISOString(),
+                    rate: slot.rate,
+                    available_kw: round(slot.availableKw, 2),
+                    power_kw: round(energyKwh / ((slot.end - slot.start) / HOUR_MS), 2),
+                    energy_kwh: round(energyKwh, 3),
+                    cost: round(energyKwh * slot.rate, 3)
+                };
+            })
+    };
+}
+
+/**
+ * Fill slots in the given order until the energy is allocated; energy (kWh) per slot
+ */
+function allocate(orderedSlots, neededKwh) {
+    const allocation = new Map();
+    let remaining = neededKwh;
+    orderedSlots.forEach(slot => {
+        const energyKwh = Math.min(slot.capacityKwh, remaining);
+        allocation.set(slot, energyKwh);
+        remaining -= energyKwh;
+    });
+    return allocation;
+}
+
+/**
+ * Should the charger be charging at `now` according to its plan?
+ */
+function isChargingDue(plan, now = new Date()) {
+    return plan.slots.some(slot => Date.parse(slot.start) <= now.getTime() && now.getTime() < Date.parse(slot.end));
+}
+
+module.exports = {
+    CHARGING_EFFICIENCY,
+    getEnergyNeededKwh,
+    getNextDeparture,
+    planCharging,
+    isChargingDue
+};
@@ -0,0 +1,253 @@
+/**
+ * Forecasting
+ * Hourly usage forecasts from recorded history, with prediction intervals. The
+ * series is decomposed into:
+ *
+ *   usage = day-of-week effect + weather effect + Holt-Winters component
+ *
+ * The day-of-week effect is the shrunken mean deviation of each weekday from the
+ * usual usage at the same hour of day, and the weather effect comes from the
+ * home's fitted weather sensitivity (services/weather-features.js). What is left is
+ * followed by additive Holt-Winters exponential smoothing with a damped trend and
+ * an hour-of-day season, its smoothing parameters chosen by grid search on the
+ * one-step-ahead errors. Hours without data are carried forward by the model.
+ *
+ * Pure and deterministic: the same history and conditions always give the same forecast.
+ */
+
+const { fitWeatherSensitivity, predictWeatherAdjustment } = require('./weather-features');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SEASON_HOURS = 24;
+const MIN_HISTORY_HOURS = 48;       // Two seasons: one to initialize, one to fit on
+const MAX_HISTORY_DAYS = 28;
+const DAMPING = 0.9;                // Damped trend, so forecasts level off
+const WEEKDAY_SHRINKAGE_HOURS = 12; // Day-of-week effects are shrunk by n / (n + this)
+
+const SMOOTHING_GRID = {
+    alpha: [0.05, 0.1, 0.2, 0.3, 0.5],
+    beta: [0, 0.02, 0.1],
+    gamma: [0.05, 0.1, 0.2, 0.4]
+};
+
+// Two-sided standard normal quantiles of the supported interval levels
+const INTERVAL_Z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+const hourStart = time => Math.floor(time / HOUR_MS) * HOUR_MS;
+
+/**
+ * Hourly observations from the first recorded hour up to (not including) start,
+ * with null for hours without data
+ */
+function buildSeries(history, start) {
+    const startTime = hourStart(start.getTime());
+    const earliest = startTime - MAX_HISTORY_DAYS * 24 * HOUR_MS;
+    const byHour = new Map();
+    history.forEach(entry => {
+        const time = hourStart(new Date(entry.timestamp).getTime());
+        if (time >= earliest && time < startTime && typeof entry.value === 'number' && isFinite(entry.value)) {
+            byHour.set(time, entry.value);
+        }
+    });
+    if (byHour.size === 0) return [];
+
+    const first = Math.min(...byHour.keys());
+    const series = [];
+    for (let time = first; time < startTime; time += HOUR_MS) {
+        const date = new Date(time);
+        series.push({ time, hour: date.getHours(), day: date.getDay(), value: byHour.has(time) ? byHour.get(time) : null });
+    }
+    return series;
+}
+
+/**
+ * Mean deviation (W) of each day of the week from the usual usage at the same hour,
+ * shrunk towards zero for weekdays with little data and centred on zero
+ */
+function fitWeekdayEffects(observed) {
+    const hourMeans = {};
+    for (let hour = 0; hour < 24; hour++) {
+        const values = observed.filter(point => point.hour === hour).map(point => point.value);
+        if (values.length > 0) hourMeans[hour] = mean(values);
+    }
+
+    const effects = new Array(7).fill(0);
+    for (let day = 0; day < 7; day++) {
+        const deviations = observed.filter(point => point.day === day).map(point => point.value - hourMeans[point.hour]);
+        if (deviations.length > 0) {
+            effects[day] = mean(deviations) * deviations.length / (deviations.length + WEEKDAY_SHRINKAGE_HOURS);
+        }
+    }
+
+    const offset = mean(effects);
+    return effects.map(effect => effect - offset);
+}
+
+/**
+ * Initial Holt-Winters state: the level of the first season and the mean deviation
+ * of each hour of day from the overall mean
+ */
+function initializeHoltWinters(series) {
+    const observed = series.filter(point => point.value !== null);
+    const overall = mean(observed.map(point => point.value));
+    const season = new Array(24).fill(0);
+    for (let hour = 0; hour < 24; hour++) {
+        const values = observed.filter(point => point.hour === hour).map(point => point.value);
+        if (values.length > 0) season[hour] = mean(values) - overall;
+    }
+    return { level: mean(observed.slice(0, SEASON_HOURS).map(point => point.value)), season };
+}
+
+/**
+ * Run additive Holt-Winters with a damped trend over a series (null for missing
+ * hours). Returns the final state and the one-step-ahead errors after the first season.
+ */
+function runHoltWinters(series, parameters, initial) {
+    const { alpha, beta, gamma } = parameters;
+    let level = initial.level;
+    let trend = 0;
+    const season = [...initial.season];
+
+    const errors = [];
+    let seen = 0;
+    series.forEach(point => {
+        const forecast = level + DAMPING * trend + season[point.hour];
+        if (point.value === null) {
+            level += DAMPING * trend;
+            trend *= DAMPING;
+            return;
+        }
+
+        if (seen >= SEASON_HOURS) errors.push(point.value - forecast);
+        seen++;
+
+        const previousLevel = level;
+        level = alpha * (point.value - season[point.hour]) + (1 - alpha) * (level + DAMPING * trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * DAMPING * trend;
+        season[point.hour] = gamma * (point.value - level) + (1 - gamma) * season[point.hour];
+    });
+
+    return { level, trend, season, errors };
+}
+
+/**
+ * Smoothing parameters with the least squared one-step-ahead error
+ */
+function fitHoltWinters(series) {
+    const initial = initializeHoltWinters(series);
+    let best = null;
+    SMOOTHING_GRID.alpha.forEach(alpha => SMOOTHING_GRID.beta.forEach(beta => SMOOTHING_GRID.gamma.forEach(gamma => {
+        const result = runHoltWinters(series, { alpha, beta, gamma }, initial);
+        const sse = result.errors.reduce((sum, error) => sum + error * error, 0);
+        if (!best || sse < best.sse) best = { parameters: { alpha, beta, gamma }, sse, result };
+    })));
+    return best;
+}
+
+/**
+ * Variance multiplier of the k-step-ahead forecast error over the one-step error,
+ * for additive Holt-Winters with a damped trend
+ */
+function horizonVarianceFactor(steps, parameters) {
+    const { alpha, beta, gamma } = parameters;
+    let factor = 1;
+    let dampedSum = 0;
+    for (let j = 1; j < steps; j++) {
+        dampedSum += DAMPING ** j;
+        const weight = alpha * (1 + beta * dampedSum) + (j % SEASON_HOURS === 0 ? gamma : 0);
+        factor += weight * weight;
+    }
+    return factor;
+}
+
+/**
+ * Forecast the hours from start of a series of hourly averages (W).
+ * history: [{ timestamp, value }], one entry per hour (gaps allowed)
+ * options: { start: first hour to forecast (default: the current hour), horizon (hours, default 24),
+ *            getConditions(date) -> weather conditions, for the weather effect (optional),
+ *            level: prediction interval level, 0.8, 0.9 (default) or 0.95 }
+ * Returns { forecasts: [{ timestamp, hour, value, lower, upper, weather_adjustment }], model },
+ * or null with less than two days of history.
+ */
+function forecastSeries(history, options = {}) {
+    const start = options.start || new Date();
+    const horizon = options.horizon || 24;
+    const level = options.level || 0.9;
+    const z = INTERVAL_Z[level];
+    if (!z) {
+        throw new RangeError(`Unsupported interval level: ${level}. Use one of ${Object.keys(INTERVAL_Z).join(', ')}`);
+    }
+
+    const series = buildSeries(history, start);
+    const observed = series.filter(point => point.value !== null);
+    if (observed.length < MIN_HISTORY_HOURS) return null;
+
+    const weekdayEffects = fitWeekdayEffects(observed);
+
+    // Weather sensitivity of what the day of the week does not explain
+    const weatherModel = options.getConditions
+        ? fitWeatherSensitivity(observed.map(point => ({
+            timestamp: new Date(point.time).toISOString(),
+            usage: point.value - weekdayEffects[point.day],
+            conditions: options.getConditions(new Date(point.time))
+        })))
+        : null;
+    const weatherEffect = (time, hour) => (weatherModel
+        ? predictWeatherAdjustment(weatherModel, hour, options.getConditions(new Date(time)))
+        : 0);
+
+    const adjusted = series.map(point => ({
+        ...point,
+        value: point.value === null ? null : point.value - weekdayEffects[point.day] - weatherEffect(point.time, point.hour)
+    }));
+    const fit = fitHoltWinters(adjusted);
+    const sigma = Math.sqrt(fit.sse / Math.max(1, fit.result.errors.length));
+
+    const { level: finalLevel, trend, season } = fit.result;
+    const firstHour = hourStart(start.getTime());
+    const lastTime = series[series.length - 1].time;
+    const forecasts = [];
+    for (let step = 1; step <= horizon; step++) {
+        const time = firstHour + (step - 1) * HOUR_MS;
+        const date = new Date(time);
+        const hour = date.getHours();
+        // Steps ahead of the last hour of history, which may end before start
+        const ahead = Math.round((time - lastTime) / HOUR_MS);
+        let dampedSum = 0;
+        for (let j = 1; j <= ahead; j++) dampedSum += DAMPING ** j;
+
+        const weatherAdjustment = weatherEffect(time, hour);
+        const value = finalLevel + dampedSum * trend + season[hour] + weekdayEffects[date.getDay()] + weatherAdjustment;
+        const halfWidth = z * sigma * Math.sqrt(horizonVarianceFactor(ahead, fit.parameters));
+
+        forecasts.push({
+            timestamp: date.toISOString(),
+            hour,
+            value: Math.max(0, value),
+            lower: Math.max(0, value - halfWidth),
+            upper: Math.max(0, value + halfWidth),
+            weather_adjustment: weatherAdjustment
+        });
+    }
+
+    const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+    return {
+        forecasts,
+        model: {
+            method: 'holt_winters',
+            history_hours: observed.length,
+            parameters: { ...fit.parameters, phi: DAMPING },
+            sigma: round(sigma, 1),
+            interval_level: level,
+            weekday_effects: weekdayEffects.map(effect => round(effect, 1)),
+            weather: weatherModel ? { samples: weatherModel.samples, coefficients: weatherModel.coefficients } : null
+        }
+    };
+}
+
+module.exports = {
+    MIN_HISTORY_HOURS,
+    INTERVAL_Z,
+    forecastSeries
+};
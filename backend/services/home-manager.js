@@ -0,0 +1,149 @@
+/**
+ * Home Manager
+ * Registry of the households managed by this server, with one orchestrator
+ * (devices, readings, agents, tariff, schedules) per home in the same process
+ */
+
+const { readJson, writeJson } = require('./data-store');
+const { RealEnergyManagementOrchestrator } = require('../agents/real-orchestrator');
+
+const DEFAULT_HOME_ID = 'default';
+// Lowercase only: the id names the home's data directory, which may be case-insensitive
+const HOME_ID_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+class HomeManager {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'homes.json';
+        this.mqttBridge = options.mqttBridge || null;
+        this.broadcastFactory = null;
+
+        const stored = readJson(this.fileName, []);
+        this.homes = Array.isArray(stored) ? stored : [];
+
+        // The default home keeps its data at the top of DATA_DIR, so existing installs carry over
+        if (!this.homes.some(home => home.id === DEFAULT_HOME_ID)) {
+            this.homes.unshift({ id: DEFAULT_HOME_ID, name: 'Default home', created_at: new Date().toISOString() });
+            this.save();
+        }
+
+        this.orchestrators = new Map();
+        this.homes.forEach(home => this.orchestrators.set(home.id, this.createOrchestrator(home.id)));
+
+        console.log(`🏠 Home manager initialized with ${this.homes.length} homes`);
+    }
+
+    createOrchestrator(homeId, initialDevices) {
+        return new RealEnergyManagementOrchestrator({
+            homeId,
+            dataPath: homeId === DEFAULT_HOME_ID ? '' : `homes/${homeId}`,
+            initialDevices,
+            mqttBridge: this.mqttBridge
+        });
+    }
+
+    /**
+     * Start every home's agents and device updates. Homes start one after the other so
+     * their AI calls and intervals do not all fire at the same moment.
+     * broadcastFactory(homeId) returns the broadcast callback for a home.
+     */
+    async startAll(broadcastFactory) {
+        this.broadcastFactory = broadcastFactory;
+
+        for (const home of this.homes) {
+            await this.start(home.id);
+        }
+    }
+
+    async start(homeId) {
+        try {
+            await this.orchestrators.get(homeId).startRealTimeProcessing(this.broadcastFactory(homeId));
+        } catch (error) {
+            console.error(`❌ Failed to start home ${homeId}:`, error.message);
+        }
+    }
+
+    list() {
+        return this.homes.map(home => this.describeHome(home));
+    }
+
+    has(homeId) {
+        return this.orchestrators.has(homeId);
+    }
+
+    /**
+     * Orchestrator of a home, or null when it does not exist
+     */
+    get(homeId) {
+        return this.orchestrators.get(homeId) || null;
+    }
+
+    getHome(homeId) {
+        const home = this.homes.find(h => h.id === homeId);
+        return home ? this.describeHome(home) : null;
+    }
+
+    /**
+     * Add a home. New homes start without devices; register them through the devices API.
+     */
+    create(data) {
+        const errors = [];
+        if (!data || typeof data.id !== 'string' || !HOME_ID_PATTERN.test(data.id)) {
+            errors.push('id must be 1-64 lowercase letters, digits, dashes or underscores');
+        } else if (this.has(data.id)) {
+            return { success: false, code: 'conflict', message: `Home ${data.id} already exists` };
+        }
+        if (!data || typeof data.name !== 'string' || data.name.trim() === '') {
+            errors.push('name is required');
+        }
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid home', errors };
+        }
+
+        const home = { id: data.id, name: data.name.trim(), created_at: new Date().toISOString() };
+        this.homes.push(home);
+        this.orchestrators.set(home.id, this.createOrchestrator(home.id, []));
+        this.save();
+
+        // Homes added at runtime start right away once the server is running
+        if (this.broadcastFactory) {
+            this.start(home.id);
+        }
+
+        console.log(`🏠 Created home ${home.id} (${home.name})`);
+        return { success: true, home: this.describeHome(home) };
+    }
+
+    /**
+     * Rename a home
+     */
+    update(homeId, data) {
+        const home = this.homes.find(h => h.id === homeId);
+        if (!home) {
+            return { success: false, code: 'not_found', message: 'Home not found' };
+        }
+        if (!data || typeof data.name !== 'string' || data.name.trim() === '') {
+            return { success: false, code: 'invalid', message: 'Invalid home', errors: ['name is required'] };
+        }
+
+        home.name = data.name.trim();
+        home.updated_at = new Date().toISOString();
+        this.save();
+
+        return { success: true, home: this.describeHome(home) };
+    }
+
+    describeHome(home) {
+        const orchestrator = this.orchestrators.get(home.id);
+        return {
+            ...home,
+            device_count: orchestrator ? orchestrator.getDevices().length : 0
+        };
+    }
+
+    save() {
+        writeJson(this.fileName, this.homes);
+    }
+}
+
+module.exports = HomeManager;
+module.exports.DEFAULT_HOME_ID = DEFAULT_HOME_ID;
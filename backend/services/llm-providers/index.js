@@ -0,0 +1,72 @@
+/**
+ * LLM Provider factory
+ * Every provider implements:
+ * - name
+ * - isConfigured()
+ * - generateText(prompt, parameters, options) -> Promise<string>
+ * - healthCheck() -> Promise<{ status, message }>
+ */
+
+const { getLlmConfig } = require('../../config/llm-config');
+const WatsonxProvider = require('./watsonx-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const ReplayProvider = require('./replay-provider');
+const { RecordingProvider } = require('./replay-provider');
+
+const PROVIDERS = {
+    watsonx: WatsonxProvider,
+    openai: OpenAICompatibleProvider,
+    replay: ReplayProvider
+};
+
+/**
+ * Create a provider by name
+ */
+function createProvider(name, config = getLlmConfig()) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${name}. Use one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider(config.providers[name] || {});
+}
+
+/**
+ * Create the provider selected by configuration (recording its responses if requested)
+ */
+function createConfiguredProvider(config = getLlmConfig()) {
+    const provider = createProvider(config.provider, config);
+    return config.recordFile ? new RecordingProvider(provider, config.recordFile) : provider;
+}
+
+// Inactive providers created for health checks, reused so tokens stay cached
+const healthCheckProviders = {};
+
+/**
+ * Health of every provider, flagging the active one
+ */
+async function checkProvidersHealth(activeProvider = null, config = getLlmConfig()) {
+    const results = {};
+
+    for (const name of Object.keys(PROVIDERS)) {
+        const active = name === config.provider;
+        const provider = active && activeProvider
+            ? activeProvider
+            : healthCheckProviders[name] || (healthCheckProviders[name] = createProvider(name, config));
+
+        if (!active && !provider.isConfigured()) {
+            results[name] = { status: 'not_configured', active };
+            continue;
+        }
+
+        results[name] = { ...(await provider.healthCheck()), active };
+    }
+
+    return results;
+}
+
+module.exports = {
+    createProvider,
+    createConfiguredProvider,
+    checkProvidersHealth,
+    PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
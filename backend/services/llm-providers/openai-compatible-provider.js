@@ -0,0 +1,79 @@
+/**
+ * OpenAI-compatible LLM Provider
+ * Chat completions against any OpenAI-compatible endpoint, such as a local
+ * llama.cpp server or Ollama (http://localhost:11434/v1)
+ */
+
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+class OpenAICompatibleProvider {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.explicitBaseUrl = Boolean(config.baseUrl);
+        this.baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.apiKey = config.apiKey;
+        this.model = config.model;
+        this.timeout = config.timeout;
+    }
+
+    isConfigured() {
+        return this.explicitBaseUrl && Boolean(this.model);
+    }
+
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Make a chat completion request, mapping watsonx-style parameters
+     */
+    async generateText(prompt, parameters = {}) {
+        const requestBody = {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: parameters.temperature,
+            top_p: parameters.top_p,
+            max_tokens: parameters.max_new_tokens,
+            // Most servers accept at most 4 stop sequences
+            stop: parameters.stop_sequences ? parameters.stop_sequences.slice(0, 4) : undefined
+        };
+
+        console.log(`🔄 Making OpenAI-compatible API call (${this.model})...`);
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, requestBody, {
+            headers: this.getHeaders(),
+            timeout: this.timeout
+        });
+
+        const choice = response.data.choices && response.data.choices[0];
+        if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+            throw new Error('Invalid chat completion response');
+        }
+
+        console.log('✅ OpenAI-compatible API call successful');
+        return choice.message.content;
+    }
+
+    async healthCheck() {
+        try {
+            await axios.get(`${this.baseUrl}/models`, {
+                headers: this.getHeaders(),
+                timeout: 5000
+            });
+            return { status: 'healthy', message: `OpenAI-compatible endpoint ${this.baseUrl} operational` };
+        } catch (error) {
+            return { status: 'unhealthy', message: `OpenAI-compatible endpoint unreachable: ${error.message}` };
+        }
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
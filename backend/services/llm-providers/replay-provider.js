@@ -0,0 +1,114 @@
+/**
+ * Replay LLM Provider
+ * Deterministic offline provider that answers from recorded responses, so the
+ * agents can run and be tested without a model. Recordings are produced by
+ * RecordingProvider (LLM_RECORD_FILE) or written by hand.
+ *
+ * File format: { "recordings": [{ "task", "promptHash", "response", "recorded_at" }] }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveDataPath } = require('../data-store');
+
+const DEFAULT_FILE_NAME = 'llm-recordings.json';
+
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+function resolveRecordingFile(file) {
+    return file ? path.resolve(file) : resolveDataPath(DEFAULT_FILE_NAME);
+}
+
+function loadRecordings(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(data.recordings) ? data.recordings : [];
+    } catch (error) {
+        console.warn(`⚠️ Failed to read LLM recordings from ${filePath}:`, error.message);
+        return [];
+    }
+}
+
+class ReplayProvider {
+    constructor(config = {}) {
+        this.name = 'replay';
+        this.filePath = resolveRecordingFile(config.file);
+        this.recordings = loadRecordings(this.filePath);
+    }
+
+    isConfigured() {
+        return this.recordings.length > 0;
+    }
+
+    /**
+     * Answer with the recording for this exact prompt, or else the latest
+     * recording for the same task (prompts embed live readings and timestamps)
+     */
+    async generateText(prompt, parameters = {}, options = {}) {
+        const promptHash = hashPrompt(prompt);
+        const exact = this.recordings.find(r => r.promptHash === promptHash);
+        if (exact) return exact.response;
+
+        const byTask = options.task
+            ? this.recordings.filter(r => r.task === options.task)
+            : [];
+        if (byTask.length > 0) return byTask[byTask.length - 1].response;
+
+        throw new Error(`No recorded response for task ${options.task || 'unknown'}`);
+    }
+
+    async healthCheck() {
+        if (this.recordings.length === 0) {
+            return { status: 'degraded', message: `No recordings in ${this.filePath} - using fallback mode` };
+        }
+        return { status: 'healthy', message: `Replaying ${this.recordings.length} recorded responses` };
+    }
+}
+
+/**
+ * Wraps another provider and records each response for later replay
+ */
+class RecordingProvider {
+    constructor(provider, file) {
+        this.provider = provider;
+        this.name = provider.name;
+        this.filePath = resolveRecordingFile(file);
+    }
+
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+
+    async generateText(prompt, parameters = {}, options = {}) {
+        const response = await this.provider.generateText(prompt, parameters, options);
+
+        try {
+            const recordings = loadRecordings(this.filePath);
+            recordings.push({
+                task: options.task || null,
+                promptHash: hashPrompt(prompt),
+                provider: this.provider.name,
+                response,
+                recorded_at: new Date().toISOString()
+            });
+            fs.writeFileSync(this.filePath, JSON.stringify({ recordings }, null, 2));
+        } catch (error) {
+            console.warn('⚠️ Failed to record LLM response:', error.message);
+        }
+
+        return response;
+    }
+
+    async healthCheck() {
+        return this.provider.healthCheck();
+    }
+}
+
+module.exports = ReplayProvider;
+module.exports.RecordingProvider = RecordingProvider;
+module.exports.hashPrompt = hashPrompt;
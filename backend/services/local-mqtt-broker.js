@@ -0,0 +1,147 @@
+/**
+ * Local MQTT Broker
+ * In-process stand-in for an MQTT broker (MQTT_BROKER=local), so the MQTT bridge and
+ * simulated devices work without an external broker. Clients expose the subset of the
+ * mqtt.js client API the bridge uses: connect/message/close events, subscribe,
+ * unsubscribe, publish (with retained messages) and end, plus last-will messages
+ * published when a client drops without a clean disconnect.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Does an MQTT topic filter (with + and # wildcards) match a topic?
+ */
+function matchTopic(filter, topic) {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') return true;
+        if (i >= topicLevels.length) return false;
+        if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+    }
+    return filterLevels.length === topicLevels.length;
+}
+
+class LocalMqttClient extends EventEmitter {
+    constructor(broker, options = {}) {
+        super();
+        this.broker = broker;
+        this.clientId = options.clientId || `local_${Math.random().toString(16).slice(2, 10)}`;
+        this.will = options.will || null;
+        this.subscriptions = new Set();
+        this.connected = true;
+    }
+
+    subscribe(topics, options, callback) {
+        if (typeof options === 'function') callback = options;
+        const filters = Array.isArray(topics) ? topics : [topics];
+
+        filters.forEach(filter => this.subscriptions.add(filter));
+        if (callback) callback(null, filters.map(topic => ({ topic, qos: 0 })));
+
+        // Retained messages are delivered on subscribe, like a real broker
+        setImmediate(() => this.broker.deliverRetained(this, filters));
+        return this;
+    }
+
+    unsubscribe(topics, options, callback) {
+        if (typeof options === 'function') callback = options;
+        (Array.isArray(topics) ? topics : [topics]).forEach(filter => this.subscriptions.delete(filter));
+        if (callback) callback(null);
+        return this;
+    }
+
+    publish(topic, message, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        if (!this.connected) {
+            if (callback) callback(new Error('Client is disconnected'));
+            return this;
+        }
+
+        this.broker.publish(topic, message, options || {});
+        if (callback) callback(null);
+        return this;
+    }
+
+    /**
+     * Clean disconnect; the will is discarded
+     */
+    end(force, callback) {
+        if (typeof force === 'function') callback = force;
+        this.broker.disconnect(this, false);
+        if (callback) callback();
+        return this;
+    }
+
+    /**
+     * Abrupt disconnect, like a lost network connection; the broker publishes the will
+     */
+    drop() {
+        this.broker.disconnect(this, true);
+    }
+
+    deliver(topic, payload, packet) {
+        if (this.connected && [...this.subscriptions].some(filter => matchTopic(filter, topic))) {
+            this.emit('message', topic, payload, packet);
+        }
+    }
+}
+
+class LocalMqttBroker {
+    constructor() {
+        this.clients = new Set();
+        this.retained = new Map();
+    }
+
+    /**
+     * Connect a client; 'connect' is emitted on the next tick, as with mqtt.connect()
+     */
+    connect(options = {}) {
+        const client = new LocalMqttClient(this, options);
+        this.clients.add(client);
+        setImmediate(() => client.emit('connect', { sessionPresent: false }));
+        return client;
+    }
+
+    publish(topic, message, options = {}) {
+        const payload = Buffer.isBuffer(message) ? message : Buffer.from(String(message));
+
+        if (options.retain) {
+            // An empty retained message clears the retained value
+            if (payload.length === 0) this.retained.delete(topic);
+            else this.retained.set(topic, payload);
+        }
+
+        // Deliver asynchronously so publishers never re-enter their own handlers
+        setImmediate(() => {
+            this.clients.forEach(client => client.deliver(topic, payload, { topic, payload, retain: false }));
+        });
+    }
+
+    deliverRetained(client, filters) {
+        this.retained.forEach((payload, topic) => {
+            if (filters.some(filter => matchTopic(filter, topic))) {
+                client.emit('message', topic, payload, { topic, payload, retain: true });
+            }
+        });
+    }
+
+    disconnect(client, publishWill) {
+        if (!client.connected) return;
+
+        client.connected = false;
+        this.clients.delete(client);
+        if (publishWill && client.will) {
+            this.publish(client.will.topic, client.will.payload, { retain: client.will.retain });
+        }
+        setImmediate(() => client.emit('close'));
+    }
+}
+
+module.exports = LocalMqttBroker;
+module.exports.matchTopic = matchTopic;
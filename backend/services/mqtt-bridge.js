@@ -0,0 +1,223 @@
+/**
+ * MQTT Bridge
+ * Ingests device telemetry and online/offline status from MQTT and publishes device
+ * commands to MQTT, for every home:
+ *
+ *   home/<homeId>/device/<deviceId>/state    telemetry in   { powerWatts, state, timestamp, energyKwh, metadata }
+ *   home/<homeId>/device/<deviceId>/status   status in      'online' | 'offline' (devices set 'offline' as their last will)
+ *   home/<homeId>/device/<deviceId>/set      commands out   { action, value, issued_at }
+ *
+ * The MQTT device adapter sends commands through the bridge and waits for the
+ * device to report the commanded state on its state topic.
+ */
+
+const mqtt = require('mqtt');
+const LocalMqttBroker = require('./local-mqtt-broker');
+
+const TOPIC_PREFIX = 'home';
+const TOPIC_PATTERN = /^home\/([^/]+)\/device\/([^/]+)\/(state|status)$/;
+
+class MqttBridge {
+    /**
+     * options.brokerUrl: mqtt://host:port, or 'local' for the in-process broker
+     * options.getHome:   (homeId) => orchestrator of the home, or null
+     */
+    constructor(options = {}) {
+        this.brokerUrl = options.brokerUrl;
+        this.getHome = options.getHome;
+        this.client = null;
+        this.broker = null;
+        this.connected = false;
+        // Last reported state per home/device, and commands waiting for a confirming state
+        this.lastStates = new Map();
+        this.stateWaiters = new Set();
+        this.stats = {
+            telemetry_received: 0,
+            status_received: 0,
+            rejected: 0,
+            commands_published: 0
+        };
+    }
+
+    start() {
+        if (this.brokerUrl === 'local') {
+            this.broker = new LocalMqttBroker();
+            this.client = this.broker.connect({ clientId: 'energy-optimizer-backend' });
+        } else {
+            this.client = mqtt.connect(this.brokerUrl, {
+                clientId: `energy-optimizer-backend-${process.pid}`,
+                reconnectPeriod: 5000
+            });
+        }
+
+        this.client.on('connect', () => {
+            this.connected = true;
+            this.client.subscribe([
+                `${TOPIC_PREFIX}/+/device/+/state`,
+                `${TOPIC_PREFIX}/+/device/+/status`
+            ]);
+            console.log(`📡 MQTT bridge connected to ${this.describeBroker()}`);
+        });
+        this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+        this.client.on('close', () => {
+            if (this.connected) console.warn('⚠️ MQTT bridge disconnected');
+            this.connected = false;
+        });
+        this.client.on('error', (error) => {
+            console.error('❌ MQTT bridge error:', error.message);
+        });
+    }
+
+    stop() {
+        if (this.client) this.client.end();
+        this.connected = false;
+    }
+
+    handleMessage(topic, payload) {
+        const match = topic.match(TOPIC_PATTERN);
+        if (!match) return;
+
+        const [, homeId, deviceId, kind] = match;
+        const orchestrator = this.getHome(homeId);
+        if (!orchestrator) {
+            this.reject(topic, `unknown home ${homeId}`);
+            return;
+        }
+
+        if (kind === 'status') {
+            this.handleStatus(orchestrator, topic, deviceId, payload.toString().trim());
+        } else {
+            this.handleTelemetry(orchestrator, topic, deviceId, payload.toString());
+        }
+    }
+
+    handleTelemetry(orchestrator, topic, deviceId, text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            this.reject(topic, 'payload is not valid JSON');
+            return;
+        }
+
+        const result = orchestrator.recordReading({ ...data, deviceId });
+        if (!result.success) {
+            this.reject(topic, result.errors ? result.errors.join('; ') : result.message);
+            return;
+        }
+
+        this.stats.telemetry_received++;
+        // Telemetry also proves the device is reachable
+        orchestrator.setDeviceConnectivity(deviceId, true);
+
+        const homeId = orchestrator.homeId;
+        const state = this.toDeviceState(data);
+        this.lastStates.set(`${homeId}/${deviceId}`, state);
+        this.stateWaiters.forEach(waiter => {
+            if (waiter.homeId === homeId && waiter.deviceId === deviceId && waiter.predicate(state)) {
+                waiter.resolve(state);
+            }
+        });
+    }
+
+    /**
+     * Device state from a telemetry payload
+     */
+    toDeviceState(data) {
+        const metadata = data.metadata || {};
+        const state = { power: data.powerWatts };
+        if (data.state !== undefined) state.isOn = data.state === 'on';
+        if (typeof metadata.targetTemp === 'number') state.targetTemp = metadata.targetTemp;
+        if (typeof metadata.temperature === 'number') state.indoorTemp = metadata.temperature;
+        if (typeof metadata.brightness === 'number') state.brightness = metadata.brightness;
+        if (typeof metadata.batteryMode === 'string') state.batteryMode = metadata.batteryMode;
+        if (typeof metadata.stateOfCharge === 'number') state.stateOfCharge = metadata.stateOfCharge;
+        if (typeof metadata.pluggedIn === 'boolean') state.pluggedIn = metadata.pluggedIn;
+        if (typeof metadata.vehicleSoc === 'number') state.vehicleSoc = metadata.vehicleSoc;
+        return state;
+    }
+
+    getLastState(homeId, deviceId) {
+        return this.lastStates.get(`${homeId}/${deviceId}`) || null;
+    }
+
+    /**
+     * Resolve with the next state of a device that satisfies the predicate, or null on timeout
+     */
+    waitForState(homeId, deviceId, predicate, timeoutMs) {
+        return new Promise((resolve) => {
+            const waiter = {
+                homeId,
+                deviceId,
+                predicate,
+                resolve: (state) => {
+                    clearTimeout(waiter.timer);
+                    this.stateWaiters.delete(waiter);
+                    resolve(state);
+                }
+            };
+            waiter.timer = setTimeout(() => waiter.resolve(null), timeoutMs);
+            this.stateWaiters.add(waiter);
+        });
+    }
+
+    handleStatus(orchestrator, topic, deviceId, text) {
+        if (text !== 'online' && text !== 'offline') {
+            this.reject(topic, "status must be 'online' or 'offline'");
+            return;
+        }
+
+        const result = orchestrator.setDeviceConnectivity(deviceId, text === 'online');
+        if (!result.success) {
+            this.reject(topic, result.message);
+            return;
+        }
+        this.stats.status_received++;
+    }
+
+    /**
+     * Publish a device command of a home to its command topic
+     */
+    publishCommand(homeId, command) {
+        if (!this.client || !this.connected) return false;
+
+        const topic = `${TOPIC_PREFIX}/${homeId}/device/${command.deviceId}/set`;
+        this.client.publish(topic, JSON.stringify({
+            action: command.action,
+            value: command.value === undefined ? null : command.value,
+            issued_at: new Date().toISOString()
+        }), { qos: 1 });
+
+        this.stats.commands_published++;
+        return true;
+    }
+
+    reject(topic, reason) {
+        this.stats.rejected++;
+        console.warn(`⚠️ Ignored MQTT message on ${topic}: ${reason}`);
+    }
+
+    /**
+     * Broker URL without credentials, for logs and health output
+     */
+    describeBroker() {
+        if (this.brokerUrl === 'local') return 'local';
+        try {
+            const url = new URL(this.brokerUrl);
+            return `${url.protocol}//${url.host}`;
+        } catch (error) {
+            return 'invalid broker URL';
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: true,
+            broker: this.describeBroker(),
+            connected: this.connected,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = MqttBridge;
@@ -0,0 +1,177 @@
+/**
+ * OpenADR-style VEN (Virtual End Node) stub
+ * Receives demand-response events from a utility's VTN (Virtual Top Node) in a
+ * simplified OpenADR 2.0b JSON form and hands them to the demand-response service.
+ * With OPENADR_VTN_URL set the VEN polls <url>/events?venId=<homeId> and opts in to
+ * each new event at <url>/events/<eventID>/response; events can also be pushed to
+ * POST /api/demand-response/ven.
+ *
+ * Supported event form:
+ * {
+ *   "eventDescriptor": { "eventID": "evt-1", "modificationNumber": 0, "marketContext": "summer-peak" },
+ *   "activePeriod": { "dtstart": "2025-07-01T17:00:00Z", "duration": "PT2H" },
+ *   "eiEventSignals": [{ "signalName": "LOAD_DISPATCH", "currentValue": 3 }]   // kW to shed
+ *                  or [{ "signalName": "ELECTRICITY_PRICE", "currentValue": 0.65 }] // $/kWh
+ * }
+ */
+
+const axios = require('axios');
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const DURATION_PATTERN = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/;
+
+/**
+ * Minutes in an ISO 8601 duration of hours/minutes/seconds (PT2H, PT90M), or null
+ */
+function parseDurationMinutes(duration) {
+    const match = typeof duration === 'string' ? DURATION_PATTERN.exec(duration) : null;
+    if (!match || duration === 'PT') return null;
+
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Math.round(Number(hours) * 60 + Number(minutes) + Number(seconds) / 60);
+}
+
+/**
+ * Convert an OpenADR event into a demand-response event definition, or return the
+ * errors that prevent it
+ */
+function toDemandResponseEvent(oadrEvent) {
+    const descriptor = (oadrEvent && oadrEvent.eventDescriptor) || {};
+    const period = (oadrEvent && oadrEvent.activePeriod) || {};
+    const signals = (oadrEvent && Array.isArray(oadrEvent.eiEventSignals)) ? oadrEvent.eiEventSignals : [];
+    const errors = [];
+
+    if (typeof descriptor.eventID !== 'string' || descriptor.eventID === '') {
+        errors.push('eventDescriptor.eventID is required');
+    }
+    const durationMinutes = parseDurationMinutes(period.duration);
+    if (durationMinutes === null) errors.push('activePeriod.duration must be an ISO 8601 duration such as PT2H');
+
+    const dispatch = signals.find(signal => signal.signalName === 'LOAD_DISPATCH');
+    const price = signals.find(signal => signal.signalName === 'ELECTRICITY_PRICE');
+    if (!dispatch && !price) errors.push('eiEventSignals needs a LOAD_DISPATCH or ELECTRICITY_PRICE signal');
+    if (errors.length > 0) return { valid: false, errors };
+
+    return {
+        valid: true,
+        event: {
+            externalId: descriptor.eventID,
+            program: descriptor.marketContext || undefined,
+            start: period.dtstart,
+            durationMinutes,
+            ...(dispatch ? { reductionKw: Number(dispatch.currentValue) } : { price: Number(price.currentValue) })
+        }
+    };
+}
+
+class OpenAdrVen {
+    /**
+     * options.venId:   identifies this VEN to the VTN (the home id)
+     * options.vtnUrl:  VTN base URL to poll (OPENADR_VTN_URL); without it events are push-only
+     * options.onEvent: (definition) => result of creating the demand-response event
+     */
+    constructor(options = {}) {
+        this.venId = options.venId || 'default';
+        this.vtnUrl = options.vtnUrl !== undefined ? options.vtnUrl : process.env.OPENADR_VTN_URL || null;
+        this.pollIntervalMs = options.pollIntervalMs || Number(process.env.OPENADR_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+        this.onEvent = options.onEvent || (() => ({ success: false, message: 'No event handler configured' }));
+        this.http = options.http || axios;
+        this.timer = null;
+        this.lastPollAt = null;
+        this.lastError = null;
+    }
+
+    start() {
+        if (!this.vtnUrl) return;
+
+        this.poll();
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        console.log(`⚡ OpenADR VEN ${this.venId} polling ${this.vtnUrl}`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Fetch the VTN's events for this VEN and opt in to the ones accepted
+     */
+    async poll() {
+        try {
+            const response = await this.http.get(`${this.vtnUrl}/events`, { params: { venId: this.venId } });
+            this.lastPollAt = new Date().toISOString();
+            this.lastError = null;
+
+            const results = await this.receive(response.data);
+            for (const result of results.filter(r => r.success && r.created)) {
+                await this.respond(result.event_id, 'optIn');
+            }
+        } catch (error) {
+            this.lastError = error.message;
+            console.warn(`⚠️ OpenADR VEN ${this.venId} failed to poll the VTN: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take an oadrDistributeEvent payload ({ events: [...] }, a list or a single
+     * event) and create its events; returns one result per event
+     */
+    async receive(payload) {
+        const oadrEvents = Array.isArray(payload) ? payload : (payload && Array.isArray(payload.events) ? payload.events : [payload]);
+        const results = [];
+
+        for (const oadrEvent of oadrEvents) {
+            const conversion = toDemandResponseEvent(oadrEvent);
+            const eventID = oadrEvent && oadrEvent.eventDescriptor ? oadrEvent.eventDescriptor.eventID : null;
+            if (!conversion.valid) {
+                results.push({ event_id: eventID, success: false, created: false, message: 'Invalid OpenADR event', errors: conversion.errors });
+                continue;
+            }
+
+            const result = await this.onEvent(conversion.event);
+            results.push({
+                event_id: eventID,
+                success: result.success,
+                created: Boolean(result.created || result.updated),
+                event: result.event,
+                message: result.message,
+                errors: result.errors
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Tell the VTN whether the home takes part in an event (oadrCreatedEvent)
+     */
+    async respond(eventID, optType) {
+        if (!this.vtnUrl) return;
+
+        try {
+            await this.http.post(`${this.vtnUrl}/events/${encodeURIComponent(eventID)}/response`, {
+                venId: this.venId,
+                optType,
+                responseCode: 200
+            });
+        } catch (error) {
+            console.warn(`⚠️ OpenADR VEN ${this.venId} failed to respond to event ${eventID}: ${error.message}`);
+        }
+    }
+
+    getStatus() {
+        return {
+            ven_id: this.venId,
+            vtn_url: this.vtnUrl,
+            polling: Boolean(this.timer),
+            last_poll_at: this.lastPollAt,
+            last_error: this.lastError
+        };
+    }
+}
+
+module.exports = OpenAdrVen;
+module.exports.toDemandResponseEvent = toDemandResponseEvent;
+module.exports.parseDurationMinutes = parseDurationMinutes;
@@ -0,0 +1,122 @@
+/**
+ * Prediction Backtest
+ * Replays a home's recorded history through each predictor: at every cutoff hour in
+ * a past period, each predictor forecasts the following hours from what was known
+ * before the cutoff, and the forecasts are scored against the hourly consumption
+ * that was recorded, with the same metrics as live tracking (services/prediction-tracker.js).
+ *
+ * Sources: statistical (services/forecasting.js), baseline (the fixed time-of-day
+ * profile) and ai (the configured LLM provider; use LLM_PROVIDER=replay to run it offline).
+ */
+
+const { createErrorStats, addError, summarizeBySourceAndHorizon } = require('./prediction-tracker');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_DAYS = 21;
+const SOURCES = ['statistical', 'baseline', 'ai'];
+
+const hourStart = time => Math.floor(time / HOUR_MS) * HOUR_MS;
+
+/**
+ * Forecasts ([{ timestamp, predicted, lower?, upper? }]) of one source at a cutoff,
+ * or null when it cannot forecast from the history known then
+ */
+async function forecastAt(source, cutoff, context) {
+    const { agent, readingStore, weather, getDevices, history, horizon } = context;
+
+    if (source === 'statistical') {
+        const result = agent.forecastUsage(history.filter(entry => Date.parse(entry.timestamp) < cutoff.getTime()), cutoff, horizon);
+        return result && result.forecasts.map(forecast => ({
+            timestamp: forecast.timestamp,
+            predicted: forecast.value,
+            lower: forecast.lower,
+            upper: forecast.upper
+        }));
+    }
+
+    if (source === 'baseline') {
+        return Array.from({ length: horizon }, (_, index) => {
+            const time = new Date(cutoff.getTime() + index * HOUR_MS);
+            return { timestamp: time.toISOString(), predicted: agent.calculateBaselineUsage(time.getHours()) };
+        });
+    }
+
+    // The AI sees the live snapshots and the weather as they were at the cutoff
+    const snapshots = readingStore.getSnapshots({ to: new Date(cutoff.getTime() - 1), limit: 1000 });
+    if (snapshots.length < 24) return null;
+    try {
+        const predictions = await agent.watsonx.generateEnergyPredictions(
+            getDevices(), snapshots, cutoff.getHours(), weather.getHourly(cutoff, 24)
+        );
+        return predictions.slice(0, horizon).map((prediction, index) => ({
+            timestamp: new Date(cutoff.getTime() + index * HOUR_MS).toISOString(),
+            predicted: prediction.predictedUsage
+        }));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Run a backtest over cutoffs every stepHours from `from` to `to`.
+ * options: { agent (prediction agent), readingStore, weather, getDevices, from, to,
+ *            stepHours (default 24), horizon (hours, default 24), sources, onProgress(cutoff) }
+ */
+async function runBacktest(options) {
+    const { readingStore, from, to } = options;
+    const stepHours = options.stepHours || 24;
+    const horizon = options.horizon || 24;
+    const sources = options.sources || ['statistical', 'baseline'];
+    const unknown = sources.filter(source => !SOURCES.includes(source));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown prediction sources: ${unknown.join(', ')}. Use ${SOURCES.join(', ')}`);
+    }
+
+    const firstCutoff = hourStart(from.getTime());
+    const lastCutoff = hourStart(to.getTime());
+    const buckets = readingStore.aggregate({
+        from: new Date(firstCutoff - HISTORY_DAYS * 24 * HOUR_MS),
+        to: new Date(lastCutoff + horizon * HOUR_MS),
+        bucket: '1h'
+    }).buckets.filter(bucket => !bucket.missing);
+
+    const history = buckets.map(bucket => ({ timestamp: bucket.timestamp, usage: bucket.avg }));
+    const actuals = new Map(buckets.filter(bucket => bucket.coverage >= 0.5)
+        .map(bucket => [Date.parse(bucket.timestamp), bucket.avg]));
+
+    const context = { ...options, history, horizon };
+    const bySource = {};
+    const cutoffs = {};
+    for (let time = firstCutoff; time <= lastCutoff; time += stepHours * HOUR_MS) {
+        const cutoff = new Date(time);
+        if (options.onProgress) options.onProgress(cutoff);
+
+        for (const source of sources) {
+            const forecasts = await forecastAt(source, cutoff, context);
+            if (!forecasts) continue;
+            cutoffs[source] = (cutoffs[source] || 0) + 1;
+
+            const byHorizon = bySource[source] || (bySource[source] = {});
+            forecasts.forEach((forecast, index) => {
+                const actual = actuals.get(Date.parse(forecast.timestamp));
+                if (actual === undefined) return;
+                addError(byHorizon[index] || (byHorizon[index] = createErrorStats()), forecast, actual);
+            });
+        }
+    }
+
+    return {
+        from: new Date(firstCutoff).toISOString(),
+        to: new Date(lastCutoff).toISOString(),
+        step_hours: stepHours,
+        horizon,
+        sources,
+        cutoffs,
+        ...summarizeBySourceAndHorizon(bySource)
+    };
+}
+
+module.exports = {
+    SOURCES,
+    runBacktest
+};
@@ -0,0 +1,243 @@
+/**
+ * Prediction Tracker
+ * Records every issued usage forecast and scores it against the home's actual
+ * hourly consumption once the hour has passed. Errors are accumulated per day,
+ * source (ai, statistical, baseline) and horizon (hours between the hour the
+ * forecast was issued in and the hour it is for; 0 is the hour in progress), from
+ * which MAE, MAPE, RMSE and prediction interval coverage are reported.
+ *
+ * Issued forecasts are appended to a JSONL log; accumulated errors and the last
+ * hour scored are kept in a JSON document.
+ */
+
+const { readJson, writeJson, readJsonLines, writeJsonLines, appendJsonLine } = require('./data-store');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RETENTION_DAYS = 30;
+// Readings arriving late still count towards an hour scored this long after it ends
+const SCORING_DELAY_MS = 5 * 60 * 1000;
+// How often forecasts older than the retention window are dropped from the log while running
+const PRUNE_INTERVAL_MS = DAY_MS;
+
+const hourStart = time => Math.floor(time / HOUR_MS) * HOUR_MS;
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function createErrorStats() {
+    return { count: 0, absolute: 0, squared: 0, percentage: 0, percentageCount: 0, intervals: 0, covered: 0 };
+}
+
+/**
+ * Add one scored forecast (W) to accumulated error statistics
+ */
+function addError(stats, forecast, actual) {
+    const error = forecast.predicted - actual;
+    stats.count++;
+    stats.absolute += Math.abs(error);
+    stats.squared += error * error;
+    if (actual > 0) {
+        stats.percentage += Math.abs(error) / actual;
+        stats.percentageCount++;
+    }
+    if (typeof forecast.lower === 'number' && typeof forecast.upper === 'number') {
+        stats.intervals++;
+        if (actual >= forecast.lower && actual <= forecast.upper) stats.covered++;
+    }
+}
+
+function mergeErrorStats(target, stats) {
+    Object.keys(target).forEach(key => { target[key] += stats[key]; });
+    return target;
+}
+
+/**
+ * MAE and RMSE (W), MAPE (%) and interval coverage (share of actuals inside the
+ * prediction interval, null without intervals) of accumulated error statistics
+ */
+function summarizeErrors(stats) {
+    if (stats.count === 0) return { count: 0, mae: null, mape: null, rmse: null, coverage: null };
+    return {
+        count: stats.count,
+        mae: round(stats.absolute / stats.count, 1),
+        mape: stats.percentageCount > 0 ? round(stats.percentage / stats.percentageCount * 100, 1) : null,
+        rmse: round(Math.sqrt(stats.squared / stats.count), 1),
+        coverage: stats.intervals > 0 ? round(stats.covered / stats.intervals, 3) : null,
+        intervals: stats.intervals
+    };
+}
+
+/**
+ * Report error statistics nested by source and horizon ({ [source]: { [horizon]: stats } })
+ * as totals per source and a row per source and horizon
+ */
+function summarizeBySourceAndHorizon(bySource) {
+    const sources = {};
+    const horizons = [];
+    Object.entries(bySource).forEach(([source, byHorizon]) => {
+        const total = createErrorStats();
+        Object.entries(byHorizon).forEach(([horizon, stats]) => {
+            mergeErrorStats(total, stats);
+            horizons.push({ source, horizon: Number(horizon), ...summarizeErrors(stats) });
+        });
+        sources[source] = summarizeErrors(total);
+    });
+    horizons.sort((a, b) => a.source.localeCompare(b.source) || a.horizon - b.horizon);
+    return { by_source: sources, by_horizon: horizons };
+}
+
+class PredictionTracker {
+    /**
+     * options.getHourlyUsage(from, to): actual average consumption (W) of each hour
+     * with enough readings in [from, to), as [{ timestamp, usage }]
+     */
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'forecasts.jsonl';
+        this.accuracyFileName = options.accuracyFileName || 'prediction-accuracy.json';
+        this.getHourlyUsage = options.getHourlyUsage || (() => []);
+
+        const stored = readJson(this.accuracyFileName, null);
+        this.scoredThrough = stored && stored.scored_through ? Date.parse(stored.scored_through) : null;
+        this.days = stored && stored.days ? stored.days : {};
+
+        // Issued forecasts with hours not scored yet
+        this.pending = [];
+        this.load();
+
+        console.log(`🎯 Prediction tracker loaded with ${this.pending.length} forecasts awaiting scoring`);
+    }
+
+    /**
+     * Load the forecast log, dropping forecasts older than the retention window
+     */
+    load() {
+        this.pending = this.prune().filter(issue => !this.isScored(issue));
+    }
+
+    /**
+     * Rewrite the forecast log without the forecasts issued before the retention
+     * window. Returns the forecasts kept.
+     */
+    prune(now = new Date()) {
+        const cutoff = now.getTime() - RETENTION_DAYS * DAY_MS;
+        const issues = readJsonLines(this.fileName);
+        const kept = issues.filter(issue => Date.parse(issue.issued_at) >= cutoff);
+
+        if (kept.length < issues.length) {
+            writeJsonLines(this.fileName, kept);
+            console.log(`🧹 Pruned ${issues.length - kept.length} forecasts older than ${RETENTION_DAYS} days`);
+        }
+
+        this.lastPrune = now.getTime();
+        return kept;
+    }
+
+    isScored(issue) {
+        if (this.scoredThrough === null || issue.forecasts.length === 0) return false;
+        return Date.parse(issue.forecasts[issue.forecasts.length - 1].timestamp) < this.scoredThrough;
+    }
+
+    /**
+     * Record an issued set of hourly predictions
+     */
+    record(predictions, issuedAt = new Date()) {
+        if (predictions.length === 0) return;
+
+        const issue = {
+            issued_at: issuedAt.toISOString(),
+            source: predictions[0].source || 'unknown',
+            forecasts: predictions.map(p => {
+                const forecast = { timestamp: p.timestamp, predicted: Math.round(p.predictedUsage) };
+                if (p.prediction_interval) {
+                    forecast.lower = p.prediction_interval.lower;
+                    forecast.upper = p.prediction_interval.upper;
+                }
+                return forecast;
+            })
+        };
+
+        appendJsonLine(this.fileName, issue);
+        this.pending.push(issue);
+    }
+
+    /**
+     * Score recorded forecasts for every hour that has passed since the last scoring
+     */
+    score(now = new Date()) {
+        const lastHour = hourStart(now.getTime() - SCORING_DELAY_MS) - HOUR_MS;
+        const earliestPending = this.pending.length > 0
+            ? Math.min(...this.pending.map(issue => hourStart(Date.parse(issue.forecasts[0].timestamp))))
+            : null;
+        let from = this.scoredThrough !== null ? this.scoredThrough : earliestPending;
+        if (from === null) return 0;
+        from = Math.max(from, hourStart(now.getTime() - RETENTION_DAYS * DAY_MS));
+        if (from > lastHour) return 0;
+
+        const to = lastHour + HOUR_MS;
+        const actuals = new Map(this.getHourlyUsage(new Date(from), new Date(to))
+            .map(entry => [hourStart(Date.parse(entry.timestamp)), entry.usage]));
+
+        let scored = 0;
+        this.pending.forEach(issue => {
+            const issuedHour = hourStart(Date.parse(issue.issued_at));
+            issue.forecasts.forEach(forecast => {
+                const time = hourStart(Date.parse(forecast.timestamp));
+                if (time < from || time >= to || time < issuedHour || !actuals.has(time)) return;
+
+                const day = new Date(time).toISOString().slice(0, 10);
+                const bySource = this.days[day] || (this.days[day] = {});
+                const byHorizon = bySource[issue.source] || (bySource[issue.source] = {});
+                const horizon = Math.round((time - issuedHour) / HOUR_MS);
+                addError(byHorizon[horizon] || (byHorizon[horizon] = createErrorStats()), forecast, actuals.get(time));
+                scored++;
+            });
+        });
+
+        this.scoredThrough = to;
+        this.pending = this.pending.filter(issue => !this.isScored(issue));
+
+        const oldestDay = new Date(now.getTime() - RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+        Object.keys(this.days).filter(day => day < oldestDay).forEach(day => delete this.days[day]);
+        if (now.getTime() - this.lastPrune >= PRUNE_INTERVAL_MS) this.prune(now);
+
+        this.save();
+        return scored;
+    }
+
+    save() {
+        writeJson(this.accuracyFileName, {
+            scored_through: new Date(this.scoredThrough).toISOString(),
+            days: this.days
+        });
+    }
+
+    /**
+     * MAE, MAPE, RMSE and interval coverage of the forecasts for the last days,
+     * per source and per source and horizon
+     */
+    getAccuracy(days = 7, now = new Date()) {
+        const fromDay = new Date(now.getTime() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+        const bySource = {};
+        Object.entries(this.days).filter(([day]) => day >= fromDay).forEach(([, sources]) => {
+            Object.entries(sources).forEach(([source, byHorizon]) => {
+                const target = bySource[source] || (bySource[source] = {});
+                Object.entries(byHorizon).forEach(([horizon, stats]) => {
+                    mergeErrorStats(target[horizon] || (target[horizon] = createErrorStats()), stats);
+                });
+            });
+        });
+
+        return {
+            days,
+            from: fromDay,
+            scored_through: this.scoredThrough !== null ? new Date(this.scoredThrough).toISOString() : null,
+            pending_forecasts: this.pending.length,
+            ...summarizeBySourceAndHorizon(bySource)
+        };
+    }
+}
+
+module.exports = PredictionTracker;
+module.exports.createErrorStats = createErrorStats;
+module.exports.addError = addError;
+module.exports.summarizeErrors = summarizeErrors;
+module.exports.summarizeBySourceAndHorizon = summarizeBySourceAndHorizon;
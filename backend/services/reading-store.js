@@ -0,0 +1,488 @@
+/**
+ * Energy Reading Store
+ * Durable append-only time-series store for per-device power readings,
+ * keyed by deviceId and timestamp. Readings of producing devices (solar) are
+ * their output, which is netted against consumption into grid import and export.
+ * A reading flagged as producing (a discharging battery) is output as well.
+ */
+
+const { readJsonLines, writeJsonLines, appendJsonLine } = require('./data-store');
+
+const DEFAULT_FILE_NAME = 'readings.jsonl';
+const DEFAULT_RETENTION_DAYS = 90;
+const SNAPSHOT_INTERVAL_MS = 30 * 1000;   // Matches the device update cadence
+const STALE_READING_MS = 90 * 1000;       // A reading stays "current" for 3 intervals
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000; // Reject readings from the future
+const MAX_POWER_WATTS = 100000;
+const MAX_BUCKETS = 5000;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Supported aggregation bucket sizes
+const BUCKET_SIZES = {
+    '1m': 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+class ReadingStore {
+    /**
+     * options.isProducer: (deviceId) => whether the device generates power
+     */
+    constructor(options = {}) {
+        this.fileName = options.fileName || DEFAULT_FILE_NAME;
+        this.isProducer = options.isProducer || (() => false);
+        this.retentionDays = options.retentionDays
+            || parseInt(process.env.READING_RETENTION_DAYS, 10)
+            || DEFAULT_RETENTION_DAYS;
+
+        // Readings sorted by time; each entry is { time, reading }
+        this.entries = [];
+        this.keys = new Set();
+        this.lastPrune = Date.now();
+
+        this.load();
+
+        console.log(`🗄️ Reading store loaded with ${this.entries.length} readings`);
+    }
+
+    /**
+     * Load persisted readings and drop anything outside the retention window
+     */
+    load() {
+        const cutoff = this.getRetentionCutoff();
+        const records = readJsonLines(this.fileName);
+        let pruned = 0;
+
+        records.forEach(reading => {
+            const time = Date.parse(reading.timestamp);
+            if (isNaN(time) || time < cutoff) {
+                pruned++;
+                return;
+            }
+            this.insertEntry(time, reading);
+        });
+
+        // Compact the file once old readings have been dropped
+        if (pruned > 0) {
+            writeJsonLines(this.fileName, this.entries.map(e => e.reading));
+            console.log(`🧹 Pruned ${pruned} readings older than ${this.retentionDays} days`);
+        }
+    }
+
+    /**
+     * Validate and normalize an incoming reading payload
+     * Accepts the simulator format ({ deviceId, timestamp, powerWatts, state, ... });
+     * producing: true marks the power as output of a storage device
+     */
+    validate(payload) {
+        const errors = [];
+
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return { valid: false, errors: ['Reading must be a JSON object'] };
+        }
+
+        const { deviceId, timestamp, powerWatts, energyKwh, state, producing, metadata } = payload;
+
+        if (typeof deviceId !== 'string' || deviceId.trim() === '') {
+            errors.push('deviceId must be a non-empty string');
+        }
+
+        let time = Date.now();
+        if (timestamp !== undefined) {
+            time = Date.parse(timestamp);
+            if (isNaN(time)) {
+                errors.push('timestamp must be an ISO 8601 date');
+            } else if (time > Date.now() + MAX_FUTURE_SKEW_MS) {
+                errors.push('timestamp is in the future');
+            }
+        }
+
+        if (typeof powerWatts !== 'number' || !isFinite(powerWatts) || powerWatts < 0 || powerWatts > MAX_POWER_WATTS) {
+            errors.push(`powerWatts must be a number between 0 and ${MAX_POWER_WATTS}`);
+        }
+
+        if (energyKwh !== undefined && (typeof energyKwh !== 'number' || !isFinite(energyKwh) || energyKwh < 0)) {
+            errors.push('energyKwh must be a non-negative number');
+        }
+
+        if (state !== undefined && state !== 'on' && state !== 'off') {
+            errors.push("state must be 'on' or 'off'");
+        }
+
+        if (producing !== undefined && typeof producing !== 'boolean') {
+            errors.push('producing must be true or false');
+        }
+
+        if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+            errors.push('metadata must be an object');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+
+        const reading = {
+            deviceId: deviceId.trim(),
+            timestamp: new Date(time).toISOString(),
+            power: Math.round(powerWatts * 100) / 100,
+            isOn: state !== undefined ? state === 'on' : powerWatts > 0,
+            source: 'telemetry'
+        };
+        if (producing) reading.producing = true;
+        if (energyKwh !== undefined) reading.energyKwh = energyKwh;
+        if (metadata !== undefined) reading.metadata = metadata;
+
+        return { valid: true, errors: [], reading };
+    }
+
+    /**
+     * Append a normalized reading. Duplicate deviceId/timestamp pairs are ignored.
+     * Returns true when the reading was stored.
+     */
+    append(reading) {
+        const time = Date.parse(reading.timestamp);
+        if (this.keys.has(this.getKey(reading))) {
+            return false;
+        }
+
+        if (Date.now() - this.lastPrune >= PRUNE_INTERVAL_MS) {
+            this.prune();
+        }
+
+        this.insertEntry(time, reading);
+        appendJsonLine(this.fileName, reading);
+        return true;
+    }
+
+    getRetentionCutoff() {
+        return Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Drop readings that have aged out of the retention window while running,
+     * from memory and the file. Returns the number of readings dropped.
+     */
+    prune() {
+        this.lastPrune = Date.now();
+        const count = this.lowerBound(this.getRetentionCutoff());
+        if (count === 0) return 0;
+
+        this.entries.splice(0, count).forEach(entry => this.keys.delete(this.getKey(entry.reading)));
+        writeJsonLines(this.fileName, this.entries.map(e => e.reading));
+        console.log(`🧹 Pruned ${count} readings older than ${this.retentionDays} days`);
+        return count;
+    }
+
+    /**
+     * Query readings in a time range, optionally for a single device
+     */
+    query({ from, to, deviceId, limit } = {}) {
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() : Infinity;
+
+        const results = [];
+        for (let i = this.lowerBound(fromTime); i < this.entries.length; i++) {
+            const entry = this.entries[i];
+            if (entry.time > toTime) break;
+            if (deviceId && entry.reading.deviceId !== deviceId) continue;
+            results.push(entry.reading);
+        }
+
+        return limit ? results.slice(-limit) : results;
+    }
+
+    /**
+     * Latest reading per device
+     */
+    getLatestByDevice() {
+        const latest = {};
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const { reading } = this.entries[i];
+            if (!latest[reading.deviceId]) {
+                latest[reading.deviceId] = reading;
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Build whole-home snapshots ({ timestamp, totalPower, production, netPower, devices })
+     * at a fixed interval. totalPower is consumption, production the output of producing
+     * devices and netPower what is drawn from the grid (negative while exporting).
+     * A device's last reading is carried forward while it is not stale, so a bucket
+     * where one device reported slightly late still has a complete total.
+     */
+    getSnapshots({ from, to, limit, intervalMs = SNAPSHOT_INTERVAL_MS } = {}) {
+        const toTime = to ? new Date(to).getTime() : Date.now();
+        let fromTime = from ? new Date(from).getTime() : -Infinity;
+        if (limit && !from) {
+            fromTime = toTime - (limit + 1) * intervalMs;
+        }
+
+        const snapshots = [];
+        const lastByDevice = new Map();
+        let bucketStart = null;
+
+        const flush = () => {
+            if (bucketStart === null) return;
+            const bucketEnd = bucketStart + intervalMs;
+            const devices = [];
+            lastByDevice.forEach((entry, deviceId) => {
+                if (bucketEnd - entry.time <= STALE_READING_MS) {
+                    const device = { id: deviceId, power: entry.reading.power, isOn: entry.reading.isOn };
+                    if (entry.reading.producing || this.isProducer(deviceId)) device.producer = true;
+                    devices.push(device);
+                }
+            });
+            const { consumption, production } = this.splitPower(devices);
+            snapshots.push({
+                timestamp: new Date(bucketStart).toISOString(),
+                totalPower: consumption,
+                production,
+                netPower: consumption - production,
+                devices
+            });
+        };
+
+        // Start a little early so carried-forward readings are known for the first bucket
+        for (let i = this.lowerBound(fromTime - STALE_READING_MS); i < this.entries.length; i++) {
+            const entry = this.entries[i];
+            if (entry.time > toTime) break;
+
+            const bucket = Math.floor(entry.time / intervalMs) * intervalMs;
+            if (bucket !== bucketStart) {
+                if (bucketStart !== null && bucketStart >= fromTime) flush();
+                bucketStart = bucket;
+            }
+            lastByDevice.set(entry.reading.deviceId, entry);
+        }
+        if (bucketStart !== null && bucketStart >= fromTime) flush();
+
+        return limit ? snapshots.slice(-limit) : snapshots;
+    }
+
+    /**
+     * Aggregate recorded readings into fixed-size buckets (aligned to UTC).
+     * Power statistics (min/max/avg) are in watts over the 30-second snapshots in each
+     * bucket; sum is the energy consumed in kWh. Production is netted against
+     * consumption per snapshot into the energy imported from and exported to the grid.
+     * Buckets without any recorded data are flagged as missing instead of being filled in.
+     *
+     * options.costOf(kwh, date) may price each sample's grid import to also compute a
+     * cost per bucket; it is called in chronological order. options.exportValueOf(kwh, date)
+     * likewise prices exports as an export credit.
+     */
+    aggregate({ from, to, bucket = '1h', deviceId, costOf, exportValueOf } = {}) {
+        const bucketMs = BUCKET_SIZES[bucket];
+        if (!bucketMs) {
+            throw new RangeError(`Unsupported bucket size: ${bucket}. Use one of ${Object.keys(BUCKET_SIZES).join(', ')}`);
+        }
+
+        const toTime = to ? new Date(to).getTime() : Date.now();
+        const fromTime = from ? new Date(from).getTime() : toTime - 24 * 60 * 60 * 1000;
+        if (isNaN(fromTime) || isNaN(toTime)) {
+            throw new RangeError('from and to must be valid dates');
+        }
+        if (fromTime >= toTime) {
+            throw new RangeError('from must be before to');
+        }
+
+        const firstBucket = Math.floor(fromTime / bucketMs) * bucketMs;
+        const bucketCount = Math.ceil((toTime - firstBucket) / bucketMs);
+        if (bucketCount > MAX_BUCKETS) {
+            throw new RangeError(`Range spans ${bucketCount} buckets; the maximum is ${MAX_BUCKETS}`);
+        }
+
+        const buckets = [];
+        for (let i = 0; i < bucketCount; i++) {
+            buckets.push(this.createBucketStats(firstBucket + i * bucketMs));
+        }
+
+        const sampleHours = SNAPSHOT_INTERVAL_MS / (60 * 60 * 1000);
+        const snapshots = this.getSnapshots({ from: firstBucket, to: toTime });
+
+        snapshots.forEach(snapshot => {
+            const time = Date.parse(snapshot.timestamp);
+            if (time < fromTime) return;
+
+            const stats = buckets[Math.floor((time - firstBucket) / bucketMs)];
+            if (!stats) return;
+
+            const devices = deviceId
+                ? snapshot.devices.filter(d => d.id === deviceId)
+                : snapshot.devices;
+            if (devices.length === 0) return;
+
+            const { consumption, production } = this.splitPower(devices);
+            const imported = Math.max(0, consumption - production) / 1000 * sampleHours;
+            const exported = Math.max(0, production - consumption) / 1000 * sampleHours;
+            const cost = costOf ? costOf(imported, new Date(time)) : 0;
+            const exportCredit = exportValueOf ? exportValueOf(exported, new Date(time)) : 0;
+
+            this.addSample(stats, consumption, sampleHours, cost);
+            this.addGridSample(stats, production, sampleHours, imported, exported, exportCredit);
+            devices.forEach(d => {
+                if (!stats.devices[d.id]) {
+                    stats.devices[d.id] = this.createBucketStats(stats.time);
+                }
+                // A consumer's share of the import cost is proportional to its share of
+                // the consumption, a producer's share of the export credit to its output
+                const share = d.producer
+                    ? (production > 0 ? exportCredit * (d.power / production) : 0)
+                    : (consumption > 0 ? cost * (d.power / consumption) : 0);
+                this.addSample(stats.devices[d.id], d.power, sampleHours, d.producer ? 0 : share, d.isOn);
+                if (d.producer) this.addGridSample(stats.devices[d.id], d.power, sampleHours, 0, 0, share);
+            });
+        });
+
+        const expectedSamples = bucketMs / SNAPSHOT_INTERVAL_MS;
+        return {
+            from: new Date(fromTime).toISOString(),
+            to: new Date(toTime).toISOString(),
+            bucket,
+            bucketMs,
+            buckets: buckets.map(stats => {
+                const result = {
+                    ...this.finalizeBucketStats(stats, expectedSamples),
+                    ...this.finalizeGridStats(stats)
+                };
+                result.devices = Object.entries(stats.devices).map(([id, deviceStats]) => {
+                    const device = { id, ...this.finalizeBucketStats(deviceStats, expectedSamples) };
+                    if (this.isProducer(id) || deviceStats.production > 0) {
+                        Object.assign(device, this.finalizeGridStats(deviceStats));
+                    }
+                    return device;
+                });
+                return result;
+            })
+        };
+    }
+
+    createBucketStats(time) {
+        return {
+            time, samples: 0, onSamples: 0, min: Infinity, max: -Infinity, total: 0, energy: 0, cost: 0,
+            production: 0, imported: 0, exported: 0, exportCredit: 0, devices: {}
+        };
+    }
+
+    /**
+     * Power of a set of snapshot devices, split into consumption and production (W)
+     */
+    splitPower(devices) {
+        return devices.reduce((totals, d) => {
+            if (d.producer) totals.production += d.power;
+            else totals.consumption += d.power;
+            return totals;
+        }, { consumption: 0, production: 0 });
+    }
+
+    addSample(stats, power, hours, cost, isOn = power > 0) {
+        stats.samples++;
+        if (isOn) stats.onSamples++;
+        stats.min = Math.min(stats.min, power);
+        stats.max = Math.max(stats.max, power);
+        stats.total += power;
+        stats.energy += power / 1000 * hours;
+        stats.cost += cost;
+    }
+
+    addGridSample(stats, production, hours, imported, exported, exportCredit) {
+        stats.production += production / 1000 * hours;
+        stats.imported += imported;
+        stats.exported += exported;
+        stats.exportCredit += exportCredit;
+    }
+
+    /**
+     * Production, grid import and export (kWh) and export credit of a bucket
+     */
+    finalizeGridStats(stats) {
+        const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+        const missing = stats.samples === 0;
+
+        return {
+            production: missing ? null : round(stats.production, 4),
+            imported: missing ? null : round(stats.imported, 4),
+            exported: missing ? null : round(stats.exported, 4),
+            export_credit: missing ? null : round(stats.exportCredit, 4)
+        };
+    }
+
+    finalizeBucketStats(stats, expectedSamples) {
+        const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+        const missing = stats.samples === 0;
+
+        return {
+            timestamp: new Date(stats.time).toISOString(),
+            missing,
+            samples: stats.samples,
+            coverage: round(Math.min(1, stats.samples / expectedSamples), 3),
+            min: missing ? null : round(stats.min, 1),
+            max: missing ? null : round(stats.max, 1),
+            avg: missing ? null : round(stats.total / stats.samples, 1),
+            sum: missing ? null : round(stats.energy, 4),
+            cost: missing ? null : round(stats.cost, 4),
+            isOn: stats.onSamples > 0
+        };
+    }
+
+    /**
+     * Number of readings currently held
+     */
+    count() {
+        return this.entries.length;
+    }
+
+    getKey(reading) {
+        return `${reading.deviceId}|${reading.timestamp}`;
+    }
+
+    /**
+     * Insert keeping entries sorted by time (readings may arrive slightly out of order)
+     */
+    insertEntry(time, reading) {
+        const key = this.getKey(reading);
+        if (this.keys.has(key)) return;
+        this.keys.add(key);
+
+        const entry = { time, reading };
+        const last = this.entries[this.entries.length - 1];
+        if (!last || last.time <= time) {
+            this.entries.push(entry);
+        } else {
+            this.entries.splice(this.upperBound(time), 0, entry);
+        }
+    }
+
+    /**
+     * Index of the first entry with time >= target
+     */
+    lowerBound(target) {
+        let low = 0;
+        let high = this.entries.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.entries[mid].time < target) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Index of the first entry with time > target
+     */
+    upperBound(target) {
+        let low = 0;
+        let high = this.entries.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.entries[mid].time <= target) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+}
+
+module.exports = ReadingStore;
+module.exports.BUCKET_SIZES = BUCKET_SIZES;
@@ -0,0 +1,285 @@
+/**
+ * Savings Verifier
+ * Measurement and verification (M&V) of applied recommendations: the energy used by
+ * the affected devices after a recommendation is applied is compared with a
+ * counterfactual baseline built from comparable periods in the recorded history.
+ *
+ * Baseline: the same weekday and time of day in the preceding weeks, falling back to
+ * preceding days of the same day type (weekday/weekend) when no prior week has enough
+ * data. Both sides are priced with the active tariff, so only the usage difference
+ * counts towards the savings.
+ */
+
+const { readJson, writeJson } = require('./data-store');
+
+const SAMPLE_INTERVAL_MS = 30 * 1000;          // Reading store snapshot cadence
+const MIN_MEASUREMENT_MS = 60 * 60 * 1000;     // Savings are reported after an hour of data
+const MAX_MEASUREMENT_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_COVERAGE = 0.8;                      // Share of samples a period needs to count
+const BASELINE_WEEKS = 4;
+const BASELINE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SavingsVerifier {
+    constructor(options = {}) {
+        this.readingStore = options.readingStore;
+        this.tariff = options.tariff;
+        this.fileName = options.fileName || 'savings-verification.json';
+
+        const stored = readJson(this.fileName, []);
+        this.applications = Array.isArray(stored) ? stored : [];
+
+        console.log(`📏 Savings verifier tracking ${this.applications.length} applied recommendations`);
+    }
+
+    /**
+     * Start measuring an applied recommendation
+     */
+    track(appliedRec) {
+        this.applications.push({
+            recommendation_id: appliedRec.id,
+            title: appliedRec.title,
+            action: appliedRec.action || null,
+            devices: appliedRec.devices || [],
+            applied_at: appliedRec.applied_at,
+            ended_at: null,
+            estimated_savings: appliedRec.potentialSavings || 0,
+            result: null
+        });
+        this.save();
+    }
+
+    /**
+     * Stop measuring a recommendation when it is reverted
+     */
+    markEnded(recommendationId, endedAt = new Date().toISOString()) {
+        const application = this.applications
+            .filter(a => a.recommendation_id === recommendationId && !a.ended_at)
+            .pop();
+        if (!application) return;
+
+        application.ended_at = endedAt;
+        this.save();
+    }
+
+    /**
+     * Verified savings for every application of a recommendation (or all of them)
+     */
+    getReports(recommendationId = null) {
+        const now = Date.now();
+        let changed = false;
+
+        const reports = this.applications
+            .filter(a => !recommendationId || a.recommendation_id === recommendationId)
+            .map(application => {
+                if (application.result) return this.formatReport(application, application.result);
+
+                const result = this.verify(application, now);
+                if (result.final) {
+                    // Measurement window and baselines are in the past; the result will not change
+                    application.result = result;
+                    changed = true;
+                }
+                return this.formatReport(application, result);
+            });
+
+        if (changed) this.save();
+        return reports;
+    }
+
+    /**
+     * Verified savings per calendar month of application
+     */
+    getMonthlyReport() {
+        const months = {};
+
+        this.getReports().forEach(report => {
+            const month = report.applied_at.slice(0, 7);
+            if (!months[month]) {
+                months[month] = {
+                    month,
+                    applications: 0,
+                    verified: 0,
+                    verified_kwh: 0,
+                    verified_cost: 0,
+                    estimated_savings: 0
+                };
+            }
+
+            const summary = months[month];
+            summary.applications++;
+            summary.estimated_savings += report.estimated_savings;
+            if (report.status === 'verified') {
+                summary.verified++;
+                summary.verified_kwh += report.savings.kwh;
+                summary.verified_cost += report.savings.cost;
+            }
+        });
+
+        return Object.values(months)
+            .sort((a, b) => a.month.localeCompare(b.month))
+            .map(summary => ({
+                ...summary,
+                verified_kwh: this.round(summary.verified_kwh, 3),
+                verified_cost: this.round(summary.verified_cost, 2),
+                estimated_savings: this.round(summary.estimated_savings, 2)
+            }));
+    }
+
+    /**
+     * Total verified cost savings across all applied recommendations
+     */
+    getTotalVerifiedSavings() {
+        const total = this.getReports()
+            .filter(report => report.status === 'verified')
+            .reduce((sum, report) => sum + report.savings.cost, 0);
+        return this.round(total, 2);
+    }
+
+    /**
+     * Compare the measurement period with its counterfactual baseline
+     */
+    verify(application, now) {
+        const appliedAt = Date.parse(application.applied_at);
+        const end = Math.min(
+            application.ended_at ? Date.parse(application.ended_at) : now,
+            appliedAt + MAX_MEASUREMENT_MS,
+            now
+        );
+        const duration = end - appliedAt;
+        const final = end < now && (application.ended_at !== null || end === appliedAt + MAX_MEASUREMENT_MS);
+
+        if (duration < MIN_MEASUREMENT_MS) {
+            return { status: final ? 'insufficient_data' : 'measuring', final, reason: 'Measurement period is shorter than an hour' };
+        }
+
+        const measurement = this.measure(appliedAt, end, application.devices);
+        if (measurement.coverage < MIN_COVERAGE) {
+            return { status: final ? 'insufficient_data' : 'measuring', final, measurement, reason: 'Too few readings after the recommendation was applied' };
+        }
+
+        const baseline = this.buildBaseline(appliedAt, end, application.devices);
+        if (baseline.periods.length === 0) {
+            return { status: 'insufficient_data', final, measurement, reason: 'No comparable historical periods with enough readings' };
+        }
+
+        const savingsKwh = baseline.kwh - measurement.kwh;
+        return {
+            status: 'verified',
+            final,
+            measurement,
+            baseline,
+            savings: {
+                kwh: this.round(savingsKwh, 3),
+                cost: this.round(baseline.cost - measurement.cost, 2),
+                percent: baseline.kwh > 0 ? this.round(savingsKwh / baseline.kwh * 100, 1) : null
+            }
+        };
+    }
+
+    /**
+     * Average of the comparable prior periods with enough data
+     */
+    buildBaseline(from, to, deviceIds) {
+        const duration = to - from;
+        const weekShifts = [];
+        for (let week = 1; week <= BASELINE_WEEKS; week++) weekShifts.push(week * 7 * DAY_MS);
+
+        let method = 'same_weekday_prior_weeks';
+        let periods = this.measureShifts(from, to, deviceIds, weekShifts);
+
+        if (periods.length === 0 && duration <= DAY_MS) {
+            // Preceding days of the same day type, for recommendations applied without a week of history
+            const dayType = this.tariff.getDayType(new Date(from));
+            const dayShifts = [];
+            for (let day = 1; day <= BASELINE_DAYS; day++) {
+                if (this.tariff.getDayType(new Date(from - day * DAY_MS)) === dayType) dayShifts.push(day * DAY_MS);
+            }
+            method = 'same_day_type_prior_days';
+            periods = this.measureShifts(from, to, deviceIds, dayShifts);
+        }
+
+        const average = key => periods.length > 0
+            ? periods.reduce((sum, p) => sum + p[key], 0) / periods.length
+            : 0;
+
+        return {
+            method,
+            periods,
+            kwh: this.round(average('kwh'), 3),
+            cost: this.round(average('cost'), 4)
+        };
+    }
+
+    measureShifts(from, to, deviceIds, shifts) {
+        return shifts
+            .filter(shift => shift >= to - from) // Baseline periods must not overlap the measurement
+            .map(shift => this.measure(from - shift, to - shift, deviceIds))
+            .filter(period => period.coverage >= MIN_COVERAGE);
+    }
+
+    /**
+     * Energy and cost used by the given devices (the whole home when none) over a
+     * period, scaled up for samples missing from the recorded data
+     */
+    measure(from, to, deviceIds) {
+        const sampleHours = SAMPLE_INTERVAL_MS / (60 * 60 * 1000);
+        const expected = Math.max(1, Math.round((to - from) / SAMPLE_INTERVAL_MS));
+        let samples = 0;
+        let kwh = 0;
+        let cost = 0;
+
+        this.readingStore.getSnapshots({ from, to }).forEach(snapshot => {
+            const time = Date.parse(snapshot.timestamp);
+            if (time >= to) return;
+
+            // The whole home is its consumption; solar output is not usage
+            const devices = deviceIds.length > 0
+                ? snapshot.devices.filter(d => deviceIds.includes(d.id))
+                : snapshot.devices.filter(d => !d.producer);
+            if (devices.length === 0) return;
+
+            // Power a selected device supplies (a discharging battery) offsets what it draws
+            const drawn = devices.filter(d => !d.producer).reduce((sum, d) => sum + d.power, 0) / 1000 * sampleHours;
+            const supplied = devices.filter(d => d.producer).reduce((sum, d) => sum + d.power, 0) / 1000 * sampleHours;
+            samples++;
+            kwh += drawn - supplied;
+            cost += this.tariff.calculateCost(drawn, new Date(time)) - this.tariff.calculateCost(supplied, new Date(time));
+        });
+
+        const coverage = Math.min(1, samples / expected);
+        const scale = coverage > 0 ? 1 / coverage : 0;
+
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            kwh: this.round(kwh * scale, 3),
+            cost: this.round(cost * scale, 4),
+            coverage: this.round(coverage, 3)
+        };
+    }
+
+    formatReport(application, result) {
+        return {
+            recommendation_id: application.recommendation_id,
+            title: application.title,
+            action: application.action,
+            devices: application.devices,
+            applied_at: application.applied_at,
+            ended_at: application.ended_at,
+            estimated_savings: application.estimated_savings,
+            ...result
+        };
+    }
+
+    round(value, digits) {
+        return Math.round(value * 10 ** digits) / 10 ** digits;
+    }
+
+    save() {
+        writeJson(this.fileName, this.applications);
+    }
+}
+
+module.exports = SavingsVerifier;
+module.exports.MIN_COVERAGE = MIN_COVERAGE;
@@ -0,0 +1,386 @@
+/**
+ * Device Action Scheduler
+ * Persistent one-off and recurring (cron-style) device actions that survive
+ * restarts; jobs missed while the server was down are caught up on start
+ */
+
+const { readJson, writeJson } = require('./data-store');
+const { validateCommand } = require('./device-capabilities');
+
+// Actions a job may run against a device
+const JOB_ACTIONS = ['turn_on', 'turn_off', 'toggle', 'set_temperature', 'set_brightness', 'charge', 'discharge', 'hold', 'boost', 'smart_charge'];
+
+// Missed jobs older than this are not run on start, only marked as missed
+const DEFAULT_CATCH_UP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Finished jobs kept for history
+const MAX_FINISHED_JOBS = 200;
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 6 }
+];
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * supporting *, lists, ranges and steps. Throws on invalid expressions.
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => {
+        const field = CRON_FIELDS[index];
+        const values = new Set();
+
+        part.split(',').forEach(item => {
+            const [range, stepText] = item.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            let [start, end] = range === '*'
+                ? [field.min, field.max]
+                : range.split('-').map(Number);
+            if (end === undefined) end = stepText === undefined ? start : field.max;
+
+            if (![start, end, step].every(Number.isInteger) || step < 1
+                || start < field.min || end > field.max || start > end) {
+                throw new Error(`invalid cron ${field.name} field: ${part}`);
+            }
+            for (let value = start; value <= end; value += step) values.add(value);
+        });
+
+        return values;
+    });
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+/**
+ * Next time after `after` matching a cron expression (server local time), or null
+ */
+function getNextCronRun(expression, after = new Date()) {
+    const cron = parseCron(expression);
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Standard cron semantics: when both day fields are restricted, either may match
+    const dayMatches = () => {
+        const dayOk = cron.days.has(date.getDate());
+        const weekdayOk = cron.weekdays.has(date.getDay());
+        if (cron.anyDay) return weekdayOk;
+        if (cron.anyWeekday) return dayOk;
+        return dayOk || weekdayOk;
+    };
+
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches()) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+/**
+ * Next occurrence of a local HH:MM time after `after`
+ */
+function getNextTimeOfDay(time, after = new Date()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date(after.getTime());
+    date.setHours(hours, minutes, 0, 0);
+    if (date <= after) date.setDate(date.getDate() + 1);
+    return date;
+}
+
+class Scheduler {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'schedules.json';
+        this.getDevice = options.getDevice || (() => null);
+        this.execute = options.execute || (() => ({ success: false, message: 'No executor configured' }));
+        this.onJobRun = options.onJobRun || null;
+        this.catchUpWindowMs = options.catchUpWindowMs || DEFAULT_CATCH_UP_WINDOW_MS;
+        this.checkIntervalMs = options.checkIntervalMs || 15 * 1000;
+        this.timer = null;
+        this.running = false;
+
+        const stored = readJson(this.fileName, []);
+        this.jobs = Array.isArray(stored) ? stored : [];
+
+        console.log(`⏰ Scheduler loaded with ${this.getJobs({ status: 'scheduled' }).length} scheduled jobs`);
+    }
+
+    /**
+     * Catch up jobs missed while the server was down and start checking for due jobs
+     */
+    async start() {
+        const now = new Date();
+        const missed = this.jobs.filter(job => job.status === 'scheduled' && new Date(job.next_run_at) <= now);
+
+        for (const job of missed) {
+            const lateMs = now.getTime() - new Date(job.next_run_at).getTime();
+            if (lateMs > this.catchUpWindowMs) {
+                console.warn(`⏰ Skipping job ${job.id}: missed ${job.next_run_at}, outside the catch-up window`);
+                if (job.cron) {
+                    job.missed_runs = (job.missed_runs || 0) + 1;
+                    this.advanceCronJob(job, now);
+                } else {
+                    job.status = 'missed';
+                    job.finished_at = now.toISOString();
+                }
+            } else {
+                console.log(`⏰ Catching up job ${job.id} missed at ${job.next_run_at}`);
+                await this.runJob(job, now, true);
+            }
+        }
+        if (missed.length > 0) this.save();
+
+        this.timer = setInterval(() => this.runDueJobs(), this.checkIntervalMs);
+        console.log('⏰ Device action scheduler started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run every scheduled job whose time has come. Device commands wait for their
+     * confirmation, so a check is skipped while the previous one is still running.
+     */
+    async runDueJobs(now = new Date()) {
+        if (this.running) return;
+
+        const due = this.jobs.filter(job => job.status === 'scheduled' && new Date(job.next_run_at) <= now);
+        if (due.length === 0) return;
+
+        this.running = true;
+        try {
+            for (const job of due) {
+                await this.runJob(job, now, false);
+            }
+        } finally {
+            this.running = false;
+        }
+        this.save();
+    }
+
+    async runJob(job, now, caughtUp) {
+        let result;
+        try {
+            result = (await this.execute(job)) || { success: false, message: 'No result' };
+        } catch (error) {
+            result = { success: false, message: error.message };
+        }
+
+        job.last_run_at = now.toISOString();
+        job.run_count = (job.run_count || 0) + 1;
+        job.last_result = {
+            success: result.success,
+            message: result.success ? (caughtUp ? 'Caught up after restart' : 'Executed') : result.message
+        };
+
+        if (job.cron) {
+            // Recurring jobs carry on from now; missed occurrences are not replayed one by one
+            this.advanceCronJob(job, now);
+        } else {
+            job.status = result.success ? 'completed' : 'failed';
+            job.finished_at = now.toISOString();
+        }
+
+        console.log(`${result.success ? '✅' : '❌'} Scheduled job ${job.id}: ${job.action} on ${job.deviceId}${result.success ? '' : ` failed (${result.message})`}`);
+
+        if (this.onJobRun) this.onJobRun(job);
+    }
+
+    /**
+     * Move a recurring job to its next run after now, finishing it when its cron
+     * has no further match (or can no longer be parsed)
+     */
+    advanceCronJob(job, now) {
+        let next = null;
+        try {
+            next = getNextCronRun(job.cron, now);
+        } catch (error) {
+            console.warn(`⏰ Job ${job.id} has an invalid cron (${error.message}), marking it failed`);
+            job.status = 'failed';
+            job.finished_at = now.toISOString();
+            return;
+        }
+
+        if (next) {
+            job.next_run_at = next.toISOString();
+        } else {
+            console.warn(`⏰ Job ${job.id}: cron ${job.cron} has no further runs, marking it completed`);
+            job.status = 'completed';
+            job.finished_at = now.toISOString();
+        }
+    }
+
+    /**
+     * Jobs, optionally filtered by status and device
+     */
+    getJobs(filter = {}) {
+        return this.jobs.filter(job =>
+            (!filter.status || job.status === filter.status) &&
+            (!filter.deviceId || job.deviceId === filter.deviceId)
+        );
+    }
+
+    getJob(jobId) {
+        return this.jobs.find(job => job.id === jobId) || null;
+    }
+
+    /**
+     * Create a one-off (runAt: ISO date-time or HH:MM) or recurring (cron) job
+     */
+    create(data) {
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid', message: 'Invalid schedule', errors };
+        }
+
+        const now = new Date();
+        const nextRun = data.cron
+            ? getNextCronRun(data.cron, now)
+            : this.resolveRunAt(data.runAt, now);
+
+        const job = {
+            id: `job_${now.getTime()}_${Math.random().toString(36).slice(2, 7)}`,
+            deviceId: data.deviceId,
+            action: data.action,
+            value: data.value === undefined ? null : data.value,
+            cron: data.cron || null,
+            run_at: data.cron ? null : nextRun.toISOString(),
+            next_run_at: nextRun.toISOString(),
+            description: data.description || '',
+            source: data.source || 'api',
+            recommendation_id: data.recommendationId || null,
+            event_id: data.eventId || null,
+            created_by: data.createdBy || null,
+            status: 'scheduled',
+            created_at: now.toISOString(),
+            run_count: 0
+        };
+
+        this.jobs.push(job);
+        this.save();
+
+        console.log(`⏰ Scheduled ${job.action} on ${job.deviceId} ${job.cron ? `(${job.cron})` : `at ${job.next_run_at}`}`);
+        return { success: true, job };
+    }
+
+    /**
+     * Cancel a scheduled job
+     */
+    cancel(jobId) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            return { success: false, code: 'not_found', message: 'Schedule not found' };
+        }
+        if (job.status !== 'scheduled') {
+            return { success: false, code: 'conflict', message: `Schedule is already ${job.status}` };
+        }
+
+        job.status = 'cancelled';
+        job.finished_at = new Date().toISOString();
+        this.save();
+
+        console.log(`⏰ Cancelled job ${job.id}`);
+        return { success: true, job };
+    }
+
+    /**
+     * Validate a job definition, returning a list of errors
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['Schedule must be a JSON object'];
+        }
+
+        const errors = [];
+        const device = typeof data.deviceId === 'string' ? this.getDevice(data.deviceId) : null;
+
+        if (!device) {
+            errors.push('deviceId must be a registered device');
+        }
+
+        if (!JOB_ACTIONS.includes(data.action)) {
+            errors.push(`action must be one of ${JOB_ACTIONS.join(', ')}`);
+        } else if (device) {
+            const validation = validateCommand(device, data.action, data.value);
+            if (!validation.valid) {
+                errors.push(...validation.errors);
+            }
+        }
+
+        if (data.cron && data.runAt) {
+            errors.push('use either runAt or cron, not both');
+        } else if (data.cron) {
+            try {
+                if (!getNextCronRun(data.cron)) errors.push('cron never matches');
+            } catch (error) {
+                errors.push(error.message);
+            }
+        } else if (data.runAt) {
+            const runAt = this.resolveRunAt(data.runAt, new Date());
+            if (!runAt) errors.push('runAt must be an ISO date-time or HH:MM');
+            else if (runAt <= new Date()) errors.push('runAt must be in the future');
+        } else {
+            errors.push('runAt or cron is required');
+        }
+
+        if (data.description !== undefined && typeof data.description !== 'string') {
+            errors.push('description must be a string');
+        }
+
+        return errors;
+    }
+
+    resolveRunAt(runAt, now) {
+        if (typeof runAt !== 'string') return null;
+        if (/^([01]\d|2[0-3]):[0-5]\d$/.test(runAt)) return getNextTimeOfDay(runAt, now);
+
+        const date = new Date(runAt);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    save() {
+        // Keep every scheduled job and the most recent finished ones
+        const finished = this.jobs.filter(job => job.status !== 'scheduled');
+        if (finished.length > MAX_FINISHED_JOBS) {
+            const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+            this.jobs = this.jobs.filter(job => !dropped.has(job));
+        }
+
+        writeJson(this.fileName, this.jobs);
+    }
+}
+
+module.exports = Scheduler;
+module.exports.parseCron = parseCron;
+module.exports.getNextCronRun = getNextCronRun;
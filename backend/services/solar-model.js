@@ -0,0 +1,105 @@
+/**
+ * Solar Production Model
+ * Clear-sky output of rooftop PV arrays from their capacity, orientation and
+ * location: sun position by latitude and date, clear-sky irradiance (Meinel
+ * model with Kasten-Young air mass) and the irradiance on the tilted panels
+ */
+
+const SOLAR_CONSTANT = 1361;      // W/m² above the atmosphere
+const STC_IRRADIANCE = 1000;      // W/m² at which panel capacity is rated
+const PERFORMANCE_RATIO = 0.8;    // Inverter, wiring, soiling and temperature losses
+const DIFFUSE_FRACTION = 0.1;     // Clear-sky diffuse share of the direct beam
+const GROUND_ALBEDO = 0.2;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+function getDayOfYear(date) {
+    const start = Date.UTC(date.getUTCFullYear(), 0, 0);
+    return Math.floor((date.getTime() - start) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Sun elevation and azimuth (degrees, azimuth clockwise from north) at a location.
+ * Without a longitude, solar time is taken from the local clock's time zone meridian.
+ */
+function getSunPosition(date, latitude, longitude) {
+    const day = getDayOfYear(date);
+    const declination = toRadians(23.45 * Math.sin(toRadians(360 / 365 * (284 + day))));
+
+    const meridian = longitude !== undefined ? longitude : -date.getTimezoneOffset() / 4;
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+    const solarHours = ((utcHours + meridian / 15) % 24 + 24) % 24;
+    const hourAngle = toRadians(15 * (solarHours - 12));
+
+    const lat = toRadians(latitude);
+    const sinElevation = Math.sin(lat) * Math.sin(declination)
+        + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+    const elevation = Math.asin(Math.max(-1, Math.min(1, sinElevation)));
+
+    const cosAzimuth = (Math.sin(declination) - Math.sin(elevation) * Math.sin(lat))
+        / (Math.cos(elevation) * Math.cos(lat) || 1e-9);
+    let azimuth = toDegrees(Math.acos(Math.max(-1, Math.min(1, cosAzimuth))));
+    if (hourAngle > 0) azimuth = 360 - azimuth;
+
+    return { elevation: toDegrees(elevation), azimuth };
+}
+
+/**
+ * Clear-sky direct normal, diffuse and global horizontal irradiance (W/m²)
+ */
+function getClearSkyIrradiance(date, elevation) {
+    if (elevation <= 0) return { dni: 0, dhi: 0, ghi: 0 };
+
+    const extraterrestrial = SOLAR_CONSTANT * (1 + 0.033 * Math.cos(toRadians(360 * getDayOfYear(date) / 365)));
+    const airMass = 1 / (Math.sin(toRadians(elevation)) + 0.50572 * Math.pow(elevation + 6.07995, -1.6364));
+    const dni = extraterrestrial * Math.pow(0.7, Math.pow(airMass, 0.678));
+    const dhi = DIFFUSE_FRACTION * dni;
+
+    return { dni, dhi, ghi: dni * Math.sin(toRadians(elevation)) + dhi };
+}
+
+/**
+ * Irradiance on panels with the given tilt and azimuth (W/m²)
+ */
+function getPlaneIrradiance(sun, irradiance, tilt, azimuth) {
+    const beta = toRadians(tilt);
+    const cosIncidence = Math.sin(toRadians(sun.elevation)) * Math.cos(beta)
+        + Math.cos(toRadians(sun.elevation)) * Math.sin(beta) * Math.cos(toRadians(sun.azimuth - azimuth));
+
+    return irradiance.dni * Math.max(0, cosIncidence)
+        + irradiance.dhi * (1 + Math.cos(beta)) / 2
+        + irradiance.ghi * GROUND_ALBEDO * (1 - Math.cos(beta)) / 2;
+}
+
+/**
+ * Clear-sky output of a solar device (W) at a point in time
+ */
+function estimateOutput(device, date = new Date()) {
+    const sun = getSunPosition(date, device.latitude, device.longitude);
+    if (sun.elevation <= 0) return 0;
+
+    const irradiance = getClearSkyIrradiance(date, sun.elevation);
+    const plane = getPlaneIrradiance(sun, irradiance, device.tilt, device.azimuth);
+    const capacityWatts = device.capacityKw * 1000;
+
+    return Math.min(capacityWatts, capacityWatts * plane / STC_IRRADIANCE * PERFORMANCE_RATIO);
+}
+
+/**
+ * Average clear-sky output of a solar device (W) over the hour starting at hourStart
+ */
+function estimateHourlyOutput(device, hourStart) {
+    const samples = [7.5, 22.5, 37.5, 52.5].map(minutes =>
+        estimateOutput(device, new Date(hourStart.getTime() + minutes * 60 * 1000))
+    );
+    return samples.reduce((sum, watts) => sum + watts, 0) / samples.length;
+}
+
+module.exports = {
+    getSunPosition,
+    getClearSkyIrradiance,
+    getPlaneIrradiance,
+    estimateOutput,
+    estimateHourlyOutput
+};
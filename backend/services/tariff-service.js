@@ -0,0 +1,322 @@
+/**
+ * Tariff Service
+ * Single source for every energy cost figure: flat, tiered-by-volume and
+ * time-of-use rates plus fixed daily charges
+ */
+
+const { defaultTariff } = require('../config/tariff-config');
+const { readJson, writeJson } = require('./data-store');
+
+const TARIFF_TYPES = ['flat', 'tiered', 'time_of_use'];
+const DAY_TYPES = ['weekday', 'weekend', 'holiday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class TariffService {
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'tariff.json';
+
+        const stored = readJson(this.fileName, null);
+        const errors = stored ? this.validateTariff(stored) : [];
+        if (errors.length > 0) {
+            console.warn(`⚠️ Stored tariff is invalid (${errors.join('; ')}), using default tariff`);
+        }
+        this.tariff = stored && errors.length === 0 ? stored : defaultTariff;
+
+        console.log(`💲 Tariff service initialized: ${this.tariff.name} (${this.tariff.type})`);
+    }
+
+    /**
+     * Get the active tariff
+     */
+    getTariff() {
+        return this.tariff;
+    }
+
+    /**
+     * Validate, persist and activate a new tariff
+     */
+    setTariff(tariff) {
+        const errors = this.validateTariff(tariff);
+        if (errors.length > 0) {
+            return { success: false, message: 'Invalid tariff', errors };
+        }
+
+        this.tariff = {
+            currency: 'USD',
+            fixedDailyCharge: 0,
+            ...tariff,
+            updated_at: new Date().toISOString()
+        };
+        writeJson(this.fileName, this.tariff);
+
+        console.log(`💲 Active tariff replaced: ${this.tariff.name} (${this.tariff.type})`);
+        return { success: true, tariff: this.tariff };
+    }
+
+    /**
+     * Validate a tariff definition, returning a list of errors
+     */
+    validateTariff(tariff) {
+        const errors = [];
+        const isRate = value => typeof value === 'number' && isFinite(value) && value >= 0;
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(tariff)) {
+            return ['Tariff must be a JSON object'];
+        }
+        if (typeof tariff.name !== 'string' || tariff.name.trim() === '') {
+            errors.push('name must be a non-empty string');
+        }
+        if (!TARIFF_TYPES.includes(tariff.type)) {
+            errors.push(`type must be one of ${TARIFF_TYPES.join(', ')}`);
+        }
+        if (tariff.fixedDailyCharge !== undefined && !isRate(tariff.fixedDailyCharge)) {
+            errors.push('fixedDailyCharge must be a non-negative number');
+        }
+        if (tariff.exportRate !== undefined && !isRate(tariff.exportRate)) {
+            errors.push('exportRate must be a non-negative number');
+        }
+
+        if (tariff.type === 'flat' && !isRate(tariff.flatRate)) {
+            errors.push('flatRate must be a non-negative number');
+        }
+
+        if (tariff.type === 'tiered') {
+            if (!Array.isArray(tariff.tiers) || tariff.tiers.length === 0) {
+                errors.push('tiers must be a non-empty array');
+            } else {
+                let previousLimit = 0;
+                tariff.tiers.forEach((tier, index) => {
+                    const isLast = index === tariff.tiers.length - 1;
+                    if (!isObject(tier)) {
+                        errors.push(`tiers[${index}] must be an object`);
+                        return;
+                    }
+                    if (!isRate(tier.rate)) {
+                        errors.push(`tiers[${index}].rate must be a non-negative number`);
+                    }
+                    if (isLast && tier.upToKwh !== null && tier.upToKwh !== undefined) {
+                        errors.push(`tiers[${index}].upToKwh must be null for the last tier`);
+                    } else if (!isLast) {
+                        if (typeof tier.upToKwh !== 'number' || tier.upToKwh <= previousLimit) {
+                            errors.push(`tiers[${index}].upToKwh must be greater than ${previousLimit}`);
+                        } else {
+                            previousLimit = tier.upToKwh;
+                        }
+                    }
+                });
+            }
+        }
+
+        if (tariff.type === 'time_of_use') {
+            const rates = isObject(tariff.rates) ? tariff.rates : {};
+            if (Object.keys(rates).length === 0) {
+                errors.push('rates must map each period to a rate');
+            }
+            Object.entries(rates).forEach(([period, rate]) => {
+                if (!isRate(rate)) errors.push(`rates.${period} must be a non-negative number`);
+            });
+            if (!(tariff.defaultPeriod in rates)) {
+                errors.push('defaultPeriod must be one of the rate periods');
+            }
+            if (tariff.exportRates !== undefined) {
+                if (!isObject(tariff.exportRates)) {
+                    errors.push('exportRates must map rate periods to a rate');
+                } else {
+                    Object.entries(tariff.exportRates).forEach(([period, rate]) => {
+                        if (!(period in rates)) errors.push(`exportRates.${period} must be one of the rate periods`);
+                        else if (!isRate(rate)) errors.push(`exportRates.${period} must be a non-negative number`);
+                    });
+                }
+            }
+
+            const schedules = isObject(tariff.schedules) ? tariff.schedules : {};
+            if (!Array.isArray(schedules.weekday)) {
+                errors.push('schedules.weekday must be an array of time windows');
+            }
+            DAY_TYPES.forEach(dayType => {
+                if (schedules[dayType] === undefined) return;
+                if (!Array.isArray(schedules[dayType])) {
+                    errors.push(`schedules.${dayType} must be an array`);
+                    return;
+                }
+                schedules[dayType].forEach((window, index) => {
+                    const label = `schedules.${dayType}[${index}]`;
+                    if (!isObject(window)) {
+                        errors.push(`${label} must be an object`);
+                        return;
+                    }
+                    if (!(window.period in rates)) errors.push(`${label}.period must be one of the rate periods`);
+                    if (!TIME_PATTERN.test(window.start)) errors.push(`${label}.start must be HH:MM`);
+                    if (!TIME_PATTERN.test(window.end)) errors.push(`${label}.end must be HH:MM`);
+                });
+            });
+
+            if (tariff.holidays !== undefined) {
+                if (!Array.isArray(tariff.holidays) || tariff.holidays.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+                    errors.push('holidays must be an array of YYYY-MM-DD dates');
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Day type used to pick a time-of-use schedule
+     */
+    getDayType(date) {
+        const holidays = this.tariff.holidays || [];
+        if (holidays.includes(this.formatLocalDate(date))) return 'holiday';
+
+        const day = date.getDay();
+        return day === 0 || day === 6 ? 'weekend' : 'weekday';
+    }
+
+    /**
+     * Rate period in effect at a point in time ('peak', 'off_peak', 'standard', ...)
+     * Flat and tiered tariffs have a single 'standard' period.
+     */
+    getPeriod(date = new Date()) {
+        if (this.tariff.type !== 'time_of_use') return 'standard';
+
+        const schedules = this.tariff.schedules;
+        const dayType = this.getDayType(date);
+        const windows = schedules[dayType] || (dayType === 'holiday' && schedules.weekend) || schedules.weekday;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        const match = windows.find(window => {
+            const start = this.parseMinutes(window.start);
+            const end = this.parseMinutes(window.end);
+            return start < end
+                ? minutes >= start && minutes < end
+                : minutes >= start || minutes < end;
+        });
+
+        return match ? match.period : this.tariff.defaultPeriod;
+    }
+
+    /**
+     * Energy rate ($/kWh) at a point in time, given the month-to-date volume for tiered tariffs
+     */
+    getRate(date = new Date(), monthToDateKwh = 0) {
+        switch (this.tariff.type) {
+            case 'flat':
+                return this.tariff.flatRate;
+            case 'tiered':
+                return this.getTier(monthToDateKwh).rate;
+            case 'time_of_use':
+                return this.tariff.rates[this.getPeriod(date)];
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Energy cost for kWh consumed at a point in time.
+     * For tiered tariffs the usage is split across tier boundaries.
+     */
+    calculateCost(kwh, date = new Date(), monthToDateKwh = 0) {
+        if (!(kwh > 0)) return 0;
+        if (this.tariff.type !== 'tiered') {
+            return kwh * this.getRate(date);
+        }
+
+        let cost = 0;
+        let remaining = kwh;
+        let consumed = monthToDateKwh;
+        while (remaining > 0) {
+            const tier = this.getTier(consumed);
+            const tierRoom = tier.upToKwh === null || tier.upToKwh === undefined
+                ? remaining
+                : Math.min(remaining, tier.upToKwh - consumed);
+            cost += tierRoom * tier.rate;
+            consumed += tierRoom;
+            remaining -= tierRoom;
+        }
+        return cost;
+    }
+
+    /**
+     * Credit ($/kWh) for energy exported to the grid at a point in time
+     */
+    getExportRate(date = new Date()) {
+        const exportRates = this.tariff.type === 'time_of_use' ? this.tariff.exportRates : null;
+        if (exportRates) {
+            const period = this.getPeriod(date);
+            if (period in exportRates) return exportRates[period];
+        }
+        return this.tariff.exportRate || 0;
+    }
+
+    /**
+     * Credit for kWh exported to the grid at a point in time
+     */
+    calculateExportCredit(kwh, date = new Date()) {
+        if (!(kwh > 0)) return 0;
+        return kwh * this.getExportRate(date);
+    }
+
+    /**
+     * Create a stateful cost function for chronological usage that tracks the
+     * month-to-date volume (resetting when the month changes)
+     */
+    createCostAccumulator(monthToDateKwh = 0, startDate = new Date()) {
+        let month = this.getMonthKey(startDate);
+        let consumed = monthToDateKwh;
+
+        return (kwh, date = new Date()) => {
+            const currentMonth = this.getMonthKey(date);
+            if (currentMonth !== month) {
+                month = currentMonth;
+                consumed = 0;
+            }
+            const cost = this.calculateCost(kwh, date, consumed);
+            consumed += Math.max(0, kwh);
+            return cost;
+        };
+    }
+
+    /**
+     * Fixed charge applied per day regardless of usage
+     */
+    getFixedDailyCharge() {
+        return this.tariff.fixedDailyCharge || 0;
+    }
+
+    /**
+     * Summary of the rate in effect at a point in time
+     */
+    describeRate(date = new Date(), monthToDateKwh = 0) {
+        return {
+            period: this.getPeriod(date),
+            rate: this.getRate(date, monthToDateKwh),
+            export_rate: this.getExportRate(date),
+            currency: this.tariff.currency || 'USD',
+            fixed_daily_charge: this.getFixedDailyCharge(),
+            day_type: this.getDayType(date)
+        };
+    }
+
+    getTier(monthToDateKwh) {
+        return this.tariff.tiers.find(tier =>
+            tier.upToKwh === null || tier.upToKwh === undefined || monthToDateKwh < tier.upToKwh
+        ) || this.tariff.tiers[this.tariff.tiers.length - 1];
+    }
+
+    getMonthKey(date) {
+        return `${date.getFullYear()}-${date.getMonth()}`;
+    }
+
+    parseMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    formatLocalDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+module.exports = TariffService;
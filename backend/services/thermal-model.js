@@ -0,0 +1,269 @@
+/**
+ * Thermal Model
+ * First-order RC model of a zone conditioned by an HVAC heat pump, used to predict
+ * the indoor temperature under a setpoint schedule and to choose the setpoints that
+ * keep a zone within its comfort band at the lowest cost.
+ *
+ *   dT/dt = (Tout - T) / (R·C) + Q / C
+ *
+ * T is the indoor and Tout the outdoor temperature (°F), R the zone's thermal
+ * resistance (°F per kW of heat flow), C its thermal capacitance (kWh/°F) and Q the
+ * heat the HVAC adds (kW, negative while cooling). The HVAC works as a thermostat:
+ * it cools when the outdoor temperature is above the setpoint and heats when it is
+ * below, delivering up to its rated power × COP of heat and drawing |Q| / COP.
+ */
+
+const STEP_MINUTES = 5;
+const STEPS_PER_HOUR = 60 / STEP_MINUTES;
+
+// Indoor temperature grid (°F) of the setpoint optimization
+const GRID_STEP_F = 0.25;
+
+// Cost ($) per °F a setpoint is away from the middle of its band, so that among
+// equally cheap setpoints the most comfortable one is chosen
+const MIDPOINT_PREFERENCE = 0.0001;
+
+/**
+ * Outdoor temperature (°F) of a typical day at a mid-latitude home: a seasonal mean
+ * peaking in late July and a daily swing peaking at 3 PM. The weather model's
+ * temperature (services/weather-providers/model-provider.js).
+ */
+function estimateOutdoorTemperature(date) {
+    const startOfYear = new Date(date.getFullYear(), 0, 1);
+    const dayOfYear = (date - startOfYear) / (24 * 60 * 60 * 1000);
+    const hour = date.getHours() + date.getMinutes() / 60;
+
+    const seasonal = 55 + 22 * Math.cos(2 * Math.PI * (dayOfYear - 205) / 365);
+    const daily = 9 * Math.cos(2 * Math.PI * (hour - 15) / 24);
+    return seasonal + daily;
+}
+
+/**
+ * Thermal parameters of an HVAC device's zone
+ */
+function getZoneParameters(device, ratedPowerWatts) {
+    return {
+        resistance: device.thermalResistance,
+        capacitance: device.thermalCapacitance,
+        cop: device.cop,
+        capacityKw: ratedPowerWatts / 1000 * device.cop
+    };
+}
+
+/**
+ * Advance a zone by a time step (hours). setpoint null means the HVAC is off.
+ * Returns the indoor temperature at the end of the step and the HVAC's draw (kW).
+ */
+function stepZone(zone, indoorTemp, outdoorTemp, setpoint, hours) {
+    const drift = (outdoorTemp - indoorTemp) / (zone.resistance * zone.capacitance);
+    let heatKw = 0;
+
+    if (setpoint !== null) {
+        // Heat that lands the zone on its setpoint by the end of the step
+        const needed = zone.capacitance * ((setpoint - indoorTemp) / hours - drift);
+        heatKw = outdoorTemp >= setpoint
+            ? Math.max(-zone.capacityKw, Math.min(0, needed))
+            : Math.min(zone.capacityKw, Math.max(0, needed));
+    }
+
+    return {
+        indoorTemp: indoorTemp + hours * (drift + heatKw / zone.capacitance),
+        powerKw: Math.abs(heatKw) / zone.cop
+    };
+}
+
+/**
+ * How far a temperature is outside a comfort band (°F, 0 inside it)
+ */
+function bandDeviation(temp, band) {
+    if (!band) return 0;
+    return Math.max(0, band.min - temp, temp - band.max);
+}
+
+/**
+ * Simulate one hour of a zone at a setpoint. outdoorTemps and bands hold the
+ * outdoor temperature and comfort band of each step of the hour.
+ */
+function simulateHour(zone, indoorTemp, setpoint, outdoorTemps, bands) {
+    const hours = STEP_MINUTES / 60;
+    let temp = indoorTemp;
+    let energyKwh = 0;
+    let degreeHours = 0;
+    let maxDeviation = 0;
+    let stepsOutside = 0;
+    let minTemp = temp;
+    let maxTemp = temp;
+
+    for (let step = 0; step < STEPS_PER_HOUR; step++) {
+        const result = stepZone(zone, temp, outdoorTemps[step], setpoint, hours);
+        temp = result.indoorTemp;
+        energyKwh += result.powerKw * hours;
+
+        const deviation = bandDeviation(temp, bands[step]);
+        degreeHours += deviation * hours;
+        maxDeviation = Math.max(maxDeviation, deviation);
+        if (deviation > 0.05) stepsOutside++;
+        minTemp = Math.min(minTemp, temp);
+        maxTemp = Math.max(maxTemp, temp);
+    }
+
+    return { indoorTemp: temp, energyKwh, degreeHours, maxDeviation, minutesOutside: stepsOutside * STEP_MINUTES, minTemp, maxTemp };
+}
+
+/**
+ * Outdoor temperatures and comfort bands of each step of the hours from start
+ */
+function buildHours(start, hourCount, options) {
+    return Array.from({ length: hourCount }, (_, index) => {
+        const hourStart = new Date(start.getTime() + index * 60 * 60 * 1000);
+        const stepTimes = Array.from({ length: STEPS_PER_HOUR }, (__, step) =>
+            new Date(hourStart.getTime() + (step + 1) * STEP_MINUTES * 60 * 1000));
+
+        return {
+            start: hourStart,
+            rate: options.getRate ? options.getRate(hourStart) : 0,
+            band: options.getBand ? options.getBand(hourStart) : null,
+            outdoorTemps: stepTimes.map(time => options.getOutdoorTemp(time)),
+            bands: stepTimes.map(time => (options.getBand ? options.getBand(time) : null))
+        };
+    });
+}
+
+/**
+ * Summarize simulated hours: hourly trajectory, energy, cost and comfort deviation
+ */
+function summarize(hours, results, setpoints, initialTemp) {
+    const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+    let energyKwh = 0;
+    let cost = 0;
+    let degreeHours = 0;
+    let maxDeviation = 0;
+    let minutesOutside = 0;
+
+    const trajectory = results.map((result, index) => {
+        energyKwh += result.energyKwh;
+        cost += result.energyKwh * hours[index].rate;
+        degreeHours += result.degreeHours;
+        maxDeviation = Math.max(maxDeviation, result.maxDeviation);
+        minutesOutside += result.minutesOutside;
+
+        return {
+            start: hours[index].start.toISOString(),
+            setpoint: setpoints[index],
+            outdoor_temp: round(hours[index].outdoorTemps[0], 1),
+            indoor_temp_start: round(index === 0 ? initialTemp : results[index - 1].indoorTemp, 1),
+            indoor_temp_min: round(result.minTemp, 1),
+            indoor_temp_max: round(result.maxTemp, 1),
+            band: hours[index].band,
+            energy_kwh: round(result.energyKwh, 3),
+            cost: round(result.energyKwh * hours[index].rate, 4)
+        };
+    });
+
+    return {
+        trajectory,
+        energy_kwh: round(energyKwh, 3),
+        cost: round(cost, 2),
+        comfort_deviation: {
+            degree_hours: round(degreeHours),
+            max_f: round(maxDeviation, 1),
+            minutes_outside: minutesOutside
+        }
+    };
+}
+
+/**
+ * Predict a zone's indoor temperature trajectory over the hours from start.
+ * options: { start, hours, initialTemp, getSetpoint(date) -> °F or null (off),
+ *            getOutdoorTemp(date), getBand(date) -> { min, max } or null, getRate(date) }
+ * The setpoint is taken at the start of each hour.
+ */
+function simulateZone(zone, options) {
+    const hours = buildHours(options.start, options.hours, options);
+    const setpoints = hours.map(hour => options.getSetpoint(hour.start));
+
+    let temp = options.initialTemp;
+    const results = hours.map((hour, index) => {
+        const result = simulateHour(zone, temp, setpoints[index], hour.outdoorTemps, hour.bands);
+        temp = result.indoorTemp;
+        return result;
+    });
+
+    return summarize(hours, results, setpoints, options.initialTemp);
+}
+
+/**
+ * Hourly setpoints over the hours from start that minimize the cost of running the
+ * HVAC plus a penalty ($ per °F·h) for time spent outside the comfort band, by
+ * dynamic programming over the indoor temperature. Each hour's setpoint is a whole
+ * degree within that hour's band (or setpointRange where no band applies), so cheap
+ * hours can pre-cool or pre-heat towards one edge of the band and dear hours let the
+ * zone drift to the other.
+ * options: simulateZone's, without getSetpoint, plus { comfortPenalty, setpointRange: { min, max } }
+ */
+function optimizeSetpoints(zone, options) {
+    const hours = buildHours(options.start, options.hours, options);
+    const candidates = hours.map(hour => {
+        const range = hour.band || options.setpointRange;
+        const values = [];
+        for (let value = Math.ceil(range.min); value <= Math.floor(range.max); value++) values.push(value);
+        return { values, middle: (range.min + range.max) / 2 };
+    });
+
+    const temps = [options.initialTemp, options.setpointRange.min, options.setpointRange.max]
+        .concat(...hours.map(hour => hour.outdoorTemps));
+    const gridMin = Math.floor(Math.min(...temps)) - 1;
+    const gridMax = Math.ceil(Math.max(...temps)) + 1;
+    const gridSize = Math.round((gridMax - gridMin) / GRID_STEP_F) + 1;
+
+    const valueAt = (values, temp) => {
+        const position = Math.max(0, Math.min(gridSize - 1, (temp - gridMin) / GRID_STEP_F));
+        const lower = Math.floor(position);
+        const upper = Math.min(gridSize - 1, lower + 1);
+        return values[lower] + (values[upper] - values[lower]) * (position - lower);
+    };
+    const hourCost = (hour, result, setpoint, middle) => result.energyKwh * hour.rate
+        + result.degreeHours * options.comfortPenalty
+        + Math.abs(setpoint - middle) * MIDPOINT_PREFERENCE;
+    const bestSetpoint = (index, temp, future) => {
+        let best = null;
+        candidates[index].values.forEach(setpoint => {
+            const result = simulateHour(zone, temp, setpoint, hours[index].outdoorTemps, hours[index].bands);
+            const total = hourCost(hours[index], result, setpoint, candidates[index].middle) + valueAt(future, result.indoorTemp);
+            if (!best || total < best.total) best = { setpoint, total, result };
+        });
+        return best;
+    };
+
+    // Cost to go from each grid temperature at the start of each hour, last hour first
+    const costToGo = new Array(hours.length + 1);
+    costToGo[hours.length] = new Float64Array(gridSize);
+    for (let index = hours.length - 1; index >= 0; index--) {
+        costToGo[index] = new Float64Array(gridSize);
+        for (let cell = 0; cell < gridSize; cell++) {
+            costToGo[index][cell] = bestSetpoint(index, gridMin + cell * GRID_STEP_F, costToGo[index + 1]).total;
+        }
+    }
+
+    // Follow the best setpoints forward from the actual indoor temperature
+    let temp = options.initialTemp;
+    const setpoints = [];
+    const results = hours.map((hour, index) => {
+        const best = bestSetpoint(index, temp, costToGo[index + 1]);
+        setpoints.push(best.setpoint);
+        temp = best.result.indoorTemp;
+        return best.result;
+    });
+
+    return summarize(hours, results, setpoints, options.initialTemp);
+}
+
+module.exports = {
+    STEP_MINUTES,
+    estimateOutdoorTemperature,
+    getZoneParameters,
+    stepZone,
+    bandDeviation,
+    simulateZone,
+    optimizeSetpoints
+};
@@ -1,70 +1,34 @@
 /**
  * IBM watsonx.ai Service - Real AI Integration
- * Replaces all mock AI functionality with actual watsonx.ai API calls
+ * Energy analysis, forecasting and optimization prompts on top of a pluggable
+ * LLM provider (watsonx.ai, OpenAI-compatible or recorded replay)
  */
 
-const axios = require('axios');
+const TariffService = require('./tariff-service');
+const AiOutputValidator = require('./ai-output-validator');
+const { createConfiguredProvider, checkProvidersHealth } = require('./llm-providers');
+const { deviceTypes, deviceCommands, recommendationActions } = require('../config/device-config');
+const { getTypeActions } = require('./device-capabilities');
+const { isConsumer } = require('./device-registry');
 
 class WatsonxService {
-    constructor() {
-        this.apiKey = process.env.WATSONX_API_KEY;
-        this.projectId = process.env.WATSONX_PROJECT_ID;
-        this.baseUrl = process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com';
-        this.modelId = process.env.WATSONX_MODEL_ID || 'ibm/granite-3-8b-instruct';
+    constructor(options = {}) {
+        this.tariff = options.tariff || new TariffService();
+        this.provider = options.provider || createConfiguredProvider();
+        this.validator = options.validator || new AiOutputValidator();
         
-        this.accessToken = null;
-        this.tokenExpiry = null;
-        
-        if (!this.apiKey || !this.projectId) {
-            console.warn('⚠️ watsonx.ai credentials missing. Falling back to mock mode.');
+        if (!this.provider.isConfigured()) {
+            console.warn(`⚠️ LLM provider ${this.provider.name} is not configured. Falling back to mock mode.`);
         }
         
-        console.log('🤖 watsonx.ai Service initialized');
-    }
-
-    /**
-     * Get IBM Cloud IAM access token
-     */
-    async getAccessToken() {
-        try {
-            // Check if token is still valid
-            if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-                return this.accessToken;
-            }
-
-            const response = await axios.post('https://iam.cloud.ibm.com/identity/token', {
-                grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
-                apikey: this.apiKey
-            }, {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Accept': 'application/json'
-                }
-            });
-
-            this.accessToken = response.data.access_token;
-            this.tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // Refresh 1 min early
-            
-            console.log('✅ watsonx.ai access token refreshed');
-            return this.accessToken;
-            
-        } catch (error) {
-            console.error('❌ Failed to get watsonx.ai access token:', error.message);
-            throw new Error('Authentication failed');
-        }
+        console.log(`🤖 AI service initialized with ${this.provider.name} provider`);
     }
 
     /**
-     * Make a text generation request to watsonx.ai
+     * Make a text generation request through the configured provider
      */
-    async generateText(prompt, parameters = {}) {
+    async generateText(prompt, parameters = {}, options = {}) {
         try {
-            if (!this.apiKey) {
-                throw new Error('No API key configured');
-            }
-
-            const token = await this.getAccessToken();
-            
             const defaultParameters = {
                 max_new_tokens: 500,
                 temperature: 0.7,
@@ -73,37 +37,61 @@ class WatsonxService {
                 stop_sequences: ["\n\n", "###", "---"]
             };
 
-            const requestBody = {
-                model_id: this.modelId,
-                input: prompt,
-                parameters: { ...defaultParameters, ...parameters },
-                project_id: this.projectId
-            };
-
-            console.log('🔄 Making watsonx.ai API call...');
-            
-            const response = await axios.post(
-                `${this.baseUrl}/ml/v1/text/generation?version=2023-05-29`,
-                requestBody,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    timeout: 30000 // 30 second timeout
-                }
+            return await this.provider.generateText(
+                prompt,
+                { ...defaultParameters, ...parameters },
+                options
             );
-
-            console.log('✅ watsonx.ai API call successful');
-            return response.data.results[0].generated_text;
             
         } catch (error) {
-            console.error('❌ watsonx.ai API call failed:', error.message);
+            console.error(`❌ ${this.provider.name} API call failed:`, error.message);
             throw error;
         }
     }
 
+    /**
+     * Generate structured output and validate it against the schema for its kind.
+     * An output that cannot be repaired is re-prompted once with the validation
+     * errors; if it is still invalid the caller's fallback takes over.
+     */
+    async generateValidated(kind, prompt, parameters, context = {}, task = kind) {
+        const response = await this.generateText(prompt, parameters, { task });
+        let result = this.validator.validate(kind, this.parseJsonResponse(response, null), context);
+
+        if (!result.valid) {
+            console.warn(`🔁 AI ${kind} output failed validation, re-prompting once`);
+            this.validator.recordReprompt(kind);
+
+            const repairPrompt = `${prompt}
+
+Your previous response was rejected:
+${result.errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with corrected JSON only.`;
+            const retry = await this.generateText(repairPrompt, parameters, { task: `${task}_repair` });
+            result = this.validator.validate(kind, this.parseJsonResponse(retry, null), context);
+        }
+
+        if (!result.valid) {
+            this.validator.recordFallback(kind);
+            throw new Error(`Invalid ${kind} output: ${result.errors.join('; ')}`);
+        }
+        return result.data;
+    }
+
+    /**
+     * Prompt lines describing the actions a recommendation may use
+     */
+    describeRecommendationActions() {
+        const types = Object.keys(deviceTypes);
+        return Object.keys(recommendationActions).map(action => {
+            const command = deviceCommands[action];
+            const applies = types.filter(type => getTypeActions(type).includes(action));
+            const limited = command && applies.length < types.length ? ` (${applies.join(', ')} only)` : '';
+            return `- ${action}${limited}`;
+        }).join('\n');
+    }
+
     /**
      * Analyze energy consumption patterns using AI
      */
@@ -126,8 +114,7 @@ Provide analysis in this exact JSON format (no other text):
 }`;
 
         try {
-            const response = await this.generateText(prompt, { temperature: 0.3 });
-            return this.parseJsonResponse(response, this.getFallbackAnalysis());
+            return await this.generateValidated('analysis', prompt, { temperature: 0.3 });
         } catch (error) {
             console.warn('⚠️ AI analysis failed, using fallback logic');
             return this.getFallbackAnalysis();
@@ -135,9 +122,9 @@ Provide analysis in this exact JSON format (no other text):
     }
 
     /**
-     * Generate 24-hour energy predictions using AI
+     * Generate 24-hour energy predictions using AI, with the hourly weather forecast when given
      */
-    async generateEnergyPredictions(devices, historicalData, currentHour) {
+    async generateEnergyPredictions(devices, historicalData, currentHour, weather = []) {
         const prompt = `You are an energy forecasting expert. Generate 24-hour energy usage predictions for a smart home.
 
 CURRENT DEVICES & USAGE:
@@ -150,7 +137,10 @@ ${historicalData.slice(-24).map((h, i) => {
 }).join('\n')}
 
 CURRENT TIME: ${currentHour}:00
-
+${weather.length > 0 ? `
+WEATHER FORECAST (outdoor conditions by hour; heating and cooling use rises the further the temperature is from 65°F):
+${weather.map(w => `Hour ${new Date(w.time).getHours()}: ${w.temperature.toFixed(0)}°F, ${w.humidity}% humidity, ${w.cloudCover}% cloud cover, ${w.irradiance} W/m² irradiance`).join('\n')}
+` : ''}
 Generate predictions for the next 24 hours in this exact JSON format (no other text):
 {
   "predictions": [
@@ -160,16 +150,12 @@ Generate predictions for the next 24 hours in this exact JSON format (no other t
 }`;
 
         try {
-            const response = await this.generateText(prompt, { temperature: 0.4 });
-            const parsed = this.parseJsonResponse(response, null);
-            
-            if (parsed && parsed.predictions && Array.isArray(parsed.predictions)) {
-                return parsed.predictions;
-            }
-            throw new Error('Invalid prediction format');
+            const parsed = await this.generateValidated('predictions', prompt, { temperature: 0.4 }, { currentHour });
+            return parsed.predictions;
         } catch (error) {
-            console.warn('⚠️ AI predictions failed, using fallback logic');
-            return this.getFallbackPredictions(currentHour);
+            // The prediction agent falls back to its statistical forecast
+            console.warn('⚠️ AI predictions failed');
+            throw error;
         }
     }
 
@@ -178,7 +164,8 @@ Generate predictions for the next 24 hours in this exact JSON format (no other t
      */
     async generateOptimizationRecommendations(devices, predictions, currentHour) {
         const activeDevices = devices.filter(d => d.isOn);
-        const totalUsage = devices.reduce((sum, d) => sum + d.currentPower, 0);
+        const totalUsage = devices.filter(isConsumer).reduce((sum, d) => sum + d.currentPower, 0);
+        const hasSolar = predictions.some(p => p.predictedSolar > 0);
         
         const prompt = `You are a smart home energy optimization expert. Generate actionable recommendations to reduce energy costs while maintaining comfort.
 
@@ -188,12 +175,19 @@ CURRENT SITUATION:
 - Active Devices: ${activeDevices.length}/${devices.length}
 
 DEVICE STATUS:
-${devices.map(d => `- ${d.name} (${d.type}): ${d.currentPower}W, ${d.isOn ? 'ON' : 'OFF'}${d.targetTemp ? `, Target: ${d.targetTemp}°F` : ''}${d.brightness ? `, Brightness: ${d.brightness}%` : ''}`).join('\n')}
+${devices.map(d => `- ${d.id}: ${d.name} (${d.type}): ${d.currentPower}W, ${d.isOn ? 'ON' : 'OFF'}${d.targetTemp ? `, Target: ${d.targetTemp}°F` : ''}${d.brightness ? `, Brightness: ${d.brightness}%` : ''}${d.stateOfCharge !== undefined ? `, Charge: ${Math.round(d.stateOfCharge)}%` : ''}${d.vehicleSoc !== undefined ? `, Vehicle: ${d.pluggedIn ? `${Math.round(d.vehicleSoc)}% (charging plan)` : 'unplugged'}` : ''}`).join('\n')}
 
 UPCOMING USAGE PREDICTIONS:
-${predictions.slice(0, 6).map(p => `Hour ${p.hour}: ${p.predictedUsage.toFixed(0)}W (${p.confidence > 0.8 ? 'high' : 'medium'} confidence)`).join('\n')}
-
-Generate 2-4 optimization recommendations in this exact JSON format (no other text):
+${predictions.slice(0, hasSolar ? 12 : 6).map(p => `Hour ${p.hour}: ${p.predictedUsage.toFixed(0)}W (${p.confidence > 0.8 ? 'high' : 'medium'} confidence)${p.predictedSolar !== undefined ? `, solar ${p.predictedSolar.toFixed(0)}W` : ''}`).join('\n')}
+${hasSolar ? `
+SOLAR:
+Solar output above usage is exported for $${this.tariff.getExportRate().toFixed(2)}/kWh. Running flexible loads (e.g. the washer) when the solar surplus peaks uses that energy instead of grid power.
+` : ''}
+ALLOWED ACTIONS:
+${this.describeRecommendationActions()}
+
+Generate 2-4 optimization recommendations in this exact JSON format (no other text).
+Use only the device IDs and actions listed above. Add durationMinutes when a change should be undone after a while:
 {
   "recommendations": [
     {
@@ -207,19 +201,15 @@ Generate 2-4 optimization recommendations in this exact JSON format (no other te
       "estimatedTime": "5 minutes",
       "devices": ["hvac_001"],
       "action": "set_temperature",
-      "value": "68"
+      "value": "68",
+      "durationMinutes": 120
     }
   ]
 }`;
 
         try {
-            const response = await this.generateText(prompt, { temperature: 0.5 });
-            const parsed = this.parseJsonResponse(response, null);
-            
-            if (parsed && parsed.recommendations && Array.isArray(parsed.recommendations)) {
-                return parsed.recommendations;
-            }
-            throw new Error('Invalid recommendations format');
+            const parsed = await this.generateValidated('recommendations', prompt, { temperature: 0.5 }, { devices });
+            return parsed.recommendations;
         } catch (error) {
             console.warn('⚠️ AI recommendations failed, using fallback logic');
             return this.getFallbackRecommendations(currentHour, devices);
@@ -227,22 +217,55 @@ Generate 2-4 optimization recommendations in this exact JSON format (no other te
     }
 
     /**
-     * Parse JSON response from AI, with fallback
+     * Parse JSON response from AI, with fallback.
+     * Tries the whole response first, then each balanced {...} block in turn, so
+     * text around the JSON (or a second JSON object) does not break parsing.
      */
     parseJsonResponse(text, fallback = null) {
+        if (typeof text !== 'string') return fallback;
+
         try {
-            // Try to extract JSON from the response
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            // If no JSON found, try parsing the whole response
             return JSON.parse(text);
         } catch (error) {
-            console.warn('⚠️ Failed to parse AI JSON response:', error.message);
-            return fallback;
+            // Not bare JSON; look for an embedded object
+        }
+
+        for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+            const end = this.findObjectEnd(text, start);
+            if (end === -1) break;
+            try {
+                return JSON.parse(text.slice(start, end + 1));
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+
+        console.warn('⚠️ Failed to parse AI JSON response');
+        return fallback;
+    }
+
+    /**
+     * Index of the brace closing the object that opens at start, or -1
+     */
+    findObjectEnd(text, start) {
+        let depth = 0;
+        let inString = false;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) return i;
+            }
         }
+        return -1;
     }
 
     /**
@@ -258,53 +281,14 @@ Generate 2-4 optimization recommendations in this exact JSON format (no other te
         };
     }
 
-    /**
-     * Fallback predictions when AI fails
-     */
-    getFallbackPredictions(currentHour) {
-        const predictions = [];
-        for (let i = 0; i < 24; i++) {
-            const hour = (currentHour + i) % 24;
-            const baseUsage = 2000;
-            const timeMultiplier = this.getTimeMultiplier(hour);
-            
-            predictions.push({
-                hour,
-                predictedUsage: baseUsage * timeMultiplier * (0.9 + Math.random() * 0.2),
-                predictedCost: (baseUsage * timeMultiplier * 0.12) / 1000,
-                confidence: 0.75 + Math.random() * 0.1,
-                factors: this.getTimeFactors(hour)
-            });
-        }
-        return predictions;
-    }
-
     /**
      * Fallback recommendations when AI fails
      */
     getFallbackRecommendations(currentHour, devices) {
         const recommendations = [];
         
-        // Peak hour optimization
-        if (currentHour >= 17 && currentHour <= 19) {
-            const hvacDevice = devices.find(d => d.type === 'hvac' && d.isOn);
-            if (hvacDevice) {
-                recommendations.push({
-                    id: 'fallback_peak_hvac',
-                    title: 'Pre-cool Before Peak Hours',
-                    description: 'Reduce thermostat to avoid peak electricity rates',
-                    category: 'hvac',
-                    potentialSavings: 1.25,
-                    priority: 'high',
-                    difficulty: 'easy',
-                    estimatedTime: '5 minutes',
-                    devices: [hvacDevice.id],
-                    action: 'set_temperature',
-                    value: '68'
-                });
-            }
-        }
-        
+        // HVAC pre-cooling and pre-heating are planned by the optimization agent's thermal model
+
         // Load shifting for appliances
         if (currentHour >= 20) {
             const appliance = devices.find(d => d.type === 'appliance' && !d.isOn);
@@ -329,38 +313,25 @@ Generate 2-4 optimization recommendations in this exact JSON format (no other te
     }
 
     /**
-     * Helper methods for fallback logic
+     * Statistics on validated AI output and rejected fields
      */
-    getTimeMultiplier(hour) {
-        if ((hour >= 7 && hour <= 9) || (hour >= 18 && hour <= 21)) {
-            return 1.8; // Peak hours
-        }
-        if (hour >= 23 || hour <= 6) {
-            return 0.3; // Off-peak hours
-        }
-        return 1.0; // Normal hours
+    getValidationStats() {
+        return this.validator.getStats();
     }
 
-    getTimeFactors(hour) {
-        if (hour >= 23 || hour <= 6) return "off-peak, low occupancy";
-        if ((hour >= 7 && hour <= 9) || (hour >= 18 && hour <= 21)) return "peak hours, high occupancy";
-        return "normal hours, moderate activity";
+    /**
+     * Health check for the active provider
+     */
+    async healthCheck() {
+        const health = await this.provider.healthCheck();
+        return { ...health, provider: this.provider.name };
     }
 
     /**
-     * Health check for the service
+     * Health of every LLM provider
      */
-    async healthCheck() {
-        try {
-            if (!this.apiKey) {
-                return { status: 'degraded', message: 'No API key - using fallback mode' };
-            }
-            
-            await this.getAccessToken();
-            return { status: 'healthy', message: 'watsonx.ai service operational' };
-        } catch (error) {
-            return { status: 'unhealthy', message: error.message };
-        }
+    async getProvidersHealth() {
+        return checkProvidersHealth(this.provider);
     }
 }
 
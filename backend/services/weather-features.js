@@ -0,0 +1,146 @@
+/**
+ * Weather Features
+ * Weather as inputs to usage forecasting: cooling and heating degrees from the
+ * outdoor temperature (cooling weighted up in humid air, which the HVAC also has
+ * to dry) and the irradiance, with a least-squares fit of how a home's usage
+ * responds to them.
+ */
+
+const BALANCE_POINT_F = 65;       // Outdoor temperature at which a home needs neither heating nor cooling
+const MIN_FIT_SAMPLES = 48;       // Hourly samples needed to fit the weather sensitivity
+const RIDGE = 0.05;               // Shrinkage of the fitted sensitivity, per sample
+
+const FEATURE_NAMES = ['cooling_degrees', 'heating_degrees', 'irradiance_kw'];
+
+/**
+ * Feature values of a set of conditions ({ temperature, humidity, cloudCover, irradiance })
+ */
+function getWeatherFeatures(conditions) {
+    const humidityWeight = 0.75 + conditions.humidity / 200;
+    return {
+        cooling_degrees: Math.max(0, conditions.temperature - BALANCE_POINT_F) * humidityWeight,
+        heating_degrees: Math.max(0, BALANCE_POINT_F - conditions.temperature),
+        irradiance_kw: conditions.irradiance / 1000
+    };
+}
+
+/**
+ * Rough multiplier on usage for the weather, from the heating or cooling it calls for
+ */
+function getWeatherFactor(conditions) {
+    const features = getWeatherFeatures(conditions);
+    return Math.round((1 + 0.015 * features.cooling_degrees + 0.01 * features.heating_degrees) * 100) / 100;
+}
+
+/**
+ * Solve a small linear system A·x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinearSystem(matrix, vector) {
+    const size = vector.length;
+    const rows = matrix.map((row, index) => [...row, vector[index]]);
+
+    for (let column = 0; column < size; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < size; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+        for (let row = column + 1; row < size; row++) {
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k <= size; k++) rows[row][k] -= factor * rows[column][k];
+        }
+    }
+
+    const solution = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = rows[row][size];
+        for (let k = row + 1; k < size; k++) sum -= rows[row][k] * solution[k];
+        solution[row] = sum / rows[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Fit how usage (W) moves with the weather from hourly samples ({ timestamp, usage,
+ * conditions }). Usage and features are taken relative to their mean at the same hour
+ * of day, so the daily routine is not mistaken for a response to the weather, and
+ * the sensitivity (W per unit of each feature) is fitted by ridge regression.
+ * Heating and cooling can only add usage. Returns null with too few samples.
+ */
+function fitWeatherSensitivity(samples) {
+    if (samples.length < MIN_FIT_SAMPLES) return null;
+
+    const rows = samples.map(sample => ({
+        hour: new Date(sample.timestamp).getHours(),
+        usage: sample.usage,
+        features: FEATURE_NAMES.map(name => getWeatherFeatures(sample.conditions)[name])
+    }));
+
+    const hourMeans = {};
+    rows.forEach(row => {
+        const means = hourMeans[row.hour] || (hourMeans[row.hour] = { count: 0, usage: 0, features: FEATURE_NAMES.map(() => 0) });
+        means.count++;
+        means.usage += row.usage;
+        row.features.forEach((value, index) => { means.features[index] += value; });
+    });
+    Object.values(hourMeans).forEach(means => {
+        means.usage /= means.count;
+        means.features = means.features.map(total => total / means.count);
+    });
+
+    const size = FEATURE_NAMES.length;
+    const normal = Array.from({ length: size }, (_, index) =>
+        Array.from({ length: size }, (__, column) => (index === column ? RIDGE * rows.length : 0)));
+    const target = new Array(size).fill(0);
+    rows.forEach(row => {
+        const means = hourMeans[row.hour];
+        const x = row.features.map((value, index) => value - means.features[index]);
+        const y = row.usage - means.usage;
+        for (let i = 0; i < size; i++) {
+            target[i] += x[i] * y;
+            for (let j = 0; j < size; j++) normal[i][j] += x[i] * x[j];
+        }
+    });
+
+    const solution = solveLinearSystem(normal, target);
+    if (!solution) return null;
+
+    const coefficients = {};
+    FEATURE_NAMES.forEach((name, index) => {
+        const value = name === 'irradiance_kw' ? solution[index] : Math.max(0, solution[index]);
+        coefficients[name] = Math.round(value * 10) / 10 || 0;
+    });
+
+    return {
+        samples: rows.length,
+        coefficients,
+        hourMeans: Object.fromEntries(Object.entries(hourMeans).map(([hour, means]) => [hour, means.features]))
+    };
+}
+
+/**
+ * Change in usage (W) a fitted sensitivity predicts for the conditions at an hour of
+ * day, against the weather usually seen at that hour
+ */
+function predictWeatherAdjustment(model, hour, conditions) {
+    if (!model) return 0;
+
+    const baseline = model.hourMeans[hour];
+    if (!baseline) return 0;
+
+    const features = getWeatherFeatures(conditions);
+    return FEATURE_NAMES.reduce((sum, name, index) =>
+        sum + model.coefficients[name] * (features[name] - baseline[index]), 0);
+}
+
+module.exports = {
+    BALANCE_POINT_F,
+    FEATURE_NAMES,
+    getWeatherFeatures,
+    getWeatherFactor,
+    solveLinearSystem,
+    fitWeatherSensitivity,
+    predictWeatherAdjustment
+};
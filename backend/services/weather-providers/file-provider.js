@@ -0,0 +1,100 @@
+/**
+ * File Weather Provider
+ * Hourly weather from a file, for offline runs, replaying recorded weather and
+ * backtests. The file is read again when it changes.
+ *
+ * CSV: a header row naming the columns time, temperature, humidity, cloudCover and
+ *      irradiance (in any order; only time is required), then one row per hour:
+ *        time,temperature,humidity,cloudCover,irradiance
+ *        2026-07-14T15:00:00Z,91.4,48,10,820
+ * JSON: { "hourly": [{ "time", "temperature", "humidity", "cloudCover", "irradiance" }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDataPath } = require('../data-store');
+
+const DEFAULT_FILE_NAME = 'weather.csv';
+const FIELDS = ['temperature', 'humidity', 'cloudCover', 'irradiance'];
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(column => column.trim());
+    if (!header.includes('time')) {
+        throw new Error('CSV header must include a time column');
+    }
+
+    return lines.slice(1).map(line => {
+        const cells = line.split(',');
+        const row = {};
+        header.forEach((column, index) => {
+            const cell = (cells[index] || '').trim();
+            if (cell !== '') row[column] = column === 'time' ? cell : parseFloat(cell);
+        });
+        return row;
+    });
+}
+
+/**
+ * Hourly entries of a weather document, with unparseable times and values left out
+ */
+function normalizeEntries(rows) {
+    return rows.map(row => {
+        const time = new Date(row.time);
+        if (isNaN(time.getTime())) return null;
+
+        const entry = { time: time.toISOString() };
+        FIELDS.forEach(field => {
+            const value = typeof row[field] === 'string' ? parseFloat(row[field]) : row[field];
+            if (typeof value === 'number' && isFinite(value)) entry[field] = value;
+        });
+        return entry;
+    }).filter(Boolean).sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+class FileWeatherProvider {
+    constructor(config = {}) {
+        this.name = 'file';
+        this.filePath = config.file ? path.resolve(config.file) : resolveDataPath(DEFAULT_FILE_NAME);
+        this.entries = [];
+        this.loadedMtime = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error(`Weather file ${this.filePath} not found`);
+        }
+
+        const mtime = fs.statSync(this.filePath).mtimeMs;
+        if (mtime === this.loadedMtime) return;
+
+        const text = fs.readFileSync(this.filePath, 'utf8');
+        const rows = this.filePath.endsWith('.json') ? (JSON.parse(text).hourly || []) : parseCsv(text);
+        if (!Array.isArray(rows)) {
+            throw new Error('Weather JSON must have an hourly list');
+        }
+
+        this.entries = normalizeEntries(rows);
+        this.loadedMtime = mtime;
+        console.log(`🌦️ Loaded ${this.entries.length} hours of weather from ${this.filePath}`);
+    }
+
+    async getHourly(start, hours) {
+        this.load();
+        const from = start.getTime();
+        const to = from + hours * 60 * 60 * 1000;
+        return this.entries.filter(entry => {
+            const time = new Date(entry.time).getTime();
+            return time >= from && time < to;
+        });
+    }
+
+    describe() {
+        return { file: this.filePath, hours_loaded: this.entries.length };
+    }
+}
+
+module.exports = FileWeatherProvider;
+module.exports.normalizeEntries = normalizeEntries;
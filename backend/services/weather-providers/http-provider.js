@@ -0,0 +1,43 @@
+/**
+ * HTTP Weather Provider
+ * Hourly forecasts from a weather service answering
+ *   GET <baseUrl>/forecast?start=<ISO date-time>&hours=<n>&latitude=<°>&longitude=<°>
+ * with { "hourly": [{ "time", "temperature", "humidity", "cloudCover", "irradiance" }] }.
+ * simulators/weather-server.js is a local stand-in for it.
+ */
+
+const axios = require('axios');
+const { normalizeEntries } = require('./file-provider');
+
+class HttpWeatherProvider {
+    constructor(config = {}) {
+        this.name = 'http';
+        this.baseUrl = (config.baseUrl || 'http://localhost:3100').replace(/\/+$/, '');
+        this.timeout = config.timeout;
+        this.latitude = config.latitude;
+        this.longitude = config.longitude;
+    }
+
+    async getHourly(start, hours) {
+        const response = await axios.get(`${this.baseUrl}/forecast`, {
+            params: {
+                start: start.toISOString(),
+                hours,
+                latitude: this.latitude,
+                longitude: this.longitude
+            },
+            timeout: this.timeout
+        });
+
+        if (!response.data || !Array.isArray(response.data.hourly)) {
+            throw new Error('Invalid forecast response: no hourly list');
+        }
+        return normalizeEntries(response.data.hourly);
+    }
+
+    describe() {
+        return { url: this.baseUrl };
+    }
+}
+
+module.exports = HttpWeatherProvider;
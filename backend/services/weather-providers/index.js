@@ -0,0 +1,39 @@
+/**
+ * Weather Provider factory
+ * Every provider implements:
+ * - name
+ * - getHourly(start, hours) -> Promise<[{ time, temperature, humidity, cloudCover, irradiance }]>
+ *   (hours it has no data for are left out, as are fields it does not report)
+ * - describe() -> details of the source for status reports
+ */
+
+const { getWeatherConfig } = require('../../config/weather-config');
+const ModelWeatherProvider = require('./model-provider');
+const FileWeatherProvider = require('./file-provider');
+const HttpWeatherProvider = require('./http-provider');
+
+const PROVIDERS = {
+    model: ModelWeatherProvider,
+    file: FileWeatherProvider,
+    http: HttpWeatherProvider
+};
+
+/**
+ * Create a provider by name, for the configured location
+ */
+function createWeatherProvider(name, config = getWeatherConfig()) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown weather provider: ${name}. Use one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider({
+        ...(config.providers[name] || {}),
+        latitude: config.latitude,
+        longitude: config.longitude
+    });
+}
+
+module.exports = {
+    createWeatherProvider,
+    PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
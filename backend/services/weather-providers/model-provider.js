@@ -0,0 +1,80 @@
+/**
+ * Model Weather Provider
+ * Typical weather for the location and date, computed offline: the seasonal and
+ * daily temperature profile of the thermal model, humidity from a seasonal dew
+ * point, a fixed typical cloud cover and the clear-sky irradiance of the solar
+ * model attenuated by it. Also fills in what other providers leave out.
+ */
+
+const { estimateOutdoorTemperature } = require('../thermal-model');
+const { getSunPosition, getClearSkyIrradiance } = require('../solar-model');
+
+const TYPICAL_CLOUD_COVER = 30;     // %
+const DEW_POINT_DEPRESSION_F = 12;  // Typical gap between the daily mean and the dew point
+
+const toCelsius = fahrenheit => (fahrenheit - 32) * 5 / 9;
+
+/**
+ * Relative humidity (%) at a temperature and dew point (°F), by the Magnus formula
+ */
+function relativeHumidity(temperature, dewPoint) {
+    const magnus = celsius => 17.625 * celsius / (243.04 + celsius);
+    const humidity = 100 * Math.exp(magnus(toCelsius(dewPoint)) - magnus(toCelsius(temperature)));
+    return Math.max(0, Math.min(100, humidity));
+}
+
+/**
+ * Share of the clear-sky irradiance that reaches the ground under a cloud cover (%),
+ * by the Kasten-Czeplak relation
+ */
+function cloudTransmittance(cloudCover) {
+    return 1 - 0.75 * Math.pow(cloudCover / 100, 3.4);
+}
+
+/**
+ * Global horizontal irradiance (W/m²) at a location and time under a cloud cover (%)
+ */
+function estimateIrradiance(date, latitude, longitude, cloudCover) {
+    const sun = getSunPosition(date, latitude, longitude);
+    return getClearSkyIrradiance(date, sun.elevation).ghi * cloudTransmittance(cloudCover);
+}
+
+class ModelWeatherProvider {
+    constructor(config = {}) {
+        this.name = 'model';
+        this.latitude = config.latitude !== undefined ? config.latitude : 40;
+        this.longitude = config.longitude;
+    }
+
+    /**
+     * Typical conditions at a point in time
+     */
+    getConditions(date) {
+        const temperature = estimateOutdoorTemperature(date);
+
+        // The daily mean, from the profile at the hours its daily swing crosses zero
+        const atHour = hour => estimateOutdoorTemperature(new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour));
+        const dailyMean = (atHour(9) + atHour(21)) / 2;
+
+        return {
+            time: date.toISOString(),
+            temperature,
+            humidity: relativeHumidity(temperature, Math.min(temperature, dailyMean - DEW_POINT_DEPRESSION_F)),
+            cloudCover: TYPICAL_CLOUD_COVER,
+            irradiance: estimateIrradiance(date, this.latitude, this.longitude, TYPICAL_CLOUD_COVER)
+        };
+    }
+
+    async getHourly(start, hours) {
+        return Array.from({ length: hours }, (_, index) =>
+            this.getConditions(new Date(start.getTime() + index * 60 * 60 * 1000)));
+    }
+
+    describe() {
+        return { latitude: this.latitude, longitude: this.longitude };
+    }
+}
+
+module.exports = ModelWeatherProvider;
+module.exports.cloudTransmittance = cloudTransmittance;
+module.exports.estimateIrradiance = estimateIrradiance;
@@ -0,0 +1,157 @@
+/**
+ * Weather Service
+ * Hourly weather at the home (temperature, humidity, cloud cover and irradiance)
+ * from the configured provider (see config/weather-config.js), held in memory and
+ * refreshed periodically for the past day and the next two. Lookups between hours
+ * are interpolated; hours and fields the provider has no data for come from the
+ * typical weather model, and every lookup reports which source it used.
+ */
+
+const { getWeatherConfig } = require('../config/weather-config');
+const { createWeatherProvider } = require('./weather-providers');
+const { cloudTransmittance, estimateIrradiance } = require('./weather-providers/model-provider');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PAST_HOURS = 24;
+const FORECAST_HOURS = 48;
+const RETENTION_DAYS = 14;
+const FIELDS = ['temperature', 'humidity', 'cloudCover', 'irradiance'];
+
+// Below this clear-sky irradiance (W/m²), around sunrise and sunset, the solar
+// factor is taken from the cloud cover rather than the irradiance ratio
+const MIN_CLEAR_SKY_IRRADIANCE = 50;
+
+class WeatherService {
+    constructor(options = {}) {
+        this.config = options.config || getWeatherConfig();
+        this.provider = options.provider || createWeatherProvider(this.config.provider, this.config);
+        this.model = this.provider.name === 'model' ? this.provider : createWeatherProvider('model', this.config);
+
+        this.hours = new Map();
+        this.lastRefresh = null;
+        this.lastError = null;
+        this.refreshTimer = null;
+
+        console.log(`🌦️ Weather service using the ${this.provider.name} provider`);
+    }
+
+    /**
+     * Fetch the weather now and then at the configured interval
+     */
+    async start() {
+        await this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), this.config.refreshMinutes * 60 * 1000);
+    }
+
+    stop() {
+        if (this.refreshTimer) clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Fetch the hours around now from the provider. On failure the hours already
+     * held are kept and the rest falls back to the model.
+     */
+    async refresh(now = new Date()) {
+        if (this.provider.name === 'model') {
+            this.lastRefresh = now.toISOString();
+            return;
+        }
+
+        const start = new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS - PAST_HOURS * HOUR_MS);
+        try {
+            await this.fetchRange(start, PAST_HOURS + FORECAST_HOURS);
+
+            const cutoff = now.getTime() - RETENTION_DAYS * 24 * HOUR_MS;
+            [...this.hours.keys()].filter(time => time < cutoff).forEach(time => this.hours.delete(time));
+
+            this.lastRefresh = now.toISOString();
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.warn(`⚠️ Weather refresh from the ${this.provider.name} provider failed, using the weather model:`, error.message);
+        }
+    }
+
+    /**
+     * Fetch the hours from start from the provider (e.g. a past period for a backtest)
+     */
+    async fetchRange(start, hours) {
+        if (this.provider.name === 'model') return 0;
+
+        const entries = await this.provider.getHourly(start, hours);
+        entries.forEach(entry => {
+            const time = Math.floor(new Date(entry.time).getTime() / HOUR_MS) * HOUR_MS;
+            this.hours.set(time, entry);
+        });
+        return entries.length;
+    }
+
+    /**
+     * Conditions at a point in time: { time, temperature (°F), humidity (%),
+     * cloudCover (%), irradiance (W/m²), source }
+     */
+    getConditions(date = new Date()) {
+        const hourStart = Math.floor(date.getTime() / HOUR_MS) * HOUR_MS;
+        const current = this.hours.get(hourStart);
+        const next = this.hours.get(hourStart + HOUR_MS);
+        const modelled = this.model.getConditions(date);
+        const fraction = (date.getTime() - hourStart) / HOUR_MS;
+
+        const conditions = { time: date.toISOString(), source: current ? this.provider.name : 'model' };
+        FIELDS.forEach(field => {
+            let value = modelled[field];
+            if (current && current[field] !== undefined) {
+                value = next && next[field] !== undefined
+                    ? current[field] + (next[field] - current[field]) * fraction
+                    : current[field];
+            }
+            conditions[field] = value;
+        });
+
+        // Without an irradiance, take the clear-sky irradiance under the provider's cloud cover
+        if (current && current.irradiance === undefined && current.cloudCover !== undefined) {
+            conditions.irradiance = estimateIrradiance(date, this.config.latitude, this.config.longitude, conditions.cloudCover);
+        }
+
+        FIELDS.forEach(field => {
+            conditions[field] = field === 'temperature' ? Math.round(conditions[field] * 10) / 10 : Math.round(conditions[field]);
+        });
+        return conditions;
+    }
+
+    /**
+     * Conditions at the start of each of the hours from start
+     */
+    getHourly(start, hours) {
+        const first = Math.floor(start.getTime() / HOUR_MS) * HOUR_MS;
+        return Array.from({ length: hours }, (_, index) => this.getConditions(new Date(first + index * HOUR_MS)));
+    }
+
+    /**
+     * Share of the clear-sky solar output expected at a time: the irradiance against
+     * the clear-sky irradiance at the home, or the cloud cover's attenuation of it
+     */
+    getSolarFactor(date) {
+        const conditions = this.getConditions(date);
+        const clearSky = estimateIrradiance(date, this.config.latitude, this.config.longitude, 0);
+        const factor = clearSky >= MIN_CLEAR_SKY_IRRADIANCE
+            ? conditions.irradiance / clearSky
+            : cloudTransmittance(conditions.cloudCover);
+        return Math.max(0, Math.min(1.2, factor));
+    }
+
+    getStatus() {
+        return {
+            provider: this.provider.name,
+            ...this.provider.describe(),
+            latitude: this.config.latitude,
+            longitude: this.config.longitude,
+            hours_held: this.hours.size,
+            last_refresh: this.lastRefresh,
+            last_error: this.lastError
+        };
+    }
+}
+
+module.exports = WeatherService;
@@ -69,6 +69,7 @@ async function testWatsonxIntegration() {
         console.error('❌ watsonx.ai integration test failed:', error.message);
         console.log('\n🔧 Troubleshooting:');
         console.log('1. Check your environment variables:');
+        console.log('   - LLM_PROVIDER (watsonx, openai or replay)');
         console.log('   - WATSONX_API_KEY');
         console.log('   - WATSONX_PROJECT_ID');
         console.log('   - WATSONX_URL');
@@ -0,0 +1,107 @@
+/**
+ * Users, scoped tokens and home access (services/auth-service.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthService = require('../services/auth-service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('AuthService', () => {
+    let dataDir;
+    let auth;
+    let admin;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-service-'));
+        process.env.DATA_DIR = dataDir;
+        process.env.ADMIN_PASSWORD = 'admin-password';
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        auth = new AuthService({ enabled: true });
+        admin = auth.users[0];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        delete process.env.ADMIN_PASSWORD;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('authenticates tokens issued at login', () => {
+        expect(auth.login('admin', 'wrong-password')).toMatchObject({ success: false, code: 'unauthorized' });
+
+        const { token, info } = auth.login('admin', 'admin-password');
+        expect(auth.authenticateToken(token)).toMatchObject({
+            type: 'token',
+            id: info.id,
+            user_id: admin.id,
+            scopes: ['admin'],
+            homes: ['*']
+        });
+
+        expect(auth.authenticateToken('seo_unknown')).toBeNull();
+        expect(auth.authenticateToken(token.replace('seo_', ''))).toBeNull();
+        expect(auth.authenticateToken(undefined)).toBeNull();
+    });
+
+    test('rejects revoked and expired tokens', () => {
+        const revoked = auth.createToken(admin.id, { name: 'revoked', scopes: ['read'] });
+        expect(auth.revokeToken(revoked.info.id, { ...admin, user_id: admin.id }).success).toBe(true);
+        expect(auth.authenticateToken(revoked.token)).toBeNull();
+
+        const expiring = auth.createToken(admin.id, { name: 'expiring', scopes: ['read'], expiresAt: new Date(Date.now() + HOUR_MS).toISOString() });
+        expect(auth.authenticateToken(expiring.token)).not.toBeNull();
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * HOUR_MS);
+        expect(auth.authenticateToken(expiring.token)).toBeNull();
+    });
+
+    test('limits a token to the scopes of its user', () => {
+        const user = auth.createUser({ username: 'reader', password: 'reader-password', scopes: ['control'] }).user;
+        expect(auth.createToken(user.id, { name: 'too much', scopes: ['admin'] }).errors)
+            .toContain('a token cannot have scopes its user does not have');
+
+        const { token } = auth.createToken(user.id, { name: 'reading', scopes: ['read'] });
+        const principal = auth.authenticateToken(token);
+        expect(auth.hasScope(principal, 'read')).toBe(true);
+        expect(auth.hasScope(principal, 'control')).toBe(false);
+    });
+
+    test('includes narrower scopes in broader ones', () => {
+        const principal = scopes => ({ scopes });
+        expect(auth.hasScope(principal(['admin']), 'read')).toBe(true);
+        expect(auth.hasScope(principal(['admin']), 'control')).toBe(true);
+        expect(auth.hasScope(principal(['control']), 'read')).toBe(true);
+        expect(auth.hasScope(principal(['control']), 'admin')).toBe(false);
+        expect(auth.hasScope(principal(['read']), 'control')).toBe(false);
+        expect(auth.hasScope(null, 'read')).toBe(false);
+    });
+
+    test('only lets admins limited to some homes manage users of those homes', () => {
+        const limited = auth.createUser({ username: 'limited', password: 'limited-password', scopes: ['admin'], homes: ['cabin'] }).user;
+        const principal = auth.authenticateToken(auth.login('limited', 'limited-password').token);
+
+        expect(auth.createUser({ username: 'everywhere', password: 'password', scopes: ['read'], homes: ['*'] }, principal))
+            .toMatchObject({ success: false, errors: ['homes must be homes you can access'] });
+        expect(auth.createUser({ username: 'guest', password: 'password', scopes: ['read'] }, principal).user.homes)
+            .toEqual(['cabin']);
+
+        expect(auth.listUsers(principal).map(user => user.username)).toEqual(['limited', 'guest']);
+        expect(auth.deleteUser(admin.id, principal)).toMatchObject({ success: false, code: 'not_found' });
+        expect(auth.canAccessHome(principal, 'cabin')).toBe(true);
+        expect(auth.canAccessHome(principal, 'default')).toBe(false);
+        expect(limited.homes).toEqual(['cabin']);
+    });
+
+    test('drops expired tokens when issuing new ones and on load', () => {
+        auth.createToken(admin.id, { name: 'expired', scopes: ['read'], expiresAt: new Date(Date.now() - HOUR_MS).toISOString() });
+        auth.createToken(admin.id, { name: 'kept', scopes: ['read'] });
+        expect(auth.listTokens().map(token => token.name)).toEqual(['kept']);
+
+        auth.tokens.push({ ...auth.tokens[0], id: 'tok_expired', expires_at: new Date(Date.now() - HOUR_MS).toISOString() });
+        auth.save();
+        expect(new AuthService({ enabled: true }).listTokens().map(token => token.name)).toEqual(['kept']);
+    });
+});
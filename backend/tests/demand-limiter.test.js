@@ -0,0 +1,71 @@
+/**
+ * Choice of the loads shed to keep the home under its service limit (services/demand-limiter.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DemandLimiter = require('../services/demand-limiter');
+
+const device = (id, type, currentPower, fields = {}) => ({ id, type, currentPower, isOn: true, ...fields });
+
+describe('DemandLimiter.selectLoadsToShed', () => {
+    let dataDir;
+    let limiter;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'demand-limiter-'));
+        process.env.DATA_DIR = dataDir;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        limiter = new DemandLimiter();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const ids = devices => devices.map(d => d.id);
+
+    test('sheds the lowest priority first and the largest load first within a priority', () => {
+        const devices = [
+            device('hvac', 'hvac', 3000),
+            device('water_heater', 'water_heater', 4000),
+            device('dryer', 'appliance', 2000),
+            device('ev', 'ev_charger', 7200)
+        ];
+
+        expect(ids(limiter.selectLoadsToShed(devices, 1000))).toEqual(['ev']);
+        expect(ids(limiter.selectLoadsToShed(devices, 8000))).toEqual(['ev', 'dryer']);
+        expect(ids(limiter.selectLoadsToShed(devices, 12000))).toEqual(['ev', 'dryer', 'water_heater']);
+        expect(ids(limiter.selectLoadsToShed(devices, 0))).toEqual([]);
+    });
+
+    test('never sheds critical loads, even when the excess remains', () => {
+        const devices = [device('lights', 'lighting', 500), device('hvac', 'hvac', 3000)];
+        expect(ids(limiter.selectLoadsToShed(devices, 10000))).toEqual(['hvac']);
+    });
+
+    test('only sheds running consumers and charging batteries', () => {
+        const devices = [
+            device('off', 'appliance', 0, { isOn: false }),
+            device('idle', 'appliance', 0),
+            device('solar', 'solar', 3000),
+            device('discharging', 'battery', 4000, { batteryMode: 'discharging' }),
+            device('charging', 'battery', 5000, { batteryMode: 'charging' }),
+            device('washer', 'appliance', 500)
+        ];
+        expect(ids(limiter.selectLoadsToShed(devices, 10000))).toEqual(['charging', 'washer']);
+    });
+
+    test('follows the priorities of the policy', () => {
+        expect(limiter.setPolicy({
+            typePriorities: { hvac: 'low', appliance: 'high' },
+            devicePriorities: { ev: 'critical' }
+        }).success).toBe(true);
+
+        const devices = [device('hvac', 'hvac', 3000), device('dryer', 'appliance', 2000), device('ev', 'ev_charger', 7200)];
+        expect(ids(limiter.selectLoadsToShed(devices, 4000))).toEqual(['hvac', 'dryer']);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Validation of device commands against their type's capabilities (services/device-capabilities.js)
+ */
+
+const { validateCommand } = require('../services/device-capabilities');
+
+const hvac = { id: 'hvac_1', type: 'hvac' };
+const lighting = { id: 'light_1', type: 'lighting' };
+
+describe('validateCommand', () => {
+    test('accepts the commands of a device type', () => {
+        expect(validateCommand(hvac, 'turn_on')).toMatchObject({ valid: true });
+        expect(validateCommand({ id: 'battery_1', type: 'battery' }, 'charge')).toMatchObject({ valid: true });
+    });
+
+    test('rejects commands the device type does not support', () => {
+        const result = validateCommand(lighting, 'set_temperature', 72);
+        expect(result).toMatchObject({ valid: false, code: 'unsupported', message: 'lighting devices do not support set_temperature' });
+        expect(result.allowedActions).toEqual(['turn_on', 'turn_off', 'toggle', 'schedule', 'set_brightness']);
+
+        expect(validateCommand(hvac, undefined)).toMatchObject({ valid: false, message: 'hvac devices do not support this action' });
+        expect(validateCommand({ id: 'x', type: 'unknown' }, 'turn_on')).toMatchObject({ valid: false, code: 'unsupported' });
+    });
+
+    test('returns setting values as numbers', () => {
+        expect(validateCommand(hvac, 'set_temperature', 68)).toMatchObject({ valid: true, value: 68 });
+        expect(validateCommand(lighting, 'set_brightness', '40')).toMatchObject({ valid: true, value: 40 });
+    });
+
+    test('rejects values outside the range or off the step of the setting', () => {
+        expect(validateCommand(hvac, 'set_temperature', 85)).toMatchObject({
+            valid: false,
+            code: 'invalid',
+            errors: ['value must be between 60 and 80°F']
+        });
+        expect(validateCommand(hvac, 'set_temperature', 70.5).errors).toEqual(['value must be in steps of 1°F']);
+        expect(validateCommand(lighting, 'set_brightness', -1).errors).toEqual(['value must be between 0 and 100%']);
+    });
+
+    test('rejects missing and non-numeric values', () => {
+        expect(validateCommand(hvac, 'set_temperature').errors).toEqual(['value must be a number']);
+        expect(validateCommand(hvac, 'set_temperature', ' ').errors).toEqual(['value must be a number']);
+        expect(validateCommand(lighting, 'set_brightness', 'bright').errors).toEqual(['value must be a number']);
+        expect(validateCommand(lighting, 'set_brightness', null).errors).toEqual(['value must be a number']);
+    });
+});
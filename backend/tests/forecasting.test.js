@@ -0,0 +1,110 @@
+/**
+ * Statistical usage forecasting (services/forecasting.js)
+ */
+
+const { forecastSeries, MIN_HISTORY_HOURS } = require('../services/forecasting');
+
+const HOUR_MS = 60 * 60 * 1000;
+// A Monday at midnight, local time
+const START = new Date(2026, 2, 2, 0, 0, 0, 0);
+
+/**
+ * Hourly history for the days before START: a daily profile with deterministic
+ * noise, plus an optional extra load on one day of the week
+ */
+function buildHistory(days, options = {}) {
+    let seed = 42;
+    const noise = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648 - 0.5;
+    };
+
+    const history = [];
+    for (let index = days * 24; index >= 1; index--) {
+        const date = new Date(START.getTime() - index * HOUR_MS);
+        const hour = date.getHours();
+        let value = 2000 + 800 * Math.sin((hour - 9) / 24 * 2 * Math.PI) + 150 * noise();
+        if (options.weekday !== undefined && date.getDay() === options.weekday) value += options.extra;
+        history.push({ timestamp: date.toISOString(), value });
+    }
+    return history;
+}
+
+describe('forecastSeries', () => {
+    test('returns null with less than the minimum history', () => {
+        const history = buildHistory(3).slice(-(MIN_HISTORY_HOURS - 1));
+        expect(forecastSeries(history, { start: START })).toBeNull();
+        expect(forecastSeries(buildHistory(3).slice(-MIN_HISTORY_HOURS), { start: START })).not.toBeNull();
+    });
+
+    test('gives identical output for identical input', () => {
+        const history = buildHistory(14);
+        const first = forecastSeries(history, { start: START, horizon: 24 });
+        const second = forecastSeries(buildHistory(14), { start: START, horizon: 24 });
+
+        expect(second).toEqual(first);
+        expect(first.forecasts).toHaveLength(24);
+        // Forecast hours are aligned like the reading store's hourly buckets
+        expect(first.forecasts[0].timestamp).toBe(new Date(Math.floor(START.getTime() / HOUR_MS) * HOUR_MS).toISOString());
+    });
+
+    test('widens prediction intervals with the horizon', () => {
+        const { forecasts, model } = forecastSeries(buildHistory(14), { start: START, horizon: 48 });
+        const widths = forecasts.map(forecast => forecast.upper - forecast.lower);
+
+        widths.slice(1).forEach((width, index) => expect(width).toBeGreaterThanOrEqual(widths[index] - 1e-9));
+        expect(widths[widths.length - 1]).toBeGreaterThan(widths[0]);
+        forecasts.forEach(forecast => {
+            expect(forecast.lower).toBeLessThanOrEqual(forecast.value);
+            expect(forecast.upper).toBeGreaterThanOrEqual(forecast.value);
+        });
+        expect(model.interval_level).toBe(0.9);
+    });
+
+    test('widens intervals with the interval level', () => {
+        const history = buildHistory(14);
+        const width = level => {
+            const [forecast] = forecastSeries(history, { start: START, horizon: 1, level }).forecasts;
+            return forecast.upper - forecast.lower;
+        };
+
+        expect(width(0.8)).toBeLessThan(width(0.9));
+        expect(width(0.9)).toBeLessThan(width(0.95));
+        expect(() => forecastSeries(history, { start: START, level: 0.5 })).toThrow(RangeError);
+    });
+
+    test('fits and forecasts a day-of-week effect', () => {
+        // Three weeks with 600 W more on Mondays, the day START falls on
+        const { forecasts, model } = forecastSeries(buildHistory(21, { weekday: 1, extra: 600 }), { start: START, horizon: 48 });
+        const effects = model.weekday_effects;
+
+        expect(effects[1]).toBeGreaterThan(300);
+        effects.filter((_, day) => day !== 1).forEach(effect => expect(effect).toBeLessThan(effects[1] - 300));
+
+        // Monday hours are forecast above the same hours on Tuesday
+        const monday = forecasts.slice(0, 24).map(forecast => forecast.value);
+        const tuesday = forecasts.slice(24).map(forecast => forecast.value);
+        const meanDifference = monday.reduce((sum, value, hour) => sum + value - tuesday[hour], 0) / 24;
+        expect(meanDifference).toBeGreaterThan(300);
+    });
+
+    test('adds the weather effect of the conditions at each hour', () => {
+        const history = buildHistory(14).map(entry => {
+            const hotDay = new Date(entry.timestamp).getDate() % 2 === 0;
+            return { ...entry, value: entry.value + (hotDay ? 400 : 0) };
+        });
+        const getConditions = date => ({
+            temperature: date.getDate() % 2 === 0 ? 90 : 65,
+            humidity: 50,
+            cloudCover: 30,
+            irradiance: 0
+        });
+
+        const { forecasts, model } = forecastSeries(history, { start: START, horizon: 48, getConditions });
+        expect(model.weather.coefficients.cooling_degrees).toBeGreaterThan(0);
+
+        const hot = forecasts.filter(forecast => new Date(forecast.timestamp).getDate() % 2 === 0);
+        const mild = forecasts.filter(forecast => new Date(forecast.timestamp).getDate() % 2 !== 0);
+        expect(hot[0].weather_adjustment).toBeGreaterThan(mild[0].weather_adjustment);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * MQTT bridge round trip over the in-process broker: device telemetry is recorded
+ * as readings, and commands are published to the device's command topic
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MqttBridge = require('../services/mqtt-bridge');
+const ReadingStore = require('../services/reading-store');
+const MqttAdapter = require('../services/device-adapters/mqtt-adapter');
+
+const HOME_ID = 'default';
+const DEVICE = { id: 'hvac_001', name: 'Living Room Thermostat', type: 'hvac', isOn: true, currentPower: 2800 };
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('MqttBridge with the local broker', () => {
+    let dataDir;
+    let bridge;
+    let home;
+    let device;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-bridge-'));
+        process.env.DATA_DIR = dataDir;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const readingStore = new ReadingStore({ fileName: 'readings.jsonl' });
+        home = {
+            homeId: HOME_ID,
+            readingStore,
+            recordReading(payload) {
+                const validation = readingStore.validate(payload);
+                if (!validation.valid) return { success: false, message: 'Invalid reading', errors: validation.errors };
+                readingStore.append(validation.reading);
+                return { success: true, reading: validation.reading };
+            },
+            setDeviceConnectivity: jest.fn(() => ({ success: true }))
+        };
+
+        bridge = new MqttBridge({ brokerUrl: 'local', getHome: homeId => (homeId === HOME_ID ? home : null) });
+        bridge.start();
+        await waitFor(() => bridge.connected);
+
+        device = bridge.broker.connect({ clientId: 'device' });
+    });
+
+    afterEach(() => {
+        device.end();
+        bridge.stop();
+        jest.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('records telemetry published on the state topic', async () => {
+        device.publish(`home/${HOME_ID}/device/${DEVICE.id}/state`, JSON.stringify({
+            powerWatts: 2750,
+            state: 'on',
+            metadata: { targetTemp: 72 }
+        }));
+
+        await waitFor(() => home.readingStore.query({ deviceId: DEVICE.id }).length === 1);
+
+        const [reading] = home.readingStore.query({ deviceId: DEVICE.id });
+        expect(reading).toMatchObject({ deviceId: DEVICE.id, power: 2750, isOn: true, source: 'telemetry' });
+        expect(home.setDeviceConnectivity).toHaveBeenCalledWith(DEVICE.id, true);
+        expect(bridge.getLastState(HOME_ID, DEVICE.id)).toMatchObject({ power: 2750, isOn: true, targetTemp: 72 });
+        expect(bridge.getStatus().telemetry_received).toBe(1);
+    });
+
+    test('rejects telemetry of unknown homes and invalid payloads', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        device.publish(`home/elsewhere/device/${DEVICE.id}/state`, JSON.stringify({ powerWatts: 100 }));
+        device.publish(`home/${HOME_ID}/device/${DEVICE.id}/state`, 'not json');
+
+        await waitFor(() => bridge.getStatus().rejected === 2);
+        expect(home.readingStore.query()).toHaveLength(0);
+    });
+
+    test('publishes commands on the command topic and resolves on the confirming state', async () => {
+        const commands = [];
+        device.subscribe(`home/${HOME_ID}/device/${DEVICE.id}/set`);
+        device.on('message', (topic, payload) => {
+            const command = JSON.parse(payload.toString());
+            commands.push({ topic, ...command });
+            // The device confirms by reporting its new state
+            device.publish(`home/${HOME_ID}/device/${DEVICE.id}/state`, JSON.stringify({
+                powerWatts: 0,
+                state: command.action === 'turn_off' ? 'off' : 'on'
+            }));
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const adapter = new MqttAdapter({ bridge, homeId: HOME_ID, timeoutMs: 2000 });
+        const state = await adapter.sendCommand(DEVICE, 'turn_off', null);
+
+        expect(commands).toHaveLength(1);
+        expect(commands[0]).toMatchObject({ topic: `home/${HOME_ID}/device/${DEVICE.id}/set`, action: 'turn_off', value: null });
+        expect(state).toMatchObject({ isOn: false, power: 0 });
+        expect(home.readingStore.query({ deviceId: DEVICE.id })).toHaveLength(1);
+        expect(bridge.getStatus().commands_published).toBe(1);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Offline backtest of the predictors (services/prediction-backtest.js)
+ */
+
+const { runBacktest } = require('../services/prediction-backtest');
+const { forecastSeries } = require('../services/forecasting');
+
+const HOUR_MS = 60 * 60 * 1000;
+const FROM = new Date(Date.UTC(2026, 2, 1));
+const TO = new Date(FROM.getTime() + 24 * HOUR_MS);
+
+// A fixed history: the home draws 1200 W every hour
+const readingStore = {
+    aggregate: ({ from, to }) => {
+        const buckets = [];
+        for (let time = from.getTime(); time < to.getTime(); time += HOUR_MS) {
+            buckets.push({ timestamp: new Date(time).toISOString(), missing: false, coverage: 1, avg: 1200 });
+        }
+        return { buckets };
+    }
+};
+
+const agent = {
+    forecastUsage: (history, start, hours) => forecastSeries(
+        history.map(entry => ({ timestamp: entry.timestamp, value: entry.usage })),
+        { start, horizon: hours }
+    ),
+    calculateBaselineUsage: () => 1000
+};
+
+describe('runBacktest', () => {
+    test('scores each source at every cutoff and horizon against the recorded history', async () => {
+        const report = await runBacktest({ agent, readingStore, from: FROM, to: TO, stepHours: 12, horizon: 6 });
+
+        expect(report).toMatchObject({
+            from: FROM.toISOString(),
+            to: TO.toISOString(),
+            step_hours: 12,
+            horizon: 6,
+            sources: ['statistical', 'baseline'],
+            cutoffs: { statistical: 3, baseline: 3 }
+        });
+
+        // The baseline is 200 W under every hour
+        expect(report.by_source.baseline).toMatchObject({ count: 18, mae: 200, rmse: 200, mape: 16.7, coverage: null });
+        // A flat history is forecast exactly, inside its intervals
+        expect(report.by_source.statistical).toMatchObject({ count: 18, mae: 0, rmse: 0, coverage: 1, intervals: 18 });
+
+        expect(report.by_horizon).toHaveLength(12);
+        report.by_horizon.forEach(row => expect(row.count).toBe(3));
+    });
+
+    test('skips sources that cannot forecast and rejects unknown sources', async () => {
+        const shortHistory = {
+            aggregate: options => ({ buckets: readingStore.aggregate(options).buckets.filter(bucket => Date.parse(bucket.timestamp) >= FROM.getTime()) })
+        };
+        const report = await runBacktest({ agent, readingStore: shortHistory, from: FROM, to: FROM, horizon: 6 });
+        expect(report.cutoffs).toEqual({ baseline: 1 });
+        expect(report.by_source.statistical).toBeUndefined();
+
+        await expect(runBacktest({ agent, readingStore, from: FROM, to: TO, sources: ['oracle'] }))
+            .rejects.toThrow('Unknown prediction sources: oracle');
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Prediction accuracy tracking (services/prediction-tracker.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PredictionTracker = require('../services/prediction-tracker');
+
+const { createErrorStats, addError, summarizeErrors, summarizeBySourceAndHorizon } = PredictionTracker;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('error statistics', () => {
+    test('summarizes MAE, MAPE, RMSE and interval coverage', () => {
+        const stats = createErrorStats();
+        addError(stats, { predicted: 1100, lower: 900, upper: 1300 }, 1000); // error +100, covered
+        addError(stats, { predicted: 1700, lower: 1600, upper: 1800 }, 2000); // error -300, not covered
+        addError(stats, { predicted: 500 }, 500);                              // exact, no interval
+
+        expect(summarizeErrors(stats)).toEqual({
+            count: 3,
+            mae: 133.3,                                   // (100 + 300 + 0) / 3
+            mape: 8.3,                                    // (10% + 15% + 0%) / 3
+            rmse: 182.6,                                  // sqrt((100² + 300² + 0) / 3)
+            coverage: 0.5,                                // 1 of the 2 intervals
+            intervals: 2
+        });
+    });
+
+    test('leaves MAPE out for zero actuals and coverage out without intervals', () => {
+        const stats = createErrorStats();
+        addError(stats, { predicted: 200 }, 0);
+
+        expect(summarizeErrors(stats)).toMatchObject({ count: 1, mae: 200, rmse: 200, mape: null, coverage: null });
+        expect(summarizeErrors(createErrorStats())).toEqual({ count: 0, mae: null, mape: null, rmse: null, coverage: null });
+    });
+
+    test('totals each source over its horizons and sorts the rows', () => {
+        const stats = (predicted, actual) => {
+            const result = createErrorStats();
+            addError(result, { predicted }, actual);
+            return result;
+        };
+        const report = summarizeBySourceAndHorizon({
+            statistical: { 1: stats(110, 100), 0: stats(90, 100) },
+            ai: { 0: stats(150, 100) }
+        });
+
+        expect(report.by_source.statistical).toMatchObject({ count: 2, mae: 10, mape: 10 });
+        expect(report.by_source.ai).toMatchObject({ count: 1, mae: 50 });
+        expect(report.by_horizon.map(row => [row.source, row.horizon])).toEqual([['ai', 0], ['statistical', 0], ['statistical', 1]]);
+    });
+});
+
+describe('PredictionTracker', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prediction-tracker-'));
+        process.env.DATA_DIR = dataDir;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('scores recorded forecasts by horizon once their hours have passed', () => {
+        const firstHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - 5 * HOUR_MS;
+        const actuals = { [firstHour]: 1000, [firstHour + HOUR_MS]: 2000 };
+        const getHourlyUsage = jest.fn((from, to) => Object.entries(actuals)
+            .map(([time, usage]) => ({ time: Number(time), usage }))
+            .filter(({ time }) => time >= from.getTime() && time < to.getTime())
+            .map(({ time, usage }) => ({ timestamp: new Date(time).toISOString(), usage })));
+
+        const tracker = new PredictionTracker({ getHourlyUsage });
+        tracker.record([
+            { timestamp: new Date(firstHour).toISOString(), predictedUsage: 1100, source: 'statistical', prediction_interval: { lower: 900, upper: 1300 } },
+            { timestamp: new Date(firstHour + HOUR_MS).toISOString(), predictedUsage: 1500, source: 'statistical', prediction_interval: { lower: 1400, upper: 1600 } },
+            { timestamp: new Date(firstHour + 2 * HOUR_MS).toISOString(), predictedUsage: 1500, source: 'statistical' }
+        ], new Date(firstHour + 10 * 60 * 1000));
+
+        // Nothing is scored before the hour has ended
+        expect(tracker.score(new Date(firstHour + 30 * 60 * 1000))).toBe(0);
+
+        const now = new Date(firstHour + 2 * HOUR_MS + 10 * 60 * 1000);
+        expect(tracker.score(now)).toBe(2);
+
+        const accuracy = tracker.getAccuracy(7, now);
+        expect(accuracy.by_source.statistical).toMatchObject({ count: 2, mae: 300, mape: 17.5, coverage: 0.5 });
+        expect(accuracy.by_horizon).toEqual([
+            expect.objectContaining({ source: 'statistical', horizon: 0, mae: 100, coverage: 1 }),
+            expect.objectContaining({ source: 'statistical', horizon: 1, mae: 500, coverage: 0 })
+        ]);
+        expect(accuracy.pending_forecasts).toBe(1);
+
+        // Accumulated errors and the forecast log survive a restart
+        const reloaded = new PredictionTracker({ getHourlyUsage });
+        expect(reloaded.getAccuracy(7, now).by_source).toEqual(accuracy.by_source);
+        expect(reloaded.pending).toHaveLength(1);
+    });
+
+    test('drops forecasts older than the retention window from the log while scoring', () => {
+        const tracker = new PredictionTracker();
+        const forecast = time => [{ timestamp: new Date(time).toISOString(), predictedUsage: 1000, source: 'baseline' }];
+        tracker.record(forecast(Date.now() - 31 * 24 * HOUR_MS), new Date(Date.now() - 31 * 24 * HOUR_MS));
+        tracker.record(forecast(Date.now()), new Date());
+
+        const readLog = () => fs.readFileSync(path.join(dataDir, 'forecasts.jsonl'), 'utf8').trim().split('\n');
+        expect(readLog()).toHaveLength(2);
+
+        // Pruned at most once a day
+        tracker.score(new Date(Date.now() + HOUR_MS));
+        expect(readLog()).toHaveLength(2);
+
+        tracker.score(new Date(Date.now() + 25 * HOUR_MS));
+        expect(readLog()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Cron expressions of recurring jobs (services/scheduler.js)
+ */
+
+const { parseCron, getNextCronRun } = require('../services/scheduler');
+
+// Server local time, like the scheduler; Monday 5 January 2026, 10:30
+const after = new Date(2026, 0, 5, 10, 30);
+const nextRun = expression => getNextCronRun(expression, after);
+
+describe('getNextCronRun', () => {
+    test('runs on the next matching minute, never at the current one', () => {
+        expect(nextRun('* * * * *')).toEqual(new Date(2026, 0, 5, 10, 31));
+        expect(nextRun('30 10 * * *')).toEqual(new Date(2026, 0, 6, 10, 30));
+        expect(nextRun('*/15 * * * *')).toEqual(new Date(2026, 0, 5, 10, 45));
+    });
+
+    test('supports lists, ranges and steps', () => {
+        expect(nextRun('0 8,18 * * *')).toEqual(new Date(2026, 0, 5, 18, 0));
+        expect(nextRun('0 9-17/4 * * *')).toEqual(new Date(2026, 0, 5, 13, 0));
+        expect(nextRun('0 0 1 3-5 *')).toEqual(new Date(2026, 2, 1, 0, 0));
+    });
+
+    test('matches either day field when both are restricted', () => {
+        // Mondays, or the 10th of the month
+        expect(nextRun('0 12 10 * 1')).toEqual(new Date(2026, 0, 5, 12, 0));
+        expect(nextRun('0 9 10 * 1')).toEqual(new Date(2026, 0, 10, 9, 0));
+        expect(nextRun('0 12 * * 6')).toEqual(new Date(2026, 0, 10, 12, 0));
+        expect(nextRun('0 12 7 * *')).toEqual(new Date(2026, 0, 7, 12, 0));
+    });
+
+    test('returns null for dates that never come', () => {
+        expect(nextRun('0 0 31 2 *')).toBeNull();
+        expect(nextRun('0 0 30 2 *')).toBeNull();
+    });
+
+    test('rejects invalid expressions', () => {
+        expect(() => parseCron('* * * *')).toThrow('cron must have 5 fields');
+        expect(() => parseCron('60 * * * *')).toThrow('invalid cron minute field');
+        expect(() => parseCron('* * * * 7')).toThrow('invalid cron day of week field');
+        expect(() => parseCron('*/0 * * * *')).toThrow('invalid cron minute field');
+        expect(() => parseCron('0 5-2 * * *')).toThrow('invalid cron hour field');
+    });
+});
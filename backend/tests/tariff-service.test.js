@@ -0,0 +1,78 @@
+/**
+ * Energy costs of flat, tiered and time-of-use tariffs (services/tariff-service.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TariffService = require('../services/tariff-service');
+
+const TIME_OF_USE = {
+    name: 'Evening peak',
+    type: 'time_of_use',
+    rates: { off_peak: 0.1, peak: 0.4 },
+    defaultPeriod: 'off_peak',
+    schedules: {
+        weekday: [{ period: 'peak', start: '16:00', end: '21:00' }],
+        weekend: []
+    },
+    holidays: ['2026-01-01']
+};
+
+describe('TariffService', () => {
+    let dataDir;
+    let tariff;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tariff-service-'));
+        process.env.DATA_DIR = dataDir;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tariff = new TariffService();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.DATA_DIR;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('charges tiered usage at the rate of each tier it falls in', () => {
+        expect(tariff.setTariff({
+            name: 'Tiered',
+            type: 'tiered',
+            tiers: [{ upToKwh: 100, rate: 0.1 }, { upToKwh: 200, rate: 0.2 }, { upToKwh: null, rate: 0.3 }]
+        }).success).toBe(true);
+
+        expect(tariff.calculateCost(50)).toBeCloseTo(5);
+        // 10 kWh left in the first tier, 100 kWh in the second and 40 kWh in the last
+        expect(tariff.calculateCost(150, new Date(), 90)).toBeCloseTo(1 + 20 + 12);
+        expect(tariff.calculateCost(10, new Date(), 500)).toBeCloseTo(3);
+        expect(tariff.calculateCost(0)).toBe(0);
+    });
+
+    test('charges time-of-use usage at the rate of its period', () => {
+        expect(tariff.setTariff(TIME_OF_USE).success).toBe(true);
+
+        // Monday 5 January 2026
+        expect(tariff.calculateCost(2, new Date(2026, 0, 5, 18, 0))).toBeCloseTo(0.8);
+        expect(tariff.calculateCost(2, new Date(2026, 0, 5, 21, 0))).toBeCloseTo(0.2);
+        expect(tariff.calculateCost(2, new Date(2026, 0, 5, 15, 59))).toBeCloseTo(0.2);
+        // Saturday 10 January 2026
+        expect(tariff.calculateCost(2, new Date(2026, 0, 10, 18, 0))).toBeCloseTo(0.2);
+    });
+
+    test('uses the weekend schedule on holidays without their own', () => {
+        expect(tariff.setTariff(TIME_OF_USE).success).toBe(true);
+
+        // Thursday 1 January 2026
+        const evening = new Date(2026, 0, 1, 18, 0);
+        expect(tariff.getDayType(evening)).toBe('holiday');
+        expect(tariff.calculateCost(2, evening)).toBeCloseTo(0.2);
+
+        expect(tariff.setTariff({
+            ...TIME_OF_USE,
+            schedules: { ...TIME_OF_USE.schedules, holiday: [{ period: 'peak', start: '00:00', end: '00:00' }] }
+        }).success).toBe(true);
+        expect(tariff.calculateCost(2, evening)).toBeCloseTo(0.8);
+    });
+});
@@ -6,6 +6,12 @@ class APIManager: ObservableObject {
     static let shared = APIManager()
     
     private let baseURL = "http://localhost:3000"
+    
+    // API token issued by the backend (POST /api/auth/tokens); set in UserDefaults or the APIToken Info.plist key
+    static var apiToken: String? {
+        UserDefaults.standard.string(forKey: "apiToken") ?? Bundle.main.object(forInfoDictionaryKey: "APIToken") as? String
+    }
+    
     private let session: URLSession
     private let monitor = NWPathMonitor()
     private let queue = DispatchQueue(label: "NetworkMonitor")
@@ -214,6 +220,9 @@ class APIManager: ObservableObject {
         request.httpMethod = method
         request.setValue("application/json", forHTTPHeaderField: "Content-Type")
         request.setValue("application/json", forHTTPHeaderField: "Accept")
+        if let token = APIManager.apiToken {
+            request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        }
         
         if let body = body {
             do {
@@ -274,6 +283,9 @@ class APIManager: ObservableObject {
         var request = URLRequest(url: url)
         request.httpMethod = "POST"
         request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        if let token = APIManager.apiToken {
+            request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        }
         
         let body = ["action": "toggle"]
         
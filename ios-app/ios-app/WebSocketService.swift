@@ -70,7 +70,11 @@ class WebSocketService: ObservableObject {
         
         connectionStatus = .connecting
         
-        webSocketTask = urlSession.webSocketTask(with: webSocketURL)
+        var request = URLRequest(url: webSocketURL)
+        if let token = APIManager.apiToken {
+            request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        }
+        webSocketTask = urlSession.webSocketTask(with: request)
         webSocketTask?.resume()
         
         // Start listening for messages
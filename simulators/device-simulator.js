@@ -1,50 +1,158 @@
 const axios = require('axios');
+const mqtt = require('mqtt');
 const { v4: uuidv4 } = require('uuid');
 
 class SmartHomeSimulator {
     constructor() {
-        this.devices = this.initializeDevices();
+        this.devices = [];
         this.isRunning = false;
         this.backendUrl = process.env.BACKEND_URL || 'http://localhost:3000';
+        // Home to simulate; the default home uses the un-prefixed /api routes
+        this.apiBase = process.env.HOME_ID
+            ? `${this.backendUrl}/api/homes/${encodeURIComponent(process.env.HOME_ID)}`
+            : `${this.backendUrl}/api`;
+
+        // API token with the control scope, needed to post readings
+        this.http = axios.create({
+            headers: process.env.API_TOKEN ? { Authorization: `Bearer ${process.env.API_TOKEN}` } : {}
+        });
+        if (!process.env.API_TOKEN) {
+            console.warn('⚠️ API_TOKEN is not set; the backend will reject requests unless authentication is disabled');
+        }
+
+        // With MQTT_BROKER set, each device publishes telemetry and takes commands over MQTT
+        this.mqttBroker = process.env.MQTT_BROKER || null;
+        this.homeId = process.env.HOME_ID || 'default';
+        this.mqttClients = new Map();
     }
 
-    initializeDevices() {
-        return [
-            {
-                id: 'hvac_001',
-                name: 'Living Room Thermostat',
-                type: 'hvac',
-                location: 'living_room',
-                baseConsumption: 3000,
-                currentState: 'on',
-                targetTemp: 72
-            },
-            {
-                id: 'water_heater_001',
-                name: 'Water Heater',
-                type: 'water_heater',
-                location: 'basement',
-                baseConsumption: 4000,
-                currentState: 'on'
-            },
-            {
-                id: 'lighting_001',
-                name: 'Kitchen Lights',
-                type: 'lighting',
-                location: 'kitchen',
-                baseConsumption: 200,
-                currentState: 'on',
-                brightness: 100
-            },
-            {
-                id: 'washer_001',
-                name: 'Washing Machine',
-                type: 'appliance',
-                location: 'laundry_room',
-                baseConsumption: 2200,
-                currentState: 'off'
+    /**
+     * Load the device list from the backend registry, keeping simulated state
+     * for devices that are already known
+     */
+    async loadDevices() {
+        try {
+            const response = await this.http.get(`${this.apiBase}/devices`);
+            const registered = response.data.data || [];
+
+            this.devices = registered.map(device => {
+                const known = this.devices.find(d => d.id === device.id);
+                return {
+                    id: device.id,
+                    name: device.name,
+                    type: device.type,
+                    location: device.location,
+                    baseConsumption: device.ratedPower || 1000,
+                    currentState: known ? known.currentState : (device.isOn ? 'on' : 'off'),
+                    targetTemp: device.targetTemp,
+                    brightness: device.brightness,
+                    capacityKw: device.capacityKw,
+                    battery: device.type === 'battery' ? {
+                        capacityKwh: device.capacityKwh,
+                        maxChargeKw: device.maxChargeKw,
+                        maxDischargeKw: device.maxDischargeKw,
+                        roundTripEfficiency: device.roundTripEfficiency,
+                        reserveSoc: device.reserveSoc,
+                        mode: known && known.battery ? known.battery.mode : 'idle',
+                        stateOfCharge: known && known.battery ? known.battery.stateOfCharge : 50,
+                        updatedAt: known && known.battery ? known.battery.updatedAt : Date.now()
+                    } : null,
+                    vehicle: device.type === 'ev_charger' ? {
+                        batteryKwh: device.batteryKwh,
+                        maxChargeKw: device.maxChargeKw,
+                        targetSoc: device.targetSoc,
+                        pluggedIn: true,
+                        soc: known && known.vehicle ? known.vehicle.soc : 40,
+                        updatedAt: known && known.vehicle ? known.vehicle.updatedAt : Date.now()
+                    } : null
+                };
+            });
+            if (this.mqttBroker) {
+                this.syncMqttClients();
             }
-        ];
+        } catch (error) {
+            console.error('❌ Failed to load devices from backend:', error.message);
+        }
+    }
+
+    getDeviceTopic(device, suffix) {
+        return `home/${this.homeId}/device/${device.id}/${suffix}`;
+    }
+
+    /**
+     * One MQTT connection per device, with an 'offline' last will on its status topic
+     */
+    syncMqttClients() {
+        this.devices.forEach(device => {
+            if (this.mqttClients.has(device.id)) return;
+
+            const statusTopic = this.getDeviceTopic(device, 'status');
+            const client = mqtt.connect(this.mqttBroker, {
+                clientId: `simulator-${this.homeId}-${device.id}`,
+                will: { topic: statusTopic, payload: 'offline', qos: 1, retain: true }
+            });
+
+            client.on('connect', () => {
+                client.publish(statusTopic, 'online', { qos: 1, retain: true });
+                client.subscribe(this.getDeviceTopic(device, 'set'));
+            });
+            client.on('message', (topic, payload) => {
+                const target = this.devices.find(d => d.id === device.id);
+                if (target) this.applyCommand(target, payload.toString());
+            });
+            client.on('error', (error) => {
+                console.error(`❌ MQTT error for ${device.id}:`, error.message);
+            });
+
+            this.mqttClients.set(device.id, client);
+        });
+
+        // Devices removed from the backend go offline
+        this.mqttClients.forEach((client, deviceId) => {
+            if (this.devices.some(d => d.id === deviceId)) return;
+            client.publish(`home/${this.homeId}/device/${deviceId}/status`, 'offline', { qos: 1, retain: true }, () => client.end());
+            this.mqttClients.delete(deviceId);
+        });
+    }
+
+    applyCommand(device, text) {
+        let command;
+        try {
+            command = JSON.parse(text);
+        } catch (error) {
+            console.error(`❌ Invalid command for ${device.id}:`, text);
+            return;
+        }
+
+        switch (command.action) {
+            case 'turn_on':
+                device.currentState = 'on';
+                break;
+            case 'turn_off':
+                device.currentState = 'off';
+                break;
+            case 'toggle':
+                device.currentState = device.currentState === 'on' ? 'off' : 'on';
+                break;
+            case 'set_temperature':
+                device.targetTemp = Number(command.value);
+                break;
+            case 'set_brightness':
+                device.brightness = Number(command.value);
+                break;
+            case 'charge':
+            case 'discharge':
+            case 'hold':
+                if (device.battery) {
+                    device.battery.mode = { charge: 'charging', discharge: 'discharging', hold: 'idle' }[command.action];
+                    device.currentState = device.battery.mode === 'idle' ? 'off' : 'on';
+                }
+                break;
+        }
+        console.log(`🎛️ ${device.name}: ${command.action}${command.value !== null && command.value !== undefined ? ` = ${command.value}` : ''}`);
+
+        // Report the new state right away; the backend waits for it as confirmation
+        this.sendDataToBackend(this.generateRealisticData(device));
     }
 
     generateRealisticData(device) {
@@ -75,10 +183,26 @@ class SmartHomeSimulator {
         // Random variation
         const randomFactor = 0.8 + (Math.random() * 0.4);
         
-        const powerWatts = device.currentState === 'on' 
+        let powerWatts = device.currentState === 'on' 
             ? device.baseConsumption * usageMultiplier * randomFactor
             : 0;
 
+        if (device.type === 'solar') {
+            // Solar output follows the sun between 6 AM and 8 PM, dimmed by passing clouds
+            const daylight = Math.max(0, Math.sin(Math.PI * (hour + now.getMinutes() / 60 - 6) / 14));
+            powerWatts = device.currentState === 'on'
+                ? (device.capacityKw || 5) * 1000 * 0.8 * daylight * (0.85 + Math.random() * 0.15)
+                : 0;
+        }
+
+        if (device.battery) {
+            powerWatts = this.simulateBattery(device.battery, now);
+        }
+
+        if (device.vehicle) {
+            powerWatts = this.simulateVehicle(device.vehicle, device.currentState === 'on', now);
+        }
+
         return {
             deviceId: device.id,
             deviceType: device.type,
@@ -87,10 +211,51 @@ class SmartHomeSimulator {
             powerWatts: Math.round(powerWatts * 100) / 100,
             energyKwh: Math.round((powerWatts / 1000) * 100) / 100,
             state: device.currentState,
+            ...(device.battery && device.battery.mode === 'discharging' ? { producing: true } : {}),
             metadata: this.getDeviceMetadata(device)
         };
     }
 
+    /**
+     * Charge or discharge a battery for the time since its last update. It charges at
+     * its maximum rate and, not knowing the home's load, discharges at half of it.
+     */
+    simulateBattery(battery, now) {
+        const hours = Math.min(now.getTime() - battery.updatedAt, 30000) / (60 * 60 * 1000);
+        const storedKwh = battery.capacityKwh * battery.stateOfCharge / 100;
+        let powerWatts = 0;
+
+        if (battery.mode === 'charging' && hours > 0) {
+            const roomKwh = battery.capacityKwh - storedKwh;
+            powerWatts = Math.min(battery.maxChargeKw * 1000, roomKwh / battery.roundTripEfficiency / hours * 1000);
+            battery.stateOfCharge += powerWatts / 1000 * hours * battery.roundTripEfficiency / battery.capacityKwh * 100;
+        } else if (battery.mode === 'discharging' && hours > 0) {
+            const availableKwh = Math.max(0, storedKwh - battery.capacityKwh * battery.reserveSoc / 100);
+            powerWatts = Math.min(battery.maxDischargeKw * 500, availableKwh / hours * 1000);
+            battery.stateOfCharge -= powerWatts / 1000 * hours / battery.capacityKwh * 100;
+        }
+
+        battery.updatedAt = now.getTime();
+        return powerWatts;
+    }
+
+    /**
+     * Charge a plugged-in vehicle at the charger's maximum rate while the charger is on,
+     * stopping at its target charge
+     */
+    simulateVehicle(vehicle, isOn, now) {
+        const hours = Math.min(now.getTime() - vehicle.updatedAt, 30000) / (60 * 60 * 1000);
+        let powerWatts = 0;
+
+        if (isOn && vehicle.pluggedIn && vehicle.soc < vehicle.targetSoc) {
+            powerWatts = vehicle.maxChargeKw * 1000;
+            vehicle.soc = Math.min(vehicle.targetSoc, vehicle.soc + powerWatts / 1000 * hours * 0.9 / vehicle.batteryKwh * 100);
+        }
+
+        vehicle.updatedAt = now.getTime();
+        return powerWatts;
+    }
+
     getDeviceMetadata(device) {
         const metadata = {};
         
@@ -103,29 +268,55 @@ class SmartHomeSimulator {
             metadata.colorTemp = 3000; // Warm white
         } else if (device.type === 'water_heater') {
             metadata.waterTemp = 120 + (Math.random() * 20); // 120-140°F
-            metadata.targetTemp = 140;
+            metadata.targetTemp = device.targetTemp || 140;
+        } else if (device.battery) {
+            metadata.batteryMode = device.battery.mode;
+            metadata.stateOfCharge = Math.round(device.battery.stateOfCharge * 10) / 10;
+        } else if (device.vehicle) {
+            metadata.pluggedIn = device.vehicle.pluggedIn;
+            metadata.vehicleSoc = Math.round(device.vehicle.soc * 10) / 10;
         }
         
         return metadata;
     }
 
     async sendDataToBackend(data) {
+        const client = this.mqttClients.get(data.deviceId);
+        if (client) {
+            const { deviceId, ...telemetry } = data;
+            client.publish(this.getDeviceTopic({ id: deviceId }, 'state'), JSON.stringify(telemetry));
+            console.log(`📡 Published data for ${deviceId}: ${data.powerWatts}W`);
+            return;
+        }
+
         try {
             // Send to energy data endpoint
-            await axios.post(`${this.backendUrl}/api/energy/reading`, data);
+            await this.http.post(`${this.apiBase}/energy/reading`, data);
             console.log(`📊 Sent data for ${data.deviceId}: ${data.powerWatts}W`);
         } catch (error) {
             console.error(`❌ Failed to send data for ${data.deviceId}:`, error.message);
         }
     }
 
-    start() {
+    async start() {
         console.log('🏠 Starting Smart Home Device Simulators...');
         console.log(`📡 Backend URL: ${this.backendUrl}`);
+        if (this.mqttBroker) {
+            console.log(`📡 MQTT broker: ${this.mqttBroker} (home ${this.homeId})`);
+        }
+
+        await this.loadDevices();
         console.log(`📊 Simulating ${this.devices.length} devices`);
         
         this.isRunning = true;
         
+        // Pick up devices registered, updated or removed in the backend
+        this.registryInterval = setInterval(() => {
+            if (this.isRunning) {
+                this.loadDevices();
+            }
+        }, 60000);
+        
         // Send data every 30 seconds
         this.dataInterval = setInterval(() => {
             if (this.isRunning) {
@@ -146,11 +337,15 @@ class SmartHomeSimulator {
         console.log('✅ Simulators started successfully');
         console.log('📈 Sending data every 30 seconds');
         console.log('🎛️ Random state changes every 5 minutes');
+        console.log('📟 Device list refreshed from the backend every minute');
     }
 
     randomlyChangeDeviceStates() {
         // Randomly turn devices on/off to simulate real usage
         this.devices.forEach(device => {
+            if (device.type === 'solar') return; // Solar runs all day
+            if (device.battery) return; // Batteries follow their schedule
+            if (device.vehicle) return; // EV chargers follow their charging plan
             if (Math.random() < 0.1) { // 10% chance
                 device.currentState = device.currentState === 'on' ? 'off' : 'on';
                 console.log(`🎛️ ${device.name} turned ${device.currentState}`);
@@ -163,6 +358,9 @@ class SmartHomeSimulator {
         this.isRunning = false;
         if (this.dataInterval) clearInterval(this.dataInterval);
         if (this.stateInterval) clearInterval(this.stateInterval);
+        if (this.registryInterval) clearInterval(this.registryInterval);
+        this.mqttClients.forEach(client => client.end());
+        this.mqttClients.clear();
         console.log('✅ Simulators stopped');
     }
 }
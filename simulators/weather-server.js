@@ -0,0 +1,100 @@
+/**
+ * Weather Service Stand-in
+ * Local HTTP forecast service for the backend's http weather provider
+ * (WEATHER_PROVIDER=http), so weather-driven forecasting can be run offline.
+ * Serves synthetic hourly weather: a seasonal and daily temperature cycle with a
+ * weather system passing every few days that brings cloud, humidity and cooler air.
+ * The same hour always gets the same weather.
+ *
+ *   GET /forecast?start=<ISO date-time>&hours=<1-168>&latitude=<°>&longitude=<°>
+ *   -> { "hourly": [{ "time", "temperature", "humidity", "cloudCover", "irradiance" }] }
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.WEATHER_PORT, 10) || 3100;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_HOURS = 168;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Strength (0-1) of the passing weather system at a time: two overlapping cycles of
+ * 4.3 and 6.1 days, so the pattern does not repeat week to week
+ */
+function systemStrength(time) {
+    const days = time / (24 * HOUR_MS);
+    const wave = Math.sin(2 * Math.PI * days / 4.3) * 0.6 + Math.sin(2 * Math.PI * days / 6.1 + 1) * 0.4;
+    return Math.max(0, wave);
+}
+
+function getHourlyWeather(date, latitude, longitude) {
+    const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const dayOfYear = (date.getTime() - startOfYear) / (24 * HOUR_MS);
+    const solarHour = ((date.getUTCHours() + date.getUTCMinutes() / 60 + longitude / 15) % 24 + 24) % 24;
+    const system = systemStrength(date.getTime());
+
+    const seasonal = 55 + 22 * Math.cos(2 * Math.PI * (dayOfYear - 205) / 365);
+    const daily = 9 * (1 - 0.6 * system) * Math.cos(2 * Math.PI * (solarHour - 15) / 24);
+    const temperature = seasonal + daily - 6 * system;
+
+    const cloudCover = Math.min(100, 15 + 80 * system);
+    const humidity = Math.min(100, 45 + 40 * system - daily * 1.5);
+
+    // Clear-sky irradiance from the sun's elevation, attenuated by the cloud cover
+    const declination = toRadians(23.45 * Math.sin(toRadians(360 / 365 * (284 + dayOfYear))));
+    const hourAngle = toRadians(15 * (solarHour - 12));
+    const lat = toRadians(latitude);
+    const sinElevation = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+    // (Meinel direct beam with a 10% diffuse share)
+    const directNormal = sinElevation > 0 ? 1361 * Math.pow(0.7, Math.pow(1 / Math.max(sinElevation, 0.05), 0.678)) : 0;
+    const clearSky = directNormal * (Math.max(0, sinElevation) + 0.1);
+    const irradiance = clearSky * (1 - 0.75 * Math.pow(cloudCover / 100, 3.4));
+
+    return {
+        time: date.toISOString(),
+        temperature: Math.round(temperature * 10) / 10,
+        humidity: Math.round(humidity),
+        cloudCover: Math.round(cloudCover),
+        irradiance: Math.round(irradiance)
+    };
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, { status: 'healthy' });
+    }
+    if (req.method !== 'GET' || url.pathname !== '/forecast') {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    const start = url.searchParams.get('start') ? new Date(url.searchParams.get('start')) : new Date();
+    const hours = parseInt(url.searchParams.get('hours'), 10) || 24;
+    const latitude = url.searchParams.get('latitude') ? parseFloat(url.searchParams.get('latitude')) : 40;
+    // Without a longitude, solar time follows the server's clock
+    const longitude = url.searchParams.has('longitude') && url.searchParams.get('longitude') !== ''
+        ? parseFloat(url.searchParams.get('longitude'))
+        : -start.getTimezoneOffset() / 4;
+
+    if (isNaN(start.getTime()) || hours < 1 || hours > MAX_HOURS || isNaN(latitude) || isNaN(longitude)) {
+        return sendJson(res, 400, { error: `start must be an ISO date-time, hours from 1 to ${MAX_HOURS} and latitude and longitude numbers` });
+    }
+
+    const first = Math.floor(start.getTime() / HOUR_MS) * HOUR_MS;
+    const hourly = Array.from({ length: hours }, (_, index) =>
+        getHourlyWeather(new Date(first + index * HOUR_MS), latitude, longitude));
+
+    console.log(`🌦️ Served ${hours} hours of weather from ${new Date(first).toISOString()}`);
+    sendJson(res, 200, { latitude, longitude, hourly });
+});
+
+server.listen(PORT, () => {
+    console.log(`🌦️ Weather stand-in listening on http://localhost:${PORT}/forecast`);
+});